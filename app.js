@@ -0,0 +1,147 @@
+const express = require('express');
+const session = require('express-session');
+const cors = require('cors');
+const helmet = require('helmet');
+const compression = require('compression');
+const morgan = require('morgan');
+const path = require('path');
+
+const { setupDatabase } = require('./lib/database');
+const { DEFAULT_TIERS } = require('./lib/access-tiers');
+const { startWebhookWorker } = require('./lib/webhook-queue');
+const { startJobWorker } = require('./lib/jobs');
+const { captureRawBody } = require('./middleware/webhook-verification');
+
+/**
+ * Route profiles. Every profile shares the same middleware, health check and
+ * error handling; they differ only in what serves /api/admin and whether the
+ * Shopify-facing routes (OAuth, storefront API, webhooks, app proxy) exist.
+ *   embedded - admin backed by the local catalog mirror and rule engine
+ *   live     - admin reading straight from the Shopify Admin API
+ *   demo     - mock admin data only, no Shopify or database access
+ */
+const PROFILES = {
+  embedded: {
+    admin: () => require('./routes/admin'),
+    shopifyRoutes: true
+  },
+  live: {
+    admin: () => require('./routes/live-shopify-admin'),
+    shopifyRoutes: true
+  },
+  demo: {
+    admin: () => require('./routes/standalone-admin'),
+    shopifyRoutes: false
+  }
+};
+
+function createApp(config = {}) {
+  const profileName = config.profile || 'embedded';
+  const profile = PROFILES[profileName];
+
+  if (!profile) {
+    throw new Error(`Unknown app profile: ${profileName}`);
+  }
+
+  const app = express();
+
+  // Middleware
+  app.use(helmet({
+    contentSecurityPolicy: false, // Disable for Shopify embedded apps
+  }));
+  app.use(compression());
+  if (config.logging !== false) {
+    app.use(morgan('combined'));
+  }
+  app.use(cors());
+  app.use(express.json({ verify: captureRawBody })); // raw body is needed to verify webhook HMACs
+  app.use(express.urlencoded({ extended: true }));
+
+  // Session configuration
+  app.use(session({
+    secret: config.sessionSecret || process.env.SESSION_SECRET || 'fallback-secret',
+    resave: false,
+    saveUninitialized: false,
+    cookie: {
+      secure: process.env.NODE_ENV === 'production',
+      maxAge: 24 * 60 * 60 * 1000, // 24 hours
+    },
+  }));
+
+  // Static files
+  app.use(express.static(path.join(__dirname, 'public')));
+
+  // Routes
+  if (profile.shopifyRoutes) {
+    app.use('/api/auth', require('./routes/auth'));
+  }
+  app.use('/api/admin', profile.admin());
+  if (profile.shopifyRoutes) {
+    app.use('/api', require('./routes/api'));
+    app.use('/api/webhooks', require('./routes/webhooks'));
+    app.use('/proxy', require('./routes/app-proxy')); // Shopify app proxy: /apps/malia-pro-access/*
+  }
+
+  // Root route - redirect to admin interface
+  app.get('/', (req, res) => {
+    res.redirect('/admin.html');
+  });
+
+  // Health check endpoint
+  app.get('/health', (req, res) => {
+    res.json({
+      status: 'healthy',
+      timestamp: new Date().toISOString(),
+      message: 'Malia Pro Access App is running!',
+      environment: process.env.NODE_ENV || 'development',
+      profile: profileName,
+      access_tiers: DEFAULT_TIERS.map(tier => tier.label)
+    });
+  });
+
+  // Error handling middleware
+  app.use((err, req, res, next) => {
+    console.error('Error:', err);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Something went wrong'
+    });
+  });
+
+  // 404 handler
+  app.use((req, res) => {
+    res.status(404).json({ error: 'Not found' });
+  });
+
+  return app;
+}
+
+/**
+ * Initialize the database and start the webhook and job workers (unless the
+ * profile doesn't use them) and listen
+ */
+async function startServer(app, { port, host = '0.0.0.0', profile = 'embedded' } = {}) {
+  try {
+    if (PROFILES[profile]?.shopifyRoutes) {
+      await setupDatabase();
+      console.log('✅ Database initialized successfully');
+      startWebhookWorker();
+      startJobWorker({ concurrency: Number(process.env.JOB_CONCURRENCY) || 2 });
+    }
+
+    app.listen(port, host, () => {
+      console.log(`🚀 Malia Pro Access App running on port ${port} (${profile} profile)`);
+      console.log(`📱 App URL: ${process.env.SHOPIFY_APP_URL || 'http://localhost:' + port}`);
+      console.log(`🏪 Environment: ${process.env.NODE_ENV || 'development'}`);
+    });
+  } catch (error) {
+    console.error('❌ Failed to start server:', error);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  PROFILES,
+  createApp,
+  startServer
+};
@@ -43,16 +43,13 @@ export default function CheckoutExtension() {
         quantity: line.quantity
       }));
 
-      // Check with our app's API
+      // Check with our app's API (the app proxy identifies the logged-in customer)
       const response = await fetch('/apps/malia-pro-access/api/validate-cart', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({
-          cartItems,
-          customerId: customer?.id || null
-        })
+        body: JSON.stringify({ cartItems })
       });
 
       const data = await response.json();
@@ -113,11 +110,11 @@ export default function CheckoutExtension() {
     return null; // Don't show anything if no restricted items
   }
 
-  // Determine what message to show based on customer status
+  // Determine what message to show based on the tier the customer is missing
   const isLoggedIn = !!customer;
-  const hasButterflyTag = customer?.tags?.includes('butterfly_paid') || false;
+  const needsCertification = restrictedItems.some(item => item.missingTier === 'butterfly');
 
-  if (!isLoggedIn) {
+  if (!isLoggedIn || !needsCertification) {
     // Not logged in - show pro account message
     return (
       <Banner status="critical">
@@ -150,8 +147,8 @@ export default function CheckoutExtension() {
     );
   }
 
-  if (!hasButterflyTag) {
-    // Logged in but no butterfly_paid tag - show certification message
+  if (needsCertification) {
+    // Logged in but missing the butterfly tier - show certification message
     return (
       <Banner status="critical">
         <BlockStack spacing="tight">
@@ -0,0 +1,101 @@
+const { once } = require('events');
+const { AccessLogs } = require('./database');
+
+const EXPORT_COLUMNS = [
+  'id',
+  'created_at',
+  'source',
+  'access_type',
+  'product_id',
+  'product_title',
+  'customer_id',
+  'customer_email',
+  'required_tier',
+  'customer_tier',
+  'target',
+  'visitor_id',
+  'ip_address',
+  'user_agent'
+];
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+
+const BATCH_SIZE = 500;
+
+function toExportRow(row) {
+  return Object.fromEntries(EXPORT_COLUMNS.map(column => {
+    const value = row[column];
+    if (value instanceof Date) return [column, value.toISOString()];
+    return [column, value === undefined ? null : value];
+  }));
+}
+
+// Quote fields that need it, and defuse values a spreadsheet would run as a formula
+function toCsvField(value) {
+  if (value === null || value === undefined) return '';
+
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsvLine(values) {
+  return `${values.map(toCsvField).join(',')}\r\n`;
+}
+
+async function write(stream, chunk) {
+  if (!stream.write(chunk)) {
+    await once(stream, 'drain');
+  }
+}
+
+/**
+ * Write a shop's access logs to a writable stream as CSV or NDJSON, filtered
+ * by date range, access type, product and customer. Rows are read in batches
+ * so the export never holds more than one batch in memory. Returns the
+ * number of rows written.
+ */
+async function writeAccessLogExport(stream, shopDomain, { format = 'csv', ...filters } = {}, batchSize = BATCH_SIZE) {
+  let count = 0;
+  let afterId = 0;
+
+  if (format === 'csv') {
+    await write(stream, toCsvLine(EXPORT_COLUMNS));
+  }
+
+  for (;;) {
+    const rows = await AccessLogs.getExportPage(shopDomain, filters, afterId, batchSize);
+    if (rows.length === 0) break;
+
+    const chunk = rows.map(row => {
+      const exportRow = toExportRow(row);
+      return format === 'csv'
+        ? toCsvLine(EXPORT_COLUMNS.map(column => exportRow[column]))
+        : `${JSON.stringify(exportRow)}\n`;
+    }).join('');
+    await write(stream, chunk);
+
+    count += rows.length;
+    afterId = rows[rows.length - 1].id;
+    if (rows.length < batchSize) break;
+  }
+
+  return count;
+}
+
+function getExportFilename(shopDomain, format) {
+  const date = new Date().toISOString().slice(0, 10);
+  return `access-logs-${shopDomain.replace(/\.myshopify\.com$/, '')}-${date}.${EXPORT_FORMATS[format].extension}`;
+}
+
+module.exports = {
+  EXPORT_COLUMNS,
+  EXPORT_FORMATS,
+  writeAccessLogExport,
+  getExportFilename
+};
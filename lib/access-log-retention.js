@@ -0,0 +1,126 @@
+const { AccessLogs } = require('./database');
+const { AccessLogRollups, AccessLogRetention } = require('./access-log-rollup-store');
+const { getSettings } = require('./settings');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function startOfUtcDay(date) {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+}
+
+function toDay(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+/**
+ * Truncate an IP address: IPv4 (and IPv4-mapped IPv6) to its /24, IPv6 to
+ * its /48. Anything unparseable is dropped.
+ */
+function anonymizeIp(ipAddress) {
+  if (!ipAddress) return null;
+
+  if (/\d{1,3}\.\d{1,3}\.\d{1,3}\.\d{1,3}$/.test(ipAddress)) {
+    return ipAddress.replace(/\.\d{1,3}$/, '.0');
+  }
+
+  if (ipAddress.includes(':')) {
+    const [head, tail] = ipAddress.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail ? tail.split(':') : [];
+    const groups = tail === undefined
+      ? headGroups
+      : [...headGroups, ...Array(Math.max(8 - headGroups.length - tailGroups.length, 0)).fill('0'), ...tailGroups];
+    return `${groups.slice(0, 3).join(':')}::`;
+  }
+
+  return null;
+}
+
+/**
+ * Recompute the shop's daily rollups from the day of the previous run (or its
+ * oldest raw row) up to `now`. Days before that are final: their raw rows may
+ * already be pruned.
+ */
+async function rollUpAccessLogs(shopDomain, now = new Date()) {
+  const state = await AccessLogRetention.get(shopDomain);
+  const start = state?.rolled_up_at || await AccessLogs.getEarliest(shopDomain);
+
+  let rows = [];
+  if (start) {
+    const from = startOfUtcDay(start);
+    rows = await AccessLogs.getDailyRollups(shopDomain, { from, to: now });
+    await AccessLogRollups.replaceFrom(shopDomain, toDay(from), rows);
+  }
+
+  await AccessLogRetention.save(shopDomain, { rolledUpAt: now });
+  return rows.length;
+}
+
+/**
+ * Truncate the IP address of rows logged before `before`, in batches
+ */
+async function anonymizeAccessLogIps(shopDomain, before, batchSize = 500) {
+  let count = 0;
+
+  for (;;) {
+    const rows = await AccessLogs.getIpsToAnonymize(shopDomain, before, batchSize);
+    if (rows.length === 0) break;
+
+    const byIp = new Map();
+    for (const row of rows) {
+      const ipAddress = anonymizeIp(row.ip_address);
+      byIp.set(ipAddress, [...(byIp.get(ipAddress) || []), row.id]);
+    }
+    for (const [ipAddress, ids] of byIp) {
+      await AccessLogs.setAnonymizedIp(ids, ipAddress);
+    }
+
+    count += rows.length;
+    if (rows.length < batchSize) break;
+  }
+
+  return count;
+}
+
+/**
+ * Apply a shop's retention policy (log_retention_days and ip_retention_days
+ * from its settings, or the defaults once the app is uninstalled): roll raw
+ * rows into daily aggregates, truncate IP addresses past the IP window and
+ * delete raw rows from before the start of the day the log window ends on.
+ */
+async function applyRetention(shopDomain, now = new Date()) {
+  const settings = await getSettings(shopDomain);
+
+  const rollups = await rollUpAccessLogs(shopDomain, now);
+  const anonymized = await anonymizeAccessLogIps(shopDomain, new Date(now.getTime() - settings.ip_retention_days * DAY_MS));
+
+  const prunedBefore = startOfUtcDay(now.getTime() - settings.log_retention_days * DAY_MS);
+  const pruned = await AccessLogs.pruneBefore(shopDomain, prunedBefore);
+  await AccessLogRetention.save(shopDomain, { prunedBefore });
+
+  return { shopDomain, rollups, anonymized, pruned };
+}
+
+/**
+ * Apply retention to every shop with raw access logs
+ */
+async function applyRetentionToAllShops(now = new Date()) {
+  const results = [];
+  for (const shopDomain of await AccessLogs.getShops()) {
+    results.push(await applyRetention(shopDomain, now));
+  }
+  return results;
+}
+
+module.exports = {
+  DAY_MS,
+  startOfUtcDay,
+  toDay,
+  anonymizeIp,
+  rollUpAccessLogs,
+  anonymizeAccessLogIps,
+  applyRetention,
+  applyRetentionToAllShops
+};
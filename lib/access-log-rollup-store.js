@@ -0,0 +1,129 @@
+const { db, toTimestamp, fromTimestamp, DENIED_ACCESS_TYPES, blockedSql, allowedSql } = require('./database');
+
+/**
+ * Daily access log rollups (access_log_rollups) and each shop's rollup and
+ * pruning progress (access_log_retention). See lib/access-log-retention.
+ */
+
+// allowed / blocked counts and blocked customers over rollups, as select
+// columns (like the access_logs ones in lib/database). Customers are distinct
+// per rollup row, so a customer blocked on several days or products is
+// counted more than once.
+function rollupOutcomeColumns() {
+  const blocked = blockedSql('access_log_rollups');
+  return [
+    db.raw(`sum(case when ${allowedSql('access_log_rollups')} then access_log_rollups.count else 0 end) as allowed`),
+    db.raw(`sum(case when ${blocked} then access_log_rollups.count else 0 end) as blocked`, DENIED_ACCESS_TYPES),
+    db.raw(`sum(case when ${blocked} then access_log_rollups.customers else 0 end) as customers_blocked`, DENIED_ACCESS_TYPES)
+  ];
+}
+
+function rollupsInRange(shopDomain, { fromDay, toDay } = {}) {
+  const query = db('access_log_rollups').where('access_log_rollups.shop_domain', shopDomain);
+  if (fromDay) query.where('access_log_rollups.day', '>=', fromDay);
+  if (toDay) query.where('access_log_rollups.day', '<=', toDay);
+  return query;
+}
+
+// Daily aggregates of access_logs, read by the analytics for long date ranges.
+// Ranges are whole UTC days ('YYYY-MM-DD', inclusive).
+const AccessLogRollups = {
+  // Replace the rollups from `fromDay` on, which are recomputed from raw rows
+  async replaceFrom(shopDomain, fromDay, rows) {
+    return await db.transaction(async (trx) => {
+      await trx('access_log_rollups')
+        .where('shop_domain', shopDomain)
+        .where('day', '>=', fromDay)
+        .del();
+
+      if (rows.length > 0) {
+        await trx.batchInsert('access_log_rollups', rows.map(row => ({
+          shop_domain: shopDomain,
+          day: row.day,
+          source: row.source || 'access_check',
+          access_type: row.access_type,
+          product_id: row.product_id,
+          required_tier: row.required_tier,
+          target: row.target,
+          count: Number(row.count),
+          customers: Number(row.customers)
+        })), 200);
+      }
+    });
+  },
+
+  async getAccessTypeCounts(shopDomain, range) {
+    return await rollupsInRange(shopDomain, range)
+      .select('access_type')
+      .sum('count as count')
+      .groupBy('access_type');
+  },
+
+  async getEventCounts(shopDomain, range) {
+    return await rollupsInRange(shopDomain, range)
+      .select('source', 'access_type', 'required_tier', 'target')
+      .sum('count as count')
+      .groupBy('source', 'access_type', 'required_tier', 'target');
+  },
+
+  async getTimeSeries(shopDomain, range) {
+    return await rollupsInRange(shopDomain, range)
+      .select('access_log_rollups.day as bucket', ...rollupOutcomeColumns())
+      .groupBy('access_log_rollups.day')
+      .orderBy('bucket');
+  },
+
+  async getProductStats(shopDomain, range) {
+    return await rollupsInRange(shopDomain, range)
+      .whereNotNull('access_log_rollups.product_id')
+      .leftJoin('catalog_products', function () {
+        this.on('catalog_products.shop_domain', 'access_log_rollups.shop_domain')
+          .andOn('catalog_products.product_id', 'access_log_rollups.product_id');
+      })
+      .select('access_log_rollups.product_id', 'catalog_products.title', 'catalog_products.handle', ...rollupOutcomeColumns())
+      .groupBy('access_log_rollups.product_id', 'catalog_products.title', 'catalog_products.handle');
+  },
+
+  async getCollectionStats(shopDomain, range) {
+    return await rollupsInRange(shopDomain, range)
+      .join('collection_memberships', function () {
+        this.on('collection_memberships.shop_domain', 'access_log_rollups.shop_domain')
+          .andOn('collection_memberships.product_id', 'access_log_rollups.product_id');
+      })
+      .select('collection_memberships.collection_id', 'collection_memberships.collection_handle', ...rollupOutcomeColumns())
+      .groupBy('collection_memberships.collection_id', 'collection_memberships.collection_handle');
+  },
+
+  async getTotals(shopDomain, range) {
+    return await rollupsInRange(shopDomain, range).first(...rollupOutcomeColumns());
+  }
+};
+
+const AccessLogRetention = {
+  async get(shopDomain) {
+    const row = await db('access_log_retention').where('shop_domain', shopDomain).first();
+    if (!row) return null;
+    return {
+      ...row,
+      rolled_up_at: fromTimestamp(row.rolled_up_at),
+      pruned_before: fromTimestamp(row.pruned_before)
+    };
+  },
+
+  async save(shopDomain, values) {
+    const row = { updated_at: toTimestamp() };
+    if (values.rolledUpAt) row.rolled_up_at = toTimestamp(values.rolledUpAt);
+    if (values.prunedBefore) row.pruned_before = toTimestamp(values.prunedBefore);
+
+    const existing = await db('access_log_retention').where('shop_domain', shopDomain).first();
+    if (existing) {
+      return await db('access_log_retention').where('shop_domain', shopDomain).update(row);
+    }
+    return await db('access_log_retention').insert({ shop_domain: shopDomain, ...row });
+  }
+};
+
+module.exports = {
+  AccessLogRollups,
+  AccessLogRetention
+};
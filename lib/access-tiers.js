@@ -0,0 +1,223 @@
+const { AccessTiers, AppSettings } = require('./database');
+
+/**
+ * Default 3-tier access model. Each shop gets a copy of these rows on install;
+ * a customer's tier is the highest-ranked tier whose tag they carry.
+ */
+const DEFAULT_TIERS = [
+  {
+    name: 'public',
+    label: 'Public',
+    customer_tag: null,
+    rank: 0,
+    lock_title: null,
+    lock_description: null,
+    button_text: null,
+    button_url: null
+  },
+  {
+    name: 'verified',
+    label: 'Verified',
+    customer_tag: 'verified',
+    rank: 1,
+    lock_title: 'PRO ACCOUNT REQUIRED',
+    lock_description: 'MALIÁ PRODUCTS ARE AVAILABLE EXCLUSIVELY TO LICENSED HAIR STYLISTS.',
+    button_text: 'CREATE FREE PRO ACCOUNT',
+    button_url: '/account/register'
+  },
+  {
+    name: 'butterfly',
+    label: 'Butterfly Paid',
+    customer_tag: 'butterfly_paid',
+    rank: 2,
+    lock_title: 'CERTIFICATION REQUIRED',
+    lock_description: 'GET CERTIFIED TO ACCESS PROFESSIONAL PRICING AND PLACE ORDERS.',
+    button_text: 'EXPLORE CERTIFICATIONS OPTIONS',
+    button_url: 'https://maliaextensions.com/pages/certification'
+  }
+];
+
+/**
+ * Normalize Shopify customer tags (comma-separated string or array) to a
+ * lowercase array so "butterfly_paid_pending" never matches "butterfly_paid".
+ */
+function parseTags(tags) {
+  if (!tags) return [];
+  const list = Array.isArray(tags) ? tags : String(tags).split(',');
+  return list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Build the default tiers for a shop, picking up tags and lock-screen copy
+ * from its app settings where they have been customized.
+ */
+function buildDefaultTiers(settings = {}) {
+  return DEFAULT_TIERS.map(tier => {
+    if (tier.name === 'verified') {
+      return {
+        ...tier,
+        customer_tag: settings.verified_tag || tier.customer_tag,
+        lock_title: settings.pro_account_message || tier.lock_title,
+        lock_description: settings.pro_account_description || tier.lock_description,
+        button_text: settings.pro_account_create_text || tier.button_text,
+        button_url: settings.create_account_url || tier.button_url
+      };
+    }
+    if (tier.name === 'butterfly') {
+      return {
+        ...tier,
+        customer_tag: settings.butterfly_paid_tag || tier.customer_tag,
+        lock_title: settings.certification_message || tier.lock_title,
+        lock_description: settings.certification_description || tier.lock_description,
+        button_text: settings.certification_button_text || tier.button_text,
+        button_url: settings.certification_url || tier.button_url
+      };
+    }
+    return { ...tier };
+  });
+}
+
+/**
+ * Load the tiers for a shop ordered by rank, falling back to the defaults
+ * (built from the shop's settings) when none have been stored yet.
+ */
+async function getTiers(shopDomain, settings = null) {
+  const tiers = shopDomain ? await AccessTiers.getAll(shopDomain) : [];
+  if (tiers.length > 0) return tiers;
+
+  const shopSettings = settings || (shopDomain ? await AppSettings.get(shopDomain) : null);
+  return buildDefaultTiers(shopSettings || {});
+}
+
+function findTier(tiers, name) {
+  return tiers.find(tier => tier.name === name) || null;
+}
+
+/**
+ * The tier a plain "restricted" product requires: the highest-ranked tier.
+ */
+function getRestrictedTier(tiers) {
+  return tiers.reduce((highest, tier) => (!highest || tier.rank > highest.rank ? tier : highest), null);
+}
+
+/**
+ * The tier a product_restrictions row requires. Rows without an explicit
+ * tier fall back to the legacy flag: restricted means the highest tier.
+ */
+function getProductRecordTier(tiers, restriction) {
+  if (restriction.required_tier) return restriction.required_tier;
+  return restriction.is_restricted ? getRestrictedTier(tiers)?.name : 'public';
+}
+
+/**
+ * The tier a collection_exceptions row requires, or null when the row has no
+ * opinion (a non-exception collection without an explicit tier).
+ */
+function getCollectionRecordTier(tiers, exception) {
+  if (exception.required_tier) return exception.required_tier;
+  return exception.is_exception ? 'public' : null;
+}
+
+/**
+ * Pick the highest-ranked of several tier names (unknown names are ignored).
+ */
+function mostRestrictiveTier(tiers, names) {
+  return names
+    .map(name => findTier(tiers, name))
+    .filter(Boolean)
+    .reduce((highest, tier) => (!highest || tier.rank > highest.rank ? tier : highest), null)?.name || null;
+}
+
+/**
+ * The tier a rule or record names as required. A name that is no longer one
+ * of the shop's tiers (a deleted or renamed tier) fails closed to the
+ * highest tier rather than making the product public.
+ */
+function findRequiredTier(tiers, name) {
+  const tier = findTier(tiers, name);
+  if (tier) return tier;
+
+  const restrictedTier = getRestrictedTier(tiers);
+  console.warn(`Unknown access tier ${name}, requiring ${restrictedTier?.name} instead`);
+  return restrictedTier;
+}
+
+/**
+ * Normalize a tier name to what isProductRestricted returns: the tier name
+ * when it gates anything, null when it is the public tier.
+ */
+function toRequiredTier(tiers, name) {
+  const tier = findRequiredTier(tiers, name);
+  return tier && tier.rank > 0 ? tier.name : null;
+}
+
+/**
+ * Resolve a customer's tier from their tags. Tiers without a customer tag
+ * (public) always match, so a logged-in customer is never below public.
+ */
+function resolveCustomerTier(tiers, customerTags) {
+  const tags = parseTags(customerTags);
+  return tiers
+    .filter(tier => !tier.customer_tag || tags.includes(tier.customer_tag.toLowerCase()))
+    .reduce((highest, tier) => (!highest || tier.rank > highest.rank ? tier : highest), null);
+}
+
+/**
+ * Decide whether a customer (or null when not logged in) meets a required tier.
+ * Returns the same shape as ShopifyAPIClient.validateCustomerAccess.
+ */
+function resolveAccess(tiers, customer, requiredTierName = null) {
+  const requiredTier = requiredTierName ? findRequiredTier(tiers, requiredTierName) : getRestrictedTier(tiers);
+  const customerTier = customer ? resolveCustomerTier(tiers, customer.tags) : null;
+
+  if (!requiredTier || requiredTier.rank <= 0) {
+    return { hasAccess: true, reason: 'not_restricted', tier: customerTier?.name || null, requiredTier: requiredTier?.name || null };
+  }
+
+  if (!customer) {
+    return { hasAccess: false, reason: 'not_logged_in', tier: null, requiredTier: requiredTier.name, missingTier: requiredTier.name };
+  }
+
+  const hasAccess = !!customerTier && customerTier.rank >= requiredTier.rank;
+  return {
+    hasAccess,
+    reason: hasAccess ? 'authorized' : 'no_tag',
+    tier: customerTier?.name || null,
+    requiredTier: requiredTier.name,
+    missingTier: hasAccess ? null : requiredTier.name
+  };
+}
+
+/**
+ * Lock-screen copy for a tier, for storefront and checkout messages.
+ */
+function getTierMessage(tiers, name) {
+  const tier = findTier(tiers, name);
+  if (!tier) return null;
+
+  return {
+    tier: tier.name,
+    label: tier.label,
+    title: tier.lock_title,
+    description: tier.lock_description,
+    buttonText: tier.button_text,
+    buttonUrl: tier.button_url
+  };
+}
+
+module.exports = {
+  DEFAULT_TIERS,
+  parseTags,
+  buildDefaultTiers,
+  getTiers,
+  findTier,
+  getRestrictedTier,
+  findRequiredTier,
+  getProductRecordTier,
+  getCollectionRecordTier,
+  mostRestrictiveTier,
+  toRequiredTier,
+  resolveCustomerTier,
+  resolveAccess,
+  getTierMessage
+};
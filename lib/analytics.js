@@ -0,0 +1,415 @@
+const {
+  AccessLogs,
+  Catalog,
+  CustomerTierHistory,
+  DENIED_ACCESS_TYPES
+} = require('./database');
+const { AccessLogRollups, AccessLogRetention } = require('./access-log-rollup-store');
+const { getTiers } = require('./access-tiers');
+const { DAY_MS, startOfUtcDay, toDay } = require('./access-log-retention');
+const { verifyVisitorId } = require('./visitor-id');
+
+/**
+ * Storefront events the theme reports, stored in access_logs alongside the
+ * server's own access checks (source 'theme' vs 'access_check').
+ *   modal_view    - a lock-screen modal was shown for a gated product
+ *   modal_dismiss - the customer closed the modal
+ *   button_click  - a modal button was clicked (target is one of ANALYTICS_BUTTONS)
+ *   blocked       - add to cart or checkout was blocked for the product's tier
+ */
+const ANALYTICS_EVENTS = ['modal_view', 'modal_dismiss', 'button_click', 'blocked'];
+
+const ANALYTICS_BUTTONS = ['create_account', 'login', 'locate_stylists', 'certification'];
+
+/**
+ * Store one theme event. The customer's own tier comes in as access_level.
+ */
+async function trackEvent(shopDomain, event, request = {}) {
+  return await AccessLogs.log(
+    shopDomain,
+    event.product_id || null,
+    null,
+    event.action,
+    request.ip,
+    request.userAgent,
+    {
+      source: 'theme',
+      requiredTier: event.required_tier,
+      customerTier: event.access_level,
+      target: event.action === 'button_click' ? event.button : null,
+      visitorId: verifyVisitorId(shopDomain, event.visitor_id)
+    }
+  );
+}
+
+// Ranges longer than this read the daily rollups
+const LONG_RANGE_DAYS = 31;
+
+function daysAgo(days) {
+  return new Date(Date.now() - days * DAY_MS);
+}
+
+/**
+ * Where to read a date range from. Long ranges, and ranges reaching back past
+ * pruned raw rows, read the rollups for whole UTC days up to the day of the
+ * last rollup run and raw rows from then on. Anything else reads raw rows.
+ */
+async function getReadPlan(shopDomain, { from, to }) {
+  const state = await AccessLogRetention.get(shopDomain);
+  const end = to || new Date();
+  const isLong = !from
+    || end - from > LONG_RANGE_DAYS * DAY_MS
+    || (state?.pruned_before && from < state.pruned_before);
+
+  if (!state?.rolled_up_at || !isLong) {
+    return { raw: { from, to } };
+  }
+
+  const split = startOfUtcDay(state.rolled_up_at);
+  const plan = {};
+  if (!from || from < split) {
+    plan.rollups = { fromDay: from ? toDay(from) : null, toDay: toDay(Math.min(end, split - 1)) };
+  }
+  if (end >= split) {
+    plan.raw = { from: from && from > split ? from : split, to };
+  }
+  return plan;
+}
+
+// Add up rows from rollups and raw access logs that share a key
+function mergeCounts(rowSets, key, fields) {
+  const merged = new Map();
+  for (const row of rowSets.flat()) {
+    const existing = merged.get(key(row));
+    if (!existing) {
+      merged.set(key(row), { ...row, ...Object.fromEntries(fields.map(field => [field, Number(row[field]) || 0])) });
+      continue;
+    }
+    for (const field of fields) {
+      existing[field] += Number(row[field]) || 0;
+    }
+  }
+  return [...merged.values()];
+}
+
+const eventKey = row => [row.source, row.access_type, row.required_tier, row.target].join('|');
+
+async function getEventCounts(shopDomain, days) {
+  const plan = await getReadPlan(shopDomain, { from: daysAgo(days) });
+  const rowSets = await Promise.all([
+    plan.rollups ? AccessLogRollups.getEventCounts(shopDomain, plan.rollups) : [],
+    plan.raw ? AccessLogs.getEventCounts(shopDomain, plan.raw) : []
+  ]);
+  return mergeCounts(rowSets, eventKey, ['count']);
+}
+
+/**
+ * Counts per access_type over the last `days` days, as AccessLogs.getAnalytics
+ * returns them, read from the rollups for long periods
+ */
+async function getAccessCounts(shopDomain, days = 30) {
+  const plan = await getReadPlan(shopDomain, { from: daysAgo(days) });
+  if (!plan.rollups) {
+    return await AccessLogs.getAnalytics(shopDomain, days);
+  }
+
+  const counts = mergeCounts([await getEventCounts(shopDomain, days)], row => row.access_type, ['count']);
+  return counts.map(({ access_type, count }) => ({ access_type, count }));
+}
+
+/**
+ * Aggregates over the last `days` days: event counts, blocks per required
+ * tier (theme blocks plus denied access checks) and button clicks per button
+ */
+async function getAnalyticsSummary(shopDomain, days = 30) {
+  const rows = await getEventCounts(shopDomain, days);
+
+  const summary = {
+    events: Object.fromEntries(ANALYTICS_EVENTS.map(event => [event, 0])),
+    accessChecks: { allowed: 0, denied: 0 },
+    blocksByTier: {},
+    buttonClicks: Object.fromEntries(ANALYTICS_BUTTONS.map(button => [button, 0]))
+  };
+
+  for (const row of rows) {
+    const count = Number(row.count);
+    const isThemeEvent = row.source === 'theme';
+
+    if (isThemeEvent && summary.events[row.access_type] !== undefined) {
+      summary.events[row.access_type] += count;
+    }
+    if (!isThemeEvent && row.access_type === 'allowed') {
+      summary.accessChecks.allowed += count;
+    }
+    if (!isThemeEvent && DENIED_ACCESS_TYPES.includes(row.access_type)) {
+      summary.accessChecks.denied += count;
+    }
+
+    const isBlock = isThemeEvent ? row.access_type === 'blocked' : DENIED_ACCESS_TYPES.includes(row.access_type);
+    if (isBlock && row.required_tier) {
+      summary.blocksByTier[row.required_tier] = (summary.blocksByTier[row.required_tier] || 0) + count;
+    }
+
+    if (isThemeEvent && row.access_type === 'button_click' && row.target) {
+      summary.buttonClicks[row.target] = (summary.buttonClicks[row.target] || 0) + count;
+    }
+  }
+
+  return summary;
+}
+
+// The last 30 days when neither end of the range is given
+function defaultRange({ from, to }) {
+  if (!from && !to) {
+    from = new Date();
+    from.setDate(from.getDate() - 30);
+  }
+  return { from: from || null, to: to || null };
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Allowed/blocked counts with the share of attempts that were blocked
+function toOutcome(row = {}) {
+  const allowed = Number(row.allowed) || 0;
+  const blocked = Number(row.blocked) || 0;
+
+  return {
+    allowed,
+    blocked,
+    blockedRatio: allowed + blocked > 0 ? Math.round((blocked / (allowed + blocked)) * 10000) / 10000 : null,
+    customersBlocked: Number(row.customers_blocked) || 0
+  };
+}
+
+// Most blocked first, then by id
+function byBlocked(idField) {
+  return (a, b) => b.blocked - a.blocked || Number(a[idField]) - Number(b[idField]);
+}
+
+// Report rows from the rollups and raw rows, merged. Hourly buckets only exist in raw rows.
+async function getReportRows(shopDomain, range, interval, limit) {
+  const plan = interval === 'hour' ? { raw: range } : await getReadPlan(shopDomain, range);
+
+  if (!plan.rollups) {
+    const [totals, timeSeries, products, collections] = await Promise.all([
+      AccessLogs.getTotals(shopDomain, range),
+      AccessLogs.getTimeSeries(shopDomain, { ...range, interval }),
+      AccessLogs.getProductStats(shopDomain, { ...range, limit }),
+      AccessLogs.getCollectionStats(shopDomain, { ...range, limit })
+    ]);
+    return { fromRollups: false, totals, timeSeries, products, collections };
+  }
+
+  const parts = await Promise.all([
+    Promise.all([
+      AccessLogRollups.getTotals(shopDomain, plan.rollups),
+      AccessLogRollups.getTimeSeries(shopDomain, plan.rollups),
+      AccessLogRollups.getProductStats(shopDomain, plan.rollups),
+      AccessLogRollups.getCollectionStats(shopDomain, plan.rollups)
+    ]),
+    plan.raw ? Promise.all([
+      AccessLogs.getTotals(shopDomain, plan.raw),
+      AccessLogs.getTimeSeries(shopDomain, { ...plan.raw, interval }),
+      AccessLogs.getProductStats(shopDomain, { ...plan.raw, limit: null }),
+      AccessLogs.getCollectionStats(shopDomain, { ...plan.raw, limit: null })
+    ]) : [{}, [], [], []]
+  ]);
+  const outcome = ['allowed', 'blocked', 'customers_blocked'];
+  const part = index => parts.map(rows => rows[index]);
+
+  return {
+    fromRollups: true,
+    totals: mergeCounts([part(0)], () => 'totals', outcome)[0],
+    timeSeries: mergeCounts(part(1), row => row.bucket, outcome).sort((a, b) => a.bucket.localeCompare(b.bucket)),
+    products: mergeCounts(part(2), row => String(row.product_id), outcome).sort(byBlocked('product_id')).slice(0, limit),
+    collections: mergeCounts(part(3), row => String(row.collection_id), outcome).sort(byBlocked('collection_id')).slice(0, limit)
+  };
+}
+
+/**
+ * Access report for a date range (default: the last 30 days): daily or hourly
+ * buckets, the most blocked products and collections with their blocked ratio,
+ * and how many distinct customers were blocked. Blocks that most often hit
+ * gated products show where certification demand comes from. Long daily
+ * reports come from the rollups (fromRollups), where a customer blocked on
+ * several days or products counts once for each.
+ */
+async function getAccessReport(shopDomain, { from, to, interval = 'day', limit = 10 } = {}) {
+  const range = defaultRange({ from, to });
+  const { fromRollups, totals, timeSeries, products, collections } = await getReportRows(shopDomain, range, interval, limit);
+
+  return {
+    range,
+    interval,
+    fromRollups,
+    totals: toOutcome(totals),
+    timeSeries: timeSeries.map(row => ({ bucket: row.bucket, ...toOutcome(row) })),
+    products: products.map(row => ({
+      productId: Number(row.product_id),
+      title: row.title || null,
+      handle: row.handle || null,
+      ...toOutcome(row)
+    })),
+    collections: collections.map(row => ({
+      collectionId: Number(row.collection_id),
+      handle: row.collection_handle || null,
+      ...toOutcome(row)
+    }))
+  };
+}
+
+// Whether the shopper was logged out when blocked: a not_logged_in check, or a
+// theme event (logged without a customer). Such rows only carry a customer id
+// when the visitor later logged in and was linked (see checkProductAccess).
+function blockedAnonymously(block) {
+  return block.source === 'theme' || block.access_type === 'not_logged_in';
+}
+
+/**
+ * When a blocked shopper reached each funnel step, from their state at the
+ * first block and their history after it. Anonymous visitors never linked to
+ * a customer only reach 'blocked'. A customer is registered at the block when
+ * they were logged in or had registered before it, otherwise when their
+ * registration was recorded after it or, for a linked visitor with no
+ * recorded registration, when they first checked access logged in. Each gated
+ * tier, in rank order, is reached at the block when the customer already held
+ * it, else when they first moved to it or higher; steps are never reached
+ * before the previous one, so every step counts at most the shoppers of the
+ * one before.
+ */
+function getJourney(firstBlock, history, gatedTiers, loggedInChecks = []) {
+  const blocked = firstBlock.created_at;
+  const journey = { blocked };
+  if (firstBlock.customer_id === null || firstBlock.customer_id === undefined) return journey;
+
+  const rankOf = name => gatedTiers.find(tier => tier.name === name)?.rank || 0;
+  const tierChanges = history.filter(entry => entry.event === 'tier_change');
+  const registrations = history.filter(entry => entry.event === 'registered');
+
+  if (!blockedAnonymously(firstBlock) || registrations.some(entry => entry.changed_at < blocked)) {
+    journey.registered = blocked;
+  } else {
+    journey.registered = registrations.find(entry => entry.changed_at >= blocked)?.changed_at
+      || loggedInChecks.find(check => check.created_at >= blocked)?.created_at;
+  }
+  if (!journey.registered) return { blocked };
+
+  const lastBefore = tierChanges.filter(entry => entry.changed_at < blocked).pop();
+  const rankAtBlock = lastBefore ? rankOf(lastBefore.to_tier) : 0;
+
+  let previous = journey.registered;
+  for (const tier of gatedTiers) {
+    const reached = rankAtBlock >= tier.rank
+      ? previous
+      : tierChanges.find(entry => entry.changed_at >= blocked && rankOf(entry.to_tier) >= tier.rank)?.changed_at;
+    if (!reached) break;
+
+    journey[tier.name] = reached < previous ? previous : reached;
+    previous = journey[tier.name];
+  }
+
+  return journey;
+}
+
+/**
+ * Certification funnel for shoppers first blocked in a date range (default:
+ * the last 30 days): how many then registered and reached each gated tier,
+ * the median hours from the previous step each shopper reached, and the same
+ * counts per product that first blocked them. Shoppers are customers, or
+ * anonymous visitors by the visitor id the storefront sends (see
+ * lib/visitor-id); a visitor who logs in is linked to the customer, so their
+ * anonymous blocks count toward that customer. Anonymous blocks without a
+ * visitor id can't be told apart and are left out. The funnel needs
+ * individual rows, so it only covers the shop's raw log retention window.
+ */
+async function getCertificationFunnel(shopDomain, { from, to } = {}) {
+  const range = defaultRange({ from, to });
+  const gatedTiers = (await getTiers(shopDomain)).filter(tier => tier.rank > 0).sort((a, b) => a.rank - b.rank);
+  const steps = ['blocked', 'registered', ...gatedTiers.map(tier => tier.name)];
+
+  const firstBlocks = new Map();
+  for (const block of await AccessLogs.getFunnelBlocks(shopDomain, range)) {
+    const shopper = block.customer_id !== null ? `customer:${block.customer_id}` : `visitor:${block.visitor_id}`;
+    if (!firstBlocks.has(shopper)) firstBlocks.set(shopper, block);
+  }
+
+  const customerIds = [...firstBlocks.values()]
+    .filter(block => block.customer_id !== null)
+    .map(block => String(block.customer_id));
+  const linkedIds = [...firstBlocks.values()]
+    .filter(block => block.customer_id !== null && blockedAnonymously(block))
+    .map(block => String(block.customer_id));
+  const [history, loggedInChecks] = await Promise.all([
+    customerIds.length > 0 ? CustomerTierHistory.getForCustomers(shopDomain, customerIds) : [],
+    linkedIds.length > 0 ? AccessLogs.getLoggedInChecks(shopDomain, linkedIds, range) : []
+  ]);
+  const ofCustomer = (rows, customerId) => rows.filter(row => String(row.customer_id) === String(customerId));
+
+  const durations = Object.fromEntries(steps.map(step => [step, []]));
+  const counts = Object.fromEntries(steps.map(step => [step, 0]));
+  const byProduct = new Map();
+
+  for (const firstBlock of firstBlocks.values()) {
+    const journey = getJourney(
+      firstBlock,
+      ofCustomer(history, firstBlock.customer_id),
+      gatedTiers,
+      ofCustomer(loggedInChecks, firstBlock.customer_id)
+    );
+    const productId = firstBlock.product_id !== null ? Number(firstBlock.product_id) : null;
+
+    if (!byProduct.has(productId)) {
+      byProduct.set(productId, Object.fromEntries(steps.map(step => [step, 0])));
+    }
+
+    let previous = journey.blocked;
+    for (const step of steps) {
+      if (!journey[step]) continue;
+
+      counts[step] += 1;
+      byProduct.get(productId)[step] += 1;
+      if (step !== 'blocked') {
+        durations[step].push((journey[step] - previous) / (60 * 60 * 1000));
+      }
+      previous = journey[step];
+    }
+  }
+
+  const products = [...byProduct.entries()].sort(([, a], [, b]) => b.blocked - a.blocked);
+  const catalogProducts = await Promise.all(products.map(([productId]) =>
+    productId !== null ? Catalog.getProduct(shopDomain, productId) : null));
+
+  return {
+    range,
+    steps: steps.map(step => {
+      const hours = median(durations[step]);
+      return {
+        step,
+        customers: counts[step],
+        medianHoursFromPrevious: hours === null ? null : Math.round(hours * 100) / 100
+      };
+    }),
+    byProduct: products.map(([productId, productCounts], index) => ({
+      productId,
+      title: catalogProducts[index]?.title || null,
+      steps: productCounts
+    }))
+  };
+}
+
+module.exports = {
+  ANALYTICS_EVENTS,
+  ANALYTICS_BUTTONS,
+  DENIED_ACCESS_TYPES,
+  trackEvent,
+  getAccessCounts,
+  getAnalyticsSummary,
+  getAccessReport,
+  getCertificationFunnel
+};
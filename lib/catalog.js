@@ -0,0 +1,199 @@
+const { Catalog, CollectionMemberships, toTimestamp } = require('./database');
+const { indexCollection } = require('./collection-membership');
+
+function toPrice(value) {
+  const price = parseFloat(value);
+  return isNaN(price) ? null : price;
+}
+
+/**
+ * Map a Shopify product payload (REST or webhook) to catalog rows.
+ */
+function toCatalogRows(product) {
+  const variants = (product.variants || []).map(variant => ({
+    variant_id: variant.id,
+    title: variant.title || null,
+    sku: variant.sku || null,
+    price: toPrice(variant.price)
+  }));
+  const prices = variants.map(variant => variant.price).filter(price => price !== null);
+
+  return {
+    product: {
+      product_id: product.id,
+      title: product.title || null,
+      handle: product.handle || null,
+      vendor: product.vendor || null,
+      product_type: product.product_type || null,
+      tags: Array.isArray(product.tags) ? product.tags.join(', ') : product.tags || null,
+      status: product.status || null,
+      min_price: prices.length > 0 ? Math.min(...prices) : null,
+      max_price: prices.length > 0 ? Math.max(...prices) : null,
+      shopify_created_at: product.created_at || null,
+      shopify_updated_at: product.updated_at || null
+    },
+    variants
+  };
+}
+
+/**
+ * Turn a mirrored product row (plus its variants) back into the product shape
+ * the rule engine and routes expect.
+ */
+function toProduct(row, variants = []) {
+  return {
+    id: Number(row.product_id),
+    title: row.title,
+    handle: row.handle,
+    vendor: row.vendor,
+    product_type: row.product_type,
+    tags: row.tags,
+    status: row.status,
+    variants: variants.length > 0
+      ? variants.map(variant => ({ id: Number(variant.variant_id), title: variant.title, sku: variant.sku, price: variant.price }))
+      : [{ price: row.min_price }],
+    created_at: row.shopify_created_at,
+    updated_at: row.shopify_updated_at
+  };
+}
+
+function toCollection(row) {
+  return {
+    id: Number(row.collection_id),
+    title: row.title,
+    handle: row.handle,
+    type: row.collection_type,
+    created_at: row.shopify_created_at,
+    updated_at: row.shopify_updated_at
+  };
+}
+
+async function syncProduct(shopDomain, product) {
+  const { product: row, variants } = toCatalogRows(product);
+  await Catalog.upsertProduct(shopDomain, row, variants);
+}
+
+async function removeProduct(shopDomain, productId) {
+  await Catalog.deleteProduct(shopDomain, productId);
+  await CollectionMemberships.deleteByProduct(shopDomain, productId);
+}
+
+async function syncCollection(shopDomain, collection, type = null) {
+  await Catalog.upsertCollection(shopDomain, {
+    collection_id: collection.id,
+    title: collection.title || null,
+    handle: collection.handle || null,
+    collection_type: type || collection.type || (collection.rules ? 'smart' : 'custom'),
+    shopify_created_at: collection.created_at || null,
+    shopify_updated_at: collection.updated_at || null
+  });
+}
+
+async function removeCollection(shopDomain, collectionId) {
+  await Catalog.deleteCollection(shopDomain, collectionId);
+  await CollectionMemberships.deleteByCollection(shopDomain, collectionId);
+}
+
+/**
+ * Product from the mirror, falling back to Shopify (and mirroring the result)
+ * for products the mirror hasn't seen yet.
+ */
+async function findProduct(shopifyClient, shopDomain, productId) {
+  const row = await Catalog.getProduct(shopDomain, productId);
+  if (row) {
+    const variants = await Catalog.getVariants(shopDomain, [productId]);
+    return toProduct(row, variants);
+  }
+
+  const product = await shopifyClient.getProduct(productId);
+  if (product) {
+    await syncProduct(shopDomain, product);
+  }
+  return product || null;
+}
+
+async function findCollection(shopifyClient, shopDomain, collectionId) {
+  const row = await Catalog.getCollection(shopDomain, collectionId);
+  if (row) return toCollection(row);
+
+  const collection = await shopifyClient.getCollection(collectionId);
+  if (collection) {
+    await syncCollection(shopDomain, collection);
+  }
+  return collection || null;
+}
+
+/**
+ * Mirrored products with their variants, for listings.
+ */
+async function listProducts(shopDomain, options = {}) {
+  const rows = await Catalog.getProducts(shopDomain, options);
+  const variants = rows.length > 0
+    ? await Catalog.getVariants(shopDomain, rows.map(row => row.product_id))
+    : [];
+
+  return rows.map(row => toProduct(
+    row,
+    variants.filter(variant => String(variant.product_id) === String(row.product_id))
+  ));
+}
+
+async function listCollections(shopDomain) {
+  const rows = await Catalog.getCollections(shopDomain);
+  return rows.map(toCollection);
+}
+
+/**
+ * Re-mirror the whole catalog: every product, every custom and smart
+ * collection and their memberships. Rows that were not seen are pruned.
+ * onProgress(percent, message) is called as the resync moves along, including
+ * for every page fetched, so a job running it keeps reporting.
+ */
+async function fullResync(shopifyClient, shopDomain, { onProgress = async () => {} } = {}) {
+  const startedAt = toTimestamp();
+
+  const products = await shopifyClient.getAllProducts({
+    onPage: count => onProgress(0, `${count} products fetched`)
+  });
+  for (const [index, product] of products.entries()) {
+    await syncProduct(shopDomain, product);
+    if ((index + 1) % 250 === 0) {
+      await onProgress(Math.floor(((index + 1) / products.length) * 10), `${index + 1} of ${products.length} products synced`);
+    }
+  }
+  await onProgress(10, `${products.length} products synced`);
+
+  const collections = await shopifyClient.getAllCollections({
+    onPage: () => onProgress(10, 'Fetching collections')
+  });
+  for (const [index, collection] of collections.entries()) {
+    await syncCollection(shopDomain, collection, collection.type);
+    await indexCollection(shopifyClient, shopDomain, collection);
+    await onProgress(10 + Math.floor(((index + 1) / collections.length) * 85), `${index + 1} of ${collections.length} collections indexed`);
+  }
+
+  // Every product's memberships are now known, including "none"
+  await CollectionMemberships.markIndexed(shopDomain, products.map(product => product.id));
+
+  const pruned = await Catalog.pruneBefore(shopDomain, startedAt);
+
+  return {
+    products: products.length,
+    collections: collections.length,
+    pruned
+  };
+}
+
+module.exports = {
+  toCatalogRows,
+  toProduct,
+  syncProduct,
+  removeProduct,
+  syncCollection,
+  removeCollection,
+  findProduct,
+  findCollection,
+  listProducts,
+  listCollections,
+  fullResync
+};
@@ -0,0 +1,93 @@
+const { CollectionMemberships } = require('./database');
+
+// How long an indexed product's memberships are trusted before re-fetching
+const MEMBERSHIP_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Products looked up in Shopify at once by getCollectionsForProducts; each
+// lookup is two or three REST calls
+const LOOKUP_CONCURRENCY = 4;
+
+function toCollection(row) {
+  return {
+    id: Number(row.collection_id),
+    handle: row.collection_handle,
+    type: row.collection_type
+  };
+}
+
+/**
+ * Collections a product belongs to, served from the local index while fresh
+ * and re-fetched from Shopify (then re-indexed) otherwise. If Shopify can't
+ * be reached, whatever is indexed locally is used.
+ */
+async function getProductCollections(shopifyClient, shopDomain, productId, maxAge = MEMBERSHIP_TTL_MS) {
+  const indexedAt = await CollectionMemberships.getIndexedAt(shopDomain, productId);
+
+  if (indexedAt && Date.now() - indexedAt.getTime() < maxAge) {
+    const rows = await CollectionMemberships.getByProduct(shopDomain, productId);
+    return rows.map(toCollection);
+  }
+
+  try {
+    const collections = await shopifyClient.getProductCollections(productId);
+    await CollectionMemberships.replaceForProduct(shopDomain, productId, collections);
+    return collections;
+  } catch (error) {
+    console.error(`Error resolving collections for product ${productId}:`, error.message);
+    const rows = await CollectionMemberships.getByProduct(shopDomain, productId);
+    return rows.map(toCollection);
+  }
+}
+
+/**
+ * getProductCollections for many products, at most `concurrency` at a time so
+ * a listing of unindexed products (a fresh install) doesn't burst past
+ * Shopify's rate limit. Returns the collections by product id (as a string).
+ */
+async function getCollectionsForProducts(shopifyClient, shopDomain, productIds, concurrency = LOOKUP_CONCURRENCY) {
+  const byProduct = new Map();
+  const queue = [...productIds];
+
+  async function lookUpNext() {
+    while (queue.length > 0) {
+      const productId = queue.shift();
+      byProduct.set(String(productId), await getProductCollections(shopifyClient, shopDomain, productId));
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, queue.length) }, lookUpNext));
+  return byProduct;
+}
+
+/**
+ * Group every indexed membership for a shop by product id, for listings that
+ * evaluate many products at once without calling Shopify.
+ */
+async function getIndexedCollectionsByProduct(shopDomain) {
+  const rows = await CollectionMemberships.getAll(shopDomain);
+  const byProduct = new Map();
+  for (const row of rows) {
+    const key = String(row.product_id);
+    if (!byProduct.has(key)) byProduct.set(key, []);
+    byProduct.get(key).push(toCollection(row));
+  }
+  return byProduct;
+}
+
+/**
+ * Re-index every product in one collection (used after a collection changes).
+ */
+async function indexCollection(shopifyClient, shopDomain, collection) {
+  const productIds = await shopifyClient.getCollectionProductIds(collection.id);
+  await CollectionMemberships.replaceForCollection(shopDomain, collection, productIds);
+  return productIds;
+}
+
+module.exports = {
+  MEMBERSHIP_TTL_MS,
+  LOOKUP_CONCURRENCY,
+  getProductCollections,
+  getCollectionsForProducts,
+  getIndexedCollectionsByProduct,
+  indexCollection
+};
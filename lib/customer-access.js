@@ -0,0 +1,94 @@
+const { CustomerAccess, CustomerTierHistory, toTimestamp, fromTimestamp } = require('./database');
+const { getTiers, findTier, resolveCustomerTier } = require('./access-tiers');
+
+/**
+ * Store a customer's tags and resolved tier from a Shopify customer payload
+ * (REST or webhook). The tier history gets a 'registered' entry the first
+ * time we see a customer and a 'tier_change' entry whenever they move into a
+ * gated tier or between tiers. Payloads older than the stored one (webhooks
+ * retried out of order) are ignored and the stored tier is returned.
+ */
+async function syncCustomer(shopDomain, customer, tiers = null) {
+  const shopTiers = tiers || await getTiers(shopDomain);
+  const existing = await CustomerAccess.get(shopDomain, customer.id);
+  const updatedAt = customer.updated_at ? new Date(customer.updated_at) : null;
+
+  const storedUpdatedAt = fromTimestamp(existing?.customer_updated_at);
+  if (updatedAt && storedUpdatedAt && updatedAt < storedUpdatedAt) {
+    return findTier(shopTiers, existing.tier);
+  }
+
+  const tags = Array.isArray(customer.tags) ? customer.tags.join(', ') : customer.tags || '';
+  const tier = resolveCustomerTier(shopTiers, tags);
+  const tierName = tier?.name || null;
+
+  await CustomerAccess.upsert(shopDomain, customer.id, {
+    email: customer.email || null,
+    tags,
+    tier: tierName,
+    customer_updated_at: updatedAt ? toTimestamp(updatedAt) : existing?.customer_updated_at ?? null
+  });
+
+  const changedAt = updatedAt || new Date();
+  if (!existing) {
+    await CustomerTierHistory.record(shopDomain, customer.id, {
+      event: 'registered',
+      changed_at: customer.created_at ? new Date(customer.created_at) : changedAt
+    });
+  }
+  const tierChanged = existing ? existing.tier !== tierName : tier?.rank > 0;
+  if (tierChanged) {
+    await CustomerTierHistory.record(shopDomain, customer.id, {
+      event: 'tier_change',
+      from_tier: existing?.tier || null,
+      to_tier: tierName,
+      changed_at: changedAt
+    });
+  }
+
+  return tier;
+}
+
+async function removeCustomer(shopDomain, customerId) {
+  await CustomerAccess.delete(shopDomain, customerId);
+}
+
+// Cached customers are fetched again after this long, in case a webhook was missed
+const CUSTOMER_CACHE_TTL_MS = 60 * 60 * 1000;
+
+/**
+ * Customer for an access decision: the cached row when webhooks have told us
+ * about the customer within CUSTOMER_CACHE_TTL_MS, otherwise fetched from
+ * Shopify and cached. Returns null for customers Shopify doesn't know either.
+ * When Shopify can't be reached, an expired row is still used.
+ */
+async function findCustomer(shopifyClient, shopDomain, customerId, now = new Date()) {
+  const row = await CustomerAccess.get(shopDomain, customerId);
+  const cached = row ? { id: Number(row.customer_id), email: row.email, tags: row.tags } : null;
+  if (row && now - fromTimestamp(row.synced_at) < CUSTOMER_CACHE_TTL_MS) {
+    return cached;
+  }
+
+  let customer;
+  try {
+    customer = await shopifyClient.getCustomer(customerId);
+  } catch (error) {
+    if (!cached) throw error;
+    console.error(`Using expired cache for customer ${customerId} in shop ${shopDomain}:`, error.message);
+    return cached;
+  }
+
+  if (customer) {
+    await syncCustomer(shopDomain, customer);
+  } else if (row) {
+    await removeCustomer(shopDomain, customerId);
+  }
+  return customer || null;
+}
+
+module.exports = {
+  CUSTOMER_CACHE_TTL_MS,
+  syncCustomer,
+  removeCustomer,
+  findCustomer
+};
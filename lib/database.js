@@ -15,10 +15,36 @@ const dbConfig = process.env.DATABASE_URL ? {
 
 const db = knex(dbConfig);
 
+// knex's createTableIfNotExists still emits the index statements for tables
+// that already exist, so check for the table first
+async function createTable(tableName, builder) {
+  if (!(await db.schema.hasTable(tableName))) {
+    await db.schema.createTable(tableName, builder);
+  }
+}
+
+// Timestamps are written as UTC 'YYYY-MM-DD HH:MM:SS' strings, the format
+// SQLite's CURRENT_TIMESTAMP uses, so they compare correctly on both databases
+function toTimestamp(date = new Date()) {
+  return new Date(date).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+function fromTimestamp(value) {
+  if (!value || value instanceof Date) return value || null;
+  if (typeof value === 'number') return new Date(value);
+  return new Date(/[zZ]|[+-]\d\d(:?\d\d)?$/.test(value) ? value : `${value.replace(' ', 'T')}Z`);
+}
+
+async function addColumn(tableName, columnName, builder) {
+  if (!(await db.schema.hasColumn(tableName, columnName))) {
+    await db.schema.alterTable(tableName, (table) => builder(table));
+  }
+}
+
 async function setupDatabase() {
   try {
     // Create app settings table
-    await db.schema.createTableIfNotExists('app_settings', (table) => {
+    await createTable('app_settings', (table) => {
       table.increments('id').primary();
       table.string('shop_domain').unique().notNullable();
       table.boolean('is_enabled').defaultTo(true);
@@ -33,30 +59,47 @@ async function setupDatabase() {
     });
 
     // Create product restrictions table
-    await db.schema.createTableIfNotExists('product_restrictions', (table) => {
+    await createTable('product_restrictions', (table) => {
       table.increments('id').primary();
       table.string('shop_domain').notNullable();
       table.bigInteger('product_id').notNullable();
       table.string('product_handle').notNullable();
       table.boolean('is_restricted').defaultTo(true);
+      table.string('required_tier').nullable(); // access tier name; null means the highest tier when restricted
       table.text('custom_message').nullable();
       table.timestamps(true, true);
       table.unique(['shop_domain', 'product_id']);
     });
 
     // Create collection exceptions table
-    await db.schema.createTableIfNotExists('collection_exceptions', (table) => {
+    await createTable('collection_exceptions', (table) => {
       table.increments('id').primary();
       table.string('shop_domain').notNullable();
       table.bigInteger('collection_id').notNullable();
       table.string('collection_handle').notNullable();
       table.boolean('is_exception').defaultTo(true);
+      table.string('required_tier').nullable(); // access tier name; null means public when an exception
       table.timestamps(true, true);
       table.unique(['shop_domain', 'collection_id']);
     });
 
+    // Storefront copy, URLs and tags that used to live in the live admin's JSON file
+    await addColumn('app_settings', 'verified_tag', (table) => table.string('verified_tag').defaultTo('verified'));
+    await addColumn('app_settings', 'butterfly_collections', (table) => table.text('butterfly_collections').defaultTo('butterfly,flutter-luxe'));
+    await addColumn('app_settings', 'pro_account_create_text', (table) => table.string('pro_account_create_text').defaultTo('CREATE FREE PRO ACCOUNT'));
+    await addColumn('app_settings', 'pro_account_login_text', (table) => table.string('pro_account_login_text').defaultTo('LOGIN'));
+    await addColumn('app_settings', 'pro_account_locate_text', (table) => table.string('pro_account_locate_text').defaultTo('LOCATE CERTIFIED MALIÁ STYLISTS NEAR YOU'));
+    await addColumn('app_settings', 'certification_button_text', (table) => table.string('certification_button_text').defaultTo('EXPLORE CERTIFICATIONS OPTIONS'));
+    await addColumn('app_settings', 'create_account_url', (table) => table.text('create_account_url').defaultTo('/account/register'));
+    await addColumn('app_settings', 'login_url', (table) => table.text('login_url').defaultTo('/account/login'));
+    await addColumn('app_settings', 'locate_stylists_url', (table) => table.text('locate_stylists_url').defaultTo('/pages/find-stylists'));
+
+    // Required tier columns for databases created before tiers existed
+    await addColumn('product_restrictions', 'required_tier', (table) => table.string('required_tier').nullable());
+    await addColumn('collection_exceptions', 'required_tier', (table) => table.string('required_tier').nullable());
+
     // Create access logs table for analytics
-    await db.schema.createTableIfNotExists('access_logs', (table) => {
+    await createTable('access_logs', (table) => {
       table.increments('id').primary();
       table.string('shop_domain').notNullable();
       table.bigInteger('product_id').nullable();
@@ -67,6 +110,310 @@ async function setupDatabase() {
       table.timestamps(true, true);
     });
 
+    // Storefront analytics: access checks and theme events share access_logs
+    await addColumn('access_logs', 'source', (table) => table.string('source').defaultTo('access_check')); // or 'theme'
+    await addColumn('access_logs', 'required_tier', (table) => table.string('required_tier').nullable());
+    await addColumn('access_logs', 'customer_tier', (table) => table.string('customer_tier').nullable());
+    await addColumn('access_logs', 'target', (table) => table.string('target').nullable()); // button clicked
+    // Anonymous storefront visitor, so blocks before login can be linked to the customer later
+    await addColumn('access_logs', 'visitor_id', (table) => table.string('visitor_id').nullable().index());
+    // Set once the IP address has been truncated by the retention job
+    await addColumn('access_logs', 'ip_anonymized', (table) => table.boolean('ip_anonymized').defaultTo(false));
+
+    // Per-shop retention windows (see lib/access-log-retention)
+    await addColumn('app_settings', 'log_retention_days', (table) => table.integer('log_retention_days').defaultTo(90));
+    await addColumn('app_settings', 'ip_retention_days', (table) => table.integer('ip_retention_days').defaultTo(30));
+
+    // Daily access_logs aggregates, kept after the raw rows are pruned
+    await createTable('access_log_rollups', (table) => {
+      table.increments('id').primary();
+      table.string('shop_domain').notNullable();
+      table.string('day', 10).notNullable(); // 'YYYY-MM-DD' (UTC)
+      table.string('source').notNullable();
+      table.string('access_type').notNullable();
+      table.bigInteger('product_id').nullable();
+      table.string('required_tier').nullable();
+      table.string('target').nullable();
+      table.integer('count').notNullable();
+      table.integer('customers').notNullable().defaultTo(0); // distinct customer ids in the group
+      table.index(['shop_domain', 'day']);
+    });
+
+    // How far each shop's rollups and pruning have got
+    await createTable('access_log_retention', (table) => {
+      table.increments('id').primary();
+      table.string('shop_domain').unique().notNullable();
+      table.timestamp('rolled_up_at').nullable(); // rollups include every row logged before this
+      table.timestamp('pruned_before').nullable(); // raw rows before this are gone
+      table.timestamp('updated_at').notNullable().defaultTo(db.fn.now());
+    });
+
+    // Create access tiers table (Public / Verified / Butterfly Paid, ordered by rank)
+    await createTable('access_tiers', (table) => {
+      table.increments('id').primary();
+      table.string('shop_domain').notNullable();
+      table.string('name').notNullable(); // 'public', 'verified', 'butterfly'
+      table.string('label').notNullable();
+      table.string('customer_tag').nullable(); // null for the public tier
+      table.integer('rank').notNullable().defaultTo(0);
+      table.text('lock_title').nullable();
+      table.text('lock_description').nullable();
+      table.text('button_text').nullable();
+      table.text('button_url').nullable();
+      table.timestamps(true, true);
+      table.unique(['shop_domain', 'name']);
+    });
+
+    // Create restriction rules table (conditions stored as JSON, evaluated by priority)
+    await createTable('restriction_rules', (table) => {
+      table.increments('id').primary();
+      table.string('shop_domain').notNullable();
+      table.string('name').notNullable();
+      table.integer('priority').notNullable().defaultTo(0); // higher runs first
+      table.text('conditions').notNullable(); // e.g. {"vendor":"Malia","price_min":100}
+      table.string('outcome').notNullable(); // required access tier name
+      table.boolean('is_enabled').defaultTo(true);
+      table.timestamps(true, true);
+      table.index(['shop_domain', 'priority']);
+    });
+
+    // Create collection membership index (which collections each product belongs to)
+    await createTable('collection_memberships', (table) => {
+      table.increments('id').primary();
+      table.string('shop_domain').notNullable();
+      table.bigInteger('product_id').notNullable();
+      table.bigInteger('collection_id').notNullable();
+      table.string('collection_handle').nullable();
+      table.string('collection_type').nullable(); // 'custom' or 'smart'
+      table.timestamps(true, true);
+      table.unique(['shop_domain', 'product_id', 'collection_id']);
+      table.index(['shop_domain', 'collection_id']);
+    });
+
+    // Track when each product's memberships were last indexed, so "no rows"
+    // can be told apart from "never looked up"
+    await createTable('membership_index', (table) => {
+      table.increments('id').primary();
+      table.string('shop_domain').notNullable();
+      table.bigInteger('product_id').notNullable();
+      table.timestamp('indexed_at').notNullable().defaultTo(db.fn.now());
+      table.unique(['shop_domain', 'product_id']);
+    });
+
+    // Create local catalog mirror, kept fresh by webhooks and full resyncs
+    await createTable('catalog_products', (table) => {
+      table.increments('id').primary();
+      table.string('shop_domain').notNullable();
+      table.bigInteger('product_id').notNullable();
+      table.string('title').nullable();
+      table.string('handle').nullable();
+      table.string('vendor').nullable();
+      table.string('product_type').nullable();
+      table.text('tags').nullable();
+      table.string('status').nullable();
+      table.decimal('min_price', 12, 2).nullable();
+      table.decimal('max_price', 12, 2).nullable();
+      table.string('shopify_created_at').nullable();
+      table.string('shopify_updated_at').nullable();
+      table.timestamp('synced_at').notNullable().defaultTo(db.fn.now());
+      table.unique(['shop_domain', 'product_id']);
+    });
+
+    await createTable('catalog_variants', (table) => {
+      table.increments('id').primary();
+      table.string('shop_domain').notNullable();
+      table.bigInteger('variant_id').notNullable();
+      table.bigInteger('product_id').notNullable();
+      table.string('title').nullable();
+      table.string('sku').nullable();
+      table.decimal('price', 12, 2).nullable();
+      table.unique(['shop_domain', 'variant_id']);
+      table.index(['shop_domain', 'product_id']);
+    });
+
+    await createTable('catalog_collections', (table) => {
+      table.increments('id').primary();
+      table.string('shop_domain').notNullable();
+      table.bigInteger('collection_id').notNullable();
+      table.string('title').nullable();
+      table.string('handle').nullable();
+      table.string('collection_type').nullable(); // 'custom' or 'smart'
+      table.string('shopify_created_at').nullable();
+      table.string('shopify_updated_at').nullable();
+      table.timestamp('synced_at').notNullable().defaultTo(db.fn.now());
+      table.unique(['shop_domain', 'collection_id']);
+    });
+
+    // Customer tags and resolved tier, kept current by customers/* webhooks
+    await createTable('customer_access', (table) => {
+      table.increments('id').primary();
+      table.string('shop_domain').notNullable();
+      table.bigInteger('customer_id').notNullable();
+      table.string('email').nullable();
+      table.text('tags').nullable();
+      table.string('tier').nullable();
+      table.timestamp('synced_at').notNullable().defaultTo(db.fn.now());
+      table.unique(['shop_domain', 'customer_id']);
+    });
+    // The Shopify updated_at of the stored tags, so older payloads don't overwrite newer ones
+    await addColumn('customer_access', 'customer_updated_at', (table) => table.timestamp('customer_updated_at').nullable());
+
+    // Shopify OAuth sessions (offline and online), used as the app's session storage
+    await createTable('shopify_sessions', (table) => {
+      table.string('id').primary();
+      table.string('shop_domain').notNullable().index();
+      table.string('state').nullable();
+      table.boolean('is_online').defaultTo(false);
+      table.text('scope').nullable();
+      table.bigInteger('expires').nullable(); // epoch milliseconds
+      table.text('access_token').nullable();
+      table.bigInteger('user_id').nullable();
+      table.text('online_access_info').nullable(); // JSON
+      table.timestamps(true, true);
+    });
+
+    // Snapshot of a shop's full settings after every save, numbered per shop
+    await createTable('settings_versions', (table) => {
+      table.increments('id').primary();
+      table.string('shop_domain').notNullable();
+      table.integer('version').notNullable();
+      table.text('settings').notNullable(); // JSON
+      table.string('author').nullable();
+      table.string('source').notNullable(); // 'install', 'admin', 'live_admin', 'import', 'baseline', 'rollback'
+      table.integer('restored_version').nullable(); // set for rollbacks
+      table.timestamp('created_at').notNullable().defaultTo(db.fn.now());
+      table.unique(['shop_domain', 'version']);
+    });
+
+    // When customers registered and moved between tiers, for the certification funnel
+    await createTable('customer_tier_history', (table) => {
+      table.increments('id').primary();
+      table.string('shop_domain').notNullable();
+      table.bigInteger('customer_id').notNullable();
+      table.string('event').notNullable(); // 'registered' or 'tier_change'
+      table.string('from_tier').nullable();
+      table.string('to_tier').nullable();
+      table.timestamp('changed_at').notNullable().defaultTo(db.fn.now());
+      table.index(['shop_domain', 'customer_id']);
+    });
+
+    // What the orders/create check did about orders with items the customer can't buy
+    await addColumn('app_settings', 'order_enforcement', (table) => table.string('order_enforcement').defaultTo('log'));
+    await addColumn('app_settings', 'order_enforcement_tag', (table) => table.string('order_enforcement_tag').defaultTo('pro-access-violation'));
+    await createTable('order_enforcements', (table) => {
+      table.increments('id').primary();
+      table.string('shop_domain').notNullable();
+      table.bigInteger('order_id').notNullable();
+      table.string('order_name').nullable(); // e.g. '#1001'
+      table.bigInteger('customer_id').nullable();
+      table.string('customer_tier').nullable(); // at purchase time
+      table.string('required_tier').notNullable(); // most restrictive offending item
+      table.text('line_items').notNullable(); // JSON: offending line items with their required tier
+      table.string('policy').notNullable(); // 'log', 'tag', 'hold' or 'cancel'
+      table.string('status').notNullable(); // 'pending' (being applied), 'applied' or 'failed'
+      table.text('error').nullable();
+      table.timestamp('created_at').notNullable().defaultTo(db.fn.now());
+      table.unique(['shop_domain', 'order_id']);
+      table.index(['shop_domain', 'customer_id']);
+    });
+
+    // Flagged orders waiting for staff to release, cancel or grant access
+    await createTable('order_reviews', (table) => {
+      table.increments('id').primary();
+      table.string('shop_domain').notNullable();
+      table.integer('enforcement_id').notNullable().unique(); // order_enforcements.id
+      table.string('status').notNullable().defaultTo('pending'); // 'pending', 'approved' or 'cancelled'
+      table.string('resolution').nullable(); // 'released', 'access_granted' or 'cancelled'
+      table.string('resolved_by').nullable();
+      table.timestamp('resolved_at').nullable();
+      table.timestamp('created_at').notNullable().defaultTo(db.fn.now());
+      table.index(['shop_domain', 'status']);
+    });
+    // The tag the 'tag' policy put on the order, taken off again when staff approve it
+    await addColumn('order_enforcements', 'order_tag', (table) => table.string('order_tag').nullable());
+    // Set while staff act on a review in Shopify, so two of them can't act on it at once
+    await addColumn('order_reviews', 'claimed_at', (table) => table.timestamp('claimed_at').nullable());
+
+    // Exports built for customers/data_request webhooks, for the merchant to send on
+    await createTable('customer_data_requests', (table) => {
+      table.increments('id').primary();
+      table.string('shop_domain').notNullable();
+      table.bigInteger('customer_id').notNullable();
+      table.bigInteger('shopify_request_id').nullable(); // data_request.id from the webhook
+      table.text('data').notNullable(); // JSON export (see lib/privacy)
+      table.timestamp('created_at').notNullable().defaultTo(db.fn.now());
+      table.index(['shop_domain', 'customer_id']);
+    });
+
+    // Webhooks acknowledged to Shopify and processed from here (see lib/webhook-queue)
+    await createTable('webhook_events', (table) => {
+      table.increments('id').primary();
+      table.string('shop_domain').notNullable();
+      table.string('webhook_id').nullable().unique(); // X-Shopify-Webhook-Id
+      table.string('topic').notNullable(); // e.g. 'orders/create'
+      table.text('payload').nullable(); // JSON, dropped once processed
+      table.string('status').notNullable().defaultTo('pending'); // 'pending', 'processing', 'processed' or 'failed'
+      table.integer('attempts').notNullable().defaultTo(0);
+      table.text('last_error').nullable();
+      table.timestamp('next_attempt_at').notNullable().defaultTo(db.fn.now());
+      table.timestamp('locked_at').nullable();
+      table.timestamp('received_at').notNullable().defaultTo(db.fn.now());
+      table.timestamp('processed_at').nullable();
+      table.index(['status', 'next_attempt_at']);
+      table.index(['shop_domain', 'status']);
+    });
+
+    // Background jobs run by the job worker (see lib/jobs)
+    await createTable('jobs', (table) => {
+      table.increments('id').primary();
+      table.string('shop_domain').nullable(); // null for jobs that cover every shop
+      table.string('type').notNullable(); // e.g. 'catalog.resync'
+      table.text('payload').nullable(); // JSON
+      table.string('status').notNullable().defaultTo('queued'); // 'queued', 'running', 'succeeded' or 'failed'
+      table.integer('attempts').notNullable().defaultTo(0);
+      table.integer('max_attempts').notNullable().defaultTo(3);
+      table.timestamp('run_at').notNullable().defaultTo(db.fn.now());
+      table.string('unique_key').nullable().unique(); // at most one job per key, e.g. a recurring job's slot
+      table.string('locked_by').nullable();
+      table.timestamp('locked_at').nullable(); // refreshed as the job reports progress
+      table.integer('progress').notNullable().defaultTo(0); // percent
+      table.string('progress_message').nullable();
+      table.text('result').nullable(); // JSON
+      table.text('last_error').nullable();
+      table.string('created_by').nullable();
+      table.timestamp('created_at').notNullable().defaultTo(db.fn.now());
+      table.timestamp('started_at').nullable();
+      table.timestamp('finished_at').nullable();
+      table.index(['status', 'run_at']);
+      table.index(['shop_domain', 'created_at']);
+    });
+
+    // One row per job type, locked while a worker claims a job of the type so
+    // the type's concurrency limit holds across workers
+    await createTable('job_type_locks', (table) => {
+      table.string('type').primary();
+      table.timestamp('claimed_at').nullable();
+    });
+
+    // Who changed what through the admin, with before/after values
+    await createTable('admin_audit_log', (table) => {
+      table.increments('id').primary();
+      table.string('shop_domain').notNullable();
+      table.string('actor').nullable();
+      table.string('action').notNullable(); // e.g. 'product.restriction.update'
+      table.string('target_type').notNullable(); // 'product', 'collection', 'settings', 'tier', 'rule', 'catalog', 'order', 'webhook'
+      table.string('target_id').nullable();
+      table.text('before').nullable(); // JSON
+      table.text('after').nullable(); // JSON
+      table.string('ip_address').nullable();
+      table.string('user_agent').nullable();
+      table.string('request_method').nullable();
+      table.string('request_path').nullable();
+      table.timestamp('created_at').notNullable().defaultTo(db.fn.now());
+      table.index(['shop_domain', 'target_type', 'target_id']);
+      table.index(['shop_domain', 'created_at']);
+    });
+
     console.log('Database tables created successfully');
   } catch (error) {
     console.error('Database setup error:', error);
@@ -74,6 +421,56 @@ async function setupDatabase() {
   }
 }
 
+// Per-shop tables removed on uninstall. access_logs (pruned by the retention
+// job), its rollups, admin_audit_log, order_enforcements and order_reviews are
+// kept for analytics and as the record of admin changes and order decisions.
+// webhook_events and jobs are kept so work already queued for the shop (such
+// as the uninstall webhook itself) can finish.
+const SHOP_DATA_TABLES = [
+  'app_settings',
+  'product_restrictions',
+  'collection_exceptions',
+  'access_tiers',
+  'restriction_rules',
+  'collection_memberships',
+  'membership_index',
+  'catalog_products',
+  'catalog_variants',
+  'catalog_collections',
+  'customer_access',
+  'shopify_sessions',
+  'settings_versions',
+  'customer_tier_history'
+];
+
+// Everything else held about a shop, removed by the shop/redact webhook
+const SHOP_REDACT_TABLES = [
+  ...SHOP_DATA_TABLES,
+  'access_logs',
+  'access_log_rollups',
+  'access_log_retention',
+  'admin_audit_log',
+  'customer_data_requests',
+  'order_enforcements',
+  'order_reviews',
+  'webhook_events',
+  'jobs'
+];
+
+async function deleteShopData(shopDomain) {
+  for (const tableName of SHOP_DATA_TABLES) {
+    await db(tableName).where('shop_domain', shopDomain).del();
+  }
+}
+
+async function redactShopData(shopDomain) {
+  await db.transaction(async (trx) => {
+    for (const tableName of SHOP_REDACT_TABLES) {
+      await trx(tableName).where('shop_domain', shopDomain).del();
+    }
+  });
+}
+
 // Helper functions for database operations
 const AppSettings = {
   async get(shopDomain) {
@@ -87,6 +484,105 @@ const AppSettings = {
     } else {
       return await db('app_settings').insert({ shop_domain: shopDomain, ...settings });
     }
+  },
+
+  // Shops the app is installed in
+  async getShops() {
+    const rows = await db('app_settings').select('shop_domain');
+    return rows.map(row => row.shop_domain);
+  }
+};
+
+function parseSettingsVersion(row) {
+  if (!row) return row;
+  return {
+    ...row,
+    settings: typeof row.settings === 'string' ? JSON.parse(row.settings) : row.settings
+  };
+}
+
+const SettingsVersions = {
+  async getAll(shopDomain, limit = 50) {
+    const rows = await db('settings_versions')
+      .where('shop_domain', shopDomain)
+      .orderBy('version', 'desc')
+      .limit(limit);
+    return rows.map(parseSettingsVersion);
+  },
+
+  async get(shopDomain, version) {
+    return parseSettingsVersion(await db('settings_versions').where({ shop_domain: shopDomain, version }).first());
+  },
+
+  async latest(shopDomain) {
+    return parseSettingsVersion(await db('settings_versions')
+      .where('shop_domain', shopDomain)
+      .orderBy('version', 'desc')
+      .first());
+  },
+
+  async create(shopDomain, { settings, author = null, source, restored_version = null }) {
+    return await db.transaction(async (trx) => {
+      const { max } = await trx('settings_versions').where('shop_domain', shopDomain).max('version as max').first();
+      const version = (max || 0) + 1;
+
+      await trx('settings_versions').insert({
+        shop_domain: shopDomain,
+        version,
+        settings: JSON.stringify(settings),
+        author,
+        source,
+        restored_version,
+        created_at: toTimestamp()
+      });
+      return version;
+    });
+  }
+};
+
+function parseAuditEntry(row) {
+  return {
+    ...row,
+    before: row.before ? JSON.parse(row.before) : null,
+    after: row.after ? JSON.parse(row.after) : null,
+    created_at: fromTimestamp(row.created_at)
+  };
+}
+
+const AdminAuditLog = {
+  async record(shopDomain, entry) {
+    return await db('admin_audit_log').insert({
+      shop_domain: shopDomain,
+      actor: entry.actor || null,
+      action: entry.action,
+      target_type: entry.target_type,
+      target_id: entry.target_id !== undefined && entry.target_id !== null ? String(entry.target_id) : null,
+      before: entry.before !== undefined && entry.before !== null ? JSON.stringify(entry.before) : null,
+      after: entry.after !== undefined && entry.after !== null ? JSON.stringify(entry.after) : null,
+      ip_address: entry.ip_address || null,
+      user_agent: entry.user_agent || null,
+      request_method: entry.request_method || null,
+      request_path: entry.request_path || null,
+      created_at: toTimestamp()
+    });
+  },
+
+  async find(shopDomain, { targetType, targetId, action, from, to, limit = 50, offset = 0 } = {}) {
+    const query = db('admin_audit_log').where('shop_domain', shopDomain);
+
+    if (targetType) query.where('target_type', targetType);
+    if (targetId !== undefined && targetId !== null) query.where('target_id', String(targetId));
+    if (action) query.where('action', action);
+    if (from) query.where('created_at', '>=', toTimestamp(from));
+    if (to) query.where('created_at', '<=', toTimestamp(to));
+
+    const [{ count }] = await query.clone().count('* as count');
+    const rows = await query
+      .orderBy([{ column: 'created_at', order: 'desc' }, { column: 'id', order: 'desc' }])
+      .limit(limit)
+      .offset(offset);
+
+    return { entries: rows.map(parseAuditEntry), total: Number(count) };
   }
 };
 
@@ -99,26 +595,27 @@ const ProductRestrictions = {
     return await db('product_restrictions').where('shop_domain', shopDomain);
   },
 
-  async setRestriction(shopDomain, productId, productHandle, isRestricted, customMessage = null) {
+  async setRestriction(shopDomain, productId, productHandle, isRestricted, customMessage = null, requiredTier = null) {
     const existing = await this.getByProduct(shopDomain, productId);
     if (existing) {
       return await db('product_restrictions')
         .where({ shop_domain: shopDomain, product_id: productId })
-        .update({ is_restricted: isRestricted, custom_message: customMessage });
+        .update({ is_restricted: isRestricted, custom_message: customMessage, required_tier: requiredTier });
     } else {
       return await db('product_restrictions').insert({
         shop_domain: shopDomain,
         product_id: productId,
         product_handle: productHandle,
         is_restricted: isRestricted,
-        custom_message: customMessage
+        custom_message: customMessage,
+        required_tier: requiredTier
       });
     }
   },
 
   async bulkSetRestrictions(shopDomain, restrictions) {
     const promises = restrictions.map(restriction => 
-      this.setRestriction(shopDomain, restriction.product_id, restriction.product_handle, restriction.is_restricted, restriction.custom_message)
+      this.setRestriction(shopDomain, restriction.product_id, restriction.product_handle, restriction.is_restricted, restriction.custom_message, restriction.required_tier || null)
     );
     return await Promise.all(promises);
   }
@@ -133,55 +630,673 @@ const CollectionExceptions = {
     return await db('collection_exceptions').where('shop_domain', shopDomain);
   },
 
-  async setException(shopDomain, collectionId, collectionHandle, isException) {
+  async setException(shopDomain, collectionId, collectionHandle, isException, requiredTier = null) {
     const existing = await this.getByCollection(shopDomain, collectionId);
     if (existing) {
       return await db('collection_exceptions')
         .where({ shop_domain: shopDomain, collection_id: collectionId })
-        .update({ is_exception: isException });
+        .update({ is_exception: isException, required_tier: requiredTier });
     } else {
       return await db('collection_exceptions').insert({
         shop_domain: shopDomain,
         collection_id: collectionId,
         collection_handle: collectionHandle,
-        is_exception: isException
+        is_exception: isException,
+        required_tier: requiredTier
+      });
+    }
+  }
+};
+
+const AccessTiers = {
+  async getAll(shopDomain) {
+    return await db('access_tiers').where('shop_domain', shopDomain).orderBy('rank', 'asc');
+  },
+
+  async getByName(shopDomain, name) {
+    return await db('access_tiers').where({ shop_domain: shopDomain, name }).first();
+  },
+
+  async upsert(shopDomain, name, tier) {
+    const existing = await this.getByName(shopDomain, name);
+    if (existing) {
+      return await db('access_tiers')
+        .where({ shop_domain: shopDomain, name })
+        .update({ ...tier, updated_at: db.fn.now() });
+    } else {
+      return await db('access_tiers').insert({ shop_domain: shopDomain, name, ...tier });
+    }
+  },
+
+  async seedDefaults(shopDomain, tiers) {
+    for (const { name, ...tier } of tiers) {
+      const existing = await this.getByName(shopDomain, name);
+      if (!existing) {
+        await db('access_tiers').insert({ shop_domain: shopDomain, name, ...tier });
+      }
+    }
+  }
+};
+
+function parseRule(rule) {
+  if (!rule) return rule;
+  return {
+    ...rule,
+    conditions: typeof rule.conditions === 'string' ? JSON.parse(rule.conditions) : rule.conditions
+  };
+}
+
+const RestrictionRules = {
+  async getAll(shopDomain) {
+    const rules = await db('restriction_rules')
+      .where('shop_domain', shopDomain)
+      .orderBy([{ column: 'priority', order: 'desc' }, { column: 'id', order: 'asc' }]);
+    return rules.map(parseRule);
+  },
+
+  async getById(shopDomain, id) {
+    return parseRule(await db('restriction_rules').where({ shop_domain: shopDomain, id }).first());
+  },
+
+  async create(shopDomain, rule) {
+    const [row] = await db('restriction_rules')
+      .insert({
+        shop_domain: shopDomain,
+        name: rule.name,
+        priority: rule.priority || 0,
+        conditions: JSON.stringify(rule.conditions || {}),
+        outcome: rule.outcome,
+        is_enabled: rule.is_enabled !== undefined ? rule.is_enabled : true
+      })
+      .returning('id');
+    return await this.getById(shopDomain, typeof row === 'object' ? row.id : row);
+  },
+
+  async update(shopDomain, id, rule) {
+    const changes = { ...rule, updated_at: db.fn.now() };
+    if (changes.conditions) changes.conditions = JSON.stringify(changes.conditions);
+    await db('restriction_rules').where({ shop_domain: shopDomain, id }).update(changes);
+    return await this.getById(shopDomain, id);
+  },
+
+  async delete(shopDomain, id) {
+    return await db('restriction_rules').where({ shop_domain: shopDomain, id }).del();
+  }
+};
+
+const CollectionMemberships = {
+  async getAll(shopDomain) {
+    return await db('collection_memberships').where('shop_domain', shopDomain);
+  },
+
+  async getByProduct(shopDomain, productId) {
+    return await db('collection_memberships').where({ shop_domain: shopDomain, product_id: productId });
+  },
+
+  async getProductIds(shopDomain, collectionId) {
+    const rows = await db('collection_memberships')
+      .where({ shop_domain: shopDomain, collection_id: collectionId })
+      .select('product_id');
+    return rows.map(row => row.product_id);
+  },
+
+  async getIndexedProductIds(shopDomain) {
+    const rows = await db('membership_index').where('shop_domain', shopDomain).select('product_id');
+    return new Set(rows.map(row => String(row.product_id)));
+  },
+
+  async getIndexedAt(shopDomain, productId) {
+    const row = await db('membership_index').where({ shop_domain: shopDomain, product_id: productId }).first();
+    return row ? fromTimestamp(row.indexed_at) : null;
+  },
+
+  async replaceForProduct(shopDomain, productId, collections) {
+    return await db.transaction(async (trx) => {
+      await trx('collection_memberships').where({ shop_domain: shopDomain, product_id: productId }).del();
+      if (collections.length > 0) {
+        await trx('collection_memberships').insert(collections.map(collection => ({
+          shop_domain: shopDomain,
+          product_id: productId,
+          collection_id: collection.id,
+          collection_handle: collection.handle,
+          collection_type: collection.type || null
+        })));
+      }
+      await trx('membership_index').where({ shop_domain: shopDomain, product_id: productId }).del();
+      await trx('membership_index').insert({ shop_domain: shopDomain, product_id: productId, indexed_at: toTimestamp() });
+    });
+  },
+
+  async replaceForCollection(shopDomain, collection, productIds) {
+    return await db.transaction(async (trx) => {
+      await trx('collection_memberships').where({ shop_domain: shopDomain, collection_id: collection.id }).del();
+      for (const productId of productIds) {
+        await trx('collection_memberships').insert({
+          shop_domain: shopDomain,
+          product_id: productId,
+          collection_id: collection.id,
+          collection_handle: collection.handle,
+          collection_type: collection.type || null
+        });
+      }
+    });
+  },
+
+  async markIndexed(shopDomain, productIds) {
+    const indexedAt = toTimestamp();
+    for (const productId of productIds) {
+      await db('membership_index').where({ shop_domain: shopDomain, product_id: productId }).del();
+      await db('membership_index').insert({ shop_domain: shopDomain, product_id: productId, indexed_at: indexedAt });
+    }
+  },
+
+  async deleteByCollection(shopDomain, collectionId) {
+    return await db('collection_memberships').where({ shop_domain: shopDomain, collection_id: collectionId }).del();
+  },
+
+  async deleteByProduct(shopDomain, productId) {
+    await db('membership_index').where({ shop_domain: shopDomain, product_id: productId }).del();
+    return await db('collection_memberships').where({ shop_domain: shopDomain, product_id: productId }).del();
+  }
+};
+
+const Catalog = {
+  async getProduct(shopDomain, productId) {
+    return await db('catalog_products').where({ shop_domain: shopDomain, product_id: productId }).first();
+  },
+
+  async getProducts(shopDomain, { limit = null, offset = 0, search = '' } = {}) {
+    const query = db('catalog_products').where('shop_domain', shopDomain).orderBy('title', 'asc');
+    if (search) {
+      const pattern = `%${search.toLowerCase()}%`;
+      query.where(function () {
+        this.whereRaw('LOWER(title) LIKE ?', [pattern])
+          .orWhereRaw('LOWER(handle) LIKE ?', [pattern])
+          .orWhereRaw('LOWER(product_type) LIKE ?', [pattern]);
       });
     }
+    if (limit) query.limit(limit).offset(offset);
+    return await query;
+  },
+
+  async countProducts(shopDomain) {
+    const [{ count }] = await db('catalog_products').where('shop_domain', shopDomain).count('* as count');
+    return parseInt(count);
+  },
+
+  async getVariants(shopDomain, productIds) {
+    return await db('catalog_variants').where('shop_domain', shopDomain).whereIn('product_id', productIds);
+  },
+
+  async upsertProduct(shopDomain, product, variants) {
+    return await db.transaction(async (trx) => {
+      await trx('catalog_products').where({ shop_domain: shopDomain, product_id: product.product_id }).del();
+      await trx('catalog_products').insert({ shop_domain: shopDomain, ...product, synced_at: toTimestamp() });
+      await trx('catalog_variants').where({ shop_domain: shopDomain, product_id: product.product_id }).del();
+      for (const variant of variants) {
+        await trx('catalog_variants').insert({ shop_domain: shopDomain, product_id: product.product_id, ...variant });
+      }
+    });
+  },
+
+  async deleteProduct(shopDomain, productId) {
+    await db('catalog_variants').where({ shop_domain: shopDomain, product_id: productId }).del();
+    return await db('catalog_products').where({ shop_domain: shopDomain, product_id: productId }).del();
+  },
+
+  async getCollection(shopDomain, collectionId) {
+    return await db('catalog_collections').where({ shop_domain: shopDomain, collection_id: collectionId }).first();
+  },
+
+  async getCollections(shopDomain) {
+    return await db('catalog_collections').where('shop_domain', shopDomain).orderBy('title', 'asc');
+  },
+
+  async countCollections(shopDomain) {
+    const [{ count }] = await db('catalog_collections').where('shop_domain', shopDomain).count('* as count');
+    return parseInt(count);
+  },
+
+  async upsertCollection(shopDomain, collection) {
+    await db('catalog_collections').where({ shop_domain: shopDomain, collection_id: collection.collection_id }).del();
+    return await db('catalog_collections').insert({ shop_domain: shopDomain, ...collection, synced_at: toTimestamp() });
+  },
+
+  async deleteCollection(shopDomain, collectionId) {
+    return await db('catalog_collections').where({ shop_domain: shopDomain, collection_id: collectionId }).del();
+  },
+
+  // Remove rows a full resync did not touch (deleted in Shopify while webhooks were missed)
+  async pruneBefore(shopDomain, syncedBefore) {
+    const staleProducts = await db('catalog_products')
+      .where('shop_domain', shopDomain)
+      .where('synced_at', '<', syncedBefore)
+      .pluck('product_id');
+    for (const productId of staleProducts) {
+      await this.deleteProduct(shopDomain, productId);
+      await CollectionMemberships.deleteByProduct(shopDomain, productId);
+    }
+
+    const staleCollections = await db('catalog_collections')
+      .where('shop_domain', shopDomain)
+      .where('synced_at', '<', syncedBefore)
+      .pluck('collection_id');
+    for (const collectionId of staleCollections) {
+      await this.deleteCollection(shopDomain, collectionId);
+      await CollectionMemberships.deleteByCollection(shopDomain, collectionId);
+    }
+
+    return { products: staleProducts.length, collections: staleCollections.length };
+  }
+};
+
+const CustomerAccess = {
+  async get(shopDomain, customerId) {
+    return await db('customer_access').where({ shop_domain: shopDomain, customer_id: customerId }).first();
+  },
+
+  async upsert(shopDomain, customerId, data) {
+    const existing = await this.get(shopDomain, customerId);
+    const row = { ...data, synced_at: toTimestamp() };
+
+    if (existing) {
+      return await db('customer_access')
+        .where({ shop_domain: shopDomain, customer_id: customerId })
+        .update(row);
+    }
+    return await db('customer_access').insert({ shop_domain: shopDomain, customer_id: customerId, ...row });
+  },
+
+  async delete(shopDomain, customerId) {
+    return await db('customer_access').where({ shop_domain: shopDomain, customer_id: customerId }).del();
+  }
+};
+
+const CustomerTierHistory = {
+  async record(shopDomain, customerId, { event, from_tier = null, to_tier = null, changed_at = new Date() }) {
+    return await db('customer_tier_history').insert({
+      shop_domain: shopDomain,
+      customer_id: customerId,
+      event,
+      from_tier,
+      to_tier,
+      changed_at: toTimestamp(changed_at)
+    });
+  },
+
+  async getForCustomers(shopDomain, customerIds) {
+    const rows = await db('customer_tier_history')
+      .where('shop_domain', shopDomain)
+      .whereIn('customer_id', customerIds)
+      .orderBy([{ column: 'changed_at', order: 'asc' }, { column: 'id', order: 'asc' }]);
+    return rows.map(row => ({ ...row, changed_at: fromTimestamp(row.changed_at) }));
+  },
+
+  async deleteForCustomer(shopDomain, customerId) {
+    return await db('customer_tier_history').where({ shop_domain: shopDomain, customer_id: customerId }).del();
   }
 };
 
+function parseDataRequest(row) {
+  if (!row) return row;
+  return {
+    ...row,
+    data: typeof row.data === 'string' ? JSON.parse(row.data) : row.data,
+    created_at: fromTimestamp(row.created_at)
+  };
+}
+
+const CustomerDataRequests = {
+  async create(shopDomain, { customerId, shopifyRequestId = null, data }) {
+    const [row] = await db('customer_data_requests')
+      .insert({
+        shop_domain: shopDomain,
+        customer_id: customerId,
+        shopify_request_id: shopifyRequestId,
+        data: JSON.stringify(data),
+        created_at: toTimestamp()
+      })
+      .returning('id');
+    return await this.get(shopDomain, typeof row === 'object' ? row.id : row);
+  },
+
+  // Newest first, without the exported data
+  async getAll(shopDomain) {
+    const rows = await db('customer_data_requests')
+      .where('shop_domain', shopDomain)
+      .select('id', 'customer_id', 'shopify_request_id', 'created_at')
+      .orderBy('id', 'desc');
+    return rows.map(row => ({ ...row, created_at: fromTimestamp(row.created_at) }));
+  },
+
+  async get(shopDomain, id) {
+    const row = await db('customer_data_requests').where({ shop_domain: shopDomain, id }).first();
+    return parseDataRequest(row);
+  },
+
+  async deleteForCustomer(shopDomain, customerId) {
+    return await db('customer_data_requests').where({ shop_domain: shopDomain, customer_id: customerId }).del();
+  }
+};
+
+const ShopifySessions = {
+  async get(id) {
+    return await db('shopify_sessions').where('id', id).first();
+  },
+
+  async upsert(row) {
+    const existing = await this.get(row.id);
+
+    if (existing) {
+      return await db('shopify_sessions')
+        .where('id', row.id)
+        .update({ ...row, updated_at: db.fn.now() });
+    }
+    return await db('shopify_sessions').insert(row);
+  },
+
+  async delete(ids) {
+    return await db('shopify_sessions').whereIn('id', Array.isArray(ids) ? ids : [ids]).del();
+  },
+
+  async findByShop(shopDomain) {
+    return await db('shopify_sessions').where('shop_domain', shopDomain);
+  }
+};
+
+// access_logs.access_type values for server access checks that denied access
+const DENIED_ACCESS_TYPES = ['not_logged_in', 'no_tag', 'customer_not_found'];
+
+// A blocked row (of access_logs or access_log_rollups) is a denied access
+// check or a theme 'blocked' event
+function blockedSql(table) {
+  return `((${table}.source = 'access_check' and ${table}.access_type in (${DENIED_ACCESS_TYPES.map(() => '?').join(', ')}))`
+    + ` or (${table}.source = 'theme' and ${table}.access_type = 'blocked'))`;
+}
+
+function allowedSql(table) {
+  return `(${table}.source = 'access_check' and ${table}.access_type = 'allowed')`;
+}
+
+const BLOCKED_SQL = blockedSql('access_logs');
+const ALLOWED_SQL = allowedSql('access_logs');
+
+// allowed / blocked counts and distinct blocked customers, as select columns
+function accessOutcomeColumns() {
+  return [
+    db.raw(`sum(case when ${ALLOWED_SQL} then 1 else 0 end) as allowed`),
+    db.raw(`sum(case when ${BLOCKED_SQL} then 1 else 0 end) as blocked`, DENIED_ACCESS_TYPES),
+    db.raw(`count(distinct case when ${BLOCKED_SQL} then access_logs.customer_id end) as customers_blocked`, DENIED_ACCESS_TYPES)
+  ];
+}
+
+// Time bucket label for created_at: 'YYYY-MM-DD' or 'YYYY-MM-DD HH:00' (UTC).
+// SQLite stores UTC 'YYYY-MM-DD HH:MM:SS' strings; Postgres needs to_char.
+function bucketSql(interval) {
+  if (dbConfig.client === 'pg') {
+    const format = interval === 'hour' ? 'YYYY-MM-DD HH24:00' : 'YYYY-MM-DD';
+    return `to_char(access_logs.created_at at time zone 'UTC', '${format}')`;
+  }
+  return interval === 'hour'
+    ? `substr(access_logs.created_at, 1, 13) || ':00'`
+    : 'substr(access_logs.created_at, 1, 10)';
+}
+
+function accessLogsInRange(shopDomain, { from, to } = {}) {
+  const query = db('access_logs').where('access_logs.shop_domain', shopDomain);
+  if (from) query.where('access_logs.created_at', '>=', toTimestamp(from));
+  if (to) query.where('access_logs.created_at', '<=', toTimestamp(to));
+  return query;
+}
+
+function daysAgo(days) {
+  const startDate = new Date();
+  startDate.setDate(startDate.getDate() - days);
+  return toTimestamp(startDate);
+}
+
 const AccessLogs = {
-  async log(shopDomain, productId, customerId, accessType, ipAddress, userAgent) {
+  async log(shopDomain, productId, customerId, accessType, ipAddress, userAgent, details = {}) {
     return await db('access_logs').insert({
       shop_domain: shopDomain,
       product_id: productId,
       customer_id: customerId,
       access_type: accessType,
       ip_address: ipAddress,
-      user_agent: userAgent
+      user_agent: userAgent,
+      source: details.source || 'access_check',
+      required_tier: details.requiredTier || null,
+      customer_tier: details.customerTier || null,
+      target: details.target || null,
+      visitor_id: details.visitorId || null,
+      created_at: toTimestamp()
     });
   },
 
+  // One page of rows for export, with product titles and customer emails from
+  // the local mirror. Keyset pagination on id keeps each query cheap.
+  async getExportPage(shopDomain, { from, to, accessType, productId, customerId } = {}, afterId = 0, limit = 500) {
+    const query = accessLogsInRange(shopDomain, { from, to })
+      .where('access_logs.id', '>', afterId)
+      .leftJoin('catalog_products', function () {
+        this.on('catalog_products.shop_domain', 'access_logs.shop_domain')
+          .andOn('catalog_products.product_id', 'access_logs.product_id');
+      })
+      .leftJoin('customer_access', function () {
+        this.on('customer_access.shop_domain', 'access_logs.shop_domain')
+          .andOn('customer_access.customer_id', 'access_logs.customer_id');
+      });
+
+    if (accessType) query.where('access_logs.access_type', accessType);
+    if (productId) query.where('access_logs.product_id', productId);
+    if (customerId) query.where('access_logs.customer_id', customerId);
+
+    const rows = await query
+      .select(
+        'access_logs.*',
+        'catalog_products.title as product_title',
+        'customer_access.email as customer_email'
+      )
+      .orderBy('access_logs.id', 'asc')
+      .limit(limit);
+    return rows.map(row => ({ ...row, created_at: fromTimestamp(row.created_at) }));
+  },
+
+  // Attribute a visitor's anonymous events to the customer they logged in as
+  async linkVisitor(shopDomain, visitorId, customerId) {
+    return await db('access_logs')
+      .where({ shop_domain: shopDomain, visitor_id: visitorId })
+      .whereNull('customer_id')
+      .update({ customer_id: customerId });
+  },
+
+  // Visitor ids the customer's rows were logged under, so anonymous rows
+  // from the same browser can be found too
+  async getCustomerVisitorIds(shopDomain, customerId) {
+    return await db('access_logs')
+      .where({ shop_domain: shopDomain, customer_id: customerId })
+      .whereNotNull('visitor_id')
+      .distinct()
+      .pluck('visitor_id');
+  },
+
+  async getForCustomer(shopDomain, customerId, visitorIds = []) {
+    const rows = await db('access_logs')
+      .where('shop_domain', shopDomain)
+      .where(query => query.where('customer_id', customerId).orWhereIn('visitor_id', visitorIds))
+      .orderBy('id');
+    return rows.map(row => ({ ...row, created_at: fromTimestamp(row.created_at) }));
+  },
+
+  // Strip everything that identifies the customer, keeping the event for analytics
+  async anonymizeCustomer(shopDomain, customerId, visitorIds = []) {
+    return await db('access_logs')
+      .where('shop_domain', shopDomain)
+      .where(query => query.where('customer_id', customerId).orWhereIn('visitor_id', visitorIds))
+      .update({ customer_id: null, visitor_id: null, ip_address: null, user_agent: null, ip_anonymized: true });
+  },
+
+  // Blocked rows of a known customer or an anonymous visitor id, oldest first
+  async getFunnelBlocks(shopDomain, { from, to } = {}) {
+    const rows = await accessLogsInRange(shopDomain, { from, to })
+      .where(query => query.whereNotNull('access_logs.customer_id').orWhereNotNull('access_logs.visitor_id'))
+      .whereRaw(BLOCKED_SQL, DENIED_ACCESS_TYPES)
+      .select(
+        'access_logs.customer_id',
+        'access_logs.visitor_id',
+        'access_logs.source',
+        'access_logs.access_type',
+        'access_logs.product_id',
+        'access_logs.required_tier',
+        'access_logs.created_at'
+      )
+      .orderBy([{ column: 'access_logs.created_at', order: 'asc' }, { column: 'access_logs.id', order: 'asc' }]);
+    return rows.map(row => ({ ...row, created_at: fromTimestamp(row.created_at) }));
+  },
+
+  // Access checks the customers made while logged in, from `from` on, oldest first
+  async getLoggedInChecks(shopDomain, customerIds, { from } = {}) {
+    const rows = await accessLogsInRange(shopDomain, { from })
+      .where('access_logs.source', 'access_check')
+      .whereNot('access_logs.access_type', 'not_logged_in')
+      .whereIn('access_logs.customer_id', customerIds)
+      .select('access_logs.customer_id', 'access_logs.created_at')
+      .orderBy([{ column: 'access_logs.created_at', order: 'asc' }, { column: 'access_logs.id', order: 'asc' }]);
+    return rows.map(row => ({ ...row, created_at: fromTimestamp(row.created_at) }));
+  },
+
   async getAnalytics(shopDomain, days = 30) {
-    const startDate = new Date();
-    startDate.setDate(startDate.getDate() - days);
-    
     return await db('access_logs')
       .where('shop_domain', shopDomain)
-      .where('created_at', '>=', startDate)
+      .where('created_at', '>=', daysAgo(days))
       .select('access_type')
       .count('* as count')
       .groupBy('access_type');
+  },
+
+  // Counts per event type, required tier and button, for the analytics summary
+  async getEventCounts(shopDomain, { from, to } = {}) {
+    return await accessLogsInRange(shopDomain, { from, to })
+      .select('source', 'access_type', 'required_tier', 'target')
+      .count('* as count')
+      .groupBy('source', 'access_type', 'required_tier', 'target');
+  },
+
+  // Allowed/blocked counts per day or hour bucket
+  async getTimeSeries(shopDomain, { from, to, interval = 'day' } = {}) {
+    const bucket = bucketSql(interval);
+    return await accessLogsInRange(shopDomain, { from, to })
+      .select(db.raw(`${bucket} as bucket`), ...accessOutcomeColumns())
+      .groupBy(db.raw(bucket))
+      .orderBy('bucket');
+  },
+
+  // Allowed/blocked counts per product, most blocked first
+  async getProductStats(shopDomain, { from, to, limit = 10 } = {}) {
+    return await accessLogsInRange(shopDomain, { from, to })
+      .whereNotNull('access_logs.product_id')
+      .leftJoin('catalog_products', function () {
+        this.on('catalog_products.shop_domain', 'access_logs.shop_domain')
+          .andOn('catalog_products.product_id', 'access_logs.product_id');
+      })
+      .select('access_logs.product_id', 'catalog_products.title', 'catalog_products.handle', ...accessOutcomeColumns())
+      .groupBy('access_logs.product_id', 'catalog_products.title', 'catalog_products.handle')
+      .orderBy([{ column: 'blocked', order: 'desc' }, { column: 'access_logs.product_id', order: 'asc' }])
+      .modify(query => limit && query.limit(limit));
+  },
+
+  // Allowed/blocked counts per collection, through the membership index
+  async getCollectionStats(shopDomain, { from, to, limit = 10 } = {}) {
+    return await accessLogsInRange(shopDomain, { from, to })
+      .join('collection_memberships', function () {
+        this.on('collection_memberships.shop_domain', 'access_logs.shop_domain')
+          .andOn('collection_memberships.product_id', 'access_logs.product_id');
+      })
+      .select('collection_memberships.collection_id', 'collection_memberships.collection_handle', ...accessOutcomeColumns())
+      .groupBy('collection_memberships.collection_id', 'collection_memberships.collection_handle')
+      .orderBy([{ column: 'blocked', order: 'desc' }, { column: 'collection_memberships.collection_id', order: 'asc' }])
+      .modify(query => limit && query.limit(limit));
+  },
+
+  // Overall allowed/blocked counts and distinct blocked customers
+  async getTotals(shopDomain, { from, to } = {}) {
+    return await accessLogsInRange(shopDomain, { from, to }).first(...accessOutcomeColumns());
+  },
+
+  // Shops with raw rows, including uninstalled ones
+  async getShops() {
+    const rows = await db('access_logs').distinct('shop_domain');
+    return rows.map(row => row.shop_domain);
+  },
+
+  async getEarliest(shopDomain) {
+    const row = await db('access_logs').where('shop_domain', shopDomain).min('created_at as created_at').first();
+    return fromTimestamp(row?.created_at);
+  },
+
+  // Rows grouped into access_log_rollups rows, one per day and dimension
+  async getDailyRollups(shopDomain, { from, to } = {}) {
+    const day = bucketSql('day');
+    return await accessLogsInRange(shopDomain, { from, to })
+      .select(
+        db.raw(`${day} as day`),
+        'source',
+        'access_type',
+        'product_id',
+        'required_tier',
+        'target'
+      )
+      .count('* as count')
+      .countDistinct('customer_id as customers')
+      .groupBy(db.raw(day))
+      .groupBy('source', 'access_type', 'product_id', 'required_tier', 'target');
+  },
+
+  // Rows logged before `before` whose IP address hasn't been truncated yet
+  async getIpsToAnonymize(shopDomain, before, limit = 500) {
+    return await db('access_logs')
+      .where('shop_domain', shopDomain)
+      .where('created_at', '<', toTimestamp(before))
+      .where(query => query.where('ip_anonymized', false).orWhereNull('ip_anonymized'))
+      .select('id', 'ip_address')
+      .orderBy('id')
+      .limit(limit);
+  },
+
+  async setAnonymizedIp(ids, ipAddress) {
+    return await db('access_logs').whereIn('id', ids).update({ ip_address: ipAddress, ip_anonymized: true });
+  },
+
+  async pruneBefore(shopDomain, before) {
+    return await db('access_logs')
+      .where('shop_domain', shopDomain)
+      .where('created_at', '<', toTimestamp(before))
+      .del();
   }
 };
 
 module.exports = {
   db,
   setupDatabase,
+  deleteShopData,
+  redactShopData,
+  toTimestamp,
+  fromTimestamp,
+  DENIED_ACCESS_TYPES,
+  blockedSql,
+  allowedSql,
   AppSettings,
+  SettingsVersions,
+  AdminAuditLog,
   ProductRestrictions,
   CollectionExceptions,
+  AccessTiers,
+  RestrictionRules,
+  CollectionMemberships,
+  Catalog,
+  CustomerAccess,
+  CustomerTierHistory,
+  CustomerDataRequests,
+  ShopifySessions,
   AccessLogs
 };
-
-
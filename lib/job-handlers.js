@@ -0,0 +1,158 @@
+const ShopifyAPIClient = require('./shopify-api');
+const { AppSettings, ProductRestrictions, AdminAuditLog } = require('./database');
+const { Jobs } = require('./job-store');
+const { getTiers, findTier, toRequiredTier } = require('./access-tiers');
+const { findProduct, fullResync } = require('./catalog');
+const { applyRetentionToAllShops, toDay, DAY_MS } = require('./access-log-retention');
+const { pruneWebhookEvents } = require('./webhook-queue');
+
+/**
+ * Job types the job worker runs (see lib/jobs). Each type has:
+ *   run(job, { progress })  - does the work for job.shop_domain and
+ *                             job.payload; the return value is kept as the
+ *                             job's result and a throw retries the job
+ *   concurrency             - how many jobs of the type may run at once
+ *                             across all workers
+ *   maxAttempts             - attempts before the job is marked failed
+ * Jobs can run more than once (retries, a worker dying mid-job), so run must
+ * be safe to repeat.
+ */
+
+const FINISHED_JOB_RETENTION_MS = 30 * DAY_MS;
+
+// The audited fields of a product restriction record
+function restrictionValues(record) {
+  return record ? {
+    is_restricted: !!record.is_restricted,
+    required_tier: record.required_tier || null,
+    custom_message: record.custom_message || null
+  } : null;
+}
+
+/**
+ * Re-mirror the shop's catalog from Shopify (POST /api/admin/catalog/resync)
+ */
+async function catalogResync(job, { progress }) {
+  const shopDomain = job.shop_domain;
+  const shopifyClient = new ShopifyAPIClient({ shop: shopDomain });
+
+  const result = await fullResync(shopifyClient, shopDomain, { onProgress: progress });
+  await AdminAuditLog.record(shopDomain, { ...job.payload?.audit, action: 'catalog.resync', target_type: 'catalog', after: result });
+  return result;
+}
+
+/**
+ * Queue a catalog resync for every installed shop, once per day, so products
+ * and collections whose webhooks were missed don't stay stale in the mirror
+ */
+async function catalogRefresh(job) {
+  const day = toDay(job.run_at || new Date());
+  let queued = 0;
+
+  for (const shopDomain of await AppSettings.getShops()) {
+    const resync = await Jobs.create({
+      shopDomain,
+      type: 'catalog.resync',
+      uniqueKey: `catalog.resync:${shopDomain}@${day}`,
+      maxAttempts: JOB_TYPES['catalog.resync'].maxAttempts
+    });
+    if (resync) queued++;
+  }
+  return { queued };
+}
+
+/**
+ * Apply a list of product restriction changes (POST /api/admin/products/bulk-update).
+ * Products that can't be updated are reported in the result, not retried.
+ */
+async function bulkUpdateRestrictions(job, { progress }) {
+  const shopDomain = job.shop_domain;
+  const { updates, audit } = job.payload;
+
+  const shopifyClient = new ShopifyAPIClient({ shop: shopDomain });
+  const tiers = await getTiers(shopDomain);
+  const results = [];
+
+  for (const [index, update] of updates.entries()) {
+    try {
+      if (update.requiredTier && !findTier(tiers, update.requiredTier)) {
+        results.push({ productId: update.productId, success: false, error: `Unknown access tier: ${update.requiredTier}` });
+        continue;
+      }
+
+      const product = await findProduct(shopifyClient, shopDomain, update.productId);
+      if (product) {
+        const previous = await ProductRestrictions.getByProduct(shopDomain, update.productId);
+        const isRestricted = update.requiredTier ? !!toRequiredTier(tiers, update.requiredTier) : update.isRestricted;
+        await ProductRestrictions.setRestriction(
+          shopDomain,
+          update.productId,
+          product.handle,
+          isRestricted,
+          update.customMessage,
+          update.requiredTier || null
+        );
+        await AdminAuditLog.record(shopDomain, {
+          ...audit,
+          action: 'product.restriction.bulk_update',
+          target_type: 'product',
+          target_id: update.productId,
+          before: restrictionValues(previous),
+          after: restrictionValues({
+            is_restricted: isRestricted,
+            required_tier: update.requiredTier,
+            custom_message: update.customMessage
+          })
+        });
+        results.push({ productId: update.productId, success: true });
+      } else {
+        results.push({ productId: update.productId, success: false, error: 'Product not found' });
+      }
+    } catch (error) {
+      results.push({ productId: update.productId, success: false, error: error.message });
+    } finally {
+      await progress(Math.floor(((index + 1) / updates.length) * 100), `${index + 1} of ${updates.length} products`);
+    }
+  }
+
+  return { results };
+}
+
+/**
+ * Every shop's access log retention policy (see lib/access-log-retention)
+ */
+async function accessLogRetention() {
+  const results = await applyRetentionToAllShops();
+  return { shops: results.length };
+}
+
+/**
+ * Forget processed webhooks past the dedupe window and finished jobs after 30 days
+ */
+async function pruneQueues() {
+  const now = new Date();
+  return {
+    webhookEvents: await pruneWebhookEvents(now),
+    jobs: await Jobs.pruneFinished(new Date(now.getTime() - FINISHED_JOB_RETENTION_MS))
+  };
+}
+
+const JOB_TYPES = {
+  'catalog.resync': { run: catalogResync, concurrency: 2, maxAttempts: 3 },
+  'catalog.refresh': { run: catalogRefresh, concurrency: 1, maxAttempts: 1 },
+  'products.bulk_update': { run: bulkUpdateRestrictions, concurrency: 2, maxAttempts: 2 },
+  'access_logs.retention': { run: accessLogRetention, concurrency: 1, maxAttempts: 1 },
+  'maintenance.prune': { run: pruneQueues, concurrency: 1, maxAttempts: 1 }
+};
+
+// Jobs every deployment runs on a schedule, queued by the worker
+const RECURRING_JOBS = [
+  { type: 'access_logs.retention', intervalMs: 60 * 60 * 1000 },
+  { type: 'catalog.refresh', intervalMs: DAY_MS },
+  { type: 'maintenance.prune', intervalMs: DAY_MS }
+];
+
+module.exports = {
+  JOB_TYPES,
+  RECURRING_JOBS
+};
@@ -0,0 +1,160 @@
+const { db, toTimestamp, fromTimestamp } = require('./database');
+
+/**
+ * Background jobs (jobs) and the per-type rows their claims are serialized on
+ * (job_type_locks). See lib/jobs.
+ */
+
+function parseJob(row) {
+  if (!row) return row;
+  const job = { ...row };
+  if ('payload' in row) job.payload = row.payload ? JSON.parse(row.payload) : null;
+  return {
+    ...job,
+    result: row.result ? JSON.parse(row.result) : null,
+    run_at: fromTimestamp(row.run_at),
+    locked_at: fromTimestamp(row.locked_at),
+    created_at: fromTimestamp(row.created_at),
+    started_at: fromTimestamp(row.started_at),
+    finished_at: fromTimestamp(row.finished_at)
+  };
+}
+
+const Jobs = {
+  async get(id) {
+    return parseJob(await db('jobs').where('id', id).first());
+  },
+
+  async getForShop(shopDomain, id) {
+    return parseJob(await db('jobs').where({ shop_domain: shopDomain, id }).first());
+  },
+
+  async getByUniqueKey(uniqueKey) {
+    return parseJob(await db('jobs').where('unique_key', uniqueKey).first());
+  },
+
+  // Returns null when a job with the same unique_key already exists
+  async create({ shopDomain, type, payload, runAt, maxAttempts, uniqueKey, createdBy }) {
+    const now = toTimestamp();
+    const [row] = await db('jobs').insert({
+      shop_domain: shopDomain || null,
+      type,
+      payload: payload === undefined ? null : JSON.stringify(payload),
+      status: 'queued',
+      attempts: 0,
+      max_attempts: maxAttempts,
+      run_at: runAt ? toTimestamp(runAt) : now,
+      unique_key: uniqueKey || null,
+      created_by: createdBy || null,
+      created_at: now
+    }).onConflict('unique_key').ignore().returning('id');
+    if (!row) return null;
+    return await this.get(typeof row === 'object' ? row.id : row);
+  },
+
+  // Queued jobs that are due, plus running jobs whose worker stopped reporting
+  async getDue(now, staleBefore, limit) {
+    const rows = await db('jobs')
+      .where(query => query
+        .where('status', 'queued').where('run_at', '<=', toTimestamp(now))
+        .orWhere(stale => stale.where('status', 'running').where('locked_at', '<', toTimestamp(staleBefore))))
+      .orderBy('run_at', 'asc')
+      .orderBy('id', 'asc')
+      .limit(limit);
+    return rows.map(parseJob);
+  },
+
+  // Take a job for a worker unless `concurrency` jobs of its type are already
+  // running; false when it can't be taken. Claims of a type are serialized on
+  // its job_type_locks row, so the count and the claim can't race another worker.
+  async claim(job, workerId, now, { concurrency, staleBefore }) {
+    return await db.transaction(async (trx) => {
+      await trx('job_type_locks')
+        .insert({ type: job.type, claimed_at: toTimestamp(now) })
+        .onConflict('type')
+        .merge();
+
+      const { count } = await trx('jobs')
+        .where({ type: job.type, status: 'running' })
+        .where('locked_at', '>=', toTimestamp(staleBefore))
+        .count('* as count')
+        .first();
+      if (Number(count) >= concurrency) return false;
+
+      const updated = await trx('jobs')
+        .where({ id: job.id, status: job.status, attempts: job.attempts })
+        .update({
+          status: 'running',
+          attempts: job.attempts + 1,
+          locked_by: workerId,
+          locked_at: toTimestamp(now),
+          started_at: toTimestamp(now),
+          progress: 0,
+          progress_message: null
+        });
+      return updated > 0;
+    });
+  },
+
+  async setProgress(id, workerId, progress, message) {
+    await db('jobs').where({ id, locked_by: workerId, status: 'running' }).update({
+      progress,
+      progress_message: message || null,
+      locked_at: toTimestamp()
+    });
+  },
+
+  // Only the worker holding the job can finish it; a stale job may have been
+  // taken over by another
+  async markSucceeded(id, workerId, result, now) {
+    await db('jobs').where({ id, locked_by: workerId }).update({
+      status: 'succeeded',
+      payload: null,
+      progress: 100,
+      result: result === undefined ? null : JSON.stringify(result),
+      last_error: null,
+      locked_by: null,
+      locked_at: null,
+      finished_at: toTimestamp(now)
+    });
+  },
+
+  // Back to queued at runAt, or failed for good when null. Finished jobs
+  // don't keep their payload.
+  async markFailed(id, workerId, error, runAt, now) {
+    await db('jobs').where({ id, locked_by: workerId }).update({
+      status: runAt ? 'queued' : 'failed',
+      last_error: error,
+      locked_by: null,
+      locked_at: null,
+      ...(runAt ? { run_at: toTimestamp(runAt) } : { payload: null, finished_at: toTimestamp(now) })
+    });
+  },
+
+  // Newest first, without payloads, optionally filtered by status and type
+  async find(shopDomain, { status, type, limit = 50, offset = 0 } = {}) {
+    const query = db('jobs').where('shop_domain', shopDomain);
+    if (status) query.where('status', status);
+    if (type) query.where('type', type);
+
+    const [{ count }] = await query.clone().count('* as count');
+    const rows = await query
+      .select('id', 'type', 'status', 'attempts', 'max_attempts', 'run_at', 'progress', 'progress_message',
+        'result', 'last_error', 'created_by', 'created_at', 'started_at', 'finished_at')
+      .orderBy('id', 'desc')
+      .limit(limit)
+      .offset(offset);
+    return { entries: rows.map(parseJob), total: Number(count) };
+  },
+
+  async pruneFinished(before) {
+    return await db('jobs')
+      .whereIn('status', ['succeeded', 'failed'])
+      .where('finished_at', '<', toTimestamp(before))
+      .del();
+  }
+};
+
+module.exports = {
+  Jobs
+};
@@ -0,0 +1,184 @@
+const os = require('os');
+const { Jobs } = require('./job-store');
+const { JOB_TYPES, RECURRING_JOBS } = require('./job-handlers');
+
+/**
+ * Background jobs stored in the jobs table. Routes queue work with enqueueJob
+ * and answer straight away; a worker in each app instance claims due jobs
+ * (at most `concurrency` at once, and no more of a type than the type's own
+ * concurrency across all instances), reports their progress and retries
+ * failures with exponential backoff until the type's maxAttempts. Jobs can be
+ * scheduled with runAt, and RECURRING_JOBS are queued once per interval.
+ * Claims are conditional updates made while holding the type's lock row, so
+ * this works the same on SQLite and Postgres with any number of workers.
+ */
+
+const RETRY_BASE_MS = 30 * 1000; // 30s, 1m, 2m ... capped at RETRY_MAX_MS
+const RETRY_MAX_MS = 60 * 60 * 1000;
+const STALE_LOCK_MS = 15 * 60 * 1000; // no progress for this long: the worker died
+const RECURRING_CHECK_MS = 60 * 1000;
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+function retryDelay(attempts) {
+  return Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+}
+
+/**
+ * Queue a job of one of the JOB_TYPES. A job with a uniqueKey is only queued
+ * once; queueing it again returns the existing job.
+ */
+async function enqueueJob(type, { shopDomain, payload, runAt, uniqueKey, createdBy } = {}) {
+  const jobType = JOB_TYPES[type];
+  if (!jobType) {
+    throw new Error(`Unknown job type: ${type}`);
+  }
+
+  const job = await Jobs.create({ shopDomain, type, payload, runAt, uniqueKey, createdBy, maxAttempts: jobType.maxAttempts })
+    || await Jobs.getByUniqueKey(uniqueKey);
+  if (!runAt || runAt <= new Date()) wakeJobWorker();
+  return job;
+}
+
+/**
+ * Queue the current interval's run of every recurring job. Each run has its
+ * own unique key, so any number of workers can call this.
+ */
+async function scheduleRecurringJobs(now = new Date()) {
+  for (const { type, intervalMs } of RECURRING_JOBS) {
+    const runAt = new Date(Math.floor(now.getTime() / intervalMs) * intervalMs);
+    await Jobs.create({ type, runAt, uniqueKey: `${type}@${runAt.toISOString()}`, maxAttempts: JOB_TYPES[type].maxAttempts });
+  }
+}
+
+/**
+ * Claim the next due job whose type is known here and under its concurrency
+ * limit. Returns the claimed job or null.
+ */
+async function claimNextJob(workerId = WORKER_ID, now = new Date()) {
+  const staleBefore = new Date(now.getTime() - STALE_LOCK_MS);
+  const candidates = await Jobs.getDue(now, staleBefore, 20);
+
+  for (const job of candidates) {
+    const jobType = JOB_TYPES[job.type];
+    if (!jobType) continue;
+
+    if (await Jobs.claim(job, workerId, now, { concurrency: jobType.concurrency, staleBefore })) {
+      return { ...job, status: 'running', attempts: job.attempts + 1 };
+    }
+  }
+  return null;
+}
+
+/**
+ * Run a claimed job. Returns its new status: 'succeeded', 'queued' (to be
+ * retried) or 'failed'.
+ */
+async function runJob(job, workerId = WORKER_ID, now = new Date()) {
+  const progress = async (percent, message) => {
+    await Jobs.setProgress(job.id, workerId, Math.max(0, Math.min(100, Math.round(percent))), message);
+  };
+
+  try {
+    const result = await JOB_TYPES[job.type].run(job, { progress });
+    await Jobs.markSucceeded(job.id, workerId, result, new Date());
+    return 'succeeded';
+  } catch (error) {
+    const runAt = job.attempts < job.max_attempts ? new Date(now.getTime() + retryDelay(job.attempts)) : null;
+    console.error(`Job ${job.type} (job ${job.id}, attempt ${job.attempts}) failed:`, error);
+    await Jobs.markFailed(job.id, workerId, error.message, runAt, new Date());
+    return runAt ? 'queued' : 'failed';
+  }
+}
+
+/**
+ * Run every due job one after another. Returns how many succeeded, were
+ * queued for a retry and failed.
+ */
+async function runDueJobs({ now = new Date(), workerId = WORKER_ID } = {}) {
+  const results = { succeeded: 0, queued: 0, failed: 0 };
+
+  let job;
+  while ((job = await claimNextJob(workerId, now))) {
+    results[await runJob(job, workerId, now)] += 1;
+  }
+  return results;
+}
+
+let worker = null;
+
+async function fillWorker() {
+  const state = worker;
+  if (!state) return;
+  if (state.filling) {
+    state.again = true;
+    return;
+  }
+  state.filling = true;
+
+  try {
+    const now = new Date();
+    if (now - state.scheduledAt >= RECURRING_CHECK_MS) {
+      state.scheduledAt = now;
+      await scheduleRecurringJobs(now);
+    }
+
+    do {
+      state.again = false;
+      while (state.active.size < state.concurrency && worker === state) {
+        const job = await claimNextJob(WORKER_ID);
+        if (!job) break;
+
+        const run = runJob(job, WORKER_ID).finally(() => {
+          state.active.delete(run);
+          wakeJobWorker();
+        });
+        state.active.add(run);
+      }
+    } while (state.again && worker === state);
+  } catch (error) {
+    console.error('Job worker error:', error);
+  } finally {
+    state.filling = false;
+  }
+}
+
+/**
+ * Poll for due jobs in this process, running up to `concurrency` at once
+ */
+function startJobWorker({ concurrency = 2, intervalMs = 5000 } = {}) {
+  if (worker) return worker;
+
+  worker = { concurrency, active: new Set(), filling: false, again: false, scheduledAt: 0 };
+  worker.timer = setInterval(fillWorker, intervalMs);
+  worker.timer.unref();
+  setImmediate(fillWorker);
+  return worker;
+}
+
+function wakeJobWorker() {
+  if (worker?.timer) setImmediate(fillWorker);
+}
+
+/**
+ * Stop claiming jobs; resolves once the jobs already running have finished
+ */
+async function stopJobWorker() {
+  if (!worker) return;
+  const { timer, active } = worker;
+  clearInterval(timer);
+  worker = null;
+  await Promise.allSettled([...active]);
+}
+
+module.exports = {
+  retryDelay,
+  enqueueJob,
+  scheduleRecurringJobs,
+  claimNextJob,
+  runJob,
+  runDueJobs,
+  startJobWorker,
+  wakeJobWorker,
+  stopJobWorker
+};
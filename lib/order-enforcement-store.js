@@ -0,0 +1,177 @@
+const { db, toTimestamp, fromTimestamp } = require('./database');
+
+/**
+ * What the orders/create check decided about orders with items the customer
+ * can't buy (order_enforcements), and the review queue of flagged orders
+ * (order_reviews). See lib/order-enforcement and lib/order-review.
+ */
+
+function parseOrderEnforcement(row) {
+  if (!row) return row;
+  return {
+    ...row,
+    line_items: typeof row.line_items === 'string' ? JSON.parse(row.line_items) : row.line_items,
+    created_at: fromTimestamp(row.created_at)
+  };
+}
+
+const OrderEnforcements = {
+  async getByOrder(shopDomain, orderId) {
+    return parseOrderEnforcement(await db('order_enforcements').where({ shop_domain: shopDomain, order_id: orderId }).first());
+  },
+
+  // Records the decision, and queues it for review with `review`, in one transaction
+  async create(shopDomain, enforcement, { review = false } = {}) {
+    await db.transaction(async (trx) => {
+      const [row] = await trx('order_enforcements').insert({
+        shop_domain: shopDomain,
+        order_id: enforcement.order_id,
+        order_name: enforcement.order_name || null,
+        customer_id: enforcement.customer_id || null,
+        customer_tier: enforcement.customer_tier || null,
+        required_tier: enforcement.required_tier,
+        line_items: JSON.stringify(enforcement.line_items),
+        policy: enforcement.policy,
+        order_tag: enforcement.order_tag || null,
+        status: enforcement.status,
+        error: enforcement.error || null,
+        created_at: toTimestamp()
+      }).returning('id');
+
+      if (review) {
+        await OrderReviews.create(shopDomain, typeof row === 'object' ? row.id : row, trx);
+      }
+    });
+    return await this.getByOrder(shopDomain, enforcement.order_id);
+  },
+
+  // Records how applying the policy went, and queues a review with `review`, in one transaction
+  async setStatus(shopDomain, id, { status, error = null, review = false }) {
+    await db.transaction(async (trx) => {
+      await trx('order_enforcements').where({ shop_domain: shopDomain, id }).update({ status, error });
+      if (review) {
+        await OrderReviews.create(shopDomain, id, trx);
+      }
+    });
+  },
+
+  // Newest first, optionally filtered by policy and status
+  async find(shopDomain, { policy, status, limit = 50, offset = 0 } = {}) {
+    const query = db('order_enforcements').where('shop_domain', shopDomain);
+    if (policy) query.where('policy', policy);
+    if (status) query.where('status', status);
+
+    const [{ count }] = await query.clone().count('* as count');
+    const rows = await query.orderBy('id', 'desc').limit(limit).offset(offset);
+    return { entries: rows.map(parseOrderEnforcement), total: Number(count) };
+  },
+
+  async getForCustomer(shopDomain, customerId) {
+    const rows = await db('order_enforcements').where({ shop_domain: shopDomain, customer_id: customerId }).orderBy('id');
+    return rows.map(parseOrderEnforcement);
+  },
+
+  // The decision stays on the order; only the link to the customer goes
+  async anonymizeCustomer(shopDomain, customerId) {
+    return await db('order_enforcements')
+      .where({ shop_domain: shopDomain, customer_id: customerId })
+      .update({ customer_id: null });
+  }
+};
+
+// Review columns plus the flagged order they are about
+const ORDER_REVIEW_COLUMNS = [
+  'order_reviews.*',
+  'order_enforcements.order_id',
+  'order_enforcements.order_name',
+  'order_enforcements.customer_id',
+  'order_enforcements.customer_tier',
+  'order_enforcements.required_tier',
+  'order_enforcements.line_items',
+  'order_enforcements.policy',
+  'order_enforcements.order_tag',
+  'order_enforcements.created_at as flagged_at'
+];
+
+function orderReviewsQuery(shopDomain) {
+  return db('order_reviews')
+    .join('order_enforcements', 'order_enforcements.id', 'order_reviews.enforcement_id')
+    .where('order_reviews.shop_domain', shopDomain);
+}
+
+function parseOrderReview(row) {
+  if (!row) return row;
+  return {
+    ...parseOrderEnforcement(row),
+    flagged_at: fromTimestamp(row.flagged_at),
+    resolved_at: fromTimestamp(row.resolved_at),
+    claimed_at: fromTimestamp(row.claimed_at)
+  };
+}
+
+const OrderReviews = {
+  // An enforcement is only queued once
+  async create(shopDomain, enforcementId, trx = db) {
+    return await trx('order_reviews').insert({
+      shop_domain: shopDomain,
+      enforcement_id: enforcementId,
+      status: 'pending',
+      created_at: toTimestamp()
+    }).onConflict('enforcement_id').ignore();
+  },
+
+  async get(shopDomain, id) {
+    return parseOrderReview(await orderReviewsQuery(shopDomain)
+      .where('order_reviews.id', id)
+      .first(ORDER_REVIEW_COLUMNS));
+  },
+
+  // Oldest first, so the queue is worked in order
+  async find(shopDomain, { status, limit = 50, offset = 0 } = {}) {
+    const query = orderReviewsQuery(shopDomain);
+    if (status) query.where('order_reviews.status', status);
+
+    const [{ count }] = await query.clone().count('* as count');
+    const rows = await query
+      .select(ORDER_REVIEW_COLUMNS)
+      .orderBy('order_reviews.id', 'asc')
+      .limit(limit)
+      .offset(offset);
+    return { entries: rows.map(parseOrderReview), total: Number(count) };
+  },
+
+  // Claims a pending review nobody else holds (or whose claim is older than
+  // staleBefore, left by a request that died); returns whether it did
+  async claim(shopDomain, id, now, staleBefore) {
+    const updated = await db('order_reviews')
+      .where({ shop_domain: shopDomain, id, status: 'pending' })
+      .where(query => query.whereNull('claimed_at').orWhere('claimed_at', '<', toTimestamp(staleBefore)))
+      .update({ claimed_at: toTimestamp(now) });
+    return updated > 0;
+  },
+
+  async releaseClaim(shopDomain, id) {
+    return await db('order_reviews')
+      .where({ shop_domain: shopDomain, id, status: 'pending' })
+      .update({ claimed_at: null });
+  },
+
+  // Only resolves reviews that are still pending; returns whether it did
+  async resolve(shopDomain, id, { status, resolution, resolvedBy }) {
+    const updated = await db('order_reviews')
+      .where({ shop_domain: shopDomain, id, status: 'pending' })
+      .update({
+        status,
+        resolution,
+        resolved_by: resolvedBy || null,
+        resolved_at: toTimestamp(),
+        claimed_at: null
+      });
+    return updated > 0;
+  }
+};
+
+module.exports = {
+  OrderEnforcements,
+  OrderReviews
+};
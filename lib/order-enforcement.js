@@ -0,0 +1,135 @@
+const ShopifyAPIClient = require('./shopify-api');
+const { OrderEnforcements, OrderReviews } = require('./order-enforcement-store');
+const { getTiers, findTier, mostRestrictiveTier } = require('./access-tiers');
+const { getSettings } = require('./settings');
+
+/**
+ * What happens to an order containing items the customer's tier can't buy:
+ *   log    - record the decision only
+ *   tag    - also add the shop's order_enforcement_tag to the order
+ *   hold   - also put the order's open fulfillment orders on hold
+ *   cancel - also cancel the order, restocking the items and refunding paid orders
+ */
+const ENFORCEMENT_POLICIES = ['log', 'tag', 'hold', 'cancel'];
+
+const HOLD_NOTES = 'Order contains pro-only items the customer does not have access to';
+
+/**
+ * The order's line items that require an access tier, with that tier
+ */
+async function findRestrictedItems(shopifyClient, shopDomain, lineItems = []) {
+  const restrictedItems = [];
+
+  for (const lineItem of lineItems) {
+    if (!lineItem.product_id) continue;
+
+    const requiredTier = await shopifyClient.isProductRestricted(lineItem.product_id, shopDomain);
+    if (requiredTier) {
+      restrictedItems.push({
+        id: lineItem.id,
+        product_id: lineItem.product_id,
+        variant_id: lineItem.variant_id || null,
+        title: lineItem.title || lineItem.name || null,
+        quantity: lineItem.quantity,
+        required_tier: requiredTier
+      });
+    }
+  }
+
+  return restrictedItems;
+}
+
+// Refund what was paid; partially paid orders are refunded by staff
+function cancelOptions(order) {
+  const options = { restock: true, email: true };
+  if (order.financial_status === 'paid') {
+    options.amount = order.current_total_price || order.total_price;
+    options.currency = order.currency;
+  }
+  return options;
+}
+
+async function applyPolicy(shopifyClient, order, policy, orderTag) {
+  switch (policy) {
+    case 'tag':
+      await shopifyClient.addOrderTags(order.id, [orderTag]);
+      break;
+    case 'hold':
+      await shopifyClient.holdFulfillment(order.id, HOLD_NOTES);
+      break;
+    case 'cancel':
+      await shopifyClient.cancelOrder(order.id, 'other', cancelOptions(order));
+      break;
+    default:
+      break;
+  }
+}
+
+/**
+ * Check a new order against the customer's access tier and apply the shop's
+ * order_enforcement policy when it contains items they can't buy. The
+ * decision is recorded as 'pending' before acting on the order, with its
+ * staff review unless the policy is to cancel, then marked 'applied' or
+ * 'failed'; a cancellation that failed is queued for review then. Returns the
+ * recorded enforcement, or null when the order is fine. Orders already
+ * decided are returned as they are, so webhook retries never act twice; only
+ * a decision left pending by an attempt that died mid-way is applied again.
+ */
+async function enforceOrder(shopDomain, order, shopifyClient = new ShopifyAPIClient({ shop: shopDomain })) {
+  let enforcement = await OrderEnforcements.getByOrder(shopDomain, order.id);
+  if (enforcement && enforcement.status !== 'pending') return enforcement;
+
+  if (!enforcement) {
+    const restrictedItems = await findRestrictedItems(shopifyClient, shopDomain, order.line_items);
+    if (restrictedItems.length === 0) return null;
+
+    const tiers = await getTiers(shopDomain);
+    const requiredTier = mostRestrictiveTier(tiers, restrictedItems.map(item => item.required_tier));
+    const access = await shopifyClient.validateCustomerAccess(order.customer?.id, requiredTier);
+
+    if (access.reason === 'error') {
+      // Don't act on an order we couldn't check; failing lets Shopify retry
+      throw new Error(`Could not check customer access for order ${order.id}`);
+    }
+    if (access.hasAccess) return null;
+
+    const customerRank = findTier(tiers, access.tier)?.rank ?? -1;
+    const offendingItems = restrictedItems.filter(item => (findTier(tiers, item.required_tier)?.rank || 0) > customerRank);
+    const settings = await getSettings(shopDomain);
+    const policy = settings.order_enforcement;
+
+    enforcement = await OrderEnforcements.create(shopDomain, {
+      order_id: order.id,
+      order_name: order.name,
+      customer_id: order.customer?.id,
+      customer_tier: access.tier,
+      required_tier: requiredTier,
+      line_items: offendingItems,
+      policy,
+      order_tag: policy === 'tag' ? settings.order_enforcement_tag : null,
+      status: 'pending'
+    }, { review: policy !== 'cancel' });
+  }
+
+  const { policy } = enforcement;
+  let status = 'applied';
+  let error = null;
+
+  try {
+    const orderTag = enforcement.order_tag || (await getSettings(shopDomain)).order_enforcement_tag;
+    await applyPolicy(shopifyClient, order, policy, orderTag);
+  } catch (applyError) {
+    status = 'failed';
+    error = applyError.message;
+  }
+
+  await OrderEnforcements.setStatus(shopDomain, enforcement.id, { status, error, review: policy === 'cancel' && status === 'failed' });
+  return { ...enforcement, status, error };
+}
+
+module.exports = {
+  ENFORCEMENT_POLICIES,
+  findRestrictedItems,
+  cancelOptions,
+  enforceOrder
+};
@@ -0,0 +1,105 @@
+const ShopifyAPIClient = require('./shopify-api');
+const { OrderReviews } = require('./order-enforcement-store');
+const { getTiers, findTier } = require('./access-tiers');
+const { syncCustomer } = require('./customer-access');
+const { cancelOptions } = require('./order-enforcement');
+
+/**
+ * Staff decisions on orders flagged by the orders/create check. Each function
+ * takes a pending review (OrderReviews.get), claims it, acts on the order in
+ * Shopify and then resolves the review. They return the resolved review, or
+ * null when someone else resolved it or is acting on it. A decision that
+ * fails gives up its claim so it can be tried again.
+ */
+
+// A claim older than this was left by a request that died
+const CLAIM_TIMEOUT_MS = 5 * 60 * 1000;
+
+async function withClaim(shopDomain, review, decide) {
+  const now = new Date();
+  const claimed = await OrderReviews.claim(shopDomain, review.id, now, new Date(now.getTime() - CLAIM_TIMEOUT_MS));
+  if (!claimed) return null;
+
+  try {
+    return await decide();
+  } catch (error) {
+    await OrderReviews.releaseClaim(shopDomain, review.id);
+    throw error;
+  }
+}
+
+async function resolveReview(shopDomain, review, resolution, resolvedBy) {
+  const status = resolution === 'cancelled' ? 'cancelled' : 'approved';
+  const resolved = await OrderReviews.resolve(shopDomain, review.id, { status, resolution, resolvedBy });
+  return resolved ? await OrderReviews.get(shopDomain, review.id) : null;
+}
+
+async function release(shopDomain, review, resolution, resolvedBy, shopifyClient) {
+  if (review.policy === 'hold') {
+    await shopifyClient.releaseFulfillmentHolds(review.order_id);
+  }
+  if (review.policy === 'tag' && review.order_tag) {
+    await shopifyClient.removeOrderTags(review.order_id, [review.order_tag]);
+  }
+  return await resolveReview(shopDomain, review, resolution, resolvedBy);
+}
+
+/**
+ * Let the order through as it is, releasing the fulfillment hold the 'hold'
+ * policy put on it or taking off the tag the 'tag' policy added
+ */
+async function releaseOrder(shopDomain, review, { resolvedBy } = {},
+  shopifyClient = new ShopifyAPIClient({ shop: shopDomain })) {
+  return await withClaim(shopDomain, review, () => release(shopDomain, review, 'released', resolvedBy, shopifyClient));
+}
+
+/**
+ * Cancel the order the way the 'cancel' policy would have
+ */
+async function cancelFlaggedOrder(shopDomain, review, { resolvedBy } = {},
+  shopifyClient = new ShopifyAPIClient({ shop: shopDomain })) {
+  return await withClaim(shopDomain, review, async () => {
+    const order = await shopifyClient.getOrder(review.order_id);
+    if (!order) {
+      throw new Error(`Order ${review.order_id} not found`);
+    }
+
+    await shopifyClient.cancelOrder(order.id, 'other', cancelOptions(order));
+    return await resolveReview(shopDomain, review, 'cancelled', resolvedBy);
+  });
+}
+
+/**
+ * Give the customer the tag of the tier the order required, then release the
+ * order. The review must have a customer.
+ */
+async function grantAccessAndRelease(shopDomain, review, { resolvedBy } = {},
+  shopifyClient = new ShopifyAPIClient({ shop: shopDomain })) {
+  return await withClaim(shopDomain, review, async () => {
+    const tiers = await getTiers(shopDomain);
+    const tier = findTier(tiers, review.required_tier);
+    if (!tier?.customer_tag) {
+      throw new Error(`Tier ${review.required_tier} has no customer tag to grant`);
+    }
+
+    const customer = await shopifyClient.getCustomer(review.customer_id);
+    if (!customer) {
+      throw new Error(`Customer ${review.customer_id} not found`);
+    }
+
+    const tags = (customer.tags || '').split(',').map(tag => tag.trim()).filter(Boolean);
+    if (!tags.some(tag => tag.toLowerCase() === tier.customer_tag.toLowerCase())) {
+      tags.push(tier.customer_tag);
+    }
+    const updated = await shopifyClient.updateCustomerTags(customer.id, tags.join(', '));
+    await syncCustomer(shopDomain, updated || { ...customer, tags: tags.join(', ') }, tiers);
+
+    return await release(shopDomain, review, 'access_granted', resolvedBy, shopifyClient);
+  });
+}
+
+module.exports = {
+  releaseOrder,
+  cancelFlaggedOrder,
+  grantAccessAndRelease
+};
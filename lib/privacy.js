@@ -0,0 +1,121 @@
+const {
+  AccessLogs,
+  CustomerAccess,
+  CustomerTierHistory,
+  CustomerDataRequests,
+  redactShopData
+} = require('./database');
+const { OrderEnforcements } = require('./order-enforcement-store');
+const { WebhookEvents } = require('./webhook-event-store');
+
+/**
+ * Shopify's mandatory privacy webhooks. Customer data lives in customer_access
+ * (email, tags, tier), customer_tier_history, access_logs (customer id, IP,
+ * user agent and visitor id, including anonymous rows from the same browser),
+ * order_enforcements (customer id), earlier data request exports and the
+ * payloads of webhooks not processed yet (including dead-lettered ones).
+ * Rollups hold counts only, and jobs drop their payload once finished.
+ */
+
+// Queued webhook payloads about a customer, by topic
+const CUSTOMER_WEBHOOKS = {
+  'customers/create': payload => payload.id,
+  'customers/update': payload => payload.id,
+  'customers/delete': payload => payload.id,
+  'customers/data_request': payload => payload.customer?.id,
+  'orders/create': payload => payload.customer?.id
+};
+
+function exportValue(value) {
+  return value instanceof Date ? value.toISOString() : value;
+}
+
+function exportRow(row) {
+  return Object.fromEntries(Object.entries(row)
+    .filter(([key]) => key !== 'shop_domain')
+    .map(([key, value]) => [key, exportValue(value)]));
+}
+
+/**
+ * Everything the app holds about a customer
+ */
+async function exportCustomerData(shopDomain, customerId) {
+  const visitorIds = await AccessLogs.getCustomerVisitorIds(shopDomain, customerId);
+  const [customer, tierHistory, accessLogs, orderEnforcements] = await Promise.all([
+    CustomerAccess.get(shopDomain, customerId),
+    CustomerTierHistory.getForCustomers(shopDomain, [customerId]),
+    AccessLogs.getForCustomer(shopDomain, customerId, visitorIds),
+    OrderEnforcements.getForCustomer(shopDomain, customerId)
+  ]);
+
+  return {
+    shopDomain,
+    customerId: Number(customerId),
+    exportedAt: new Date().toISOString(),
+    customer: customer ? exportRow(customer) : null,
+    tierHistory: tierHistory.map(exportRow),
+    accessLogs: accessLogs.map(exportRow),
+    orderEnforcements: orderEnforcements.map(exportRow)
+  };
+}
+
+/**
+ * customers/data_request: build the export and keep it for the merchant to
+ * download from the admin
+ */
+async function recordDataRequest(shopDomain, { customer, data_request: dataRequest } = {}) {
+  const data = await exportCustomerData(shopDomain, customer.id);
+  return await CustomerDataRequests.create(shopDomain, {
+    customerId: customer.id,
+    shopifyRequestId: dataRequest?.id || null,
+    data
+  });
+}
+
+/**
+ * Drop the customer's webhooks that are still queued or dead-lettered. Their
+ * payloads are full customers and orders, and processing them later would
+ * bring the customer's data back.
+ */
+async function deleteCustomerWebhooks(shopDomain, customerId) {
+  const events = await WebhookEvents.getWithPayload(shopDomain, Object.keys(CUSTOMER_WEBHOOKS));
+  const ids = events
+    .filter(event => String(CUSTOMER_WEBHOOKS[event.topic](event.payload || {})) === String(customerId))
+    .map(event => event.id);
+
+  return ids.length > 0 ? await WebhookEvents.delete(shopDomain, ids) : 0;
+}
+
+/**
+ * customers/redact: delete the customer's records, earlier exports and queued
+ * webhooks, strip the customer id, IP, user agent and visitor id from their
+ * access logs so the events still count in analytics, and unlink their order
+ * decisions. Returns what was touched per table.
+ */
+async function redactCustomer(shopDomain, customerId) {
+  const visitorIds = await AccessLogs.getCustomerVisitorIds(shopDomain, customerId);
+
+  return {
+    webhook_events: await deleteCustomerWebhooks(shopDomain, customerId),
+    customer_access: await CustomerAccess.delete(shopDomain, customerId),
+    customer_tier_history: await CustomerTierHistory.deleteForCustomer(shopDomain, customerId),
+    customer_data_requests: await CustomerDataRequests.deleteForCustomer(shopDomain, customerId),
+    access_logs: await AccessLogs.anonymizeCustomer(shopDomain, customerId, visitorIds),
+    order_enforcements: await OrderEnforcements.anonymizeCustomer(shopDomain, customerId)
+  };
+}
+
+/**
+ * shop/redact (48 hours after uninstall): remove everything held for the shop,
+ * including the access logs, rollups and audit log kept on uninstall
+ */
+async function redactShop(shopDomain) {
+  await redactShopData(shopDomain);
+}
+
+module.exports = {
+  exportCustomerData,
+  recordDataRequest,
+  redactCustomer,
+  redactShop
+};
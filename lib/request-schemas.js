@@ -0,0 +1,306 @@
+const Joi = require('joi');
+const { LEGACY_FIELDS } = require('./settings');
+const { ANALYTICS_EVENTS, ANALYTICS_BUTTONS } = require('./analytics');
+const { ENFORCEMENT_POLICIES } = require('./order-enforcement');
+
+/**
+ * Request schemas for the admin, storefront API and live admin routes, used
+ * with middleware/validation. They check shape and types only; anything that
+ * needs the database (whether a tier exists, rule conditions against the
+ * shop's tiers) is still checked in the route.
+ */
+
+const shopifyId = Joi.number().integer().positive();
+const tierName = Joi.string().trim().pattern(/^[a-z0-9_-]+$/i).max(50);
+const tag = Joi.string().trim().min(1).max(255);
+const text = Joi.string().allow('').max(1000);
+const visitorId = Joi.string().pattern(/^[A-Za-z0-9_-]{8,64}$/);
+const shopDomain = Joi.string().trim().pattern(/^[a-z0-9][a-z0-9-]*\.myshopify\.com$/i);
+const url = Joi.string().trim().uri({ allowRelative: true }).max(2048);
+const days = Joi.number().integer().min(1).max(365).default(30);
+const pagination = {
+  limit: Joi.number().integer().min(1).max(250).default(50),
+  page: Joi.number().integer().min(1).default(1)
+};
+
+const cartItems = Joi.array()
+  .items(Joi.object({
+    product_id: shopifyId.required(),
+    variant_id: shopifyId,
+    quantity: Joi.number().integer().min(1)
+  }).unknown(true))
+  .required();
+
+const settingsFields = {
+  is_enabled: Joi.boolean(),
+  verified_tag: tag,
+  butterfly_paid_tag: tag,
+  certification_url: url,
+  education_collections: text,
+  butterfly_collections: text,
+  pro_account_message: text,
+  pro_account_description: text,
+  pro_account_create_text: text,
+  pro_account_login_text: text,
+  pro_account_locate_text: text,
+  certification_message: text,
+  certification_description: text,
+  certification_button_text: text,
+  create_account_url: url,
+  login_url: url,
+  locate_stylists_url: url,
+  log_retention_days: Joi.number().integer().min(1).max(3650),
+  ip_retention_days: Joi.number().integer().min(0).max(3650),
+  order_enforcement: Joi.string().valid(...ENFORCEMENT_POLICIES),
+  order_enforcement_tag: tag.max(40) // Shopify's order tag limit
+};
+
+// Legacy names are accepted in place of the unified ones, with the same rules
+for (const [legacy, field] of Object.entries(LEGACY_FIELDS)) {
+  settingsFields[legacy] = settingsFields[field];
+}
+
+const settings = Joi.object(settingsFields).min(1);
+
+const restrictionUpdate = {
+  isRestricted: Joi.boolean(),
+  requiredTier: tierName.allow(null),
+  customMessage: text.allow(null)
+};
+
+const rule = {
+  name: Joi.string().trim().min(1).max(255),
+  priority: Joi.number().integer(),
+  conditions: Joi.object(),
+  outcome: tierName,
+  is_enabled: Joi.boolean()
+};
+
+const adminSchemas = {
+  dashboard: {
+    query: Joi.object({ days })
+  },
+  settings: {
+    body: settings
+  },
+  settingsHistory: {
+    query: Joi.object({ limit: Joi.number().integer().min(1).max(200).default(50) })
+  },
+  settingsRollback: {
+    params: Joi.object({ version: Joi.number().integer().positive().required() })
+  },
+  tier: {
+    params: Joi.object({ name: tierName.required() }),
+    body: Joi.object({
+      label: Joi.string().trim().min(1).max(255),
+      customer_tag: tag.allow('', null),
+      rank: Joi.number().integer().min(0),
+      lock_title: text.allow(null),
+      lock_description: text.allow(null),
+      button_text: text.allow(null),
+      button_url: url.allow('', null)
+    })
+  },
+  products: {
+    query: Joi.object({
+      ...pagination,
+      filter: Joi.string().valid('all', 'restricted', 'unrestricted').default('all'),
+      tier: tierName,
+      search: Joi.string().allow('').max(255).default('')
+    })
+  },
+  productRestriction: {
+    params: Joi.object({ productId: shopifyId.required() }),
+    body: Joi.object(restrictionUpdate)
+  },
+  bulkUpdate: {
+    body: Joi.object({
+      updates: Joi.array()
+        .items(Joi.object({ productId: shopifyId.required(), ...restrictionUpdate }))
+        .min(1)
+        .max(250)
+        .required()
+    })
+  },
+  collection: {
+    params: Joi.object({ collectionId: shopifyId.required() })
+  },
+  collectionException: {
+    params: Joi.object({ collectionId: shopifyId.required() }),
+    body: Joi.object({
+      isException: Joi.boolean().required(),
+      requiredTier: tierName.allow(null)
+    })
+  },
+  createRule: {
+    body: Joi.object({
+      ...rule,
+      name: rule.name.required(),
+      priority: rule.priority.default(0),
+      conditions: rule.conditions.default({}),
+      outcome: rule.outcome.required(),
+      is_enabled: rule.is_enabled.default(true)
+    })
+  },
+  updateRule: {
+    params: Joi.object({ ruleId: shopifyId.required() }),
+    body: Joi.object(rule)
+  },
+  deleteRule: {
+    params: Joi.object({ ruleId: shopifyId.required() })
+  },
+  analytics: {
+    query: Joi.object({ days })
+  },
+  accessReport: {
+    query: Joi.object({
+      from: Joi.date().iso(),
+      to: Joi.date().iso().min(Joi.ref('from')),
+      interval: Joi.string().valid('day', 'hour').default('day'),
+      limit: Joi.number().integer().min(1).max(100).default(10)
+    })
+  },
+  accessLogExport: {
+    query: Joi.object({
+      format: Joi.string().valid('csv', 'ndjson').default('csv'),
+      from: Joi.date().iso(),
+      to: Joi.date().iso().min(Joi.ref('from')),
+      accessType: Joi.string().trim().max(50),
+      productId: shopifyId,
+      customerId: shopifyId
+    })
+  },
+  funnel: {
+    query: Joi.object({
+      from: Joi.date().iso(),
+      to: Joi.date().iso().min(Joi.ref('from'))
+    })
+  },
+  dataRequest: {
+    params: Joi.object({ requestId: shopifyId.required() })
+  },
+  orderEnforcements: {
+    query: Joi.object({
+      ...pagination,
+      policy: Joi.string().valid(...ENFORCEMENT_POLICIES),
+      status: Joi.string().valid('pending', 'applied', 'failed')
+    })
+  },
+  orderReviews: {
+    query: Joi.object({
+      ...pagination,
+      status: Joi.string().valid('pending', 'approved', 'cancelled').default('pending')
+    })
+  },
+  orderReview: {
+    params: Joi.object({ reviewId: shopifyId.required() })
+  },
+  webhookEvents: {
+    query: Joi.object({
+      ...pagination,
+      status: Joi.string().valid('pending', 'processing', 'processed', 'failed'),
+      topic: Joi.string().trim().max(100)
+    })
+  },
+  webhookEvent: {
+    params: Joi.object({ eventId: shopifyId.required() })
+  },
+  jobs: {
+    query: Joi.object({
+      ...pagination,
+      status: Joi.string().valid('queued', 'running', 'succeeded', 'failed'),
+      type: Joi.string().trim().max(100)
+    })
+  },
+  job: {
+    params: Joi.object({ jobId: shopifyId.required() })
+  },
+  auditLog: {
+    query: Joi.object({
+      ...pagination,
+      targetType: Joi.string().valid('product', 'collection', 'settings', 'tier', 'rule', 'catalog', 'order', 'webhook'),
+      targetId: Joi.string().trim().max(255),
+      action: Joi.string().trim().max(100),
+      from: Joi.date().iso(),
+      to: Joi.date().iso().min(Joi.ref('from'))
+    }).with('targetId', 'targetType')
+  }
+};
+
+const apiSchemas = {
+  checkAccess: {
+    params: Joi.object({
+      productId: shopifyId.required(),
+      customerId: shopifyId
+    })
+  },
+  productStatus: {
+    params: Joi.object({ productId: shopifyId.required() })
+  },
+  customerStatus: {
+    params: Joi.object({ customerId: shopifyId.required() })
+  },
+  analytics: {
+    query: Joi.object({ days })
+  },
+  validateCart: {
+    body: Joi.object({
+      cartItems,
+      customerId: shopifyId.allow(null)
+    })
+  },
+  products: {
+    query: Joi.object(pagination)
+  }
+};
+
+const liveAdminSchemas = {
+  accessControl: {
+    body: settings
+  },
+  messages: {
+    body: settings
+  },
+  themeSettings: {
+    query: Joi.object({ shop: shopDomain }).unknown(true)
+  },
+  analytics: {
+    query: Joi.object({ days })
+  }
+};
+
+// App proxy query strings also carry Shopify's signed parameters
+const proxySchemas = {
+  checkAccess: {
+    query: Joi.object({ visitor_id: visitorId }).unknown(true)
+  },
+  validateCart: {
+    body: Joi.object({
+      cartItems,
+      customerId: Joi.any().strip() // the customer is the signed logged_in_customer_id
+    })
+  },
+  trackAnalytics: {
+    body: Joi.object({
+      action: Joi.string().valid(...ANALYTICS_EVENTS).required(),
+      product_id: shopifyId.allow(null),
+      customer_logged_in: Joi.boolean(),
+      access_level: tierName.allow(null), // the customer's tier
+      required_tier: tierName.allow(null),
+      visitor_id: visitorId,
+      button: Joi.string().valid(...ANALYTICS_BUTTONS).when('action', {
+        is: 'button_click',
+        then: Joi.required(),
+        otherwise: Joi.forbidden()
+      }),
+      timestamp: Joi.string().isoDate()
+    })
+  }
+};
+
+module.exports = {
+  adminSchemas,
+  apiSchemas,
+  liveAdminSchemas,
+  proxySchemas
+};
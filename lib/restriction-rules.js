@@ -0,0 +1,254 @@
+const ShopifyAPIClient = require('./shopify-api');
+const { AppSettings, ProductRestrictions, CollectionExceptions, RestrictionRules, CollectionMemberships } = require('./database');
+const {
+  getTiers,
+  findTier,
+  getRestrictedTier,
+  getProductRecordTier,
+  getCollectionRecordTier,
+  toRequiredTier,
+  parseTags
+} = require('./access-tiers');
+const { getCollectionsForProducts, getIndexedCollectionsByProduct } = require('./collection-membership');
+
+/**
+ * Conditions a stored rule can match on. A rule matches when every condition
+ * it sets matches; list-valued conditions match when any value matches.
+ */
+const CONDITION_TYPES = [
+  'vendor',         // exact vendor name, case-insensitive
+  'product_type',   // product type contains the value, case-insensitive
+  'product_tag',    // product carries the tag
+  'collection',     // product belongs to the collection (handle or id)
+  'price_min',      // lowest variant price >= value
+  'price_max',      // lowest variant price <= value
+  'handle_pattern'  // handle matches a glob such as "butterfly-*"
+];
+
+function toList(value) {
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function globToRegExp(pattern) {
+  const escaped = pattern.trim().toLowerCase().replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`);
+}
+
+function getProductPrice(product) {
+  const prices = (product.variants || [])
+    .map(variant => parseFloat(variant.price))
+    .filter(price => !isNaN(price));
+  return prices.length > 0 ? Math.min(...prices) : null;
+}
+
+const matchers = {
+  vendor: (values, product) => toList(values).includes(String(product.vendor || '').toLowerCase()),
+
+  product_type: (values, product) => {
+    const productType = String(product.product_type || '').toLowerCase();
+    return !!productType && toList(values).some(value => productType.includes(value));
+  },
+
+  product_tag: (values, product) => {
+    const tags = parseTags(product.tags);
+    return toList(values).some(value => tags.includes(value));
+  },
+
+  collection: (values, product, context) => {
+    const wanted = toList(values);
+    return (context.collections || []).some(collection =>
+      wanted.includes(String(collection.id)) || wanted.includes(String(collection.handle || '').toLowerCase())
+    );
+  },
+
+  price_min: (value, product) => {
+    const price = getProductPrice(product);
+    return price !== null && price >= parseFloat(value);
+  },
+
+  price_max: (value, product) => {
+    const price = getProductPrice(product);
+    return price !== null && price <= parseFloat(value);
+  },
+
+  handle_pattern: (values, product) => {
+    const handle = String(product.handle || '').toLowerCase();
+    return toList(values).some(pattern => globToRegExp(pattern).test(handle));
+  }
+};
+
+/**
+ * Check whether a rule's conditions all match a product. Rules without any
+ * conditions match everything.
+ */
+function matchesRule(rule, product, context = {}) {
+  return Object.entries(rule.conditions || {})
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .every(([type, value]) => matchers[type] ? matchers[type](value, product, context) : false);
+}
+
+/**
+ * Validate a rule definition. Returns a list of error messages (empty when valid).
+ */
+function validateRule(rule, tiers) {
+  const errors = [];
+  const conditions = rule.conditions || {};
+
+  if (typeof conditions !== 'object' || Array.isArray(conditions)) {
+    errors.push('conditions must be an object');
+  } else {
+    for (const type of Object.keys(conditions)) {
+      if (!CONDITION_TYPES.includes(type)) {
+        errors.push(`Unknown condition: ${type}`);
+      }
+    }
+    for (const type of ['price_min', 'price_max']) {
+      if (conditions[type] !== undefined && isNaN(parseFloat(conditions[type]))) {
+        errors.push(`${type} must be a number`);
+      }
+    }
+  }
+
+  if (!rule.outcome || !findTier(tiers, rule.outcome)) {
+    errors.push(`Unknown access tier: ${rule.outcome}`);
+  }
+
+  return errors;
+}
+
+/**
+ * Build the ordered rule set for a shop. Evaluation order (first match wins):
+ *   1. an explicit per-product record from the admin
+ *   2. stored rules, highest priority first
+ *   3. collection records, most restrictive tier first
+ *   4. the shop's education collections setting, matched on product type (public)
+ *   5. the default: restricted to the highest tier
+ */
+function buildRuleSet({ tiers, rules = [], restriction = null, exceptions = [], settings = null }) {
+  const ruleSet = [];
+
+  if (restriction) {
+    ruleSet.push({
+      source: 'product',
+      id: restriction.id,
+      name: `Product ${restriction.product_id}`,
+      conditions: {},
+      outcome: getProductRecordTier(tiers, restriction)
+    });
+  }
+
+  const storedRules = rules
+    .filter(rule => rule.is_enabled === undefined || !!rule.is_enabled)
+    .sort((a, b) => (b.priority - a.priority) || (a.id - b.id));
+  for (const rule of storedRules) {
+    ruleSet.push({ source: 'rule', id: rule.id, name: rule.name, conditions: rule.conditions, outcome: rule.outcome });
+  }
+
+  const collectionRules = exceptions
+    .map(exception => ({
+      source: 'collection',
+      id: exception.id,
+      name: `Collection ${exception.collection_handle}`,
+      conditions: { collection: [String(exception.collection_id), exception.collection_handle] },
+      outcome: getCollectionRecordTier(tiers, exception)
+    }))
+    .filter(rule => rule.outcome)
+    .sort((a, b) => (findTier(tiers, b.outcome)?.rank || 0) - (findTier(tiers, a.outcome)?.rank || 0));
+  ruleSet.push(...collectionRules);
+
+  if (settings?.education_collections) {
+    ruleSet.push({
+      source: 'education',
+      id: null,
+      name: 'Education collections',
+      conditions: { product_type: settings.education_collections },
+      outcome: 'public'
+    });
+  }
+
+  ruleSet.push({
+    source: 'default',
+    id: null,
+    name: 'Restricted by default',
+    conditions: {},
+    outcome: getRestrictedTier(tiers).name
+  });
+
+  return ruleSet;
+}
+
+/**
+ * Evaluate an ordered rule set against a product. Returns the matching rule
+ * and the tier it requires (requiredTier is null for public products).
+ */
+function evaluateRules(ruleSet, tiers, product, context = {}) {
+  const rule = ruleSet.find(candidate => matchesRule(candidate, product, context));
+  const tier = rule ? rule.outcome : getRestrictedTier(tiers).name;
+
+  return {
+    tier,
+    requiredTier: toRequiredTier(tiers, tier),
+    rule: rule ? { source: rule.source, id: rule.id, name: rule.name } : null
+  };
+}
+
+/**
+ * Load a shop's rules and decide which tier a product requires. This is the
+ * single decision point used by the API, webhooks and admin listings.
+ */
+async function evaluateProduct(shopDomain, product, context = {}) {
+  const [tiers, rules, restriction, exceptions, settings] = await Promise.all([
+    context.tiers || getTiers(shopDomain),
+    context.rules || RestrictionRules.getAll(shopDomain),
+    context.restrictions
+      ? context.restrictions.find(r => String(r.product_id) === String(product.id)) || null
+      : product.id ? ProductRestrictions.getByProduct(shopDomain, product.id) : null,
+    context.exceptions || CollectionExceptions.getAll(shopDomain),
+    context.settings || AppSettings.get(shopDomain)
+  ]);
+
+  const ruleSet = buildRuleSet({ tiers, rules, restriction, exceptions, settings });
+  return evaluateRules(ruleSet, tiers, product, context);
+}
+
+/**
+ * Evaluate many products at once (admin listings, dashboards). Rule inputs and
+ * indexed collection memberships are loaded once for the whole batch; products
+ * not indexed yet are looked up like a single check would
+ * (getProductCollections, a few at a time), so listings agree with the live
+ * decision.
+ */
+async function evaluateProducts(shopDomain, products, context = {}) {
+  const [tiers, rules, restrictions, exceptions, settings, memberships, indexedIds] = await Promise.all([
+    context.tiers || getTiers(shopDomain),
+    RestrictionRules.getAll(shopDomain),
+    ProductRestrictions.getAll(shopDomain),
+    CollectionExceptions.getAll(shopDomain),
+    context.settings || AppSettings.get(shopDomain),
+    getIndexedCollectionsByProduct(shopDomain),
+    CollectionMemberships.getIndexedProductIds(shopDomain)
+  ]);
+  const batchContext = { tiers, rules, restrictions, exceptions, settings };
+  const shopifyClient = context.shopifyClient || new ShopifyAPIClient({ shop: shopDomain });
+  const unindexed = products.filter(product => !indexedIds.has(String(product.id)));
+  const lookedUp = await getCollectionsForProducts(shopifyClient, shopDomain, unindexed.map(product => product.id));
+
+  return await Promise.all(products.map(async (product) => {
+    const collections = lookedUp.get(String(product.id)) || memberships.get(String(product.id)) || [];
+    const decision = await evaluateProduct(shopDomain, product, { ...batchContext, collections });
+    const restriction = restrictions.find(r => String(r.product_id) === String(product.id)) || null;
+    return { product, decision, restriction };
+  }));
+}
+
+module.exports = {
+  CONDITION_TYPES,
+  matchesRule,
+  validateRule,
+  buildRuleSet,
+  evaluateRules,
+  evaluateProduct,
+  evaluateProducts
+};
@@ -0,0 +1,71 @@
+const { Session } = require('@shopify/shopify-api');
+const { ShopifySessions } = require('./database');
+
+function toRow(session) {
+  return {
+    id: session.id,
+    shop_domain: session.shop,
+    state: session.state || null,
+    is_online: !!session.isOnline,
+    scope: session.scope || null,
+    expires: session.expires ? new Date(session.expires).getTime() : null,
+    access_token: session.accessToken || null,
+    user_id: session.onlineAccessInfo?.associated_user?.id || null,
+    online_access_info: session.onlineAccessInfo ? JSON.stringify(session.onlineAccessInfo) : null
+  };
+}
+
+function toSession(row) {
+  return new Session({
+    id: row.id,
+    shop: row.shop_domain,
+    state: row.state,
+    isOnline: !!row.is_online,
+    scope: row.scope || undefined,
+    expires: row.expires ? new Date(Number(row.expires)) : undefined,
+    accessToken: row.access_token || undefined,
+    onlineAccessInfo: row.online_access_info ? JSON.parse(row.online_access_info) : undefined
+  });
+}
+
+/**
+ * Knex-backed implementation of the Shopify SessionStorage interface, for
+ * both offline (per-shop) and online (per-user) sessions.
+ */
+const sessionStorage = {
+  async storeSession(session) {
+    try {
+      await ShopifySessions.upsert(toRow(session));
+      return true;
+    } catch (error) {
+      console.error('Error storing session:', error);
+      return false;
+    }
+  },
+
+  async loadSession(id) {
+    const row = await ShopifySessions.get(id);
+    return row ? toSession(row) : undefined;
+  },
+
+  async deleteSession(id) {
+    await ShopifySessions.delete(id);
+    return true;
+  },
+
+  async deleteSessions(ids) {
+    if (ids.length > 0) {
+      await ShopifySessions.delete(ids);
+    }
+    return true;
+  },
+
+  async findSessionsByShop(shop) {
+    const rows = await ShopifySessions.findByShop(shop);
+    return rows.map(toSession);
+  }
+};
+
+module.exports = {
+  sessionStorage
+};
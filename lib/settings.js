@@ -0,0 +1,227 @@
+const fs = require('fs');
+const { AppSettings, AccessTiers, SettingsVersions, fromTimestamp } = require('./database');
+
+/**
+ * Unified per-shop settings, one app_settings column each.
+ */
+const DEFAULT_SETTINGS = {
+  is_enabled: true,
+  verified_tag: 'verified',
+  butterfly_paid_tag: 'butterfly_paid',
+  certification_url: 'https://maliaextensions.com/pages/certification',
+  education_collections: 'courses,in-person-education-1',
+  butterfly_collections: 'butterfly,flutter-luxe',
+  pro_account_message: 'PRO ACCOUNT REQUIRED',
+  pro_account_description: 'MALIÁ PRODUCTS ARE AVAILABLE EXCLUSIVELY TO LICENSED HAIR STYLISTS.',
+  pro_account_create_text: 'CREATE FREE PRO ACCOUNT',
+  pro_account_login_text: 'LOGIN',
+  pro_account_locate_text: 'LOCATE CERTIFIED MALIÁ STYLISTS NEAR YOU',
+  certification_message: 'CERTIFICATION REQUIRED',
+  certification_description: 'GET CERTIFIED TO ACCESS PROFESSIONAL PRICING AND PLACE ORDERS.',
+  certification_button_text: 'EXPLORE CERTIFICATIONS OPTIONS',
+  create_account_url: '/account/register',
+  login_url: '/account/login',
+  locate_stylists_url: '/pages/find-stylists',
+  log_retention_days: 90, // raw access logs, after which only daily rollups remain
+  ip_retention_days: 30, // full IP addresses, after which they are truncated
+  order_enforcement: 'log', // orders with items the customer can't buy: 'log', 'tag', 'hold' or 'cancel'
+  order_enforcement_tag: 'pro-access-violation' // order tag for the 'tag' policy
+};
+
+const SETTINGS_FIELDS = Object.keys(DEFAULT_SETTINGS);
+
+// Names the live admin UI and theme (and the old JSON file) use for the same fields
+const LEGACY_FIELDS = {
+  pro_account_title: 'pro_account_message',
+  pro_account_subtitle: 'pro_account_description',
+  butterfly_title: 'certification_message',
+  butterfly_subtitle: 'certification_description',
+  butterfly_button_text: 'certification_button_text'
+};
+
+// The setting that holds each default tier's customer tag
+const TIER_TAG_SETTINGS = {
+  verified: 'verified_tag',
+  butterfly: 'butterfly_paid_tag'
+};
+
+/**
+ * Map incoming settings (unified or legacy names) to unified columns,
+ * dropping anything that isn't a setting.
+ */
+function normalizeSettings(input = {}) {
+  const settings = {};
+
+  for (const [key, value] of Object.entries(input)) {
+    const field = LEGACY_FIELDS[key] || key;
+    if (SETTINGS_FIELDS.includes(field) && value !== undefined) {
+      settings[field] = field === 'is_enabled' ? !!value : value;
+    }
+  }
+
+  return settings;
+}
+
+/**
+ * Add the legacy names alongside the unified ones for the admin UI and theme
+ */
+function withLegacyFields(settings) {
+  const result = { ...settings };
+  for (const [legacy, field] of Object.entries(LEGACY_FIELDS)) {
+    result[legacy] = settings[field];
+  }
+  return result;
+}
+
+/**
+ * A shop's settings with defaults for anything it hasn't stored
+ */
+async function getSettings(shopDomain) {
+  const stored = await AppSettings.get(shopDomain);
+  const settings = { ...DEFAULT_SETTINGS };
+
+  for (const field of SETTINGS_FIELDS) {
+    if (stored && stored[field] !== null && stored[field] !== undefined) {
+      settings[field] = field === 'is_enabled' ? !!stored[field] : stored[field];
+    }
+  }
+
+  return settings;
+}
+
+/**
+ * Field-level changes between two settings snapshots
+ */
+function diffSettings(before, after) {
+  return SETTINGS_FIELDS
+    .filter(field => before[field] !== after[field])
+    .map(field => ({ field, from: before[field], to: after[field] }));
+}
+
+/**
+ * The changed fields' old and new values, as { before, after } objects
+ */
+function changedValues(before, after) {
+  const changes = diffSettings(before, after);
+  return {
+    before: Object.fromEntries(changes.map(({ field, from }) => [field, from])),
+    after: Object.fromEntries(changes.map(({ field, to }) => [field, to]))
+  };
+}
+
+/**
+ * Save a partial update (unified or legacy names) and return the full settings.
+ * Every save that changes something is recorded as a new settings version.
+ */
+async function saveSettings(shopDomain, input, { author = null, source = 'admin', restoredVersion = null } = {}) {
+  const settings = normalizeSettings(input);
+
+  if (Object.keys(settings).length === 0) {
+    return await getSettings(shopDomain);
+  }
+
+  const [stored, latest, before] = await Promise.all([
+    AppSettings.get(shopDomain),
+    SettingsVersions.latest(shopDomain),
+    getSettings(shopDomain)
+  ]);
+
+  // Shops that saved settings before versioning existed get their current settings as a baseline
+  if (stored && !latest) {
+    await SettingsVersions.create(shopDomain, { settings: before, source: 'baseline' });
+  }
+
+  await AppSettings.createOrUpdate(shopDomain, settings);
+  const after = await getSettings(shopDomain);
+
+  if (!stored || diffSettings(before, after).length > 0) {
+    await SettingsVersions.create(shopDomain, {
+      settings: after,
+      author,
+      source,
+      restored_version: restoredVersion
+    });
+  }
+
+  return after;
+}
+
+/**
+ * Recent settings versions, newest first, each with its changes from the
+ * version before it (or from the defaults for a shop's first version)
+ */
+async function getSettingsHistory(shopDomain, limit = 50) {
+  // One extra row so the oldest returned version can still be diffed
+  const rows = await SettingsVersions.getAll(shopDomain, limit + 1);
+
+  return rows.slice(0, limit).map((row, index) => {
+    const previous = rows[index + 1] ? { ...DEFAULT_SETTINGS, ...rows[index + 1].settings } : DEFAULT_SETTINGS;
+
+    return {
+      version: row.version,
+      author: row.author,
+      source: row.source,
+      restored_version: row.restored_version,
+      created_at: fromTimestamp(row.created_at),
+      changes: diffSettings(previous, { ...DEFAULT_SETTINGS, ...row.settings })
+    };
+  });
+}
+
+/**
+ * Restore the settings stored in a previous version, recorded as a new
+ * version. Returns the restored settings, or null for an unknown version.
+ */
+async function rollbackSettings(shopDomain, version, { author = null } = {}) {
+  const target = await SettingsVersions.get(shopDomain, version);
+  if (!target) return null;
+
+  return await saveSettings(shopDomain, target.settings, {
+    author,
+    source: 'rollback',
+    restoredVersion: version
+  });
+}
+
+/**
+ * Keep stored tiers' customer tags in step with the tag settings
+ */
+async function syncTierTags(shopDomain, settings) {
+  for (const [name, field] of Object.entries(TIER_TAG_SETTINGS)) {
+    const tag = settings[field];
+    if (tag && await AccessTiers.getByName(shopDomain, name)) {
+      await AccessTiers.upsert(shopDomain, name, { customer_tag: tag });
+    }
+  }
+}
+
+/**
+ * One-time import of a live admin JSON settings file into a shop's settings.
+ * The file is renamed to <file>.imported so it is never applied twice.
+ * Returns the imported fields, or null when there is no file.
+ */
+async function importSettingsFile(shopDomain, filePath) {
+  if (!fs.existsSync(filePath)) return null;
+
+  const imported = normalizeSettings(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+  await saveSettings(shopDomain, imported, { source: 'import' });
+  fs.renameSync(filePath, `${filePath}.imported`);
+
+  return imported;
+}
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  LEGACY_FIELDS,
+  TIER_TAG_SETTINGS,
+  normalizeSettings,
+  withLegacyFields,
+  getSettings,
+  saveSettings,
+  diffSettings,
+  changedValues,
+  getSettingsHistory,
+  rollbackSettings,
+  syncTierTags,
+  importSettingsFile
+};
@@ -1,12 +1,64 @@
-const { shopifyApi } = require('@shopify/shopify-api');
+const axios = require('axios');
+const { SHOPIFY_API_VERSION, getShopCredentials } = require('./shopify-auth');
 
-class ShopifyAPIClient {
+// Query for the next page from a REST Link header (cursor pagination)
+function parseNextPage(linkHeader) {
+  const next = (linkHeader || '').split(',').find(link => /rel="next"/.test(link));
+  const url = next?.match(/<([^>]+)>/)?.[1];
+  if (!url) return null;
+
+  return { query: Object.fromEntries(new URL(url).searchParams) };
+}
+
+/**
+ * Minimal Admin REST client. Credentials come from the session when it
+ * carries an access token, otherwise from the shop's stored offline token.
+ */
+class RestClient {
   constructor(session) {
     this.session = session;
-    this.client = new shopifyApi.clients.Rest({
-      session: session,
-      apiVersion: '2024-01'
+  }
+
+  async getCredentials() {
+    const shop = this.session?.shop;
+    if (this.session?.accessToken) {
+      return { shop, accessToken: this.session.accessToken };
+    }
+
+    const credentials = await getShopCredentials(shop);
+    if (!credentials) {
+      throw new Error(`No Shopify access token stored for shop: ${shop}`);
+    }
+    return credentials;
+  }
+
+  async request(method, { path, query, data }) {
+    const { shop, accessToken } = await this.getCredentials();
+
+    const response = await axios({
+      method,
+      url: `https://${shop}/admin/api/${SHOPIFY_API_VERSION}/${path}`,
+      params: query,
+      data,
+      headers: { 'X-Shopify-Access-Token': accessToken }
     });
+
+    return {
+      body: response.data,
+      pageInfo: { nextPage: parseNextPage(response.headers?.link) }
+    };
+  }
+
+  get(options) { return this.request('get', options); }
+  post(options) { return this.request('post', options); }
+  put(options) { return this.request('put', options); }
+  delete(options) { return this.request('delete', options); }
+}
+
+class ShopifyAPIClient {
+  constructor(session) {
+    this.session = session;
+    this.client = new RestClient(session);
   }
 
   // Customer operations
@@ -17,6 +69,7 @@ class ShopifyAPIClient {
       });
       return response.body.customer;
     } catch (error) {
+      if (error.response?.status === 404) return null;
       console.error('Error fetching customer:', error);
       throw error;
     }
@@ -61,6 +114,7 @@ class ShopifyAPIClient {
       });
       return response.body.product;
     } catch (error) {
+      if (error.response?.status === 404) return null;
       console.error('Error fetching product:', error);
       throw error;
     }
@@ -85,17 +139,24 @@ class ShopifyAPIClient {
     }
   }
 
-  async getAllProducts() {
-    const allProducts = [];
-    let pageInfo = null;
+  async getAllProducts({ onPage } = {}) {
+    return await this.getAllPages('products.json', 'products', {}, { onPage });
+  }
+
+  // Follow Link-header pagination until Shopify reports no next page.
+  // onPage(count) is called with the running total after each page.
+  async getAllPages(path, key, query = {}, { onPage } = {}) {
+    const results = [];
+    let pageQuery = { limit: 250, ...query };
 
-    do {
-      const result = await this.getProducts(250, pageInfo);
-      allProducts.push(...result.products);
-      pageInfo = result.pageInfo?.nextPageUrl ? result.pageInfo : null;
-    } while (pageInfo);
+    while (pageQuery) {
+      const response = await this.client.get({ path, query: pageQuery });
+      results.push(...response.body[key]);
+      if (onPage) await onPage(results.length);
+      pageQuery = response.pageInfo?.nextPage?.query || null;
+    }
 
-    return allProducts;
+    return results;
   }
 
   async updateProductMetafields(productId, metafields) {
@@ -131,6 +192,7 @@ class ShopifyAPIClient {
       });
       return response.body.collection;
     } catch (error) {
+      if (error.response?.status === 404) return null;
       console.error('Error fetching collection:', error);
       throw error;
     }
@@ -149,6 +211,83 @@ class ShopifyAPIClient {
     }
   }
 
+  async getCollects(query = {}) {
+    try {
+      const response = await this.client.get({
+        path: 'collects.json',
+        query: { limit: 250, ...query }
+      });
+      return response.body.collects;
+    } catch (error) {
+      console.error('Error fetching collects:', error);
+      throw error;
+    }
+  }
+
+  async getCustomCollections(query = {}) {
+    try {
+      const response = await this.client.get({
+        path: 'custom_collections.json',
+        query: { limit: 250, ...query }
+      });
+      return response.body.custom_collections;
+    } catch (error) {
+      console.error('Error fetching custom collections:', error);
+      throw error;
+    }
+  }
+
+  async getSmartCollections(query = {}) {
+    try {
+      const response = await this.client.get({
+        path: 'smart_collections.json',
+        query: { limit: 250, ...query }
+      });
+      return response.body.smart_collections;
+    } catch (error) {
+      console.error('Error fetching smart collections:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * All collections a product belongs to: custom collections via collects,
+   * smart collections via their product_id filter.
+   */
+  async getProductCollections(productId) {
+    const [collects, smartCollections] = await Promise.all([
+      this.getCollects({ product_id: productId }),
+      this.getSmartCollections({ product_id: productId })
+    ]);
+
+    const customIds = collects.map(collect => collect.collection_id);
+    const customCollections = customIds.length > 0
+      ? await this.getCustomCollections({ ids: customIds.join(',') })
+      : [];
+
+    return [
+      ...customCollections.map(c => ({ id: c.id, handle: c.handle, title: c.title, type: 'custom' })),
+      ...smartCollections.map(c => ({ id: c.id, handle: c.handle, title: c.title, type: 'smart' }))
+    ];
+  }
+
+  async getCollectionProductIds(collectionId) {
+    const products = await this.getAllPages(`collections/${collectionId}/products.json`, 'products', { fields: 'id' });
+    return products.map(product => product.id);
+  }
+
+  async getAllCollections({ onPage } = {}) {
+    const [customCollections, smartCollections] = await Promise.all([
+      this.getAllPages('custom_collections.json', 'custom_collections', {}, { onPage }),
+      this.getAllPages('smart_collections.json', 'smart_collections', {}, { onPage })
+    ]);
+
+    return [
+      ...customCollections.map(collection => ({ ...collection, type: 'custom' })),
+      ...smartCollections.map(collection => ({ ...collection, type: 'smart' }))
+    ];
+  }
+
   // Order operations
   async getOrder(orderId) {
     try {
@@ -157,17 +296,23 @@ class ShopifyAPIClient {
       });
       return response.body.order;
     } catch (error) {
+      if (error.response?.status === 404) return null;
       console.error('Error fetching order:', error);
       throw error;
     }
   }
 
-  async cancelOrder(orderId, reason = 'restricted_product') {
+  /**
+   * Cancel an order. Options go to Shopify as-is: restock, email, and amount
+   * with currency to refund.
+   */
+  async cancelOrder(orderId, reason = 'other', options = {}) {
     try {
       const response = await this.client.post({
         path: `orders/${orderId}/cancel.json`,
         data: {
-          reason: reason
+          reason: reason,
+          ...options
         }
       });
       return response.body.order;
@@ -177,6 +322,101 @@ class ShopifyAPIClient {
     }
   }
 
+  async addOrderTags(orderId, tags) {
+    try {
+      const order = await this.getOrder(orderId);
+      const existing = (order?.tags || '').split(',').map(tag => tag.trim()).filter(Boolean);
+      const merged = [...new Set([...existing, ...tags])];
+
+      const response = await this.client.put({
+        path: `orders/${orderId}.json`,
+        data: {
+          order: {
+            id: orderId,
+            tags: merged.join(', ')
+          }
+        }
+      });
+      return response.body.order;
+    } catch (error) {
+      console.error('Error tagging order:', error);
+      throw error;
+    }
+  }
+
+  async removeOrderTags(orderId, tags) {
+    try {
+      const order = await this.getOrder(orderId);
+      const removed = tags.map(tag => tag.toLowerCase());
+      const remaining = (order?.tags || '').split(',').map(tag => tag.trim())
+        .filter(tag => tag && !removed.includes(tag.toLowerCase()));
+
+      const response = await this.client.put({
+        path: `orders/${orderId}.json`,
+        data: {
+          order: {
+            id: orderId,
+            tags: remaining.join(', ')
+          }
+        }
+      });
+      return response.body.order;
+    } catch (error) {
+      console.error('Error untagging order:', error);
+      throw error;
+    }
+  }
+
+  // Hold every open fulfillment order of the order
+  async holdFulfillment(orderId, reasonNotes) {
+    try {
+      const response = await this.client.get({
+        path: `orders/${orderId}/fulfillment_orders.json`
+      });
+      const openOrders = (response.body.fulfillment_orders || []).filter(fulfillmentOrder => fulfillmentOrder.status === 'open');
+
+      const held = [];
+      for (const fulfillmentOrder of openOrders) {
+        const hold = await this.client.post({
+          path: `fulfillment_orders/${fulfillmentOrder.id}/hold.json`,
+          data: {
+            fulfillment_hold: {
+              reason: 'other',
+              reason_notes: reasonNotes
+            }
+          }
+        });
+        held.push(hold.body.fulfillment_order);
+      }
+      return held;
+    } catch (error) {
+      console.error('Error holding fulfillment:', error);
+      throw error;
+    }
+  }
+
+  async releaseFulfillmentHolds(orderId) {
+    try {
+      const response = await this.client.get({
+        path: `orders/${orderId}/fulfillment_orders.json`
+      });
+      const heldOrders = (response.body.fulfillment_orders || []).filter(fulfillmentOrder => fulfillmentOrder.status === 'on_hold');
+
+      const released = [];
+      for (const fulfillmentOrder of heldOrders) {
+        const release = await this.client.post({
+          path: `fulfillment_orders/${fulfillmentOrder.id}/release_hold.json`,
+          data: {}
+        });
+        released.push(release.body.fulfillment_order);
+      }
+      return released;
+    } catch (error) {
+      console.error('Error releasing fulfillment holds:', error);
+      throw error;
+    }
+  }
+
   // Webhook operations
   async createWebhook(topic, address) {
     try {
@@ -222,17 +462,23 @@ class ShopifyAPIClient {
   }
 
   // Utility methods
-  async validateCustomerAccess(customerId, requiredTag = 'butterfly_paid') {
+  async validateCustomerAccess(customerId, requiredTier = null) {
     try {
-      if (!customerId) return { hasAccess: false, reason: 'not_logged_in' };
+      const { getTiers, resolveAccess } = require('./access-tiers');
+      const { findCustomer } = require('./customer-access');
+      const shopDomain = this.session?.shop;
+      const tiers = await getTiers(shopDomain);
+
+      if (!customerId) return resolveAccess(tiers, null, requiredTier);
 
-      const customer = await this.getCustomer(customerId);
+      // Cached tags first; Shopify only for customers no webhook has told us about
+      const customer = shopDomain
+        ? await findCustomer(this, shopDomain, customerId)
+        : await this.getCustomer(customerId);
       if (!customer) return { hasAccess: false, reason: 'customer_not_found' };
 
-      const hasTag = customer.tags && customer.tags.includes(requiredTag);
-      return { 
-        hasAccess: hasTag, 
-        reason: hasTag ? 'authorized' : 'no_tag',
+      return {
+        ...resolveAccess(tiers, customer, requiredTier),
         customer: customer
       };
     } catch (error) {
@@ -241,38 +487,35 @@ class ShopifyAPIClient {
     }
   }
 
+  /**
+   * Resolve the access tier a product requires. Returns the tier name
+   * (e.g. 'verified', 'butterfly') or null when the product is public.
+   */
   async isProductRestricted(productId, shopDomain) {
+    const { getTiers, getRestrictedTier } = require('./access-tiers');
+    let tiers = [];
+
     try {
-      const { ProductRestrictions, CollectionExceptions } = require('./database');
-      
-      // Check if product is explicitly restricted
-      const restriction = await ProductRestrictions.getByProduct(shopDomain, productId);
-      if (restriction) {
-        return restriction.is_restricted;
-      }
+      const { evaluateProduct } = require('./restriction-rules');
+      const { getProductCollections } = require('./collection-membership');
+      const { findProduct } = require('./catalog');
+      tiers = await getTiers(shopDomain);
 
-      // Check if product is in an exception collection
-      const product = await this.getProduct(productId);
-      if (product && product.product_type) {
-        // Check if any of the product's collections are exceptions
-        const collections = await this.getCollections();
-        const exceptionCollections = await CollectionExceptions.getAll(shopDomain);
-        
-        for (const collection of collections) {
-          const isException = exceptionCollections.find(
-            ex => ex.collection_id === collection.id && ex.is_exception
-          );
-          if (isException) {
-            return false; // Product is in exception collection
-          }
-        }
+      // Rules can still match an explicit product record when Shopify is unreachable
+      let product = null;
+      try {
+        product = await findProduct(this, shopDomain, productId);
+      } catch (error) {
+        product = null;
       }
 
-      // Default to restricted (pro-only)
-      return true;
+      const collections = await getProductCollections(this, shopDomain, productId);
+      const decision = await evaluateProduct(shopDomain, product || { id: productId }, { tiers, collections });
+      return decision.requiredTier;
     } catch (error) {
       console.error('Error checking product restriction:', error);
-      return true; // Default to restricted on error
+      // Default to restricted on error
+      return getRestrictedTier(tiers)?.name || 'butterfly';
     }
   }
 }
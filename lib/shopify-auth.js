@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { Session } = require('@shopify/shopify-api');
+const { AppSettings, AccessTiers } = require('./database');
+const { buildDefaultTiers } = require('./access-tiers');
+const { sessionStorage } = require('./session-storage');
+const { DEFAULT_SETTINGS, saveSettings } = require('./settings');
+
+const SHOPIFY_API_VERSION = '2024-01';
+
+function isValidShopDomain(shop) {
+  return typeof shop === 'string' && /^[a-z0-9][a-z0-9-]*\.myshopify\.com$/i.test(shop);
+}
+
+function getOfflineSessionId(shop) {
+  return `offline_${shop}`;
+}
+
+/**
+ * Shopify's authorization URL for an offline (per-shop) access token
+ */
+function buildAuthorizeUrl(shop, state) {
+  const params = new URLSearchParams({
+    client_id: process.env.SHOPIFY_API_KEY || '',
+    scope: process.env.SHOPIFY_SCOPES || '',
+    redirect_uri: `${process.env.SHOPIFY_APP_URL || ''}/api/auth/callback`,
+    state
+  });
+  return `https://${shop}/admin/oauth/authorize?${params.toString()}`;
+}
+
+/**
+ * Verify the hmac Shopify adds to OAuth redirects: a hex HMAC-SHA256 of the
+ * remaining query parameters, sorted by key and joined as a query string.
+ */
+function isValidOAuthHmac(query, secret) {
+  if (!query?.hmac || typeof query.hmac !== 'string' || !secret) return false;
+
+  const message = Object.keys(query)
+    .filter(key => key !== 'hmac' && key !== 'signature')
+    .sort()
+    .map(key => `${key}=${query[key]}`)
+    .join('&');
+
+  const expected = Buffer.from(crypto.createHmac('sha256', secret).update(message).digest('hex'));
+  const received = Buffer.from(query.hmac);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Exchange an authorization code for the shop's offline access token
+ */
+async function exchangeCodeForToken(shop, code) {
+  const response = await axios.post(`https://${shop}/admin/oauth/access_token`, {
+    client_id: process.env.SHOPIFY_API_KEY,
+    client_secret: process.env.SHOPIFY_API_SECRET,
+    code
+  });
+
+  return {
+    accessToken: response.data.access_token,
+    scope: response.data.scope,
+    associatedUser: response.data.associated_user || null // only sent for online tokens
+  };
+}
+
+async function storeOfflineToken(shop, accessToken, scope, state = null) {
+  return await sessionStorage.storeSession(new Session({
+    id: getOfflineSessionId(shop),
+    shop,
+    state: state || '',
+    isOnline: false,
+    scope,
+    accessToken
+  }));
+}
+
+/**
+ * The stored offline credentials for a shop, or null before it has installed
+ */
+async function getShopCredentials(shop) {
+  if (!shop) return null;
+
+  const session = await sessionStorage.loadSession(getOfflineSessionId(shop));
+  if (!session?.accessToken) return null;
+
+  return { shop, accessToken: session.accessToken, scope: session.scope };
+}
+
+/**
+ * Create a shop's default settings and access tiers. Returns the settings,
+ * or null when the shop already had them.
+ */
+async function installShop(shop) {
+  const existingSettings = await AppSettings.get(shop);
+  if (existingSettings) return null;
+
+  const settings = await saveSettings(shop, DEFAULT_SETTINGS, { source: 'install' });
+  await AccessTiers.seedDefaults(shop, buildDefaultTiers(settings));
+  return settings;
+}
+
+module.exports = {
+  SHOPIFY_API_VERSION,
+  isValidShopDomain,
+  buildAuthorizeUrl,
+  isValidOAuthHmac,
+  exchangeCodeForToken,
+  storeOfflineToken,
+  getShopCredentials,
+  installShop
+};
@@ -0,0 +1,98 @@
+const { AccessLogs } = require('./database');
+const { getTiers, resolveAccess, getTierMessage } = require('./access-tiers');
+
+/**
+ * Decide whether a customer (or null when not logged in) can access a product
+ * and log the attempt. Shared by the admin-session API and the app proxy.
+ * request.visitorId identifies an anonymous storefront visitor and must be an
+ * id we issued (verifyVisitorId); once they are logged in, their earlier
+ * anonymous events are attributed to the customer.
+ */
+async function checkProductAccess(shopifyClient, shopDomain, productId, customerId, request = {}) {
+  if (customerId && request.visitorId) {
+    await AccessLogs.linkVisitor(shopDomain, request.visitorId, customerId);
+  }
+
+  const requiredTier = await shopifyClient.isProductRestricted(productId, shopDomain);
+
+  if (!requiredTier) {
+    return { hasAccess: true, reason: 'not_restricted', requiredTier: null };
+  }
+
+  const accessResult = await shopifyClient.validateCustomerAccess(customerId, requiredTier);
+  const tiers = await getTiers(shopDomain);
+
+  // Log access attempt
+  await AccessLogs.log(
+    shopDomain,
+    productId,
+    customerId,
+    accessResult.hasAccess ? 'allowed' : accessResult.reason,
+    request.ip,
+    request.userAgent,
+    { requiredTier, customerTier: accessResult.tier, visitorId: request.visitorId }
+  );
+
+  return {
+    ...accessResult,
+    message: accessResult.missingTier ? getTierMessage(tiers, accessResult.missingTier) : null
+  };
+}
+
+/**
+ * Check every cart line against the tier its product requires.
+ */
+async function validateCart(shopifyClient, shopDomain, cartItems, customerId) {
+  const accessResult = await shopifyClient.validateCustomerAccess(customerId);
+  const tiers = await getTiers(shopDomain);
+
+  const validationResults = [];
+
+  for (const item of cartItems) {
+    const requiredTier = await shopifyClient.isProductRestricted(item.product_id, shopDomain);
+
+    // Re-check the customer against this item's tier; lookup failures keep their reason
+    let itemAccess = { hasAccess: true, reason: 'not_restricted' };
+    if (requiredTier) {
+      itemAccess = accessResult.customer || !customerId
+        ? resolveAccess(tiers, accessResult.customer || null, requiredTier)
+        : accessResult;
+    }
+
+    validationResults.push({
+      productId: item.product_id,
+      variantId: item.variant_id,
+      quantity: item.quantity,
+      isRestricted: !!requiredTier,
+      requiredTier,
+      missingTier: itemAccess.hasAccess ? null : requiredTier,
+      hasAccess: itemAccess.hasAccess,
+      reason: itemAccess.reason
+    });
+  }
+
+  const restrictedItems = validationResults.filter(result => result.isRestricted && !result.hasAccess);
+
+  return {
+    valid: restrictedItems.length === 0,
+    customerAccess: accessResult,
+    items: validationResults,
+    restrictedItems
+  };
+}
+
+/**
+ * Lock-screen copy for every gated tier, keyed by tier name.
+ */
+async function getTierMessages(shopDomain) {
+  const tiers = await getTiers(shopDomain);
+  return tiers
+    .filter(tier => tier.rank > 0)
+    .reduce((messages, tier) => ({ ...messages, [tier.name]: getTierMessage(tiers, tier.name) }), {});
+}
+
+module.exports = {
+  checkProductAccess,
+  validateCart,
+  getTierMessages
+};
@@ -0,0 +1,44 @@
+const crypto = require('crypto');
+
+/**
+ * Anonymous storefront visitor ids. The app proxy issues each browser a
+ * signed id (a random id followed by its HMAC for the shop) that the theme
+ * keeps and sends back; only ids we signed are logged or linked to a
+ * customer, so nobody can claim another visitor's history by guessing or
+ * copying a bare id.
+ */
+
+const ID_LENGTH = 32; // hex characters of the random part
+
+function sign(shopDomain, id, secret) {
+  return crypto.createHmac('sha256', secret).update(`${shopDomain}:${id}`).digest('hex').slice(0, ID_LENGTH);
+}
+
+/**
+ * A new signed visitor id for the shop, or null when the app secret isn't set
+ */
+function issueVisitorId(shopDomain, secret = process.env.SHOPIFY_API_SECRET) {
+  if (!secret) return null;
+
+  const id = crypto.randomBytes(ID_LENGTH / 2).toString('hex');
+  return `${id}${sign(shopDomain, id, secret)}`;
+}
+
+/**
+ * The visitor id inside a signed token we issued for the shop, or null
+ */
+function verifyVisitorId(shopDomain, token, secret = process.env.SHOPIFY_API_SECRET) {
+  if (!secret || typeof token !== 'string' || !/^[0-9a-f]+$/.test(token) || token.length !== ID_LENGTH * 2) {
+    return null;
+  }
+
+  const id = token.slice(0, ID_LENGTH);
+  const expected = Buffer.from(sign(shopDomain, id, secret));
+  const received = Buffer.from(token.slice(ID_LENGTH));
+  return crypto.timingSafeEqual(expected, received) ? id : null;
+}
+
+module.exports = {
+  issueVisitorId,
+  verifyVisitorId
+};
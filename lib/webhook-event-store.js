@@ -0,0 +1,142 @@
+const { db, toTimestamp, fromTimestamp } = require('./database');
+
+/**
+ * Received webhooks waiting to be processed, being retried or dead-lettered
+ * (webhook_events). See lib/webhook-queue.
+ */
+
+function parseWebhookEvent(row) {
+  if (!row) return row;
+  const event = { ...row };
+  if ('payload' in row) event.payload = row.payload ? JSON.parse(row.payload) : null;
+  return {
+    ...event,
+    next_attempt_at: fromTimestamp(row.next_attempt_at),
+    locked_at: fromTimestamp(row.locked_at),
+    received_at: fromTimestamp(row.received_at),
+    processed_at: fromTimestamp(row.processed_at)
+  };
+}
+
+const WebhookEvents = {
+  async get(id) {
+    return parseWebhookEvent(await db('webhook_events').where('id', id).first());
+  },
+
+  async getByWebhookId(webhookId) {
+    return parseWebhookEvent(await db('webhook_events').where('webhook_id', webhookId).first());
+  },
+
+  async create(shopDomain, { webhookId, topic, payload }) {
+    const now = toTimestamp();
+    const [row] = await db('webhook_events').insert({
+      shop_domain: shopDomain,
+      webhook_id: webhookId || null,
+      topic,
+      payload: JSON.stringify(payload),
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: now,
+      received_at: now
+    }).returning('id');
+    return await this.get(typeof row === 'object' ? row.id : row);
+  },
+
+  // Pending events that are due, plus events whose worker died mid-attempt
+  async getDue(now, staleBefore, limit) {
+    const rows = await db('webhook_events')
+      .where(query => query
+        .where('status', 'pending').where('next_attempt_at', '<=', toTimestamp(now))
+        .orWhere(stale => stale.where('status', 'processing').where('locked_at', '<', toTimestamp(staleBefore))))
+      .orderBy('next_attempt_at', 'asc')
+      .orderBy('id', 'asc')
+      .limit(limit);
+    return rows.map(parseWebhookEvent);
+  },
+
+  // Take an event for processing; false when another worker got it first
+  async claim(event, now) {
+    const updated = await db('webhook_events')
+      .where({ id: event.id, status: event.status, attempts: event.attempts })
+      .update({ status: 'processing', attempts: event.attempts + 1, locked_at: toTimestamp(now) });
+    return updated > 0;
+  },
+
+  async markProcessed(id, now) {
+    await db('webhook_events').where('id', id).update({
+      status: 'processed',
+      payload: null,
+      last_error: null,
+      locked_at: null,
+      processed_at: toTimestamp(now)
+    });
+  },
+
+  // Back to pending at nextAttemptAt, or dead-lettered as 'failed' when null
+  async markFailed(id, error, nextAttemptAt) {
+    await db('webhook_events').where('id', id).update({
+      status: nextAttemptAt ? 'pending' : 'failed',
+      last_error: error,
+      locked_at: null,
+      ...(nextAttemptAt && { next_attempt_at: toTimestamp(nextAttemptAt) })
+    });
+  },
+
+  // Put a dead-lettered event back in the queue with fresh attempts
+  async requeue(shopDomain, id) {
+    const updated = await db('webhook_events')
+      .where({ shop_domain: shopDomain, id, status: 'failed' })
+      .update({ status: 'pending', attempts: 0, next_attempt_at: toTimestamp() });
+    return updated > 0;
+  },
+
+  // Newest first, without payloads, optionally filtered by status and topic
+  async find(shopDomain, { status, topic, limit = 50, offset = 0 } = {}) {
+    const query = db('webhook_events').where('shop_domain', shopDomain);
+    if (status) query.where('status', status);
+    if (topic) query.where('topic', topic);
+
+    const [{ count }] = await query.clone().count('* as count');
+    const rows = await query
+      .select('id', 'webhook_id', 'topic', 'status', 'attempts', 'last_error', 'next_attempt_at', 'received_at', 'processed_at')
+      .orderBy('id', 'desc')
+      .limit(limit)
+      .offset(offset);
+    return { entries: rows.map(parseWebhookEvent), total: Number(count) };
+  },
+
+  async getCounts(shopDomain) {
+    const rows = await db('webhook_events')
+      .where('shop_domain', shopDomain)
+      .select('status')
+      .count('* as count')
+      .groupBy('status');
+    return Object.fromEntries(rows.map(row => [row.status, Number(row.count)]));
+  },
+
+  // Events that still hold their payload (not processed yet), for customers/redact
+  async getWithPayload(shopDomain, topics) {
+    const rows = await db('webhook_events')
+      .where('shop_domain', shopDomain)
+      .whereIn('topic', topics)
+      .whereNotNull('payload')
+      .select('id', 'topic', 'status', 'payload');
+    return rows.map(parseWebhookEvent);
+  },
+
+  async delete(shopDomain, ids) {
+    return await db('webhook_events').where('shop_domain', shopDomain).whereIn('id', ids).del();
+  },
+
+  // Processed events are only kept to spot Shopify's redeliveries
+  async pruneProcessed(before) {
+    return await db('webhook_events')
+      .where('status', 'processed')
+      .where('processed_at', '<', toTimestamp(before))
+      .del();
+  }
+};
+
+module.exports = {
+  WebhookEvents
+};
@@ -0,0 +1,153 @@
+const ShopifyAPIClient = require('./shopify-api');
+const { AppSettings, db, deleteShopData } = require('./database');
+const { getProductCollections, indexCollection } = require('./collection-membership');
+const { syncProduct, removeProduct, syncCollection, removeCollection } = require('./catalog');
+const { syncCustomer, removeCustomer } = require('./customer-access');
+const { evaluateProduct } = require('./restriction-rules');
+const { enforceOrder } = require('./order-enforcement');
+const { recordDataRequest, redactCustomer, redactShop } = require('./privacy');
+
+/**
+ * What each webhook topic does, run by the webhook queue after the webhook
+ * has been acknowledged. Handlers get the shop and the webhook payload
+ * (already validated by routes/webhooks) and throw to have the event retried,
+ * so everything they do must be safe to run again.
+ */
+
+async function appUninstalled(shopDomain) {
+  console.log(`App uninstalled for shop: ${shopDomain}`);
+
+  await deleteShopData(shopDomain);
+  // Keep access_logs for potential analytics; the retention job prunes them
+  // and shop/redact removes them 48 hours after uninstall
+}
+
+/**
+ * Store the customer's tags and tier so access checks don't need a Shopify call
+ */
+function customerChange(action) {
+  return async (shopDomain, customer) => {
+    console.log(`Customer ${action}: ${customer.id} in shop: ${shopDomain}`);
+
+    const tier = await syncCustomer(shopDomain, customer);
+    if (tier && tier.rank > 0) {
+      console.log(`Customer ${customer.id} now has ${tier.name} tier`);
+    }
+  };
+}
+
+async function customerDeleted(shopDomain, customer) {
+  console.log(`Customer deleted: ${customer.id} in shop: ${shopDomain}`);
+
+  await removeCustomer(shopDomain, customer.id);
+}
+
+/**
+ * Mandatory privacy webhook: export everything held about the customer for
+ * the merchant (GET /api/admin/data-requests)
+ */
+async function customerDataRequest(shopDomain, payload) {
+  console.log(`Customer data requested: ${payload.customer.id} in shop: ${shopDomain}`);
+
+  const dataRequest = await recordDataRequest(shopDomain, payload);
+  console.log(`Customer data export ${dataRequest.id} ready for shop: ${shopDomain}`);
+}
+
+/**
+ * Mandatory privacy webhook: remove or anonymize the customer's data
+ */
+async function customerRedact(shopDomain, payload) {
+  console.log(`Customer redact: ${payload.customer.id} in shop: ${shopDomain}`);
+
+  const redacted = await redactCustomer(shopDomain, payload.customer.id);
+  console.log(`Customer ${payload.customer.id} redacted:`, redacted);
+}
+
+/**
+ * Mandatory privacy webhook, sent 48 hours after uninstall: remove everything
+ * held for the shop
+ */
+async function shopRedact(shopDomain) {
+  console.log(`Shop redact: ${shopDomain}`);
+
+  await redactShop(shopDomain);
+}
+
+async function orderCreated(shopDomain, order) {
+  console.log(`Order created: ${order.id} in shop: ${shopDomain}`);
+
+  // Apply the shop's enforcement policy when the customer lacks access to restricted items
+  const enforcement = await enforceOrder(shopDomain, order);
+
+  if (enforcement) {
+    console.log(`Order ${order.id} contains items needing ${enforcement.required_tier} access:`, enforcement.line_items);
+    console.log(`Order ${order.id} enforcement: ${enforcement.policy} (${enforcement.status})`);
+  }
+}
+
+/**
+ * Mirror the product, then evaluate the shop's restriction rules against it
+ */
+function productChange(action) {
+  return async (shopDomain, product) => {
+    console.log(`Product ${action}: ${product.id} in shop: ${shopDomain}`);
+
+    const settings = await AppSettings.get(shopDomain);
+    if (settings) {
+      await syncProduct(shopDomain, product);
+      const shopifyClient = new ShopifyAPIClient({ shop: shopDomain });
+      const collections = await getProductCollections(shopifyClient, shopDomain, product.id, 0);
+      const decision = await evaluateProduct(shopDomain, product, { settings, collections });
+      console.log(`Product ${product.id} requires ${decision.tier} access (${decision.rule?.name})`);
+    }
+  };
+}
+
+async function productDeleted(shopDomain, product) {
+  console.log(`Product deleted: ${product.id} in shop: ${shopDomain}`);
+
+  // Clean up product restriction data and the mirrored product
+  await db('product_restrictions').where({ shop_domain: shopDomain, product_id: product.id }).del();
+  await removeProduct(shopDomain, product.id);
+}
+
+/**
+ * Mirror the collection and re-index which products belong to it
+ */
+async function collectionChange(shopDomain, collection) {
+  console.log(`Collection changed: ${collection.id} in shop: ${shopDomain}`);
+
+  const settings = await AppSettings.get(shopDomain);
+  if (settings) {
+    await syncCollection(shopDomain, collection);
+    const shopifyClient = new ShopifyAPIClient({ shop: shopDomain });
+    await indexCollection(shopifyClient, shopDomain, collection);
+  }
+}
+
+async function collectionDeleted(shopDomain, collection) {
+  console.log(`Collection deleted: ${collection.id} in shop: ${shopDomain}`);
+
+  await removeCollection(shopDomain, collection.id);
+}
+
+const WEBHOOK_HANDLERS = {
+  'app/uninstalled': appUninstalled,
+  'customers/create': customerChange('created'),
+  'customers/update': customerChange('updated'),
+  'customers/delete': customerDeleted,
+  'customers/data_request': customerDataRequest,
+  'customers/redact': customerRedact,
+  'shop/redact': shopRedact,
+  'orders/create': orderCreated,
+  'products/create': productChange('created'),
+  'products/update': productChange('updated'),
+  'products/delete': productDeleted,
+  'collections/create': collectionChange,
+  'collections/update': collectionChange,
+  'collections/delete': collectionDeleted
+};
+
+module.exports = {
+  WEBHOOK_HANDLERS
+};
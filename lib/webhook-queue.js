@@ -0,0 +1,158 @@
+const { WebhookEvents } = require('./webhook-event-store');
+const { WEBHOOK_HANDLERS } = require('./webhook-handlers');
+
+/**
+ * Persistent webhook queue. Routes store each webhook in webhook_events and
+ * answer Shopify straight away; the worker runs the topic's handler (see
+ * lib/webhook-handlers). Shopify's redeliveries carry the same
+ * X-Shopify-Webhook-Id and are dropped. Failed attempts are retried with
+ * exponential backoff, and events still failing after MAX_ATTEMPTS are left
+ * as 'failed' (the dead letters) for staff to retry from the admin.
+ */
+
+const MAX_ATTEMPTS = 8;
+const RETRY_BASE_MS = 30 * 1000; // 30s, 1m, 2m, 4m ... capped at RETRY_MAX_MS
+const RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+const STALE_LOCK_MS = 10 * 60 * 1000; // a worker that died mid-attempt
+// Processed webhooks are kept this long to recognize redeliveries: a week,
+// well past the 48 hours over which Shopify retries a delivery
+const DEDUPE_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+
+function retryDelay(attempts) {
+  return Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+}
+
+/**
+ * Store a webhook for processing. Returns the queued event and whether it is
+ * a redelivery of one already queued.
+ */
+async function enqueueWebhook(shopDomain, topic, webhookId, payload) {
+  if (webhookId) {
+    const existing = await WebhookEvents.getByWebhookId(webhookId);
+    if (existing) return { event: existing, duplicate: true };
+  }
+
+  try {
+    return { event: await WebhookEvents.create(shopDomain, { webhookId, topic, payload }), duplicate: false };
+  } catch (error) {
+    // The same delivery arriving twice at once loses on the unique webhook_id
+    const existing = webhookId && await WebhookEvents.getByWebhookId(webhookId);
+    if (existing) return { event: existing, duplicate: true };
+    throw error;
+  }
+}
+
+/**
+ * Run one queued event's handler. Returns the event's new status, or null
+ * when another worker claimed it first.
+ */
+async function processWebhookEvent(event, now = new Date()) {
+  if (!await WebhookEvents.claim(event, now)) return null;
+
+  const attempts = event.attempts + 1;
+  try {
+    const handler = WEBHOOK_HANDLERS[event.topic];
+    if (!handler) {
+      throw new Error(`No handler for webhook topic ${event.topic}`);
+    }
+
+    await handler(event.shop_domain, event.payload);
+    await WebhookEvents.markProcessed(event.id, new Date());
+    return 'processed';
+  } catch (error) {
+    const nextAttemptAt = attempts < MAX_ATTEMPTS ? new Date(now.getTime() + retryDelay(attempts)) : null;
+    console.error(`Webhook ${event.topic} (event ${event.id}, attempt ${attempts}) failed:`, error);
+    await WebhookEvents.markFailed(event.id, error.message, nextAttemptAt);
+    return nextAttemptAt ? 'pending' : 'failed';
+  }
+}
+
+/**
+ * Process every event that is due, oldest first. Returns how many were
+ * processed, rescheduled and dead-lettered.
+ */
+async function processDueWebhooks({ now = new Date(), limit = 100 } = {}) {
+  const results = { processed: 0, pending: 0, failed: 0 };
+  const events = await WebhookEvents.getDue(now, new Date(now.getTime() - STALE_LOCK_MS), limit);
+
+  for (const event of events) {
+    const status = await processWebhookEvent(event, now);
+    if (status) results[status] += 1;
+  }
+  return results;
+}
+
+/**
+ * Put a dead-lettered event back in the queue. Returns false when the event
+ * doesn't exist or isn't failed.
+ */
+async function retryWebhookEvent(shopDomain, id) {
+  const requeued = await WebhookEvents.requeue(shopDomain, id);
+  if (requeued) wakeWebhookWorker();
+  return requeued;
+}
+
+// Run daily by the maintenance.prune job (see lib/job-handlers)
+async function pruneWebhookEvents(now = new Date()) {
+  return await WebhookEvents.pruneProcessed(new Date(now.getTime() - DEDUPE_WINDOW_MS));
+}
+
+let worker = null;
+
+async function runWorker() {
+  const state = worker;
+  if (!state) return;
+  if (state.running) {
+    state.again = true;
+    return;
+  }
+  state.running = true;
+
+  try {
+    do {
+      state.again = false;
+      // Keep going while there is work, as more may have become due meanwhile
+      const { processed, pending, failed } = await processDueWebhooks();
+      if (processed + pending + failed > 0) state.again = true;
+    } while (state.again && worker === state);
+  } catch (error) {
+    console.error('Webhook worker error:', error);
+  } finally {
+    state.running = false;
+  }
+}
+
+/**
+ * Poll the queue in this process. Routes wake the worker as webhooks arrive,
+ * so polling only picks up retries and events queued by other instances.
+ */
+function startWebhookWorker({ intervalMs = 5000 } = {}) {
+  if (worker) return worker;
+
+  worker = { running: false, again: false };
+  worker.timer = setInterval(runWorker, intervalMs);
+  worker.timer.unref();
+  return worker;
+}
+
+function wakeWebhookWorker() {
+  if (worker?.timer) setImmediate(runWorker);
+}
+
+function stopWebhookWorker() {
+  if (worker) clearInterval(worker.timer);
+  worker = null;
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  retryDelay,
+  enqueueWebhook,
+  processWebhookEvent,
+  processDueWebhooks,
+  retryWebhookEvent,
+  pruneWebhookEvents,
+  startWebhookWorker,
+  wakeWebhookWorker,
+  stopWebhookWorker
+};
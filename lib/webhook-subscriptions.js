@@ -0,0 +1,42 @@
+const ShopifyAPIClient = require('./shopify-api');
+const { WEBHOOK_HANDLERS } = require('./webhook-handlers');
+
+/**
+ * Webhook subscriptions the app makes for each shop when it is installed.
+ * The mandatory privacy topics can't be subscribed through the Admin API;
+ * they are set in the app configuration (checkout_extension/shopify.app.toml).
+ */
+
+const PRIVACY_TOPICS = ['customers/data_request', 'customers/redact', 'shop/redact'];
+const WEBHOOK_TOPICS = Object.keys(WEBHOOK_HANDLERS).filter(topic => !PRIVACY_TOPICS.includes(topic));
+
+function webhookAddress(topic, appUrl = process.env.SHOPIFY_APP_URL) {
+  return `${appUrl}/api/webhooks/${topic}`;
+}
+
+/**
+ * Subscribe the shop to every topic in WEBHOOK_TOPICS at this app's URL.
+ * Subscriptions the shop already has (re-authorizing an installed app) are
+ * left alone. Returns the topics that were subscribed.
+ */
+async function registerWebhooks(shopDomain, accessToken) {
+  const shopifyClient = new ShopifyAPIClient({ shop: shopDomain, accessToken });
+  const existing = await shopifyClient.getWebhooks();
+  const subscribed = new Set(existing.map(webhook => `${webhook.topic} ${webhook.address}`));
+
+  const created = [];
+  for (const topic of WEBHOOK_TOPICS) {
+    const address = webhookAddress(topic);
+    if (subscribed.has(`${topic} ${address}`)) continue;
+
+    await shopifyClient.createWebhook(topic, address);
+    created.push(topic);
+  }
+  return created;
+}
+
+module.exports = {
+  WEBHOOK_TOPICS,
+  webhookAddress,
+  registerWebhooks
+};
@@ -1,5 +1,5 @@
 const ShopifyAPIClient = require('../lib/shopify-api');
-const { AccessLogs } = require('../lib/database');
+const { AccessLogs, AdminAuditLog } = require('../lib/database');
 
 /**
  * Middleware to validate customer access to restricted products
@@ -15,17 +15,17 @@ async function validateCustomerAccess(req, res, next) {
 
     const shopifyClient = new ShopifyAPIClient(req.session);
     
-    // Check if product is restricted
-    const isRestricted = await shopifyClient.isProductRestricted(productId, shopDomain);
+    // Check which tier the product requires
+    const requiredTier = await shopifyClient.isProductRestricted(productId, shopDomain);
     
-    if (!isRestricted) {
+    if (!requiredTier) {
       // Product is not restricted, allow access
       req.accessResult = { hasAccess: true, reason: 'not_restricted' };
       return next();
     }
 
-    // Product is restricted, check customer access
-    const accessResult = await shopifyClient.validateCustomerAccess(customerId);
+    // Product is restricted, check customer access against its tier
+    const accessResult = await shopifyClient.validateCustomerAccess(customerId, requiredTier);
     
     // Log access attempt
     await AccessLogs.log(
@@ -34,7 +34,8 @@ async function validateCustomerAccess(req, res, next) {
       customerId,
       accessResult.hasAccess ? 'allowed' : accessResult.reason,
       req.ip,
-      req.get('User-Agent')
+      req.get('User-Agent'),
+      { requiredTier, customerTier: accessResult.tier }
     );
 
     req.accessResult = accessResult;
@@ -46,42 +47,50 @@ async function validateCustomerAccess(req, res, next) {
 }
 
 /**
- * Middleware to check if customer has butterfly_paid tag
+ * Middleware factory requiring the customer to hold at least the given tier
  */
-async function requireButterflyPaidTag(req, res, next) {
-  try {
-    const { customerId } = req.params;
-    const shopDomain = req.session?.shop || req.query.shop;
-    
-    if (!customerId) {
-      return res.status(401).json({ 
-        error: 'Authentication required',
-        reason: 'not_logged_in',
-        message: 'Please log in to access this content'
-      });
-    }
+function requireTier(tierName) {
+  return async (req, res, next) => {
+    try {
+      const { customerId } = req.params;
 
-    const shopifyClient = new ShopifyAPIClient(req.session);
-    const accessResult = await shopifyClient.validateCustomerAccess(customerId);
-    
-    if (!accessResult.hasAccess) {
-      return res.status(403).json({
-        error: 'Pro access required',
-        reason: accessResult.reason,
-        message: accessResult.reason === 'no_tag' 
-          ? 'Certification required to access this content'
-          : 'Authentication required'
-      });
-    }
+      if (!customerId) {
+        return res.status(401).json({ 
+          error: 'Authentication required',
+          reason: 'not_logged_in',
+          message: 'Please log in to access this content'
+        });
+      }
 
-    req.customer = accessResult.customer;
-    next();
-  } catch (error) {
-    console.error('Butterfly paid tag validation error:', error);
-    res.status(500).json({ error: 'Access validation failed' });
-  }
+      const shopifyClient = new ShopifyAPIClient(req.session);
+      const accessResult = await shopifyClient.validateCustomerAccess(customerId, tierName);
+      
+      if (!accessResult.hasAccess) {
+        return res.status(403).json({
+          error: 'Pro access required',
+          reason: accessResult.reason,
+          requiredTier: accessResult.requiredTier,
+          message: accessResult.reason === 'no_tag' 
+            ? 'Certification required to access this content'
+            : 'Authentication required'
+        });
+      }
+
+      req.customer = accessResult.customer;
+      req.customerTier = accessResult.tier;
+      next();
+    } catch (error) {
+      console.error(`Tier ${tierName} validation error:`, error);
+      res.status(500).json({ error: 'Access validation failed' });
+    }
+  };
 }
 
+/**
+ * Middleware to check if customer has butterfly_paid tag
+ */
+const requireButterflyPaidTag = requireTier('butterfly');
+
 /**
  * Middleware to validate shop session
  */
@@ -92,6 +101,34 @@ function validateShopSession(req, res, next) {
   next();
 }
 
+/**
+ * Who is making an admin change: the staff member's email when Shopify
+ * identified one at OAuth time, otherwise the shop's admin session
+ */
+function getAdminActor(req) {
+  return req.session?.user || req.session?.shop || null;
+}
+
+/**
+ * Actor and request metadata recorded with admin audit log entries
+ */
+function getAuditContext(req) {
+  return {
+    actor: getAdminActor(req),
+    ip_address: req.ip,
+    user_agent: req.get('User-Agent'),
+    request_method: req.method,
+    request_path: req.originalUrl
+  };
+}
+
+/**
+ * Record an admin change for the session's shop with the request's audit context
+ */
+async function auditChange(req, entry) {
+  await AdminAuditLog.record(req.session.shop, { ...getAuditContext(req), ...entry });
+}
+
 /**
  * Middleware to check app installation status
  */
@@ -159,8 +196,12 @@ function createRateLimit(windowMs = 15 * 60 * 1000, max = 100) {
 
 module.exports = {
   validateCustomerAccess,
+  requireTier,
   requireButterflyPaidTag,
   validateShopSession,
+  getAdminActor,
+  getAuditContext,
+  auditChange,
   checkAppInstallation,
   createRateLimit
 };
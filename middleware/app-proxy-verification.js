@@ -0,0 +1,66 @@
+const crypto = require('crypto');
+
+// Signed requests older than this are refused, so a copied proxy URL can't be replayed
+const MAX_REQUEST_AGE_SECONDS = 5 * 60;
+
+/**
+ * Compute the hex HMAC-SHA256 Shopify sends as the app proxy `signature`
+ * parameter: every other query parameter as key=value (multiple values joined
+ * with commas), sorted by key and concatenated without separators.
+ */
+function computeProxySignature(query, secret) {
+  const message = Object.keys(query)
+    .filter(key => key !== 'signature')
+    .sort()
+    .map(key => `${key}=${Array.isArray(query[key]) ? query[key].join(',') : query[key]}`)
+    .join('');
+
+  return crypto.createHmac('sha256', secret).update(message).digest('hex');
+}
+
+function isValidProxySignature(query, secret) {
+  if (!query?.signature || typeof query.signature !== 'string' || !secret) return false;
+
+  const expected = Buffer.from(computeProxySignature(query, secret));
+  const received = Buffer.from(query.signature);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+// The signed `timestamp` (seconds) is within MAX_REQUEST_AGE_SECONDS of now, either way for clock skew
+function isFreshTimestamp(timestamp, now = Date.now()) {
+  const seconds = Number(timestamp);
+  return timestamp !== '' && Number.isFinite(seconds) && Math.abs(now / 1000 - seconds) <= MAX_REQUEST_AGE_SECONDS;
+}
+
+/**
+ * Middleware to reject storefront requests that did not come through the
+ * Shopify app proxy, or were signed too long ago. Sets req.shopDomain and req.customerId (null when the
+ * shopper is not logged in) from the signed parameters.
+ */
+function verifyAppProxySignature(req, res, next) {
+  const secret = process.env.SHOPIFY_API_SECRET;
+
+  if (!secret) {
+    console.error('App proxy verification failed: SHOPIFY_API_SECRET is not set');
+    return res.status(401).json({ error: 'Invalid proxy signature' });
+  }
+
+  if (!isValidProxySignature(req.query, secret) || !req.query.shop) {
+    return res.status(401).json({ error: 'Invalid proxy signature' });
+  }
+
+  if (!isFreshTimestamp(req.query.timestamp)) {
+    return res.status(401).json({ error: 'Expired proxy signature' });
+  }
+
+  req.shopDomain = req.query.shop;
+  req.customerId = req.query.logged_in_customer_id || null;
+  next();
+}
+
+module.exports = {
+  computeProxySignature,
+  isValidProxySignature,
+  isFreshTimestamp,
+  verifyAppProxySignature
+};
@@ -0,0 +1,46 @@
+const REQUEST_PARTS = ['params', 'query', 'body'];
+
+/**
+ * Middleware factory validating a request against Joi schemas keyed by the
+ * part they describe ({ params, query, body }). Every invalid field is
+ * reported in a single 400; on success the converted values (numbers,
+ * booleans, defaults) replace the raw ones for the route handler.
+ */
+function validateRequest(schemas) {
+  return (req, res, next) => {
+    const details = [];
+    const values = {};
+
+    for (const part of REQUEST_PARTS) {
+      if (!schemas[part]) continue;
+
+      const { error, value } = schemas[part].validate(req[part] ?? {}, {
+        abortEarly: false,
+        errors: { wrap: { label: false } }
+      });
+
+      if (error) {
+        for (const detail of error.details) {
+          details.push({
+            location: part,
+            field: detail.path.join('.'),
+            message: detail.message
+          });
+        }
+      } else {
+        values[part] = value;
+      }
+    }
+
+    if (details.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details });
+    }
+
+    Object.assign(req, values);
+    next();
+  };
+}
+
+module.exports = {
+  validateRequest
+};
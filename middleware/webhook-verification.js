@@ -0,0 +1,50 @@
+const crypto = require('crypto');
+
+/**
+ * express.json() verify hook that keeps the raw request body. Shopify signs
+ * the exact bytes it sent, so the HMAC can't be computed from parsed JSON.
+ */
+function captureRawBody(req, res, buf) {
+  req.rawBody = buf;
+}
+
+/**
+ * Compute the base64 HMAC-SHA256 Shopify sends in X-Shopify-Hmac-Sha256
+ */
+function computeWebhookHmac(rawBody, secret) {
+  return crypto.createHmac('sha256', secret).update(rawBody).digest('base64');
+}
+
+function isValidWebhookHmac(rawBody, hmacHeader, secret) {
+  if (!rawBody || !hmacHeader || !secret) return false;
+
+  const expected = Buffer.from(computeWebhookHmac(rawBody, secret));
+  const received = Buffer.from(String(hmacHeader));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Middleware to reject webhooks that were not signed with the app secret
+ */
+function verifyWebhookHmac(req, res, next) {
+  const secret = process.env.SHOPIFY_API_SECRET;
+
+  if (!secret) {
+    console.error('Webhook verification failed: SHOPIFY_API_SECRET is not set');
+    return res.status(401).json({ error: 'Invalid webhook signature' });
+  }
+
+  if (!isValidWebhookHmac(req.rawBody, req.get('X-Shopify-Hmac-Sha256'), secret)) {
+    console.warn(`Rejected unsigned webhook: ${req.originalUrl}`);
+    return res.status(401).json({ error: 'Invalid webhook signature' });
+  }
+
+  next();
+}
+
+module.exports = {
+  captureRawBody,
+  computeWebhookHmac,
+  isValidWebhookHmac,
+  verifyWebhookHmac
+};
@@ -1,46 +1,99 @@
 const express = require('express');
 const router = express.Router();
 const ShopifyAPIClient = require('../lib/shopify-api');
-const { AppSettings, ProductRestrictions, CollectionExceptions, AccessLogs } = require('../lib/database');
-const { validateShopSession, checkAppInstallation } = require('../middleware/access-control');
+const {
+  AppSettings,
+  ProductRestrictions,
+  CollectionExceptions,
+  AccessTiers,
+  RestrictionRules,
+  Catalog
+} = require('../lib/database');
+const {
+  getTiers,
+  findTier,
+  getProductRecordTier,
+  getCollectionRecordTier,
+  toRequiredTier
+} = require('../lib/access-tiers');
+const { validateRule, evaluateProducts } = require('../lib/restriction-rules');
+const { indexCollection } = require('../lib/collection-membership');
+const { getAccessCounts, getAnalyticsSummary } = require('../lib/analytics');
+const { enqueueJob } = require('../lib/jobs');
+const {
+  findProduct,
+  findCollection,
+  listProducts,
+  listCollections
+} = require('../lib/catalog');
+const {
+  getSettings,
+  saveSettings,
+  syncTierTags,
+  changedValues,
+  TIER_TAG_SETTINGS
+} = require('../lib/settings');
+const { adminSchemas } = require('../lib/request-schemas');
+const {
+  validateShopSession,
+  getAdminActor,
+  getAuditContext,
+  auditChange,
+  checkAppInstallation
+} = require('../middleware/access-control');
+const { validateRequest } = require('../middleware/validation');
+const sharedAdminRoutes = require('./shared-admin');
 
 // Apply middleware to all admin routes
 router.use(validateShopSession);
 router.use(checkAppInstallation);
 
+// The audited fields of a product restriction or collection exception record
+function restrictionValues(record) {
+  return record ? {
+    is_restricted: !!record.is_restricted,
+    required_tier: record.required_tier || null,
+    custom_message: record.custom_message || null
+  } : null;
+}
+
+function exceptionValues(record) {
+  return record ? { is_exception: !!record.is_exception, required_tier: record.required_tier || null } : null;
+}
+
 /**
  * GET /api/admin/dashboard
  * Get dashboard data for the admin interface
  */
-router.get('/dashboard', async (req, res) => {
+router.get('/dashboard', validateRequest(adminSchemas.dashboard), async (req, res) => {
   try {
     const shopDomain = req.session.shop;
-    const days = parseInt(req.query.days) || 30;
+    const { days } = req.query;
     
     const [
       settings,
       analytics,
-      totalProducts,
-      totalCollections
+      allProducts,
+      totalCollections,
+      exceptionCollections
     ] = await Promise.all([
       AppSettings.get(shopDomain),
-      AccessLogs.getAnalytics(shopDomain, days),
-      ProductRestrictions.getAll(shopDomain),
+      getAccessCounts(shopDomain, days),
+      listProducts(shopDomain),
+      Catalog.countCollections(shopDomain),
       CollectionExceptions.getAll(shopDomain)
     ]);
 
-    const shopifyClient = new ShopifyAPIClient(req.session);
-    const allProducts = await shopifyClient.getAllProducts();
-    const allCollections = await shopifyClient.getCollections();
+    const evaluated = await evaluateProducts(shopDomain, allProducts, { settings });
 
     const dashboardData = {
       settings,
       analytics,
       stats: {
         totalProducts: allProducts.length,
-        restrictedProducts: totalProducts.filter(p => p.is_restricted).length,
-        totalCollections: allCollections.length,
-        exceptionCollections: totalCollections.filter(c => c.is_exception).length,
+        restrictedProducts: evaluated.filter(({ decision }) => decision.requiredTier).length,
+        totalCollections,
+        exceptionCollections: exceptionCollections.filter(c => c.is_exception).length,
         period: `${days} days`
       },
       recentActivity: analytics
@@ -55,34 +108,20 @@ router.get('/dashboard', async (req, res) => {
 
 /**
  * PUT /api/admin/settings
- * Update app settings
+ * Update app settings (partial update; unified or legacy field names)
  */
-router.put('/settings', async (req, res) => {
+router.put('/settings', validateRequest(adminSchemas.settings), async (req, res) => {
   try {
     const shopDomain = req.session.shop;
-    const {
-      is_enabled,
-      butterfly_paid_tag,
-      certification_url,
-      education_collections,
-      pro_account_message,
-      certification_message,
-      pro_account_description,
-      certification_description
-    } = req.body;
 
-    const settings = {
-      is_enabled: is_enabled !== undefined ? is_enabled : true,
-      butterfly_paid_tag: butterfly_paid_tag || 'butterfly_paid',
-      certification_url: certification_url || 'https://maliaextensions.com/pages/certification',
-      education_collections: education_collections || 'courses,in-person-education-1',
-      pro_account_message: pro_account_message || 'PRO ACCOUNT REQUIRED',
-      certification_message: certification_message || 'CERTIFICATION REQUIRED',
-      pro_account_description: pro_account_description || 'MALIÁ PRODUCTS ARE AVAILABLE EXCLUSIVELY TO LICENSED HAIR STYLISTS.',
-      certification_description: certification_description || 'GET CERTIFIED TO ACCESS PROFESSIONAL PRICING AND PLACE ORDERS.'
-    };
+    // Fields left out of the body keep their stored values
+    const previous = await getSettings(shopDomain);
+    const settings = await saveSettings(shopDomain, req.body, { author: getAdminActor(req), source: 'admin' });
+
+    await auditChange(req, { action: 'settings.update', target_type: 'settings', ...changedValues(previous, settings) });
 
-    await AppSettings.createOrUpdate(shopDomain, settings);
+    // Keep the tiers' customer tags in step with the settings
+    await syncTierTags(shopDomain, settings);
     
     res.json({ 
       success: true, 
@@ -95,40 +134,110 @@ router.put('/settings', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/admin/tiers
+ * Get the shop's access tiers, ordered by rank
+ */
+router.get('/tiers', async (req, res) => {
+  try {
+    const tiers = await getTiers(req.session.shop);
+    res.json({ tiers });
+  } catch (error) {
+    console.error('Tiers fetch error:', error);
+    res.status(500).json({ error: 'Tiers fetch failed' });
+  }
+});
+
+/**
+ * PUT /api/admin/tiers/:name
+ * Create or update an access tier (tag, rank and lock-screen copy)
+ */
+router.put('/tiers/:name', validateRequest(adminSchemas.tier), async (req, res) => {
+  try {
+    const { name } = req.params;
+    const shopDomain = req.session.shop;
+    const {
+      label,
+      customer_tag,
+      rank,
+      lock_title,
+      lock_description,
+      button_text,
+      button_url
+    } = req.body;
+
+    // Materialize the default tiers first so editing one doesn't drop the others
+    await AccessTiers.seedDefaults(shopDomain, await getTiers(shopDomain, req.appSettings));
+
+    const existing = await AccessTiers.getByName(shopDomain, name);
+    if (!existing && (!label || rank === undefined)) {
+      return res.status(400).json({ error: 'Label and rank required for a new tier' });
+    }
+
+    const tier = {
+      label: label ?? existing.label,
+      customer_tag: customer_tag !== undefined ? customer_tag || null : existing?.customer_tag ?? null,
+      rank: rank ?? existing.rank,
+      lock_title: lock_title ?? existing?.lock_title ?? null,
+      lock_description: lock_description ?? existing?.lock_description ?? null,
+      button_text: button_text ?? existing?.button_text ?? null,
+      button_url: button_url ?? existing?.button_url ?? null
+    };
+
+    await AccessTiers.upsert(shopDomain, name, tier);
+    await auditChange(req, {
+      action: existing ? 'tier.update' : 'tier.create',
+      target_type: 'tier',
+      target_id: name,
+      before: existing ? Object.fromEntries(Object.keys(tier).map(key => [key, existing[key]])) : null,
+      after: tier
+    });
+
+    // The default tiers' tags are also settings; keep them the same so the
+    // next settings save doesn't put the old tag back
+    const tagSetting = TIER_TAG_SETTINGS[name];
+    if (tagSetting && tier.customer_tag) {
+      await saveSettings(shopDomain, { [tagSetting]: tier.customer_tag }, { author: getAdminActor(req), source: 'admin' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Access tier updated successfully',
+      tier: { name, ...tier }
+    });
+  } catch (error) {
+    console.error('Tier update error:', error);
+    res.status(500).json({ error: 'Tier update failed' });
+  }
+});
+
 /**
  * GET /api/admin/products
  * Get all products with pagination and filtering
  */
-router.get('/products', async (req, res) => {
+router.get('/products', validateRequest(adminSchemas.products), async (req, res) => {
   try {
     const shopDomain = req.session.shop;
-    const limit = parseInt(req.query.limit) || 50;
-    const page = parseInt(req.query.page) || 1;
-    const filter = req.query.filter || 'all'; // all, restricted, unrestricted
-    const search = req.query.search || '';
+    const { limit, page, filter, search } = req.query; // filter: all, restricted, unrestricted
+    const tierFilter = req.query.tier || null; // required tier name
     
-    const shopifyClient = new ShopifyAPIClient(req.session);
-    const { products, pageInfo } = await shopifyClient.getProducts(limit);
+    const products = await listProducts(shopDomain, { limit, offset: (page - 1) * limit, search });
+    const evaluated = await evaluateProducts(shopDomain, products, { settings: req.appSettings });
     
     // Get restriction status for each product
-    const productsWithStatus = await Promise.all(
-      products.map(async (product) => {
-        const restriction = await ProductRestrictions.getByProduct(shopDomain, product.id);
-        const isRestricted = restriction ? restriction.is_restricted : true; // Default to restricted
-        
-        return {
-          id: product.id,
-          title: product.title,
-          handle: product.handle,
-          product_type: product.product_type,
-          vendor: product.vendor,
-          isRestricted,
-          customMessage: restriction?.custom_message || null,
-          created_at: product.created_at,
-          updated_at: product.updated_at
-        };
-      })
-    );
+    const productsWithStatus = evaluated.map(({ product, decision, restriction }) => ({
+      id: product.id,
+      title: product.title,
+      handle: product.handle,
+      product_type: product.product_type,
+      vendor: product.vendor,
+      isRestricted: !!decision.requiredTier,
+      requiredTier: decision.requiredTier,
+      matchedRule: decision.rule,
+      customMessage: restriction?.custom_message || null,
+      created_at: product.created_at,
+      updated_at: product.updated_at
+    }));
 
     // Apply filters
     let filteredProducts = productsWithStatus;
@@ -138,19 +247,13 @@ router.get('/products', async (req, res) => {
     } else if (filter === 'unrestricted') {
       filteredProducts = filteredProducts.filter(p => !p.isRestricted);
     }
-    
-    if (search) {
-      const searchLower = search.toLowerCase();
-      filteredProducts = filteredProducts.filter(p => 
-        p.title.toLowerCase().includes(searchLower) ||
-        p.handle.toLowerCase().includes(searchLower) ||
-        p.product_type?.toLowerCase().includes(searchLower)
-      );
+
+    if (tierFilter) {
+      filteredProducts = filteredProducts.filter(p => (p.requiredTier || 'public') === tierFilter);
     }
 
     res.json({
       products: filteredProducts,
-      pageInfo,
       pagination: {
         page,
         limit,
@@ -158,6 +261,7 @@ router.get('/products', async (req, res) => {
       },
       filters: {
         current: filter,
+        tier: tierFilter,
         search
       }
     });
@@ -171,26 +275,41 @@ router.get('/products', async (req, res) => {
  * PUT /api/admin/products/:productId/restriction
  * Update product restriction status
  */
-router.put('/products/:productId/restriction', async (req, res) => {
+router.put('/products/:productId/restriction', validateRequest(adminSchemas.productRestriction), async (req, res) => {
   try {
     const { productId } = req.params;
     const shopDomain = req.session.shop;
-    const { isRestricted, customMessage } = req.body;
+    const { customMessage, requiredTier = null } = req.body;
     
+    const tiers = await getTiers(shopDomain, req.appSettings);
+    if (requiredTier && !findTier(tiers, requiredTier)) {
+      return res.status(400).json({ error: `Unknown access tier: ${requiredTier}` });
+    }
+    const isRestricted = requiredTier ? !!toRequiredTier(tiers, requiredTier) : req.body.isRestricted;
+
     const shopifyClient = new ShopifyAPIClient(req.session);
-    const product = await shopifyClient.getProduct(productId);
+    const product = await findProduct(shopifyClient, shopDomain, productId);
     
     if (!product) {
       return res.status(404).json({ error: 'Product not found' });
     }
 
+    const previous = await ProductRestrictions.getByProduct(shopDomain, productId);
     await ProductRestrictions.setRestriction(
       shopDomain,
-      parseInt(productId),
+      productId,
       product.handle,
       isRestricted,
-      customMessage
+      customMessage,
+      requiredTier
     );
+    await auditChange(req, {
+      action: 'product.restriction.update',
+      target_type: 'product',
+      target_id: productId,
+      before: restrictionValues(previous),
+      after: restrictionValues({ is_restricted: isRestricted, required_tier: requiredTier, custom_message: customMessage })
+    });
 
     res.json({ 
       success: true, 
@@ -200,6 +319,7 @@ router.put('/products/:productId/restriction', async (req, res) => {
         title: product.title,
         handle: product.handle,
         isRestricted,
+        requiredTier: toRequiredTier(tiers, getProductRecordTier(tiers, { required_tier: requiredTier, is_restricted: isRestricted })),
         customMessage
       }
     });
@@ -211,44 +331,23 @@ router.put('/products/:productId/restriction', async (req, res) => {
 
 /**
  * POST /api/admin/products/bulk-update
- * Bulk update product restrictions
+ * Queue a bulk update of product restrictions; per-product results are in the
+ * job's result (GET /api/admin/jobs/:jobId)
  */
-router.post('/products/bulk-update', async (req, res) => {
+router.post('/products/bulk-update', validateRequest(adminSchemas.bulkUpdate), async (req, res) => {
   try {
-    const shopDomain = req.session.shop;
-    const { updates } = req.body; // Array of {productId, isRestricted, customMessage}
-    
-    if (!Array.isArray(updates)) {
-      return res.status(400).json({ error: 'Updates array required' });
-    }
+    const { updates } = req.body; // Array of {productId, isRestricted, requiredTier, customMessage}
 
-    const shopifyClient = new ShopifyAPIClient(req.session);
-    const results = [];
-
-    for (const update of updates) {
-      try {
-        const product = await shopifyClient.getProduct(update.productId);
-        if (product) {
-          await ProductRestrictions.setRestriction(
-            shopDomain,
-            update.productId,
-            product.handle,
-            update.isRestricted,
-            update.customMessage
-          );
-          results.push({ productId: update.productId, success: true });
-        } else {
-          results.push({ productId: update.productId, success: false, error: 'Product not found' });
-        }
-      } catch (error) {
-        results.push({ productId: update.productId, success: false, error: error.message });
-      }
-    }
+    const job = await enqueueJob('products.bulk_update', {
+      shopDomain: req.session.shop,
+      payload: { updates, audit: getAuditContext(req) },
+      createdBy: getAdminActor(req)
+    });
 
-    res.json({ 
+    res.status(202).json({ 
       success: true, 
-      message: 'Bulk update completed',
-      results 
+      message: 'Bulk update queued',
+      job 
     });
   } catch (error) {
     console.error('Bulk update error:', error);
@@ -264,17 +363,19 @@ router.get('/collections', async (req, res) => {
   try {
     const shopDomain = req.session.shop;
     
-    const shopifyClient = new ShopifyAPIClient(req.session);
-    const collections = await shopifyClient.getCollections();
+    const collections = await listCollections(shopDomain);
     const exceptions = await CollectionExceptions.getAll(shopDomain);
+    const tiers = await getTiers(shopDomain, req.appSettings);
     
     const collectionsWithStatus = collections.map(collection => {
-      const exception = exceptions.find(ex => ex.collection_id === collection.id);
+      const exception = exceptions.find(ex => String(ex.collection_id) === String(collection.id));
       return {
         id: collection.id,
         title: collection.title,
         handle: collection.handle,
-        isException: exception ? exception.is_exception : false,
+        type: collection.type,
+        isException: exception ? !!exception.is_exception : false,
+        requiredTier: exception ? getCollectionRecordTier(tiers, exception) : null,
         created_at: collection.created_at,
         updated_at: collection.updated_at
       };
@@ -291,25 +392,39 @@ router.get('/collections', async (req, res) => {
  * PUT /api/admin/collections/:collectionId/exception
  * Update collection exception status
  */
-router.put('/collections/:collectionId/exception', async (req, res) => {
+router.put('/collections/:collectionId/exception', validateRequest(adminSchemas.collectionException), async (req, res) => {
   try {
     const { collectionId } = req.params;
     const shopDomain = req.session.shop;
-    const { isException } = req.body;
+    const { isException, requiredTier = null } = req.body;
+
+    const tiers = await getTiers(shopDomain, req.appSettings);
+    if (requiredTier && !findTier(tiers, requiredTier)) {
+      return res.status(400).json({ error: `Unknown access tier: ${requiredTier}` });
+    }
     
     const shopifyClient = new ShopifyAPIClient(req.session);
-    const collection = await shopifyClient.getCollection(collectionId);
+    const collection = await findCollection(shopifyClient, shopDomain, collectionId);
     
     if (!collection) {
       return res.status(404).json({ error: 'Collection not found' });
     }
 
+    const previous = await CollectionExceptions.getByCollection(shopDomain, collectionId);
     await CollectionExceptions.setException(
       shopDomain,
-      parseInt(collectionId),
+      collectionId,
       collection.handle,
-      isException
+      isException,
+      requiredTier
     );
+    await auditChange(req, {
+      action: 'collection.exception.update',
+      target_type: 'collection',
+      target_id: collectionId,
+      before: exceptionValues(previous),
+      after: exceptionValues({ is_exception: isException, required_tier: requiredTier })
+    });
 
     res.json({ 
       success: true, 
@@ -318,7 +433,8 @@ router.put('/collections/:collectionId/exception', async (req, res) => {
         id: collection.id,
         title: collection.title,
         handle: collection.handle,
-        isException
+        isException,
+        requiredTier
       }
     });
   } catch (error) {
@@ -327,21 +443,201 @@ router.put('/collections/:collectionId/exception', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/admin/collections/:collectionId/reindex
+ * Re-index which products belong to a collection
+ */
+router.post('/collections/:collectionId/reindex', validateRequest(adminSchemas.collection), async (req, res) => {
+  try {
+    const { collectionId } = req.params;
+    const shopDomain = req.session.shop;
+
+    const shopifyClient = new ShopifyAPIClient(req.session);
+    const collection = await findCollection(shopifyClient, shopDomain, collectionId);
+
+    if (!collection) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+
+    const productIds = await indexCollection(shopifyClient, shopDomain, collection);
+    await auditChange(req, {
+      action: 'collection.reindex',
+      target_type: 'collection',
+      target_id: collectionId,
+      after: { product_count: productIds.length }
+    });
+
+    res.json({
+      success: true,
+      message: 'Collection membership re-indexed',
+      collection: {
+        id: collection.id,
+        handle: collection.handle,
+        productCount: productIds.length
+      }
+    });
+  } catch (error) {
+    console.error('Collection reindex error:', error);
+    res.status(500).json({ error: 'Collection reindex failed' });
+  }
+});
+
+/**
+ * POST /api/admin/catalog/resync
+ * Queue a re-mirror of every product and collection from Shopify
+ */
+router.post('/catalog/resync', async (req, res) => {
+  try {
+    const job = await enqueueJob('catalog.resync', {
+      shopDomain: req.session.shop,
+      payload: { audit: getAuditContext(req) },
+      createdBy: getAdminActor(req)
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Catalog resync queued',
+      job
+    });
+  } catch (error) {
+    console.error('Catalog resync error:', error);
+    res.status(500).json({ error: 'Catalog resync failed' });
+  }
+});
+
+/**
+ * GET /api/admin/rules
+ * Get the shop's restriction rules in evaluation order
+ */
+router.get('/rules', async (req, res) => {
+  try {
+    const rules = await RestrictionRules.getAll(req.session.shop);
+    res.json({ rules });
+  } catch (error) {
+    console.error('Rules fetch error:', error);
+    res.status(500).json({ error: 'Rules fetch failed' });
+  }
+});
+
+/**
+ * POST /api/admin/rules
+ * Create a restriction rule
+ */
+router.post('/rules', validateRequest(adminSchemas.createRule), async (req, res) => {
+  try {
+    const shopDomain = req.session.shop;
+    const { name, priority, conditions, outcome, is_enabled } = req.body;
+
+    const tiers = await getTiers(shopDomain, req.appSettings);
+    const errors = validateRule({ conditions, outcome }, tiers);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid rule', details: errors });
+    }
+
+    const rule = await RestrictionRules.create(shopDomain, {
+      name,
+      priority,
+      conditions,
+      outcome,
+      is_enabled
+    });
+    await auditChange(req, { action: 'rule.create', target_type: 'rule', target_id: rule.id, after: rule });
+
+    res.status(201).json({ 
+      success: true, 
+      message: 'Rule created successfully',
+      rule 
+    });
+  } catch (error) {
+    console.error('Rule create error:', error);
+    res.status(500).json({ error: 'Rule create failed' });
+  }
+});
+
+/**
+ * PUT /api/admin/rules/:ruleId
+ * Update a restriction rule
+ */
+router.put('/rules/:ruleId', validateRequest(adminSchemas.updateRule), async (req, res) => {
+  try {
+    const shopDomain = req.session.shop;
+    const { ruleId } = req.params;
+    const existing = await RestrictionRules.getById(shopDomain, ruleId);
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+
+    const { name, priority, conditions, outcome, is_enabled } = req.body;
+    const changes = {};
+    if (name !== undefined) changes.name = name;
+    if (priority !== undefined) changes.priority = priority;
+    if (conditions !== undefined) changes.conditions = conditions;
+    if (outcome !== undefined) changes.outcome = outcome;
+    if (is_enabled !== undefined) changes.is_enabled = is_enabled;
+
+    const tiers = await getTiers(shopDomain, req.appSettings);
+    const errors = validateRule({ ...existing, ...changes }, tiers);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid rule', details: errors });
+    }
+
+    const rule = await RestrictionRules.update(shopDomain, ruleId, changes);
+    await auditChange(req, { action: 'rule.update', target_type: 'rule', target_id: ruleId, before: existing, after: rule });
+
+    res.json({ 
+      success: true, 
+      message: 'Rule updated successfully',
+      rule 
+    });
+  } catch (error) {
+    console.error('Rule update error:', error);
+    res.status(500).json({ error: 'Rule update failed' });
+  }
+});
+
+/**
+ * DELETE /api/admin/rules/:ruleId
+ * Delete a restriction rule
+ */
+router.delete('/rules/:ruleId', validateRequest(adminSchemas.deleteRule), async (req, res) => {
+  try {
+    const { ruleId } = req.params;
+    const existing = await RestrictionRules.getById(req.session.shop, ruleId);
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+
+    await RestrictionRules.delete(req.session.shop, ruleId);
+    await auditChange(req, { action: 'rule.delete', target_type: 'rule', target_id: ruleId, before: existing });
+
+    res.json({ success: true, message: 'Rule deleted successfully' });
+  } catch (error) {
+    console.error('Rule delete error:', error);
+    res.status(500).json({ error: 'Rule delete failed' });
+  }
+});
+
 /**
  * GET /api/admin/analytics
  * Get detailed analytics
  */
-router.get('/analytics', async (req, res) => {
+router.get('/analytics', validateRequest(adminSchemas.analytics), async (req, res) => {
   try {
     const shopDomain = req.session.shop;
-    const days = parseInt(req.query.days) || 30;
+    const { days } = req.query;
     
-    const analytics = await AccessLogs.getAnalytics(shopDomain, days);
+    const [analytics, summary] = await Promise.all([
+      getAccessCounts(shopDomain, days),
+      getAnalyticsSummary(shopDomain, days)
+    ]);
     
     res.json({
       shopDomain,
       period: `${days} days`,
-      analytics
+      analytics,
+      summary
     });
   } catch (error) {
     console.error('Analytics error:', error);
@@ -349,6 +645,9 @@ router.get('/analytics', async (req, res) => {
   }
 });
 
+// Settings history, reports, order reviews, webhooks and jobs
+router.use(sharedAdminRoutes);
+
 module.exports = router;
 
 
@@ -1,8 +1,15 @@
 const express = require('express');
 const router = express.Router();
 const ShopifyAPIClient = require('../lib/shopify-api');
-const { AppSettings, ProductRestrictions, CollectionExceptions, AccessLogs } = require('../lib/database');
-const { validateCustomerAccess, validateShopSession, createRateLimit } = require('../middleware/access-control');
+const { AppSettings, CollectionExceptions } = require('../lib/database');
+const { getTiers, getCollectionRecordTier } = require('../lib/access-tiers');
+const { checkProductAccess, validateCart } = require('../lib/storefront-access');
+const { evaluateProducts } = require('../lib/restriction-rules');
+const { getAccessCounts } = require('../lib/analytics');
+const { listProducts, listCollections } = require('../lib/catalog');
+const { apiSchemas } = require('../lib/request-schemas');
+const { validateShopSession, createRateLimit } = require('../middleware/access-control');
+const { validateRequest } = require('../middleware/validation');
 
 // Rate limiting
 const rateLimit = createRateLimit(15 * 60 * 1000, 100); // 100 requests per 15 minutes
@@ -11,32 +18,21 @@ const rateLimit = createRateLimit(15 * 60 * 1000, 100); // 100 requests per 15 m
 router.use(rateLimit);
 
 /**
- * GET /api/check-access/:productId/:customerId
- * Check if a customer has access to a specific product
+ * GET /api/check-access/:productId/:customerId?
+ * Check if a customer has access to a specific product; without a customer id
+ * the shopper is treated as not logged in
  */
-router.get('/check-access/:productId/:customerId', validateShopSession, async (req, res) => {
+router.get('/check-access/:productId/:customerId?', validateShopSession, validateRequest(apiSchemas.checkAccess), async (req, res) => {
   try {
-    const { productId, customerId } = req.params;
+    const { productId } = req.params;
+    const customerId = req.params.customerId ?? null;
     const shopDomain = req.session.shop;
     
     const shopifyClient = new ShopifyAPIClient(req.session);
-    const isRestricted = await shopifyClient.isProductRestricted(productId, shopDomain);
-    
-    if (!isRestricted) {
-      return res.json({ hasAccess: true, reason: 'not_restricted' });
-    }
-
-    const accessResult = await shopifyClient.validateCustomerAccess(customerId);
-    
-    // Log access attempt
-    await AccessLogs.log(
-      shopDomain,
-      productId,
-      customerId,
-      accessResult.hasAccess ? 'allowed' : accessResult.reason,
-      req.ip,
-      req.get('User-Agent')
-    );
+    const accessResult = await checkProductAccess(shopifyClient, shopDomain, productId, customerId, {
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
 
     res.json(accessResult);
   } catch (error) {
@@ -49,17 +45,18 @@ router.get('/check-access/:productId/:customerId', validateShopSession, async (r
  * GET /api/product-status/:productId
  * Get the restriction status of a product
  */
-router.get('/product-status/:productId', validateShopSession, async (req, res) => {
+router.get('/product-status/:productId', validateShopSession, validateRequest(apiSchemas.productStatus), async (req, res) => {
   try {
     const { productId } = req.params;
     const shopDomain = req.session.shop;
     
     const shopifyClient = new ShopifyAPIClient(req.session);
-    const isRestricted = await shopifyClient.isProductRestricted(productId, shopDomain);
+    const requiredTier = await shopifyClient.isProductRestricted(productId, shopDomain);
     
     res.json({ 
       productId: parseInt(productId),
-      isRestricted,
+      isRestricted: !!requiredTier,
+      requiredTier,
       shopDomain 
     });
   } catch (error) {
@@ -72,7 +69,7 @@ router.get('/product-status/:productId', validateShopSession, async (req, res) =
  * GET /api/customer-status/:customerId
  * Get the access status of a customer
  */
-router.get('/customer-status/:customerId', validateShopSession, async (req, res) => {
+router.get('/customer-status/:customerId', validateShopSession, validateRequest(apiSchemas.customerStatus), async (req, res) => {
   try {
     const { customerId } = req.params;
     
@@ -83,6 +80,7 @@ router.get('/customer-status/:customerId', validateShopSession, async (req, res)
       customerId: parseInt(customerId),
       hasAccess: accessResult.hasAccess,
       reason: accessResult.reason,
+      tier: accessResult.tier || null,
       customer: accessResult.customer ? {
         id: accessResult.customer.id,
         email: accessResult.customer.email,
@@ -99,12 +97,12 @@ router.get('/customer-status/:customerId', validateShopSession, async (req, res)
  * GET /api/analytics
  * Get access analytics for the shop
  */
-router.get('/analytics', validateShopSession, async (req, res) => {
+router.get('/analytics', validateShopSession, validateRequest(apiSchemas.analytics), async (req, res) => {
   try {
     const shopDomain = req.session.shop;
-    const days = parseInt(req.query.days) || 30;
+    const { days } = req.query;
     
-    const analytics = await AccessLogs.getAnalytics(shopDomain, days);
+    const analytics = await getAccessCounts(shopDomain, days);
     
     res.json({
       shopDomain,
@@ -121,41 +119,15 @@ router.get('/analytics', validateShopSession, async (req, res) => {
  * POST /api/validate-cart
  * Validate all items in a cart for access restrictions
  */
-router.post('/validate-cart', validateShopSession, async (req, res) => {
+router.post('/validate-cart', validateShopSession, validateRequest(apiSchemas.validateCart), async (req, res) => {
   try {
     const { cartItems, customerId } = req.body;
     const shopDomain = req.session.shop;
-    
-    if (!cartItems || !Array.isArray(cartItems)) {
-      return res.status(400).json({ error: 'Cart items required' });
-    }
 
     const shopifyClient = new ShopifyAPIClient(req.session);
-    const accessResult = await shopifyClient.validateCustomerAccess(customerId);
-    
-    const validationResults = [];
-    
-    for (const item of cartItems) {
-      const isRestricted = await shopifyClient.isProductRestricted(item.product_id, shopDomain);
-      
-      validationResults.push({
-        productId: item.product_id,
-        variantId: item.variant_id,
-        quantity: item.quantity,
-        isRestricted,
-        hasAccess: !isRestricted || accessResult.hasAccess,
-        reason: isRestricted ? accessResult.reason : 'not_restricted'
-      });
-    }
-
-    const hasRestrictedItems = validationResults.some(result => result.isRestricted && !result.hasAccess);
+    const validation = await validateCart(shopifyClient, shopDomain, cartItems, customerId);
     
-    res.json({
-      valid: !hasRestrictedItems,
-      customerAccess: accessResult,
-      items: validationResults,
-      restrictedItems: validationResults.filter(result => result.isRestricted && !result.hasAccess)
-    });
+    res.json(validation);
   } catch (error) {
     console.error('Cart validation error:', error);
     res.status(500).json({ error: 'Cart validation failed' });
@@ -182,40 +154,48 @@ router.get('/settings', validateShopSession, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/tiers
+ * Get the access tiers for the shop, ordered by rank
+ */
+router.get('/tiers', validateShopSession, async (req, res) => {
+  try {
+    const tiers = await getTiers(req.session.shop);
+    res.json({ tiers });
+  } catch (error) {
+    console.error('Tiers fetch error:', error);
+    res.status(500).json({ error: 'Tiers fetch failed' });
+  }
+});
+
 /**
  * GET /api/products
  * Get all products with their restriction status
  */
-router.get('/products', validateShopSession, async (req, res) => {
+router.get('/products', validateShopSession, validateRequest(apiSchemas.products), async (req, res) => {
   try {
     const shopDomain = req.session.shop;
-    const limit = parseInt(req.query.limit) || 50;
-    const page = parseInt(req.query.page) || 1;
+    const { limit, page } = req.query;
     const offset = (page - 1) * limit;
     
-    const shopifyClient = new ShopifyAPIClient(req.session);
-    const { products, pageInfo } = await shopifyClient.getProducts(limit);
+    const products = await listProducts(shopDomain, { limit, offset });
+    const evaluated = await evaluateProducts(shopDomain, products);
     
     // Get restriction status for each product
-    const productsWithStatus = await Promise.all(
-      products.map(async (product) => {
-        const isRestricted = await shopifyClient.isProductRestricted(product.id, shopDomain);
-        return {
-          id: product.id,
-          title: product.title,
-          handle: product.handle,
-          product_type: product.product_type,
-          vendor: product.vendor,
-          isRestricted,
-          created_at: product.created_at,
-          updated_at: product.updated_at
-        };
-      })
-    );
+    const productsWithStatus = evaluated.map(({ product, decision }) => ({
+      id: product.id,
+      title: product.title,
+      handle: product.handle,
+      product_type: product.product_type,
+      vendor: product.vendor,
+      isRestricted: !!decision.requiredTier,
+      requiredTier: decision.requiredTier,
+      created_at: product.created_at,
+      updated_at: product.updated_at
+    }));
 
     res.json({
       products: productsWithStatus,
-      pageInfo,
       pagination: {
         page,
         limit,
@@ -236,17 +216,18 @@ router.get('/collections', validateShopSession, async (req, res) => {
   try {
     const shopDomain = req.session.shop;
     
-    const shopifyClient = new ShopifyAPIClient(req.session);
-    const collections = await shopifyClient.getCollections();
+    const collections = await listCollections(shopDomain);
     const exceptions = await CollectionExceptions.getAll(shopDomain);
+    const tiers = await getTiers(shopDomain);
     
     const collectionsWithStatus = collections.map(collection => {
-      const exception = exceptions.find(ex => ex.collection_id === collection.id);
+      const exception = exceptions.find(ex => String(ex.collection_id) === String(collection.id));
       return {
         id: collection.id,
         title: collection.title,
         handle: collection.handle,
-        isException: exception ? exception.is_exception : false,
+        isException: exception ? !!exception.is_exception : false,
+        requiredTier: exception ? getCollectionRecordTier(tiers, exception) : null,
         created_at: collection.created_at,
         updated_at: collection.updated_at
       };
@@ -0,0 +1,118 @@
+const express = require('express');
+const router = express.Router();
+const ShopifyAPIClient = require('../lib/shopify-api');
+const { AppSettings } = require('../lib/database');
+const { checkProductAccess, validateCart, getTierMessages } = require('../lib/storefront-access');
+const { trackEvent } = require('../lib/analytics');
+const { issueVisitorId, verifyVisitorId } = require('../lib/visitor-id');
+const { proxySchemas } = require('../lib/request-schemas');
+const { verifyAppProxySignature } = require('../middleware/app-proxy-verification');
+const { createRateLimit } = require('../middleware/access-control');
+const { validateRequest } = require('../middleware/validation');
+
+// Storefront requests forwarded by the Shopify app proxy (/apps/malia-pro-access/*).
+// The shop and customer come from the signed query string, never the request body.
+router.use(createRateLimit(15 * 60 * 1000, 300)); // 300 requests per 15 minutes
+router.use(verifyAppProxySignature);
+
+router.use(async (req, res, next) => {
+  try {
+    const settings = await AppSettings.get(req.shopDomain);
+    if (!settings) {
+      return res.status(404).json({ error: 'App not installed' });
+    }
+    next();
+  } catch (error) {
+    console.error('App proxy installation check error:', error);
+    res.status(500).json({ error: 'Installation check failed' });
+  }
+});
+
+// Customer records stay server-side; the storefront only needs the decision
+function withoutCustomer({ customer, ...accessResult }) {
+  return accessResult;
+}
+
+/**
+ * GET /proxy/api/check-access/:productId
+ * Check if the logged-in customer has access to a product. The response
+ * carries a signed visitor_id (see lib/visitor-id) that the theme keeps and
+ * sends back as ?visitor_id=, so blocks before login count toward that
+ * customer's certification funnel. Ids we didn't sign are replaced.
+ */
+router.get('/api/check-access/:productId', validateRequest(proxySchemas.checkAccess), async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const visitorId = verifyVisitorId(req.shopDomain, req.query.visitor_id);
+
+    const shopifyClient = new ShopifyAPIClient({ shop: req.shopDomain });
+    const accessResult = await checkProductAccess(shopifyClient, req.shopDomain, productId, req.customerId, {
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      visitorId
+    });
+
+    res.json({
+      ...withoutCustomer(accessResult),
+      visitor_id: visitorId ? req.query.visitor_id : issueVisitorId(req.shopDomain)
+    });
+  } catch (error) {
+    console.error('Proxy access check error:', error);
+    res.status(500).json({ error: 'Access check failed' });
+  }
+});
+
+/**
+ * POST /proxy/api/validate-cart
+ * Validate all items in the logged-in customer's cart
+ */
+router.post('/api/validate-cart', validateRequest(proxySchemas.validateCart), async (req, res) => {
+  try {
+    const { cartItems } = req.body;
+
+    const shopifyClient = new ShopifyAPIClient({ shop: req.shopDomain });
+    const validation = await validateCart(shopifyClient, req.shopDomain, cartItems, req.customerId);
+
+    res.json({
+      ...validation,
+      customerAccess: withoutCustomer(validation.customerAccess)
+    });
+  } catch (error) {
+    console.error('Proxy cart validation error:', error);
+    res.status(500).json({ error: 'Cart validation failed' });
+  }
+});
+
+/**
+ * POST /proxy/api/analytics/track
+ * Store a theme event (modal views, button clicks and blocks, see lib/analytics)
+ * for the shop that signed the request
+ */
+router.post('/api/analytics/track', createRateLimit(60 * 1000, 30), validateRequest(proxySchemas.trackAnalytics), async (req, res) => {
+  try {
+    await trackEvent(req.shopDomain, req.body, {
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Proxy analytics tracking error:', error);
+    res.status(500).json({ error: 'Analytics tracking failed' });
+  }
+});
+
+/**
+ * GET /proxy/api/messages
+ * Get the lock-screen messages for each gated tier
+ */
+router.get('/api/messages', async (req, res) => {
+  try {
+    const messages = await getTierMessages(req.shopDomain);
+    res.json({ messages });
+  } catch (error) {
+    console.error('Proxy messages error:', error);
+    res.status(500).json({ error: 'Messages fetch failed' });
+  }
+});
+
+module.exports = router;
@@ -1,23 +1,41 @@
 const express = require('express');
+const crypto = require('crypto');
 const router = express.Router();
 const { AppSettings } = require('../lib/database');
+const {
+  isValidShopDomain,
+  buildAuthorizeUrl,
+  isValidOAuthHmac,
+  exchangeCodeForToken,
+  storeOfflineToken,
+  getShopCredentials,
+  installShop
+} = require('../lib/shopify-auth');
+const { registerWebhooks } = require('../lib/webhook-subscriptions');
 
 /**
  * GET /api/auth/install
- * Install the app and initialize settings
+ * Start the OAuth install: redirect the merchant to Shopify to authorize the app
  */
 router.get('/install', async (req, res) => {
   try {
-    const shopDomain = req.session?.shop || req.query.shop;
+    const shopDomain = req.query.shop || req.session?.shop;
     
     if (!shopDomain) {
       return res.status(400).json({ error: 'Shop domain required' });
     }
 
+    if (!isValidShopDomain(shopDomain)) {
+      return res.status(400).json({ error: 'Invalid shop domain' });
+    }
+
     // Check if app is already installed
-    const existingSettings = await AppSettings.get(shopDomain);
+    const [existingSettings, credentials] = await Promise.all([
+      AppSettings.get(shopDomain),
+      getShopCredentials(shopDomain)
+    ]);
     
-    if (existingSettings) {
+    if (existingSettings && credentials) {
       return res.json({ 
         success: true, 
         message: 'App already installed',
@@ -25,25 +43,11 @@ router.get('/install', async (req, res) => {
       });
     }
 
-    // Initialize default settings
-    const defaultSettings = {
-      is_enabled: true,
-      butterfly_paid_tag: 'butterfly_paid',
-      certification_url: 'https://maliaextensions.com/pages/certification',
-      education_collections: 'courses,in-person-education-1',
-      pro_account_message: 'PRO ACCOUNT REQUIRED',
-      certification_message: 'CERTIFICATION REQUIRED',
-      pro_account_description: 'MALIÁ PRODUCTS ARE AVAILABLE EXCLUSIVELY TO LICENSED HAIR STYLISTS.',
-      certification_description: 'GET CERTIFIED TO ACCESS PROFESSIONAL PRICING AND PLACE ORDERS.'
-    };
-
-    await AppSettings.createOrUpdate(shopDomain, defaultSettings);
-
-    res.json({ 
-      success: true, 
-      message: 'App installed successfully',
-      settings: defaultSettings 
-    });
+    // The callback must come back with the same state for this browser session
+    const state = crypto.randomBytes(16).toString('hex');
+    req.session.oauth = { shop: shopDomain, state };
+
+    res.redirect(buildAuthorizeUrl(shopDomain, state));
   } catch (error) {
     console.error('App installation error:', error);
     res.status(500).json({ error: 'App installation failed' });
@@ -51,33 +55,53 @@ router.get('/install', async (req, res) => {
 });
 
 /**
- * GET /api/auth/uninstall
- * Uninstall the app and clean up data
+ * GET /api/auth/callback
+ * Finish the OAuth install: verify the redirect, exchange the code, store
+ * the shop's offline access token and subscribe the shop to our webhooks
  */
-router.get('/uninstall', async (req, res) => {
+router.get('/callback', async (req, res) => {
   try {
-    const shopDomain = req.session?.shop || req.query.shop;
-    
-    if (!shopDomain) {
-      return res.status(400).json({ error: 'Shop domain required' });
+    const { shop: shopDomain, code, state } = req.query;
+
+    if (!isValidShopDomain(shopDomain) || !code) {
+      return res.status(400).json({ error: 'Invalid OAuth callback' });
     }
 
-    // Note: In a production app, you might want to keep some data for analytics
-    // or provide a way to reinstall without losing settings
-    const { db } = require('../lib/database');
-    
-    await db('app_settings').where('shop_domain', shopDomain).del();
-    await db('product_restrictions').where('shop_domain', shopDomain).del();
-    await db('collection_exceptions').where('shop_domain', shopDomain).del();
-    // Keep access_logs for potential reinstall analytics
-
-    res.json({ 
-      success: true, 
-      message: 'App uninstalled successfully' 
-    });
+    if (!isValidOAuthHmac(req.query, process.env.SHOPIFY_API_SECRET)) {
+      return res.status(401).json({ error: 'Invalid OAuth signature' });
+    }
+
+    const pending = req.session?.oauth;
+    if (!pending || pending.shop !== shopDomain || pending.state !== state) {
+      return res.status(403).json({ error: 'OAuth state mismatch' });
+    }
+    delete req.session.oauth;
+
+    const { accessToken, scope, associatedUser } = await exchangeCodeForToken(shopDomain, code);
+    await storeOfflineToken(shopDomain, accessToken, scope, state);
+
+    const settings = await installShop(shopDomain);
+    console.log(settings
+      ? `App installed for shop: ${shopDomain}`
+      : `App re-authorized for shop: ${shopDomain}`);
+
+    // Without the webhooks the customer and catalog caches only refresh on
+    // expiry, so a failure here is logged but doesn't fail the install
+    try {
+      const topics = await registerWebhooks(shopDomain, accessToken);
+      if (topics.length > 0) {
+        console.log(`Subscribed shop ${shopDomain} to webhooks: ${topics.join(', ')}`);
+      }
+    } catch (error) {
+      console.error(`Webhook registration failed for shop ${shopDomain}:`, error);
+    }
+
+    req.session.shop = shopDomain;
+    req.session.user = associatedUser?.email || null;
+    res.redirect(`/admin.html?shop=${encodeURIComponent(shopDomain)}`);
   } catch (error) {
-    console.error('App uninstallation error:', error);
-    res.status(500).json({ error: 'App uninstallation failed' });
+    console.error('OAuth callback error:', error);
+    res.status(500).json({ error: 'App installation failed' });
   }
 });
 
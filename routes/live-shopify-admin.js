@@ -1,20 +1,35 @@
 const express = require('express');
 const https = require('https');
 const router = express.Router();
+const { getTiers, resolveCustomerTier } = require('../lib/access-tiers');
+const { evaluateProducts } = require('../lib/restriction-rules');
+const { SHOPIFY_API_VERSION, getShopCredentials } = require('../lib/shopify-auth');
+const { getAccessCounts, getAnalyticsSummary } = require('../lib/analytics');
+const {
+  getSettings,
+  saveSettings,
+  syncTierTags,
+  withLegacyFields,
+  changedValues
+} = require('../lib/settings');
+const { liveAdminSchemas } = require('../lib/request-schemas');
+const { validateShopSession, getAdminActor, auditChange } = require('../middleware/access-control');
+const { validateRequest } = require('../middleware/validation');
+const sharedAdminRoutes = require('./shared-admin');
+
+// Helper function to make Shopify API requests with the shop's stored offline token
+async function makeShopifyRequest(storeDomain, path) {
+  const credentials = await getShopCredentials(storeDomain);
 
-// Helper function to make Shopify API requests
-async function makeShopifyRequest(path) {
   return new Promise((resolve, reject) => {
-    const storeDomain = process.env.SHOPIFY_STORE_DOMAIN;
-    const accessToken = process.env.SHOPIFY_ACCESS_TOKEN;
-
-    if (!storeDomain || !accessToken) {
-      return reject(new Error('Missing Shopify credentials in environment variables'));
+    if (!credentials) {
+      return reject(new Error(`No Shopify access token stored for shop: ${storeDomain}`));
     }
 
+    const { accessToken } = credentials;
     const options = {
       hostname: storeDomain,
-      path: `/admin/api/2024-01/${path}`,
+      path: `/admin/api/${SHOPIFY_API_VERSION}/${path}`,
       method: 'GET',
       headers: {
         'X-Shopify-Access-Token': accessToken,
@@ -49,16 +64,16 @@ async function makeShopifyRequest(path) {
 }
 
 // Dashboard endpoint with 3-tier system stats
-router.get('/dashboard', async (req, res) => {
+router.get('/dashboard', validateShopSession, validateRequest(liveAdminSchemas.analytics), async (req, res) => {
   try {
     console.log('📊 Loading dashboard with live Shopify data...');
 
     // Fetch data in parallel
     const [productsResponse, customCollectionsResponse, smartCollectionsResponse, customersResponse] = await Promise.all([
-      makeShopifyRequest('products.json?limit=250'),
-      makeShopifyRequest('custom_collections.json'),
-      makeShopifyRequest('smart_collections.json'),
-      makeShopifyRequest('customers.json?limit=250')
+      makeShopifyRequest(req.session.shop, 'products.json?limit=250'),
+      makeShopifyRequest(req.session.shop, 'custom_collections.json'),
+      makeShopifyRequest(req.session.shop, 'smart_collections.json'),
+      makeShopifyRequest(req.session.shop, 'customers.json?limit=250')
     ]);
 
     const products = productsResponse.products || [];
@@ -69,16 +84,19 @@ router.get('/dashboard', async (req, res) => {
     // Combine all collections
     const allCollections = [...customCollections, ...smartCollections];
 
-    // Calculate customer access levels
-    const verifiedCustomers = customers.filter(customer => 
-      customer.tags && customer.tags.includes('verified')
-    ).length;
+    const settings = await getSettings(req.session.shop);
 
-    const butterflyPaidCustomers = customers.filter(customer => 
-      customer.tags && customer.tags.includes('butterfly_paid')
-    ).length;
+    // Calculate customer access levels using the shop's tiers
+    const tiers = await getTiers(req.session.shop, settings);
+    const tierCounts = Object.fromEntries(tiers.map(tier => [tier.name, 0]));
+    for (const customer of customers) {
+      const tier = resolveCustomerTier(tiers, customer.tags);
+      if (tier) tierCounts[tier.name] += 1;
+    }
 
     const totalCustomers = customers.length;
+    const verifiedCustomers = tierCounts.verified || 0;
+    const butterflyPaidCustomers = tierCounts.butterfly || 0;
 
     // Calculate stats
     const stats = {
@@ -87,48 +105,14 @@ router.get('/dashboard', async (req, res) => {
       totalCustomers: totalCustomers,
       verifiedCustomers: verifiedCustomers,
       butterflyPaidCustomers: butterflyPaidCustomers,
-      publicCustomers: totalCustomers - verifiedCustomers - butterflyPaidCustomers
-    };
-
-    // Load saved settings or use defaults
-    let settings = {
-      is_enabled: true,
-      verified_tag: 'verified',
-      butterfly_paid_tag: 'butterfly_paid',
-      certification_url: 'https://maliaextensions.com/pages/certification',
-      education_collections: 'courses,in-person-education-1',
-      butterfly_collections: 'butterfly,flutter-luxe',
-      pro_account_title: 'PRO ACCOUNT REQUIRED',
-      pro_account_subtitle: 'MALIÁ PRODUCTS ARE AVAILABLE EXCLUSIVELY TO LICENSED HAIR STYLISTS.\n\nCREATE YOUR FREE PRO ACCOUNT TO ACCESS PROFESSIONAL PRICING, MALIA EDUCATION AND TO PLACE ORDERS.',
-      pro_account_create_text: 'CREATE FREE PRO ACCOUNT',
-      pro_account_login_text: 'LOGIN',
-      pro_account_locate_text: 'LOCATE CERTIFIED MALIÁ STYLISTS NEAR YOU',
-      butterfly_title: 'BUTTERFLY CERTIFICATION REQUIRED',
-      butterfly_subtitle: 'THIS METHOD REQUIRES MALIÁ BUTTERFLY CERTIFICATION BEFORE PURCHASE.\n\nOUR TRAINING ENSURES YOU MASTER THE TECHNIQUE SAFELY AND EFFECTIVELY, PROTECTING BOTH YOU AND YOUR CLIENTS.',
-      butterfly_button_text: 'EXPLORE CERTIFICATIONS OPTIONS'
+      publicCustomers: tierCounts.public || 0,
+      tierCounts
     };
 
-    // Try to load saved settings
-    try {
-      const fs = require('fs');
-      const path = require('path');
-      const settingsPath = path.join(__dirname, '../data/access-control-settings.json');
-      
-      if (fs.existsSync(settingsPath)) {
-        const savedSettings = JSON.parse(fs.readFileSync(settingsPath, 'utf8'));
-        settings = { ...settings, ...savedSettings };
-        console.log('✅ Loaded saved access control settings');
-      }
-    } catch (error) {
-      console.log('⚠️ Could not load saved settings, using defaults:', error.message);
-    }
-
-    // Mock analytics data
-    const analytics = [
-      { access_type: 'public_blocked', count: 145 },
-      { access_type: 'verified_access', count: 89 },
-      { access_type: 'butterfly_access', count: 34 }
-    ];
+    const [analytics, analyticsSummary] = await Promise.all([
+      getAccessCounts(req.session.shop, req.query.days),
+      getAnalyticsSummary(req.session.shop, req.query.days)
+    ]);
 
     console.log('✅ Dashboard data loaded successfully:', {
       products: products.length,
@@ -141,8 +125,9 @@ router.get('/dashboard', async (req, res) => {
     res.json({
       success: true,
       stats,
-      settings,
-      analytics
+      settings: withLegacyFields(settings),
+      analytics,
+      analyticsSummary
     });
 
   } catch (error) {
@@ -155,27 +140,31 @@ router.get('/dashboard', async (req, res) => {
 });
 
 // Get all products
-router.get('/products', async (req, res) => {
+router.get('/products', validateShopSession, async (req, res) => {
   try {
     console.log('📦 Loading products from Shopify...');
     
-    const response = await makeShopifyRequest('products.json?limit=250');
+    const response = await makeShopifyRequest(req.session.shop, 'products.json?limit=250');
     const products = response.products || [];
 
-    // Add restriction status based on collection membership
-    const processedProducts = products.map(product => ({
-      id: product.id,
-      title: product.title,
-      handle: product.handle,
-      product_type: product.product_type,
-      vendor: product.vendor,
-      created_at: product.created_at,
-      updated_at: product.updated_at,
-      status: product.status,
-      // For now, mark all as restricted by default (can be customized later)
-      isRestricted: true,
-      accessLevel: 'verified' // Default access level
-    }));
+    const evaluated = await evaluateProducts(req.session.shop, products);
+
+    // Add required tier from the shop's restriction rules
+    const processedProducts = evaluated.map(({ product, decision }) => {
+      return {
+        id: product.id,
+        title: product.title,
+        handle: product.handle,
+        product_type: product.product_type,
+        vendor: product.vendor,
+        created_at: product.created_at,
+        updated_at: product.updated_at,
+        status: product.status,
+        isRestricted: !!decision.requiredTier,
+        accessLevel: decision.tier,
+        matchedRule: decision.rule
+      };
+    });
 
     console.log(`✅ Loaded ${products.length} products`);
 
@@ -194,13 +183,13 @@ router.get('/products', async (req, res) => {
 });
 
 // Get all collections
-router.get('/collections', async (req, res) => {
+router.get('/collections', validateShopSession, async (req, res) => {
   try {
     console.log('📁 Loading collections from Shopify...');
     
     const [customResponse, smartResponse] = await Promise.all([
-      makeShopifyRequest('custom_collections.json'),
-      makeShopifyRequest('smart_collections.json')
+      makeShopifyRequest(req.session.shop, 'custom_collections.json'),
+      makeShopifyRequest(req.session.shop, 'smart_collections.json')
     ]);
 
     const customCollections = customResponse.custom_collections || [];
@@ -245,23 +234,18 @@ router.get('/collections', async (req, res) => {
 });
 
 // Get customers with access level analysis
-router.get('/customers', async (req, res) => {
+router.get('/customers', validateShopSession, async (req, res) => {
   try {
     console.log('👥 Loading customers from Shopify...');
     
-    const response = await makeShopifyRequest('customers.json?limit=250');
+    const response = await makeShopifyRequest(req.session.shop, 'customers.json?limit=250');
     const customers = response.customers || [];
 
     // Analyze customer access levels
+    const tiers = await getTiers(req.session.shop);
     const processedCustomers = customers.map(customer => {
       const tags = customer.tags ? customer.tags.split(',').map(tag => tag.trim()) : [];
-      
-      let accessLevel = 'public';
-      if (tags.includes('butterfly_paid')) {
-        accessLevel = 'butterfly';
-      } else if (tags.includes('verified')) {
-        accessLevel = 'verified';
-      }
+      const accessLevel = resolveCustomerTier(tiers, tags)?.name || 'public';
 
       return {
         id: customer.id,
@@ -294,21 +278,21 @@ router.get('/customers', async (req, res) => {
   }
 });
 
-// Get analytics data
-router.get('/analytics', async (req, res) => {
+// Get analytics aggregated from access logs and theme events
+router.get('/analytics', validateShopSession, validateRequest(liveAdminSchemas.analytics), async (req, res) => {
   try {
-    // For now, return mock analytics data
-    // In a real implementation, this would pull from access logs
-    const analytics = [
-      { access_type: 'public_blocked', count: 145 },
-      { access_type: 'verified_access', count: 89 },
-      { access_type: 'butterfly_access', count: 34 },
-      { access_type: 'education_access', count: 67 }
-    ];
+    const { days } = req.query;
+
+    const [analytics, summary] = await Promise.all([
+      getAccessCounts(req.session.shop, days),
+      getAnalyticsSummary(req.session.shop, days)
+    ]);
 
     res.json({
       success: true,
-      analytics
+      period: `${days} days`,
+      analytics,
+      summary
     });
 
   } catch (error) {
@@ -321,38 +305,25 @@ router.get('/analytics', async (req, res) => {
 });
 
 // Save access control settings
-router.put('/access-control', async (req, res) => {
+router.put('/access-control', validateShopSession, validateRequest(liveAdminSchemas.accessControl), async (req, res) => {
   try {
-    const settings = req.body;
-    console.log('💾 Saving access control settings:', settings);
+    console.log('💾 Saving access control settings:', req.body);
+
+    const previous = await getSettings(req.session.shop);
+    const settings = await saveSettings(req.session.shop, req.body, { author: getAdminActor(req), source: 'live_admin' });
+    await syncTierTags(req.session.shop, settings);
+    await auditChange(req, {
+      action: 'settings.update',
+      target_type: 'settings',
+      ...changedValues(previous, settings)
+    });
 
-    // Save to file system for persistence
-    const fs = require('fs');
-    const path = require('path');
-    const settingsPath = path.join(__dirname, '../data/access-control-settings.json');
-    
-    // Create data directory if it doesn't exist
-    const dataDir = path.join(__dirname, '../data');
-    if (!fs.existsSync(dataDir)) {
-      fs.mkdirSync(dataDir, { recursive: true });
-    }
-    
-    // Add timestamp
-    const settingsWithTimestamp = {
-      ...settings,
-      updated_at: new Date().toISOString()
-    };
-    
-    // Write settings to file
-    fs.writeFileSync(settingsPath, JSON.stringify(settingsWithTimestamp, null, 2));
-    
-    console.log('✅ Access control settings saved to:', settingsPath);
-    console.log('📋 Saved settings:', settingsWithTimestamp);
+    console.log('✅ Access control settings saved for:', req.session.shop);
     
     res.json({
       success: true,
       message: 'Access control settings saved successfully',
-      settings: settingsWithTimestamp
+      settings: withLegacyFields(settings)
     });
 
   } catch (error) {
@@ -365,44 +336,24 @@ router.put('/access-control', async (req, res) => {
 });
 
 // Save message settings
-router.put('/messages', async (req, res) => {
+router.put('/messages', validateShopSession, validateRequest(liveAdminSchemas.messages), async (req, res) => {
   try {
-    const messages = req.body;
-    console.log('💬 Saving message settings:', messages);
+    console.log('💬 Saving message settings:', req.body);
+
+    const previous = await getSettings(req.session.shop);
+    const settings = await saveSettings(req.session.shop, req.body, { author: getAdminActor(req), source: 'live_admin' });
+    await auditChange(req, {
+      action: 'settings.update',
+      target_type: 'settings',
+      ...changedValues(previous, settings)
+    });
 
-    // Load existing settings and merge with messages
-    const fs = require('fs');
-    const path = require('path');
-    const settingsPath = path.join(__dirname, '../data/access-control-settings.json');
-    
-    let existingSettings = {};
-    if (fs.existsSync(settingsPath)) {
-      existingSettings = JSON.parse(fs.readFileSync(settingsPath, 'utf8'));
-    }
-    
-    // Merge message settings with existing settings
-    const updatedSettings = {
-      ...existingSettings,
-      ...messages,
-      updated_at: new Date().toISOString()
-    };
-    
-    // Create data directory if it doesn't exist
-    const dataDir = path.join(__dirname, '../data');
-    if (!fs.existsSync(dataDir)) {
-      fs.mkdirSync(dataDir, { recursive: true });
-    }
-    
-    // Write updated settings to file
-    fs.writeFileSync(settingsPath, JSON.stringify(updatedSettings, null, 2));
-    
-    console.log('✅ Message settings saved to:', settingsPath);
-    console.log('📋 Updated settings:', updatedSettings);
+    console.log('✅ Message settings saved for:', req.session.shop);
     
     res.json({
       success: true,
       message: 'Message settings saved successfully',
-      settings: updatedSettings
+      settings: withLegacyFields(settings)
     });
 
   } catch (error) {
@@ -414,31 +365,26 @@ router.put('/messages', async (req, res) => {
   }
 });
 
+// Theme integration reads settings without an admin session, so the shop may come from the query
+function getThemeShop(req) {
+  return req.session?.shop || req.query.shop;
+}
+
 // Get settings for theme integration
-router.get('/settings', async (req, res) => {
+router.get('/settings', validateRequest(liveAdminSchemas.themeSettings), async (req, res) => {
   try {
     console.log('🎨 Loading settings for theme integration...');
-    
-    // Load saved settings
-    const fs = require('fs');
-    const path = require('path');
-    const settingsPath = path.join(__dirname, '../data/access-control-settings.json');
-    
-    let settings = {
-      education_collections: 'courses,in-person-education-1,education',
-      butterfly_collections: 'butterfly,flutter-luxe',
-      verified_tag: 'verified',
-      butterfly_paid_tag: 'butterfly_paid'
-    };
-    
-    if (fs.existsSync(settingsPath)) {
-      const savedSettings = JSON.parse(fs.readFileSync(settingsPath, 'utf8'));
-      settings = { ...settings, ...savedSettings };
+
+    const shopDomain = getThemeShop(req);
+    if (!shopDomain) {
+      return res.status(400).json({ error: 'Shop domain required' });
     }
+
+    const settings = await getSettings(shopDomain);
     
     res.json({
       success: true,
-      settings: settings
+      settings: withLegacyFields(settings)
     });
 
   } catch (error) {
@@ -451,38 +397,20 @@ router.get('/settings', async (req, res) => {
 });
 
 // Get messages for theme integration
-router.get('/messages', async (req, res) => {
+router.get('/messages', validateRequest(liveAdminSchemas.themeSettings), async (req, res) => {
   try {
     console.log('💬 Loading messages for theme integration...');
-    
-    // Load saved settings (messages are stored with other settings)
-    const fs = require('fs');
-    const path = require('path');
-    const settingsPath = path.join(__dirname, '../data/access-control-settings.json');
-    
-    let settings = {
-      pro_account_title: 'PRO ACCOUNT REQUIRED',
-      pro_account_subtitle: 'MALIÁ PRODUCTS ARE AVAILABLE EXCLUSIVELY TO LICENSED HAIR STYLISTS.\n\nCREATE YOUR FREE PRO ACCOUNT TO ACCESS PROFESSIONAL PRICING, MALIA EDUCATION AND TO PLACE ORDERS.',
-      pro_account_create_text: 'CREATE FREE PRO ACCOUNT',
-      pro_account_login_text: 'LOGIN',
-      pro_account_locate_text: 'LOCATE CERTIFIED MALIÁ STYLISTS NEAR YOU',
-      create_account_url: '/account/register',
-      login_url: '/account/login',
-      locate_stylists_url: '/pages/find-stylists',
-      butterfly_title: 'BUTTERFLY CERTIFICATION REQUIRED',
-      butterfly_subtitle: 'THIS METHOD REQUIRES MALIÁ BUTTERFLY CERTIFICATION BEFORE PURCHASE.\n\nOUR TRAINING ENSURES YOU MASTER THE TECHNIQUE SAFELY AND EFFECTIVELY, PROTECTING BOTH YOU AND YOUR CLIENTS.',
-      butterfly_button_text: 'EXPLORE CERTIFICATIONS OPTIONS',
-      certification_url: 'https://maliaextensions.com/pages/certification'
-    };
-    
-    if (fs.existsSync(settingsPath)) {
-      const savedSettings = JSON.parse(fs.readFileSync(settingsPath, 'utf8'));
-      settings = { ...settings, ...savedSettings };
+
+    const shopDomain = getThemeShop(req);
+    if (!shopDomain) {
+      return res.status(400).json({ error: 'Shop domain required' });
     }
+
+    const settings = await getSettings(shopDomain);
     
     res.json({
       success: true,
-      settings: settings
+      settings: withLegacyFields(settings)
     });
 
   } catch (error) {
@@ -494,42 +422,12 @@ router.get('/messages', async (req, res) => {
   }
 });
 
-// Track analytics from theme
-router.post('/analytics/track', async (req, res) => {
-  try {
-    const { product_id, customer_logged_in, access_level, action, timestamp } = req.body;
-    
-    console.log('📊 Analytics tracked:', {
-      product_id,
-      customer_logged_in,
-      access_level,
-      action,
-      timestamp
-    });
-    
-    // In a real implementation, save to database
-    // For now, just log and return success
-    
-    res.json({
-      success: true,
-      message: 'Analytics tracked successfully'
-    });
-
-  } catch (error) {
-    console.error('❌ Error tracking analytics:', error);
-    res.status(500).json({ 
-      error: 'Failed to track analytics',
-      details: error.message 
-    });
-  }
-});
-
 // Test Shopify connection
-router.get('/test-shopify', async (req, res) => {
+router.get('/test-shopify', validateShopSession, async (req, res) => {
   try {
     console.log('🔍 Testing Shopify API connection...');
     
-    const response = await makeShopifyRequest('shop.json');
+    const response = await makeShopifyRequest(req.session.shop, 'shop.json');
     
     res.json({
       success: true,
@@ -551,4 +449,8 @@ router.get('/test-shopify', async (req, res) => {
   }
 });
 
+// Settings history, reports, order reviews, webhooks and jobs. Mounted last:
+// it requires a shop session for every request that reaches it.
+router.use(sharedAdminRoutes);
+
 module.exports = router;
@@ -0,0 +1,445 @@
+const express = require('express');
+const router = express.Router();
+const { AdminAuditLog, CustomerDataRequests } = require('../lib/database');
+const { OrderEnforcements, OrderReviews } = require('../lib/order-enforcement-store');
+const { WebhookEvents } = require('../lib/webhook-event-store');
+const { Jobs } = require('../lib/job-store');
+const { getAccessReport, getCertificationFunnel } = require('../lib/analytics');
+const { EXPORT_FORMATS, writeAccessLogExport, getExportFilename } = require('../lib/access-log-export');
+const { releaseOrder, cancelFlaggedOrder, grantAccessAndRelease } = require('../lib/order-review');
+const { retryWebhookEvent } = require('../lib/webhook-queue');
+const { getSettings, syncTierTags, changedValues, getSettingsHistory, rollbackSettings } = require('../lib/settings');
+const { adminSchemas } = require('../lib/request-schemas');
+const { validateShopSession, getAdminActor, auditChange } = require('../middleware/access-control');
+const { validateRequest } = require('../middleware/validation');
+
+// Admin endpoints that work the same whichever profile serves /api/admin
+// (settings history, reports, exports, the audit log, order reviews, webhooks,
+// jobs and customer data requests). routes/admin.js and
+// routes/live-shopify-admin.js both mount this router.
+router.use(validateShopSession);
+
+/**
+ * GET /api/admin/settings/history
+ * Saved settings versions, newest first, with field-level changes
+ */
+router.get('/settings/history', validateRequest(adminSchemas.settingsHistory), async (req, res) => {
+  try {
+    const versions = await getSettingsHistory(req.session.shop, req.query.limit);
+    res.json({ versions });
+  } catch (error) {
+    console.error('Settings history error:', error);
+    res.status(500).json({ error: 'Settings history failed' });
+  }
+});
+
+/**
+ * POST /api/admin/settings/rollback/:version
+ * Restore the settings from a previous version (saved as a new version)
+ */
+router.post('/settings/rollback/:version', validateRequest(adminSchemas.settingsRollback), async (req, res) => {
+  try {
+    const shopDomain = req.session.shop;
+    const { version } = req.params;
+
+    const previous = await getSettings(shopDomain);
+    const settings = await rollbackSettings(shopDomain, version, { author: getAdminActor(req) });
+    if (!settings) {
+      return res.status(404).json({ error: 'Settings version not found' });
+    }
+
+    await syncTierTags(shopDomain, settings);
+    await auditChange(req, {
+      action: 'settings.rollback',
+      target_type: 'settings',
+      target_id: version,
+      ...changedValues(previous, settings)
+    });
+
+    res.json({
+      success: true,
+      message: `Settings restored from version ${version}`,
+      settings
+    });
+  } catch (error) {
+    console.error('Settings rollback error:', error);
+    res.status(500).json({ error: 'Settings rollback failed' });
+  }
+});
+
+/**
+ * GET /api/admin/analytics/access
+ * Access time series (?interval=day|hour) and blocked-vs-allowed stats per
+ * product and collection for a date range (?from=&to=, ISO 8601)
+ */
+router.get('/analytics/access', validateRequest(adminSchemas.accessReport), async (req, res) => {
+  try {
+    const report = await getAccessReport(req.session.shop, req.query);
+    res.json(report);
+  } catch (error) {
+    console.error('Access report error:', error);
+    res.status(500).json({ error: 'Access report failed' });
+  }
+});
+
+/**
+ * GET /api/admin/analytics/funnel
+ * Certification funnel for customers first blocked in a date range
+ * (?from=&to=, ISO 8601): blocked, registered, then each gated tier
+ */
+router.get('/analytics/funnel', validateRequest(adminSchemas.funnel), async (req, res) => {
+  try {
+    const funnel = await getCertificationFunnel(req.session.shop, req.query);
+    res.json(funnel);
+  } catch (error) {
+    console.error('Funnel report error:', error);
+    res.status(500).json({ error: 'Funnel report failed' });
+  }
+});
+
+/**
+ * GET /api/admin/access-logs/export
+ * Stream access logs as CSV or NDJSON (?format=csv|ndjson), filtered by
+ * ?from=&to=, ?accessType=, ?productId= and ?customerId=
+ */
+router.get('/access-logs/export', validateRequest(adminSchemas.accessLogExport), async (req, res) => {
+  const shopDomain = req.session.shop;
+  const { format } = req.query;
+
+  try {
+    res.setHeader('Content-Type', EXPORT_FORMATS[format].contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${getExportFilename(shopDomain, format)}"`);
+
+    await writeAccessLogExport(res, shopDomain, req.query);
+    res.end();
+  } catch (error) {
+    console.error('Access log export error:', error);
+    if (res.headersSent) {
+      // Part of the file is already out; cut it off so the download fails visibly
+      return res.destroy(error);
+    }
+    res.removeHeader('Content-Disposition');
+    res.status(500).json({ error: 'Access log export failed' });
+  }
+});
+
+/**
+ * GET /api/admin/audit-log
+ * Admin changes, newest first, filtered by target (e.g. ?targetType=product&targetId=123),
+ * action and date range (?from=&to=, ISO 8601)
+ */
+router.get('/audit-log', validateRequest(adminSchemas.auditLog), async (req, res) => {
+  try {
+    const { limit, page, targetType, targetId, action, from, to } = req.query;
+    const offset = (page - 1) * limit;
+
+    const { entries, total } = await AdminAuditLog.find(req.session.shop, {
+      targetType,
+      targetId,
+      action,
+      from,
+      to,
+      limit,
+      offset
+    });
+
+    res.json({
+      entries,
+      pagination: {
+        page,
+        limit,
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Audit log error:', error);
+    res.status(500).json({ error: 'Audit log failed' });
+  }
+});
+
+/**
+ * GET /api/admin/order-enforcements
+ * What the orders/create check did about orders with items the customer can't
+ * buy, newest first, filtered by ?policy= and ?status=applied|failed
+ */
+router.get('/order-enforcements', validateRequest(adminSchemas.orderEnforcements), async (req, res) => {
+  try {
+    const { limit, page, policy, status } = req.query;
+
+    const { entries, total } = await OrderEnforcements.find(req.session.shop, {
+      policy,
+      status,
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    res.json({
+      enforcements: entries,
+      pagination: {
+        page,
+        limit,
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Order enforcements error:', error);
+    res.status(500).json({ error: 'Order enforcements failed' });
+  }
+});
+
+/**
+ * GET /api/admin/order-reviews
+ * Flagged orders waiting for a decision, oldest first; ?status=approved|cancelled
+ * lists decided ones instead
+ */
+router.get('/order-reviews', validateRequest(adminSchemas.orderReviews), async (req, res) => {
+  try {
+    const { limit, page, status } = req.query;
+
+    const { entries, total } = await OrderReviews.find(req.session.shop, {
+      status,
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    res.json({
+      reviews: entries,
+      pagination: {
+        page,
+        limit,
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Order reviews error:', error);
+    res.status(500).json({ error: 'Order reviews failed' });
+  }
+});
+
+/**
+ * GET /api/admin/order-reviews/:reviewId
+ * One flagged order with its offending line items and the customer's tier at
+ * purchase time
+ */
+router.get('/order-reviews/:reviewId', validateRequest(adminSchemas.orderReview), async (req, res) => {
+  try {
+    const review = await OrderReviews.get(req.session.shop, req.params.reviewId);
+
+    if (!review) {
+      return res.status(404).json({ error: 'Order review not found' });
+    }
+
+    res.json({ review });
+  } catch (error) {
+    console.error('Order review error:', error);
+    res.status(500).json({ error: 'Order review failed' });
+  }
+});
+
+// Apply a decision to a pending review and record it in the audit log
+async function decideOrderReview(req, res, action, decide, { requireCustomer = false } = {}) {
+  const shopDomain = req.session.shop;
+  const review = await OrderReviews.get(shopDomain, req.params.reviewId);
+
+  if (!review) {
+    return res.status(404).json({ error: 'Order review not found' });
+  }
+  if (review.status !== 'pending') {
+    return res.status(409).json({ error: 'Order review already resolved', review });
+  }
+  if (requireCustomer && !review.customer_id) {
+    return res.status(400).json({ error: 'Order has no customer to grant access to' });
+  }
+
+  const resolved = await decide(shopDomain, review, { resolvedBy: getAdminActor(req) });
+  if (!resolved) {
+    return res.status(409).json({ error: 'Order review already resolved or in progress' });
+  }
+
+  await auditChange(req, {
+    action,
+    target_type: 'order',
+    target_id: review.order_id,
+    before: { status: review.status },
+    after: { status: resolved.status, resolution: resolved.resolution }
+  });
+
+  res.json({ success: true, review: resolved });
+}
+
+/**
+ * POST /api/admin/order-reviews/:reviewId/approve
+ * Let the order through, releasing any fulfillment hold or enforcement tag
+ */
+router.post('/order-reviews/:reviewId/approve', validateRequest(adminSchemas.orderReview), async (req, res) => {
+  try {
+    await decideOrderReview(req, res, 'order.review.approve', releaseOrder);
+  } catch (error) {
+    console.error('Order review approve error:', error);
+    res.status(500).json({ error: 'Order review approve failed' });
+  }
+});
+
+/**
+ * POST /api/admin/order-reviews/:reviewId/cancel
+ * Cancel the order in Shopify, restocking and refunding it
+ */
+router.post('/order-reviews/:reviewId/cancel', validateRequest(adminSchemas.orderReview), async (req, res) => {
+  try {
+    await decideOrderReview(req, res, 'order.review.cancel', cancelFlaggedOrder);
+  } catch (error) {
+    console.error('Order review cancel error:', error);
+    res.status(500).json({ error: 'Order review cancel failed' });
+  }
+});
+
+/**
+ * POST /api/admin/order-reviews/:reviewId/grant-access
+ * Tag the customer with the tier the order required, then let the order through
+ */
+router.post('/order-reviews/:reviewId/grant-access', validateRequest(adminSchemas.orderReview), async (req, res) => {
+  try {
+    await decideOrderReview(req, res, 'order.review.grant_access', grantAccessAndRelease, { requireCustomer: true });
+  } catch (error) {
+    console.error('Order review grant access error:', error);
+    res.status(500).json({ error: 'Order review grant access failed' });
+  }
+});
+
+/**
+ * GET /api/admin/webhooks
+ * Queued webhooks, newest first, with counts per status; ?status=failed lists
+ * the dead letters that ran out of retries
+ */
+router.get('/webhooks', validateRequest(adminSchemas.webhookEvents), async (req, res) => {
+  try {
+    const { limit, page, status, topic } = req.query;
+
+    const [{ entries, total }, counts] = await Promise.all([
+      WebhookEvents.find(req.session.shop, { status, topic, limit, offset: (page - 1) * limit }),
+      WebhookEvents.getCounts(req.session.shop)
+    ]);
+
+    res.json({
+      events: entries,
+      counts,
+      pagination: {
+        page,
+        limit,
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Webhook events error:', error);
+    res.status(500).json({ error: 'Webhook events failed' });
+  }
+});
+
+/**
+ * POST /api/admin/webhooks/:eventId/retry
+ * Put a dead-lettered webhook back in the queue
+ */
+router.post('/webhooks/:eventId/retry', validateRequest(adminSchemas.webhookEvent), async (req, res) => {
+  try {
+    const shopDomain = req.session.shop;
+    const { eventId } = req.params;
+
+    if (!await retryWebhookEvent(shopDomain, eventId)) {
+      return res.status(404).json({ error: 'Failed webhook not found' });
+    }
+
+    const event = await WebhookEvents.get(eventId);
+    await auditChange(req, { action: 'webhook.retry', target_type: 'webhook', target_id: eventId, after: { topic: event.topic } });
+
+    res.json({ success: true, event: { ...event, payload: undefined } });
+  } catch (error) {
+    console.error('Webhook retry error:', error);
+    res.status(500).json({ error: 'Webhook retry failed' });
+  }
+});
+
+/**
+ * GET /api/admin/jobs
+ * The shop's background jobs (resyncs, bulk updates), newest first, filtered
+ * by ?status= and ?type=
+ */
+router.get('/jobs', validateRequest(adminSchemas.jobs), async (req, res) => {
+  try {
+    const { limit, page, status, type } = req.query;
+
+    const { entries, total } = await Jobs.find(req.session.shop, {
+      status,
+      type,
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    res.json({
+      jobs: entries,
+      pagination: {
+        page,
+        limit,
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Jobs error:', error);
+    res.status(500).json({ error: 'Jobs failed' });
+  }
+});
+
+/**
+ * GET /api/admin/jobs/:jobId
+ * One job's status, progress and result
+ */
+router.get('/jobs/:jobId', validateRequest(adminSchemas.job), async (req, res) => {
+  try {
+    const job = await Jobs.getForShop(req.session.shop, req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const { payload, ...status } = job;
+    res.json({ job: status });
+  } catch (error) {
+    console.error('Job error:', error);
+    res.status(500).json({ error: 'Job failed' });
+  }
+});
+
+/**
+ * GET /api/admin/data-requests
+ * Customer data exports built for customers/data_request webhooks, newest first
+ */
+router.get('/data-requests', async (req, res) => {
+  try {
+    const dataRequests = await CustomerDataRequests.getAll(req.session.shop);
+    res.json({ dataRequests });
+  } catch (error) {
+    console.error('Data requests error:', error);
+    res.status(500).json({ error: 'Data requests failed' });
+  }
+});
+
+/**
+ * GET /api/admin/data-requests/:requestId
+ * Download one customer data export as JSON
+ */
+router.get('/data-requests/:requestId', validateRequest(adminSchemas.dataRequest), async (req, res) => {
+  try {
+    const dataRequest = await CustomerDataRequests.get(req.session.shop, req.params.requestId);
+
+    if (!dataRequest) {
+      return res.status(404).json({ error: 'Data request not found' });
+    }
+
+    res.setHeader('Content-Disposition', `attachment; filename="customer-${dataRequest.customer_id}-data-${dataRequest.id}.json"`);
+    res.json(dataRequest.data);
+  } catch (error) {
+    console.error('Data request export error:', error);
+    res.status(500).json({ error: 'Data request export failed' });
+  }
+});
+
+module.exports = router;
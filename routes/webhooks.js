@@ -1,230 +1,170 @@
 const express = require('express');
 const router = express.Router();
-const { AppSettings, ProductRestrictions, CollectionExceptions } = require('../lib/database');
+const { enqueueWebhook, wakeWebhookWorker } = require('../lib/webhook-queue');
+const { verifyWebhookHmac } = require('../middleware/webhook-verification');
+const { isValidShopDomain } = require('../lib/shopify-auth');
+
+// Every webhook must be signed by Shopify with the app secret
+router.use(verifyWebhookHmac);
 
 /**
- * POST /api/webhooks/app/uninstalled
- * Handle app uninstallation webhook
+ * Queue a validated webhook and answer Shopify straight away; the work is done
+ * by the webhook queue (lib/webhook-queue, handlers in lib/webhook-handlers).
+ * Redeliveries of a webhook already queued are acknowledged without queueing
+ * it again. Only a webhook we couldn't store gets a 500, so Shopify retries it.
  */
-router.post('/app/uninstalled', async (req, res) => {
+async function acknowledgeWebhook(req, res, topic, shopDomain) {
   try {
-    const shopDomain = req.body.domain;
-    
-    if (!shopDomain) {
-      return res.status(400).json({ error: 'Shop domain required' });
-    }
+    const webhookId = req.get('X-Shopify-Webhook-Id');
+    const { event, duplicate } = await enqueueWebhook(shopDomain, topic, webhookId, req.body);
 
-    console.log(`App uninstalled for shop: ${shopDomain}`);
-    
-    // Clean up app data
-    const { db } = require('../lib/database');
-    
-    await db('app_settings').where('shop_domain', shopDomain).del();
-    await db('product_restrictions').where('shop_domain', shopDomain).del();
-    await db('collection_exceptions').where('shop_domain', shopDomain).del();
-    // Keep access_logs for potential analytics
+    if (duplicate) {
+      console.log(`Duplicate ${topic} webhook ${webhookId} (event ${event.id}) in shop: ${shopDomain}`);
+    } else {
+      wakeWebhookWorker();
+    }
 
     res.status(200).json({ success: true });
   } catch (error) {
-    console.error('App uninstalled webhook error:', error);
+    console.error(`${topic} webhook error:`, error);
     res.status(500).json({ error: 'Webhook processing failed' });
   }
-});
+}
 
 /**
- * POST /api/webhooks/customers/update
- * Handle customer update webhook
+ * The shop a webhook is for. The HMAC covers the body but not the headers, so
+ * the payload's myshopify domain is used when it has one; the unsigned
+ * X-Shopify-Shop-Domain header only names the shop for resource payloads
+ * (customers, orders, products, collections), which don't carry it.
  */
-router.post('/customers/update', async (req, res) => {
-  try {
-    const customer = req.body;
-    const shopDomain = req.headers['x-shopify-shop-domain'];
-    
-    if (!customer || !shopDomain) {
-      return res.status(400).json({ error: 'Invalid webhook data' });
-    }
+function getShopDomain(req) {
+  const shopDomain = req.body?.myshopify_domain || req.body?.shop_domain || req.get('X-Shopify-Shop-Domain');
+  return isValidShopDomain(shopDomain) ? shopDomain : null;
+}
 
-    console.log(`Customer updated: ${customer.id} in shop: ${shopDomain}`);
-    
-    // Log customer tag changes for analytics
-    if (customer.tags && customer.tags.includes('butterfly_paid')) {
-      console.log(`Customer ${customer.id} now has butterfly_paid tag`);
-    }
+/**
+ * POST /api/webhooks/app/uninstalled
+ * Handle app uninstallation webhook. The payload's `domain` is the shop's
+ * primary domain, which can be a custom one; shop data is keyed by the
+ * myshopify domain.
+ */
+router.post('/app/uninstalled', async (req, res) => {
+  const shopDomain = getShopDomain(req);
 
-    res.status(200).json({ success: true });
-  } catch (error) {
-    console.error('Customer update webhook error:', error);
-    res.status(500).json({ error: 'Webhook processing failed' });
+  if (!shopDomain) {
+    return res.status(400).json({ error: 'Shop domain required' });
   }
+
+  await acknowledgeWebhook(req, res, 'app/uninstalled', shopDomain);
 });
 
 /**
- * POST /api/webhooks/orders/create
- * Handle order creation webhook
+ * Webhooks whose payload is a Shopify resource (customer, order, product or
+ * collection)
  */
-router.post('/orders/create', async (req, res) => {
-  try {
-    const order = req.body;
-    const shopDomain = req.headers['x-shopify-shop-domain'];
-    
-    if (!order || !shopDomain) {
+function resourceWebhook(topic, { requireId = false } = {}) {
+  return async (req, res) => {
+    const resource = req.body;
+    const shopDomain = getShopDomain(req);
+
+    if (!resource || (requireId && !resource.id) || !shopDomain) {
       return res.status(400).json({ error: 'Invalid webhook data' });
     }
 
-    console.log(`Order created: ${order.id} in shop: ${shopDomain}`);
-    
-    // Check if order contains restricted products
-    const ShopifyAPIClient = require('../lib/shopify-api');
-    const shopifyClient = new ShopifyAPIClient({ shop: shopDomain });
-    
-    const restrictedItems = [];
-    
-    for (const lineItem of order.line_items) {
-      const isRestricted = await shopifyClient.isProductRestricted(lineItem.product_id, shopDomain);
-      if (isRestricted) {
-        restrictedItems.push(lineItem);
-      }
-    }
+    await acknowledgeWebhook(req, res, topic, shopDomain);
+  };
+}
 
-    if (restrictedItems.length > 0) {
-      console.log(`Order ${order.id} contains restricted items:`, restrictedItems);
-      
-      // Validate customer access
-      const accessResult = await shopifyClient.validateCustomerAccess(order.customer?.id);
-      
-      if (!accessResult.hasAccess) {
-        console.log(`Order ${order.id} should be cancelled - customer lacks access`);
-        // In a production app, you might want to automatically cancel the order
-        // or send a notification to the merchant
-      }
-    }
+/**
+ * POST /api/webhooks/customers/create
+ * POST /api/webhooks/customers/update
+ * Store the customer's tags and tier so access checks don't need a Shopify call
+ */
+router.post('/customers/create', resourceWebhook('customers/create', { requireId: true }));
+router.post('/customers/update', resourceWebhook('customers/update', { requireId: true }));
 
-    res.status(200).json({ success: true });
-  } catch (error) {
-    console.error('Order create webhook error:', error);
-    res.status(500).json({ error: 'Webhook processing failed' });
-  }
-});
+/**
+ * POST /api/webhooks/customers/delete
+ * Handle customer deletion webhook
+ */
+router.post('/customers/delete', resourceWebhook('customers/delete', { requireId: true }));
 
 /**
- * POST /api/webhooks/products/create
- * Handle product creation webhook
+ * Mandatory privacy webhooks about one customer
  */
-router.post('/products/create', async (req, res) => {
-  try {
-    const product = req.body;
-    const shopDomain = req.headers['x-shopify-shop-domain'];
-    
-    if (!product || !shopDomain) {
+function customerPrivacyWebhook(topic) {
+  return async (req, res) => {
+    const payload = req.body;
+    const shopDomain = getShopDomain(req);
+
+    if (!payload?.customer?.id || !shopDomain) {
       return res.status(400).json({ error: 'Invalid webhook data' });
     }
 
-    console.log(`Product created: ${product.id} in shop: ${shopDomain}`);
-    
-    // Set default restriction status for new products
-    // Default to restricted (pro-only) unless in education collections
-    const settings = await AppSettings.get(shopDomain);
-    if (settings) {
-      const educationCollections = settings.education_collections?.split(',') || [];
-      
-      // Check if product is in education collections
-      let isException = false;
-      if (product.product_type) {
-        isException = educationCollections.some(collection => 
-          product.product_type.toLowerCase().includes(collection.toLowerCase())
-        );
-      }
-      
-      await ProductRestrictions.setRestriction(
-        shopDomain,
-        product.id,
-        product.handle,
-        !isException, // Restricted unless it's an education product
-        null
-      );
-    }
+    await acknowledgeWebhook(req, res, topic, shopDomain);
+  };
+}
 
-    res.status(200).json({ success: true });
-  } catch (error) {
-    console.error('Product create webhook error:', error);
-    res.status(500).json({ error: 'Webhook processing failed' });
-  }
-});
+/**
+ * POST /api/webhooks/customers/data_request
+ * Mandatory privacy webhook: export everything held about the customer for
+ * the merchant (GET /api/admin/data-requests)
+ */
+router.post('/customers/data_request', customerPrivacyWebhook('customers/data_request'));
 
 /**
- * POST /api/webhooks/products/update
- * Handle product update webhook
+ * POST /api/webhooks/customers/redact
+ * Mandatory privacy webhook: remove or anonymize the customer's data
  */
-router.post('/products/update', async (req, res) => {
-  try {
-    const product = req.body;
-    const shopDomain = req.headers['x-shopify-shop-domain'];
-    
-    if (!product || !shopDomain) {
-      return res.status(400).json({ error: 'Invalid webhook data' });
-    }
+router.post('/customers/redact', customerPrivacyWebhook('customers/redact'));
 
-    console.log(`Product updated: ${product.id} in shop: ${shopDomain}`);
-    
-    // Update restriction status if product type changed
-    const settings = await AppSettings.get(shopDomain);
-    if (settings) {
-      const educationCollections = settings.education_collections?.split(',') || [];
-      
-      // Check if product is in education collections
-      let isException = false;
-      if (product.product_type) {
-        isException = educationCollections.some(collection => 
-          product.product_type.toLowerCase().includes(collection.toLowerCase())
-        );
-      }
-      
-      // Only update if the restriction status should change
-      const currentRestriction = await ProductRestrictions.getByProduct(shopDomain, product.id);
-      if (currentRestriction && currentRestriction.is_restricted === isException) {
-        await ProductRestrictions.setRestriction(
-          shopDomain,
-          product.id,
-          product.handle,
-          !isException,
-          currentRestriction.custom_message
-        );
-      }
-    }
+/**
+ * POST /api/webhooks/shop/redact
+ * Mandatory privacy webhook, sent 48 hours after uninstall: remove everything
+ * held for the shop
+ */
+router.post('/shop/redact', async (req, res) => {
+  const shopDomain = getShopDomain(req);
 
-    res.status(200).json({ success: true });
-  } catch (error) {
-    console.error('Product update webhook error:', error);
-    res.status(500).json({ error: 'Webhook processing failed' });
+  if (!shopDomain) {
+    return res.status(400).json({ error: 'Shop domain required' });
   }
+
+  await acknowledgeWebhook(req, res, 'shop/redact', shopDomain);
 });
 
+/**
+ * POST /api/webhooks/orders/create
+ * Apply the shop's enforcement policy to orders with items the customer can't buy
+ */
+router.post('/orders/create', resourceWebhook('orders/create'));
+
+/**
+ * POST /api/webhooks/products/create
+ * POST /api/webhooks/products/update
+ * Mirror the product and evaluate the shop's restriction rules against it
+ */
+router.post('/products/create', resourceWebhook('products/create'));
+router.post('/products/update', resourceWebhook('products/update'));
+
 /**
  * POST /api/webhooks/products/delete
  * Handle product deletion webhook
  */
-router.post('/products/delete', async (req, res) => {
-  try {
-    const product = req.body;
-    const shopDomain = req.headers['x-shopify-shop-domain'];
-    
-    if (!product || !shopDomain) {
-      return res.status(400).json({ error: 'Invalid webhook data' });
-    }
+router.post('/products/delete', resourceWebhook('products/delete'));
 
-    console.log(`Product deleted: ${product.id} in shop: ${shopDomain}`);
-    
-    // Clean up product restriction data
-    const { db } = require('../lib/database');
-    await db('product_restrictions').where({ shop_domain: shopDomain, product_id: product.id }).del();
+/**
+ * POST /api/webhooks/collections/create
+ * POST /api/webhooks/collections/update
+ * Mirror the collection and re-index which products belong to it
+ */
+router.post('/collections/create', resourceWebhook('collections/create'));
+router.post('/collections/update', resourceWebhook('collections/update'));
 
-    res.status(200).json({ success: true });
-  } catch (error) {
-    console.error('Product delete webhook error:', error);
-    res.status(500).json({ error: 'Webhook processing failed' });
-  }
-});
+/**
+ * POST /api/webhooks/collections/delete
+ * Handle collection deletion webhook
+ */
+router.post('/collections/delete', resourceWebhook('collections/delete'));
 
 module.exports = router;
-
-
@@ -0,0 +1,30 @@
+/**
+ * Apply every shop's access log retention policy: roll raw rows into daily
+ * aggregates, truncate old IP addresses and prune expired rows. The app runs
+ * this hourly as the access_logs.retention job; use this to run it by hand.
+ *
+ *   node scripts/apply-retention.js
+ */
+require('dotenv').config();
+
+const { db, setupDatabase } = require('../lib/database');
+const { applyRetentionToAllShops } = require('../lib/access-log-retention');
+
+async function main() {
+  await setupDatabase();
+  const results = await applyRetentionToAllShops();
+
+  for (const { shopDomain, rollups, anonymized, pruned } of results) {
+    console.log(`✅ ${shopDomain}: ${rollups} rollup rows, ${anonymized} IPs truncated, ${pruned} rows pruned`);
+  }
+  if (results.length === 0) {
+    console.log('No access logs, nothing to do');
+  }
+}
+
+main()
+  .catch((error) => {
+    console.error('❌ Access log retention failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => db.destroy());
@@ -0,0 +1,39 @@
+/**
+ * One-time import of the live admin's JSON settings file into the database.
+ *
+ *   node scripts/import-settings.js <shop-domain> [path/to/access-control-settings.json]
+ *
+ * The file is renamed to <file>.imported afterwards so it is never applied twice.
+ */
+require('dotenv').config();
+
+const path = require('path');
+const { db, setupDatabase } = require('../lib/database');
+const { importSettingsFile } = require('../lib/settings');
+
+async function main() {
+  const [shopDomain, file] = process.argv.slice(2);
+  const filePath = path.resolve(file || path.join(__dirname, '../data/access-control-settings.json'));
+
+  if (!shopDomain) {
+    console.error('Usage: node scripts/import-settings.js <shop-domain> [settings-file]');
+    process.exitCode = 1;
+    return;
+  }
+
+  await setupDatabase();
+  const imported = await importSettingsFile(shopDomain, filePath);
+
+  if (imported) {
+    console.log(`✅ Imported ${Object.keys(imported).length} settings for ${shopDomain} from ${filePath}`);
+  } else {
+    console.log(`No settings file found at ${filePath}, nothing to import`);
+  }
+}
+
+main()
+  .catch((error) => {
+    console.error('❌ Settings import failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => db.destroy());
@@ -0,0 +1,45 @@
+/**
+ * One-time import of a single-store deployment's access token, so the shop
+ * keeps working without reinstalling the app after the upgrade to per-shop
+ * OAuth tokens.
+ *
+ *   SHOPIFY_STORE_DOMAIN=<shop-domain> SHOPIFY_ACCESS_TOKEN=<token> node scripts/import-shop-token.js
+ *
+ * A shop that already has a stored token (it has been through OAuth) is left
+ * alone, so running this again does nothing.
+ */
+require('dotenv').config();
+
+const { db, setupDatabase } = require('../lib/database');
+const { isValidShopDomain, storeOfflineToken, getShopCredentials, installShop } = require('../lib/shopify-auth');
+const { registerWebhooks } = require('../lib/webhook-subscriptions');
+
+async function main() {
+  const shopDomain = process.env.SHOPIFY_STORE_DOMAIN;
+  const accessToken = process.env.SHOPIFY_ACCESS_TOKEN;
+
+  if (!isValidShopDomain(shopDomain) || !accessToken) {
+    console.error('Set SHOPIFY_STORE_DOMAIN (a myshopify.com domain) and SHOPIFY_ACCESS_TOKEN to import a token');
+    process.exitCode = 1;
+    return;
+  }
+
+  await setupDatabase();
+  if (await getShopCredentials(shopDomain)) {
+    console.log(`${shopDomain} already has a stored access token, nothing to import`);
+    return;
+  }
+
+  await storeOfflineToken(shopDomain, accessToken, process.env.SHOPIFY_SCOPES || null);
+  await installShop(shopDomain);
+  const topics = await registerWebhooks(shopDomain, accessToken);
+
+  console.log(`✅ Imported the access token for ${shopDomain} and subscribed ${topics.length} webhooks`);
+}
+
+main()
+  .catch((error) => {
+    console.error('❌ Token import failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => db.destroy());
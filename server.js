@@ -1,139 +1,13 @@
-const express = require('express');
-const session = require('express-session');
-const cors = require('cors');
-const helmet = require('helmet');
-const compression = require('compression');
-const morgan = require('morgan');
-const path = require('path');
 require('dotenv').config();
 
-const { shopifyApi, LATEST_API_VERSION } = require('@shopify/shopify-api');
-const { shopifyApp } = require('@shopify/shopify-app-express');
+const { createApp, startServer } = require('./app');
 
-// Import routes
-const authRoutes = require('./routes/auth');
-const adminRoutes = require('./routes/admin');
-const apiRoutes = require('./routes/api');
-const webhookRoutes = require('./routes/webhooks');
+// Embedded app: admin served from the local catalog mirror and rule engine
+const profile = process.env.APP_PROFILE || 'embedded';
+const app = createApp({ profile });
 
-// Import middleware
-const { setupDatabase } = require('./lib/database');
-const { validateCustomerAccess } = require('./middleware/access-control');
-
-const app = express();
-const PORT = process.env.PORT || 3000;
-
-// Initialize Shopify API
-const shopify = shopifyApi({
-  apiKey: process.env.SHOPIFY_API_KEY,
-  apiSecretKey: process.env.SHOPIFY_API_SECRET,
-  scopes: process.env.SHOPIFY_SCOPES?.split(',') || [],
-  hostName: process.env.SHOPIFY_APP_URL?.replace(/https?:\/\//, '') || 'localhost:3000',
-  apiVersion: LATEST_API_VERSION,
-  isEmbeddedApp: true,
-});
-
-// Middleware
-app.use(helmet({
-  contentSecurityPolicy: false, // Disable for Shopify embedded apps
-}));
-app.use(compression());
-app.use(morgan('combined'));
-app.use(cors());
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
-
-// Session configuration
-app.use(session({
-  secret: process.env.SESSION_SECRET || 'fallback-secret',
-  resave: false,
-  saveUninitialized: false,
-  cookie: {
-    secure: process.env.NODE_ENV === 'production',
-    maxAge: 24 * 60 * 60 * 1000, // 24 hours
-  },
-}));
-
-// Initialize Shopify App
-const shopifyAppMiddleware = shopifyApp({
-  api: shopify,
-  auth: {
-    path: '/api/auth',
-    callbackPath: '/api/auth/callback',
-  },
-  webhooks: {
-    path: '/api/webhooks',
-  },
-  sessionStorage: {
-    findSession: async (id) => {
-      // Implement session storage
-      return null;
-    },
-    storeSession: async (session) => {
-      // Implement session storage
-    },
-    deleteSession: async (id) => {
-      // Implement session deletion
-    },
-    deleteSessions: async (ids) => {
-      // Implement bulk session deletion
-    },
-    findSessionsByShop: async (shop) => {
-      // Implement shop session lookup
-      return [];
-    },
-  },
-});
-
-app.use(shopifyAppMiddleware);
-
-// Static files
-app.use(express.static(path.join(__dirname, 'public')));
-
-// Routes
-app.use('/api/auth', authRoutes);
-app.use('/api/admin', adminRoutes);
-app.use('/api', apiRoutes);
-app.use('/api/webhooks', webhookRoutes);
-
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({ status: 'healthy', timestamp: new Date().toISOString() });
-});
-
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error('Error:', err);
-  res.status(500).json({ 
-    error: 'Internal server error',
-    message: process.env.NODE_ENV === 'development' ? err.message : 'Something went wrong'
-  });
-});
-
-// 404 handler
-app.use((req, res) => {
-  res.status(404).json({ error: 'Not found' });
-});
-
-// Initialize database and start server
-async function startServer() {
-  try {
-    await setupDatabase();
-    console.log('Database initialized successfully');
-    
-    app.listen(PORT, () => {
-      console.log(`🚀 Malia Pro Access App running on port ${PORT}`);
-      console.log(`📱 App URL: ${process.env.SHOPIFY_APP_URL}`);
-      console.log(`🏪 Environment: ${process.env.NODE_ENV}`);
-    });
-  } catch (error) {
-    console.error('Failed to start server:', error);
-    process.exit(1);
-  }
+if (require.main === module) {
+  startServer(app, { port: process.env.PORT || 3000, profile });
 }
 
-startServer();
-
 module.exports = app;
-
-
@@ -0,0 +1,87 @@
+const { Writable } = require('stream');
+const { setupDatabase, db } = require('../lib/database');
+const { writeAccessLogExport } = require('../lib/access-log-export');
+
+// Collect everything written to the stream
+function collector() {
+  const chunks = [];
+  const stream = new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(chunk.toString());
+      callback();
+    }
+  });
+  stream.text = () => chunks.join('');
+  stream.chunks = chunks;
+  return stream;
+}
+
+describe('Access log export', () => {
+  const shopDomain = 'test-shop.myshopify.com';
+
+  beforeAll(async () => {
+    await setupDatabase();
+  });
+
+  afterAll(async () => {
+    await db.destroy();
+  });
+
+  beforeEach(async () => {
+    await db('access_logs').del();
+    await db('catalog_products').del();
+    await db('customer_access').del();
+
+    await db('catalog_products').insert({ shop_domain: shopDomain, product_id: 1, title: 'Pro Color, "Salon" Size', handle: 'pro-color' });
+    await db('customer_access').insert({ shop_domain: shopDomain, customer_id: 10, email: 'stylist@example.com', tags: '' });
+    await db('access_logs').insert([
+      { shop_domain: shopDomain, product_id: 1, customer_id: 10, access_type: 'no_tag', created_at: '2024-03-01 10:00:00' },
+      { shop_domain: shopDomain, product_id: 1, customer_id: null, access_type: 'not_logged_in', created_at: '2024-03-02 10:00:00', user_agent: '=HYPERLINK("x")' },
+      { shop_domain: shopDomain, product_id: 2, customer_id: 11, access_type: 'allowed', created_at: '2024-03-03 10:00:00' },
+      { shop_domain: 'other-shop.myshopify.com', product_id: 1, customer_id: 10, access_type: 'no_tag', created_at: '2024-03-01 10:00:00' }
+    ]);
+  });
+
+  it('should write CSV with product titles and customer emails joined in', async () => {
+    const stream = collector();
+
+    const count = await writeAccessLogExport(stream, shopDomain, { format: 'csv' });
+
+    const lines = stream.text().trim().split('\r\n');
+    expect(count).toBe(3);
+    expect(lines).toHaveLength(4);
+    expect(lines[0]).toMatch(/^id,created_at,source,access_type,product_id,product_title,customer_id,customer_email,/);
+    expect(lines[1]).toContain(',2024-03-01T10:00:00.000Z,access_check,no_tag,1,"Pro Color, ""Salon"" Size",10,stylist@example.com,');
+    expect(lines[2]).toContain(`"'=HYPERLINK(""x"")"`);
+  });
+
+  it('should write NDJSON filtered by access type, product and date range', async () => {
+    const stream = collector();
+
+    await writeAccessLogExport(stream, shopDomain, {
+      format: 'ndjson',
+      accessType: 'no_tag',
+      productId: 1,
+      from: new Date('2024-03-01T00:00:00Z'),
+      to: new Date('2024-03-01T23:59:59Z')
+    });
+
+    const rows = stream.text().trim().split('\n').map(line => JSON.parse(line));
+    expect(rows).toEqual([expect.objectContaining({
+      access_type: 'no_tag',
+      product_id: 1,
+      product_title: 'Pro Color, "Salon" Size',
+      customer_email: 'stylist@example.com',
+      created_at: '2024-03-01T10:00:00.000Z'
+    })]);
+  });
+
+  it('should read rows in batches', async () => {
+    const stream = collector();
+
+    const count = await writeAccessLogExport(stream, shopDomain, { format: 'ndjson', customerId: undefined }, 2);
+
+    expect(count).toBe(3);
+    expect(stream.chunks).toHaveLength(2);
+  });
+});
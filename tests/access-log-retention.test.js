@@ -0,0 +1,136 @@
+const { setupDatabase, db } = require('../lib/database');
+const { saveSettings } = require('../lib/settings');
+const { anonymizeIp, applyRetention, applyRetentionToAllShops } = require('../lib/access-log-retention');
+const { getAccessReport, getAccessCounts } = require('../lib/analytics');
+
+describe('Access log retention', () => {
+  const shopDomain = 'test-shop.myshopify.com';
+  const now = new Date('2024-06-15T12:00:00Z');
+
+  // [product, customer, access_type, created_at, ip_address]
+  const logs = [
+    [1, 10, 'no_tag', '2024-01-10 09:00:00', '203.0.113.42'],
+    [1, 11, 'allowed', '2024-01-10 10:00:00', '203.0.113.43'],
+    [1, 12, 'no_tag', '2024-05-01 09:00:00', '2001:db8:85a3::8a2e:370:7334'],
+    [2, 12, 'not_logged_in', '2024-06-15 10:00:00', '198.51.100.7']
+  ];
+
+  beforeAll(async () => {
+    await setupDatabase();
+  });
+
+  afterAll(async () => {
+    await db.destroy();
+  });
+
+  beforeEach(async () => {
+    await db('access_logs').del();
+    await db('access_log_rollups').del();
+    await db('access_log_retention').del();
+    await db('app_settings').del();
+    await db('settings_versions').del();
+
+    for (const [productId, customerId, accessType, createdAt, ipAddress] of logs) {
+      await db('access_logs').insert({
+        shop_domain: shopDomain,
+        product_id: productId,
+        customer_id: customerId,
+        access_type: accessType,
+        created_at: createdAt,
+        ip_address: ipAddress
+      });
+    }
+  });
+
+  it('should truncate IPv4 and IPv6 addresses', () => {
+    expect(anonymizeIp('203.0.113.42')).toBe('203.0.113.0');
+    expect(anonymizeIp('::ffff:192.0.2.7')).toBe('::ffff:192.0.2.0');
+    expect(anonymizeIp('2001:db8:85a3::8a2e:370:7334')).toBe('2001:db8:85a3::');
+    expect(anonymizeIp('2001:db8::1')).toBe('2001:db8:0::');
+    expect(anonymizeIp('unknown')).toBeNull();
+    expect(anonymizeIp(null)).toBeNull();
+  });
+
+  it('should roll up, truncate IPs and prune with the default windows', async () => {
+    const result = await applyRetention(shopDomain, now);
+
+    expect(result).toEqual({ shopDomain, rollups: 4, anonymized: 3, pruned: 2 });
+
+    const rows = await db('access_logs').where('shop_domain', shopDomain).orderBy('id');
+    expect(rows.map(row => [row.access_type, row.ip_address, !!row.ip_anonymized])).toEqual([
+      ['no_tag', '2001:db8:85a3::', true],
+      ['not_logged_in', '198.51.100.7', false]
+    ]);
+
+    const rollups = await db('access_log_rollups').where('shop_domain', shopDomain).orderBy(['day', 'access_type']);
+    expect(rollups.map(row => [row.day, row.access_type, row.count, row.customers])).toEqual([
+      ['2024-01-10', 'allowed', 1, 1],
+      ['2024-01-10', 'no_tag', 1, 1],
+      ['2024-05-01', 'no_tag', 1, 1],
+      ['2024-06-15', 'not_logged_in', 1, 1]
+    ]);
+  });
+
+  it('should keep rollups for pruned days on later runs', async () => {
+    await applyRetention(shopDomain, now);
+    await db('access_logs').insert({ shop_domain: shopDomain, product_id: 2, access_type: 'allowed', created_at: '2024-06-15 13:00:00' });
+
+    const [result] = await applyRetentionToAllShops(new Date('2024-06-16T01:00:00Z'));
+
+    expect(result).toMatchObject({ shopDomain, pruned: 0 });
+    const days = await db('access_log_rollups').where('shop_domain', shopDomain).select('day').sum('count as count').groupBy('day').orderBy('day');
+    expect(days.map(row => [row.day, Number(row.count)])).toEqual([
+      ['2024-01-10', 2],
+      ['2024-05-01', 1],
+      ['2024-06-15', 2]
+    ]);
+  });
+
+  it('should use the shop\'s own retention windows', async () => {
+    await saveSettings(shopDomain, { log_retention_days: 365, ip_retention_days: 0 });
+
+    const result = await applyRetention(shopDomain, now);
+
+    expect(result).toMatchObject({ anonymized: 4, pruned: 0 });
+    const ips = await db('access_logs').where('shop_domain', shopDomain).orderBy('id').pluck('ip_address');
+    expect(ips).toEqual(['203.0.113.0', '203.0.113.0', '2001:db8:85a3::', '198.51.100.0']);
+  });
+
+  it('should read long and pruned ranges from the rollups', async () => {
+    await applyRetention(shopDomain, now);
+    await db('access_logs').insert({ shop_domain: shopDomain, product_id: 1, customer_id: 13, access_type: 'no_tag', created_at: '2024-06-15 13:00:00' });
+
+    const report = await getAccessReport(shopDomain, {
+      from: new Date('2024-01-01T00:00:00Z'),
+      to: new Date('2024-06-30T23:59:59Z')
+    });
+
+    expect(report.fromRollups).toBe(true);
+    expect(report.totals).toEqual({ allowed: 1, blocked: 4, blockedRatio: 0.8, customersBlocked: 4 });
+    expect(report.timeSeries.map(row => [row.bucket, row.blocked])).toEqual([
+      ['2024-01-10', 1],
+      ['2024-05-01', 1],
+      ['2024-06-15', 2]
+    ]);
+    expect(report.products.map(product => [product.productId, product.blocked])).toEqual([[1, 3], [2, 1]]);
+
+    const recent = await getAccessReport(shopDomain, {
+      from: new Date('2024-06-10T00:00:00Z'),
+      to: new Date('2024-06-30T23:59:59Z')
+    });
+    expect(recent.fromRollups).toBe(false);
+    expect(recent.totals.blocked).toBe(2);
+  });
+
+  it('should count access types from the rollups for long periods', async () => {
+    await applyRetention(shopDomain, new Date());
+
+    const counts = await getAccessCounts(shopDomain, 3650);
+
+    expect(counts.map(row => [row.access_type, Number(row.count)]).sort()).toEqual([
+      ['allowed', 1],
+      ['no_tag', 2],
+      ['not_logged_in', 1]
+    ]);
+  });
+});
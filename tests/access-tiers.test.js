@@ -0,0 +1,116 @@
+const {
+  buildDefaultTiers,
+  parseTags,
+  resolveCustomerTier,
+  resolveAccess,
+  getProductRecordTier,
+  getCollectionRecordTier,
+  mostRestrictiveTier,
+  toRequiredTier
+} = require('../lib/access-tiers');
+
+describe('Access tiers', () => {
+  const tiers = buildDefaultTiers({ butterfly_paid_tag: 'butterfly_paid' });
+
+  describe('parseTags', () => {
+    it('should split comma-separated Shopify tags', () => {
+      expect(parseTags('Verified, butterfly_paid ,')).toEqual(['verified', 'butterfly_paid']);
+    });
+
+    it('should return an empty list for missing tags', () => {
+      expect(parseTags(null)).toEqual([]);
+    });
+  });
+
+  describe('resolveCustomerTier', () => {
+    it('should resolve the highest-ranked tier the customer is tagged with', () => {
+      expect(resolveCustomerTier(tiers, 'verified, butterfly_paid').name).toBe('butterfly');
+      expect(resolveCustomerTier(tiers, 'verified').name).toBe('verified');
+      expect(resolveCustomerTier(tiers, '').name).toBe('public');
+    });
+
+    it('should not match tags by substring', () => {
+      expect(resolveCustomerTier(tiers, 'butterfly_paid_pending').name).toBe('public');
+    });
+
+    it('should use the tag configured in settings', () => {
+      const customTiers = buildDefaultTiers({ butterfly_paid_tag: 'custom_tag' });
+      expect(resolveCustomerTier(customTiers, 'custom_tag').name).toBe('butterfly');
+      expect(resolveCustomerTier(customTiers, 'butterfly_paid').name).toBe('public');
+    });
+  });
+
+  describe('resolveAccess', () => {
+    it('should deny customers who are not logged in', () => {
+      expect(resolveAccess(tiers, null, 'verified')).toMatchObject({
+        hasAccess: false,
+        reason: 'not_logged_in',
+        missingTier: 'verified'
+      });
+    });
+
+    it('should deny customers below the required tier', () => {
+      expect(resolveAccess(tiers, { tags: 'verified' }, 'butterfly')).toMatchObject({
+        hasAccess: false,
+        reason: 'no_tag',
+        tier: 'verified',
+        missingTier: 'butterfly'
+      });
+    });
+
+    it('should allow customers at or above the required tier', () => {
+      expect(resolveAccess(tiers, { tags: 'butterfly_paid' }, 'verified')).toMatchObject({
+        hasAccess: true,
+        reason: 'authorized',
+        tier: 'butterfly'
+      });
+    });
+
+    it('should require the highest tier when none is given', () => {
+      expect(resolveAccess(tiers, { tags: 'verified' }).requiredTier).toBe('butterfly');
+    });
+
+    it('should require the highest tier when the required tier no longer exists', () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      expect(resolveAccess(tiers, { tags: 'verified' }, 'deleted-tier')).toMatchObject({
+        hasAccess: false,
+        reason: 'no_tag',
+        requiredTier: 'butterfly'
+      });
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('deleted-tier'));
+      console.warn.mockRestore();
+    });
+  });
+
+  describe('required tiers', () => {
+    it('should prefer the explicit product tier over the legacy flag', () => {
+      expect(getProductRecordTier(tiers, { required_tier: 'verified', is_restricted: true })).toBe('verified');
+      expect(getProductRecordTier(tiers, { required_tier: null, is_restricted: 1 })).toBe('butterfly');
+      expect(getProductRecordTier(tiers, { required_tier: null, is_restricted: 0 })).toBe('public');
+    });
+
+    it('should treat exception collections without a tier as public', () => {
+      expect(getCollectionRecordTier(tiers, { required_tier: null, is_exception: true })).toBe('public');
+      expect(getCollectionRecordTier(tiers, { required_tier: null, is_exception: false })).toBeNull();
+      expect(getCollectionRecordTier(tiers, { required_tier: 'butterfly', is_exception: false })).toBe('butterfly');
+    });
+
+    it('should pick the most restrictive tier', () => {
+      expect(mostRestrictiveTier(tiers, ['public', 'butterfly', 'verified'])).toBe('butterfly');
+      expect(mostRestrictiveTier(tiers, ['unknown'])).toBeNull();
+    });
+
+    it('should report the public tier as no requirement', () => {
+      expect(toRequiredTier(tiers, 'public')).toBeNull();
+      expect(toRequiredTier(tiers, 'verified')).toBe('verified');
+    });
+
+    it('should fail closed for tiers that no longer exist', () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      expect(toRequiredTier(tiers, 'deleted-tier')).toBe('butterfly');
+      console.warn.mockRestore();
+    });
+  });
+});
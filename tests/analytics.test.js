@@ -0,0 +1,237 @@
+const { setupDatabase, AccessLogs, CustomerTierHistory, db } = require('../lib/database');
+const { installShop } = require('../lib/shopify-auth');
+const { trackEvent, getAnalyticsSummary, getAccessReport, getCertificationFunnel } = require('../lib/analytics');
+
+describe('Storefront analytics', () => {
+  const shopDomain = 'test-shop.myshopify.com';
+
+  beforeAll(async () => {
+    await setupDatabase();
+  });
+
+  afterAll(async () => {
+    await db.destroy();
+  });
+
+  beforeEach(async () => {
+    await db('access_logs').del();
+    await db('app_settings').del();
+    await db('access_tiers').del();
+    await db('settings_versions').del();
+    await db('catalog_products').del();
+    await db('collection_memberships').del();
+    await db('customer_tier_history').del();
+    await db('access_log_rollups').del();
+    await db('access_log_retention').del();
+  });
+
+  it('should summarize theme events and access checks', async () => {
+    await trackEvent(shopDomain, { action: 'modal_view', product_id: 1, required_tier: 'verified' });
+    await trackEvent(shopDomain, { action: 'button_click', product_id: 1, button: 'create_account' });
+    await trackEvent(shopDomain, { action: 'blocked', product_id: 2, required_tier: 'butterfly', access_level: 'verified' });
+    await AccessLogs.log(shopDomain, 2, 5, 'no_tag', null, null, { requiredTier: 'butterfly', customerTier: 'verified' });
+    await AccessLogs.log(shopDomain, 3, 6, 'allowed', null, null, { requiredTier: 'verified', customerTier: 'verified' });
+
+    const summary = await getAnalyticsSummary(shopDomain, 30);
+
+    expect(summary.events).toEqual({ modal_view: 1, modal_dismiss: 0, button_click: 1, blocked: 1 });
+    expect(summary.accessChecks).toEqual({ allowed: 1, denied: 1 });
+    expect(summary.blocksByTier).toEqual({ butterfly: 2 });
+    expect(summary.buttonClicks.create_account).toBe(1);
+  });
+
+  it('should only count events inside the period', async () => {
+    await trackEvent(shopDomain, { action: 'modal_view' });
+    await trackEvent(shopDomain, { action: 'modal_view' });
+    const [oldest] = await db('access_logs').select('id').orderBy('id');
+    await db('access_logs').where('id', oldest.id).update({ created_at: '2020-01-01 00:00:00' });
+
+    const analytics = await AccessLogs.getAnalytics(shopDomain, 30);
+
+    expect(analytics).toEqual([{ access_type: 'modal_view', count: 1 }]);
+  });
+
+  describe('access report', () => {
+    // [product, customer, access_type, created_at]
+    const logs = [
+      [1, 10, 'no_tag', '2024-03-01 09:15:00'],
+      [1, 11, 'no_tag', '2024-03-01 09:45:00'],
+      [1, 10, 'not_logged_in', '2024-03-01 14:00:00'],
+      [1, 12, 'allowed', '2024-03-02 10:00:00'],
+      [2, 12, 'allowed', '2024-03-02 11:00:00'],
+      [2, 13, 'no_tag', '2024-03-02 11:30:00'],
+      [3, 14, 'no_tag', '2024-04-10 08:00:00']
+    ];
+    const march = { from: new Date('2024-03-01T00:00:00Z'), to: new Date('2024-03-31T23:59:59Z') };
+
+    beforeEach(async () => {
+      for (const [productId, customerId, accessType, createdAt] of logs) {
+        await db('access_logs').insert({
+          shop_domain: shopDomain,
+          product_id: productId,
+          customer_id: customerId,
+          access_type: accessType,
+          created_at: createdAt
+        });
+      }
+      await db('catalog_products').insert({ shop_domain: shopDomain, product_id: 1, title: 'Pro Color', handle: 'pro-color' });
+      await db('collection_memberships').insert([
+        { shop_domain: shopDomain, product_id: 1, collection_id: 100, collection_handle: 'butterfly' },
+        { shop_domain: shopDomain, product_id: 2, collection_id: 100, collection_handle: 'butterfly' },
+        { shop_domain: shopDomain, product_id: 2, collection_id: 200, collection_handle: 'courses' }
+      ]);
+    });
+
+    it('should bucket access by day and hour', async () => {
+      const daily = await getAccessReport(shopDomain, march);
+
+      expect(daily.timeSeries).toEqual([
+        { bucket: '2024-03-01', allowed: 0, blocked: 3, blockedRatio: 1, customersBlocked: 2 },
+        { bucket: '2024-03-02', allowed: 2, blocked: 1, blockedRatio: 0.3333, customersBlocked: 1 }
+      ]);
+
+      const hourly = await getAccessReport(shopDomain, { ...march, interval: 'hour' });
+      expect(hourly.timeSeries.map(row => [row.bucket, row.blocked])).toEqual([
+        ['2024-03-01 09:00', 2],
+        ['2024-03-01 14:00', 1],
+        ['2024-03-02 10:00', 0],
+        ['2024-03-02 11:00', 1]
+      ]);
+    });
+
+    it('should rank products and collections by blocked attempts', async () => {
+      const report = await getAccessReport(shopDomain, march);
+
+      expect(report.totals).toEqual({ allowed: 2, blocked: 4, blockedRatio: 0.6667, customersBlocked: 3 });
+      expect(report.products).toEqual([
+        { productId: 1, title: 'Pro Color', handle: 'pro-color', allowed: 1, blocked: 3, blockedRatio: 0.75, customersBlocked: 2 },
+        { productId: 2, title: null, handle: null, allowed: 1, blocked: 1, blockedRatio: 0.5, customersBlocked: 1 }
+      ]);
+      expect(report.collections).toEqual([
+        { collectionId: 100, handle: 'butterfly', allowed: 2, blocked: 4, blockedRatio: 0.6667, customersBlocked: 3 },
+        { collectionId: 200, handle: 'courses', allowed: 1, blocked: 1, blockedRatio: 0.5, customersBlocked: 1 }
+      ]);
+    });
+
+    it('should limit the report to the date range', async () => {
+      const april = await getAccessReport(shopDomain, { from: new Date('2024-04-01T00:00:00Z') });
+
+      expect(april.products.map(product => product.productId)).toEqual([3]);
+      expect(april.totals.blocked).toBe(1);
+    });
+  });
+
+  describe('certification funnel', () => {
+    const range = { from: new Date('2024-03-01T00:00:00Z'), to: new Date('2024-03-31T23:59:59Z') };
+
+    async function block(productId, customerId, createdAt, visitorId = null) {
+      await db('access_logs').insert({
+        shop_domain: shopDomain,
+        product_id: productId,
+        customer_id: customerId,
+        visitor_id: visitorId,
+        access_type: customerId ? 'no_tag' : 'not_logged_in',
+        created_at: createdAt
+      });
+    }
+
+    async function history(customerId, event, toTier, changedAt) {
+      await CustomerTierHistory.record(shopDomain, customerId, { event, to_tier: toTier, changed_at: new Date(changedAt) });
+    }
+
+    beforeEach(async () => {
+      await installShop(shopDomain);
+      await db('catalog_products').insert({ shop_domain: shopDomain, product_id: 1, title: 'Pro Color', handle: 'pro-color' });
+
+      // Anonymous visitor blocked on product 1, then registers, verifies and certifies
+      await block(1, null, '2024-03-01 10:00:00', 'visitor-0001');
+      await block(1, null, '2024-03-01 10:05:00', 'visitor-0001');
+      await AccessLogs.linkVisitor(shopDomain, 'visitor-0001', 10);
+      await history(10, 'registered', null, '2024-03-01T12:00:00Z');
+      await history(10, 'tier_change', 'verified', '2024-03-02T12:00:00Z');
+      await history(10, 'tier_change', 'butterfly', '2024-03-10T12:00:00Z');
+
+      // Existing customer blocked on product 2, goes straight to butterfly
+      await history(20, 'registered', null, '2024-01-01T00:00:00Z');
+      await block(2, 20, '2024-03-03 00:00:00');
+      await block(1, 20, '2024-03-04 00:00:00');
+      await history(20, 'tier_change', 'butterfly', '2024-03-05T00:00:00Z');
+
+      // Blocked and never converted
+      await block(2, 30, '2024-03-06 00:00:00');
+
+      // Anonymous visitor who never signed up, and an anonymous block that
+      // can't be told apart from others
+      await block(2, null, '2024-03-07 00:00:00', 'visitor-0002');
+      await block(2, null, '2024-03-08 00:00:00');
+
+      // Blocked outside the range
+      await block(1, 40, '2024-04-01 00:00:00');
+    });
+
+    it('should count blocked shoppers reaching each step', async () => {
+      const funnel = await getCertificationFunnel(shopDomain, range);
+
+      expect(funnel.steps).toEqual([
+        { step: 'blocked', customers: 4, medianHoursFromPrevious: null },
+        { step: 'registered', customers: 3, medianHoursFromPrevious: 0 },
+        { step: 'verified', customers: 2, medianHoursFromPrevious: 36 },
+        { step: 'butterfly', customers: 2, medianHoursFromPrevious: 96 }
+      ]);
+    });
+
+    it('should count customers from the steps they had already reached when first blocked', async () => {
+      const may = { from: new Date('2024-05-01T00:00:00Z'), to: new Date('2024-05-31T23:59:59Z') };
+      // Registered long ago, blocked and never verified
+      await history(50, 'registered', null, '2024-01-01T00:00:00Z');
+      await block(1, 50, '2024-05-02 00:00:00');
+      // Already verified, blocked on a butterfly product, certifies a day later
+      await history(60, 'registered', null, '2024-01-01T00:00:00Z');
+      await history(60, 'tier_change', 'verified', '2024-02-01T00:00:00Z');
+      await block(1, 60, '2024-05-03 00:00:00');
+      await history(60, 'tier_change', 'butterfly', '2024-05-04T00:00:00Z');
+
+      const funnel = await getCertificationFunnel(shopDomain, may);
+
+      expect(funnel.steps).toEqual([
+        { step: 'blocked', customers: 2, medianHoursFromPrevious: null },
+        { step: 'registered', customers: 2, medianHoursFromPrevious: 0 },
+        { step: 'verified', customers: 1, medianHoursFromPrevious: 0 },
+        { step: 'butterfly', customers: 1, medianHoursFromPrevious: 24 }
+      ]);
+    });
+
+    it('should register a linked visitor when they first checked access logged in', async () => {
+      const june = { from: new Date('2024-06-01T00:00:00Z'), to: new Date('2024-06-30T23:59:59Z') };
+      await db('access_logs').insert({
+        shop_domain: shopDomain,
+        product_id: 1,
+        visitor_id: 'visitor-0003',
+        source: 'theme',
+        access_type: 'blocked',
+        created_at: '2024-06-02 00:00:00'
+      });
+      await block(1, 70, '2024-06-02 06:00:00', 'visitor-0003');
+      await AccessLogs.linkVisitor(shopDomain, 'visitor-0003', 70);
+      await block(1, null, '2024-06-03 00:00:00', 'visitor-0004');
+
+      const funnel = await getCertificationFunnel(shopDomain, june);
+
+      expect(funnel.steps).toEqual([
+        { step: 'blocked', customers: 2, medianHoursFromPrevious: null },
+        { step: 'registered', customers: 1, medianHoursFromPrevious: 6 },
+        { step: 'verified', customers: 0, medianHoursFromPrevious: null },
+        { step: 'butterfly', customers: 0, medianHoursFromPrevious: null }
+      ]);
+    });
+
+    it('should break the funnel down by the product that first blocked each customer', async () => {
+      const funnel = await getCertificationFunnel(shopDomain, range);
+
+      expect(funnel.byProduct).toEqual([
+        { productId: 2, title: null, steps: { blocked: 3, registered: 2, verified: 1, butterfly: 1 } },
+        { productId: 1, title: 'Pro Color', steps: { blocked: 1, registered: 1, verified: 1, butterfly: 1 } }
+      ]);
+    });
+  });
+});
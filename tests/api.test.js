@@ -1,10 +1,56 @@
+const crypto = require('crypto');
 const request = require('supertest');
-const app = require('../server');
-const { setupDatabase, db } = require('../lib/database');
+const { createApp } = require('../app');
+const { setupDatabase, AccessTiers, db } = require('../lib/database');
+const { installShop, storeOfflineToken } = require('../lib/shopify-auth');
+const { recordDataRequest } = require('../lib/privacy');
+const { OrderEnforcements, OrderReviews } = require('../lib/order-enforcement-store');
+const { WebhookEvents } = require('../lib/webhook-event-store');
+const { runDueJobs } = require('../lib/jobs');
+
+jest.mock('axios');
+const axios = require('axios');
+
+const app = createApp({ profile: 'embedded', logging: false });
+const secret = 'test-api-secret';
+
+// Shopify Admin API responses for the products and customers used below
+const shopifyResponses = {
+  'products/12345.json': { product: { id: 12345, title: 'Pro Color', handle: 'pro-color', variants: [] } },
+  'collects.json': { collects: [] },
+  'smart_collections.json': { smart_collections: [] },
+  'customers/67890.json': { customer: { id: 67890, email: 'client@example.com', tags: '' } }
+};
+
+// Install the app through the OAuth callback and return an agent holding the admin session
+async function login(shop) {
+  const agent = request.agent(app);
+  const install = await agent.get(`/api/auth/install?shop=${shop}`);
+  const state = new URL(install.headers.location).searchParams.get('state');
+
+  const params = { code: 'test-code', shop, state, timestamp: '1700000000' };
+  const message = Object.keys(params).sort().map(key => `${key}=${params[key]}`).join('&');
+  const hmac = crypto.createHmac('sha256', secret).update(message).digest('hex');
+  await agent.get(`/api/auth/callback?${new URLSearchParams({ ...params, hmac })}`).expect(302);
+
+  return agent;
+}
 
 describe('Malia Pro Access API', () => {
+  let agent;
+
   beforeAll(async () => {
+    process.env.SHOPIFY_API_SECRET = secret;
     await setupDatabase();
+
+    axios.post.mockResolvedValue({ data: { access_token: 'shpat_test', scope: 'read_products' } });
+    axios.mockImplementation(async ({ url }) => {
+      const path = url.replace(/^.*\/admin\/api\/[^/]+\//, '');
+      if (!shopifyResponses[path]) {
+        throw Object.assign(new Error('Not Found'), { response: { status: 404 } });
+      }
+      return { data: shopifyResponses[path], headers: {} };
+    });
   });
 
   afterAll(async () => {
@@ -17,6 +63,20 @@ describe('Malia Pro Access API', () => {
     await db('product_restrictions').del();
     await db('collection_exceptions').del();
     await db('access_logs').del();
+    await db('shopify_sessions').del();
+    await db('access_tiers').del();
+    await db('customer_access').del();
+    await db('catalog_products').del();
+    await db('catalog_variants').del();
+    await db('collection_memberships').del();
+    await db('membership_index').del();
+    await db('settings_versions').del();
+    await db('admin_audit_log').del();
+    await db('customer_data_requests').del();
+    await db('order_enforcements').del();
+    await db('order_reviews').del();
+    await db('webhook_events').del();
+    await db('jobs').del();
   });
 
   describe('GET /health', () => {
@@ -43,24 +103,19 @@ describe('Malia Pro Access API', () => {
   });
 
   describe('GET /api/auth/install', () => {
-    it('should install app with default settings', async () => {
+    it('should redirect to Shopify to authorize the app', async () => {
       const response = await request(app)
         .get('/api/auth/install?shop=test-shop.myshopify.com')
-        .expect(200);
+        .expect(302);
 
-      expect(response.body).toHaveProperty('success', true);
-      expect(response.body).toHaveProperty('message', 'App installed successfully');
-      expect(response.body.settings).toHaveProperty('butterfly_paid_tag', 'butterfly_paid');
-      expect(response.body.settings).toHaveProperty('certification_url', 'https://maliaextensions.com/pages/certification');
+      expect(response.headers.location).toMatch(/^https:\/\/test-shop\.myshopify\.com\/admin\/oauth\/authorize\?/);
+      expect(response.headers.location).toMatch(/state=[0-9a-f]{32}/);
     });
 
     it('should return already installed for existing shop', async () => {
-      // First installation
-      await request(app)
-        .get('/api/auth/install?shop=test-shop.myshopify.com')
-        .expect(200);
+      await installShop('test-shop.myshopify.com');
+      await storeOfflineToken('test-shop.myshopify.com', 'shpat_test', 'read_products');
 
-      // Second installation attempt
       const response = await request(app)
         .get('/api/auth/install?shop=test-shop.myshopify.com')
         .expect(200);
@@ -72,9 +127,8 @@ describe('Malia Pro Access API', () => {
 
   describe('PUT /api/admin/settings', () => {
     beforeEach(async () => {
-      // Install app first
-      await request(app)
-        .get('/api/auth/install?shop=test-shop.myshopify.com');
+      // Install the app through OAuth and keep the admin session
+      agent = await login('test-shop.myshopify.com');
     });
 
     it('should update app settings', async () => {
@@ -87,28 +141,85 @@ describe('Malia Pro Access API', () => {
         certification_message: 'CUSTOM CERT MESSAGE'
       };
 
-      const response = await request(app)
+      const response = await agent
         .put('/api/admin/settings')
-        .set('Cookie', 'shop=test-shop.myshopify.com')
         .send(newSettings)
         .expect(200);
 
       expect(response.body).toHaveProperty('success', true);
       expect(response.body.settings).toMatchObject(newSettings);
     });
+
+    it('should reject invalid values instead of saving defaults', async () => {
+      const response = await agent
+        .put('/api/admin/settings')
+        .send({ is_enabled: 'maybe', butterfly_paid_tag: '' })
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'Validation failed');
+      expect(response.body.details.map(detail => detail.field)).toEqual(['is_enabled', 'butterfly_paid_tag']);
+
+      const settings = await agent.get('/api/settings').expect(200);
+      expect(settings.body.butterfly_paid_tag).toBe('butterfly_paid');
+    });
+
+    it('should list settings history and roll back to a version', async () => {
+      await agent.put('/api/admin/settings').send({ butterfly_paid_tag: 'butterfly_vip' }).expect(200);
+
+      const history = await agent.get('/api/admin/settings/history').expect(200);
+      expect(history.body.versions.map(version => version.source)).toEqual(['admin', 'install']);
+      expect(history.body.versions[0].changes).toEqual([
+        { field: 'butterfly_paid_tag', from: 'butterfly_paid', to: 'butterfly_vip' }
+      ]);
+
+      const rollback = await agent.post('/api/admin/settings/rollback/1').expect(200);
+      expect(rollback.body.settings).toHaveProperty('butterfly_paid_tag', 'butterfly_paid');
+
+      await agent.post('/api/admin/settings/rollback/42').expect(404);
+    });
+  });
+
+  describe('PUT /api/admin/tiers/:name', () => {
+    beforeEach(async () => {
+      // Install the app through OAuth and keep the admin session
+      agent = await login('test-shop.myshopify.com');
+    });
+
+    it('should create a tier without a customer tag', async () => {
+      const response = await agent
+        .put('/api/admin/tiers/educator')
+        .send({ label: 'Educator', rank: 3 })
+        .expect(200);
+
+      expect(response.body.tier).toMatchObject({ name: 'educator', label: 'Educator', rank: 3, customer_tag: null });
+    });
+
+    it('should keep the tag settings in step with edited default tiers', async () => {
+      await agent.put('/api/admin/tiers/verified').send({ customer_tag: 'licensed' }).expect(200);
+      await agent.put('/api/admin/tiers/butterfly').send({ customer_tag: 'butterfly_vip' }).expect(200);
+
+      const settings = await agent.get('/api/settings').expect(200);
+      expect(settings.body).toMatchObject({ verified_tag: 'licensed', butterfly_paid_tag: 'butterfly_vip' });
+
+      // A later settings save keeps the edited tags
+      await agent.put('/api/admin/settings').send({ is_enabled: false }).expect(200);
+      const tiers = await AccessTiers.getAll('test-shop.myshopify.com');
+      expect(Object.fromEntries(tiers.map(tier => [tier.name, tier.customer_tag]))).toMatchObject({
+        verified: 'licensed',
+        butterfly: 'butterfly_vip'
+      });
+    });
   });
 
   describe('GET /api/admin/products', () => {
     beforeEach(async () => {
-      // Install app first
-      await request(app)
-        .get('/api/auth/install?shop=test-shop.myshopify.com');
+      // Install the app through OAuth and keep the admin session
+      agent = await login('test-shop.myshopify.com');
     });
 
     it('should return products with restriction status', async () => {
-      const response = await request(app)
+      const response = await agent
         .get('/api/admin/products')
-        .set('Cookie', 'shop=test-shop.myshopify.com')
         .expect(200);
 
       expect(response.body).toHaveProperty('products');
@@ -119,9 +230,8 @@ describe('Malia Pro Access API', () => {
 
   describe('PUT /api/admin/products/:productId/restriction', () => {
     beforeEach(async () => {
-      // Install app first
-      await request(app)
-        .get('/api/auth/install?shop=test-shop.myshopify.com');
+      // Install the app through OAuth and keep the admin session
+      agent = await login('test-shop.myshopify.com');
     });
 
     it('should update product restriction status', async () => {
@@ -131,9 +241,8 @@ describe('Malia Pro Access API', () => {
         customMessage: 'This product is now unrestricted'
       };
 
-      const response = await request(app)
+      const response = await agent
         .put(`/api/admin/products/${productId}/restriction`)
-        .set('Cookie', 'shop=test-shop.myshopify.com')
         .send(restrictionData)
         .expect(200);
 
@@ -141,19 +250,78 @@ describe('Malia Pro Access API', () => {
       expect(response.body.product).toHaveProperty('id', productId);
       expect(response.body.product).toHaveProperty('isRestricted', false);
     });
+
+    it('should record the change in the audit log', async () => {
+      await agent
+        .put('/api/admin/products/12345/restriction')
+        .send({ requiredTier: 'butterfly', customMessage: 'Certified stylists only' })
+        .expect(200);
+      await agent.put('/api/admin/products/12345/restriction').send({ isRestricted: false }).expect(200);
+
+      const response = await agent
+        .get('/api/admin/audit-log?targetType=product&targetId=12345')
+        .expect(200);
+
+      expect(response.body.pagination.total).toBe(2);
+      const [latest, first] = response.body.entries;
+      expect(first).toMatchObject({
+        action: 'product.restriction.update',
+        actor: 'test-shop.myshopify.com',
+        target_type: 'product',
+        target_id: '12345',
+        before: null,
+        after: { is_restricted: true, required_tier: 'butterfly', custom_message: 'Certified stylists only' },
+        request_method: 'PUT',
+        request_path: '/api/admin/products/12345/restriction'
+      });
+      expect(latest.before).toEqual(first.after);
+      expect(latest.after).toEqual({ is_restricted: false, required_tier: null, custom_message: null });
+    });
   });
 
-  describe('GET /api/check-access/:productId/:customerId', () => {
+  describe('POST /api/admin/products/bulk-update', () => {
     beforeEach(async () => {
-      // Install app first
-      await request(app)
-        .get('/api/auth/install?shop=test-shop.myshopify.com');
+      // Install the app through OAuth and keep the admin session
+      agent = await login('test-shop.myshopify.com');
+    });
+
+    it('should queue the update and report its results through the job', async () => {
+      const response = await agent
+        .post('/api/admin/products/bulk-update')
+        .send({ updates: [{ productId: 12345, requiredTier: 'butterfly' }, { productId: 404, isRestricted: true }] })
+        .expect(202);
+
+      const { job } = response.body;
+      expect(job).toMatchObject({ type: 'products.bulk_update', status: 'queued', created_by: 'test-shop.myshopify.com' });
+
+      await runDueJobs();
+
+      const status = await agent.get(`/api/admin/jobs/${job.id}`).expect(200);
+      expect(status.body.job).toMatchObject({ status: 'succeeded', progress: 100 });
+      expect(status.body.job).not.toHaveProperty('payload');
+      expect(status.body.job.result.results).toEqual([
+        { productId: 12345, success: true },
+        { productId: 404, success: false, error: 'Product not found' }
+      ]);
+
+      const audit = await agent.get('/api/admin/audit-log?targetType=product&targetId=12345').expect(200);
+      expect(audit.body.entries[0]).toMatchObject({ actor: 'test-shop.myshopify.com', request_path: '/api/admin/products/bulk-update' });
+
+      const list = await agent.get('/api/admin/jobs?type=products.bulk_update').expect(200);
+      expect(list.body.jobs.map(entry => entry.id)).toEqual([job.id]);
+      await agent.get('/api/admin/jobs/999999').expect(404);
+    });
+  });
+
+  describe('GET /api/check-access/:productId/:customerId?', () => {
+    beforeEach(async () => {
+      // Install the app through OAuth and keep the admin session
+      agent = await login('test-shop.myshopify.com');
     });
 
     it('should return access denied for non-logged-in customer', async () => {
-      const response = await request(app)
-        .get('/api/check-access/12345/null')
-        .set('Cookie', 'shop=test-shop.myshopify.com')
+      const response = await agent
+        .get('/api/check-access/12345')
         .expect(200);
 
       expect(response.body).toHaveProperty('hasAccess', false);
@@ -161,9 +329,8 @@ describe('Malia Pro Access API', () => {
     });
 
     it('should return access denied for customer without butterfly_paid tag', async () => {
-      const response = await request(app)
+      const response = await agent
         .get('/api/check-access/12345/67890')
-        .set('Cookie', 'shop=test-shop.myshopify.com')
         .expect(200);
 
       expect(response.body).toHaveProperty('hasAccess', false);
@@ -171,11 +338,124 @@ describe('Malia Pro Access API', () => {
     });
   });
 
+  describe('GET /api/admin/access-logs/export', () => {
+    beforeEach(async () => {
+      // Install the app through OAuth and keep the admin session
+      agent = await login('test-shop.myshopify.com');
+    });
+
+    it('should download filtered access logs as CSV', async () => {
+      await agent.get('/api/check-access/12345').expect(200);
+      await agent.get('/api/check-access/12345/67890').expect(200);
+
+      const response = await agent
+        .get('/api/admin/access-logs/export?accessType=no_tag')
+        .expect(200);
+
+      expect(response.headers['content-type']).toMatch(/^text\/csv/);
+      expect(response.headers['content-disposition']).toMatch(/attachment; filename="access-logs-test-shop-.*\.csv"/);
+
+      const lines = response.text.trim().split('\r\n');
+      expect(lines).toHaveLength(2);
+      expect(lines[1]).toContain('no_tag,12345,Pro Color,67890,client@example.com');
+    });
+
+    it('should reject unknown formats', async () => {
+      await agent.get('/api/admin/access-logs/export?format=xlsx').expect(400);
+    });
+  });
+
+  describe('GET /api/admin/data-requests', () => {
+    beforeEach(async () => {
+      // Install the app through OAuth and keep the admin session
+      agent = await login('test-shop.myshopify.com');
+    });
+
+    it('should list and download customer data exports', async () => {
+      await agent.get('/api/check-access/12345/67890').expect(200);
+      const dataRequest = await recordDataRequest('test-shop.myshopify.com', { customer: { id: 67890 }, data_request: { id: 555 } });
+
+      const list = await agent.get('/api/admin/data-requests').expect(200);
+      expect(list.body.dataRequests).toEqual([
+        expect.objectContaining({ id: dataRequest.id, customer_id: 67890, shopify_request_id: 555 })
+      ]);
+
+      const download = await agent.get(`/api/admin/data-requests/${dataRequest.id}`).expect(200);
+      expect(download.headers['content-disposition']).toBe(`attachment; filename="customer-67890-data-${dataRequest.id}.json"`);
+      expect(download.body.customer).toHaveProperty('email', 'client@example.com');
+      expect(download.body.accessLogs.map(row => row.access_type)).toEqual(['no_tag']);
+
+      await agent.get('/api/admin/data-requests/999999').expect(404);
+    });
+  });
+
+  describe('POST /api/admin/order-reviews/:reviewId/approve', () => {
+    beforeEach(async () => {
+      // Install the app through OAuth and keep the admin session
+      agent = await login('test-shop.myshopify.com');
+    });
+
+    it('should approve a flagged order once and audit the decision', async () => {
+      const enforcement = await OrderEnforcements.create('test-shop.myshopify.com', {
+        order_id: 7001,
+        customer_id: 67890,
+        customer_tier: 'verified',
+        required_tier: 'butterfly',
+        line_items: [{ product_id: 12345, quantity: 1, required_tier: 'butterfly' }],
+        policy: 'log',
+        status: 'applied'
+      });
+      await OrderReviews.create('test-shop.myshopify.com', enforcement.id);
+
+      const queue = await agent.get('/api/admin/order-reviews').expect(200);
+      expect(queue.body.pagination.total).toBe(1);
+      const [review] = queue.body.reviews;
+      expect(review).toMatchObject({ order_id: 7001, customer_tier: 'verified', line_items: [expect.objectContaining({ product_id: 12345 })] });
+
+      const approve = await agent.post(`/api/admin/order-reviews/${review.id}/approve`).expect(200);
+      expect(approve.body.review).toMatchObject({ status: 'approved', resolution: 'released' });
+
+      await agent.post(`/api/admin/order-reviews/${review.id}/cancel`).expect(409);
+      await agent.post('/api/admin/order-reviews/999999/approve').expect(404);
+
+      const pending = await agent.get('/api/admin/order-reviews').expect(200);
+      expect(pending.body.reviews).toEqual([]);
+
+      const audit = await agent.get('/api/admin/audit-log?targetType=order&targetId=7001').expect(200);
+      expect(audit.body.entries).toEqual([
+        expect.objectContaining({ action: 'order.review.approve', after: { status: 'approved', resolution: 'released' } })
+      ]);
+    });
+  });
+
+  describe('GET /api/admin/webhooks', () => {
+    beforeEach(async () => {
+      // Install the app through OAuth and keep the admin session
+      agent = await login('test-shop.myshopify.com');
+    });
+
+    it('should list dead-lettered webhooks and queue them again', async () => {
+      const event = await WebhookEvents.create('test-shop.myshopify.com', { webhookId: 'webhook-1', topic: 'orders/create', payload: { id: 7001 } });
+      await WebhookEvents.markFailed(event.id, 'Shopify is down', null);
+
+      const deadLetters = await agent.get('/api/admin/webhooks?status=failed').expect(200);
+      expect(deadLetters.body.counts).toEqual({ failed: 1 });
+      expect(deadLetters.body.events).toEqual([
+        expect.objectContaining({ id: event.id, topic: 'orders/create', status: 'failed', last_error: 'Shopify is down' })
+      ]);
+      expect(deadLetters.body.events[0]).not.toHaveProperty('payload');
+
+      await agent.post(`/api/admin/webhooks/${event.id}/retry`).expect(200);
+      await agent.post(`/api/admin/webhooks/${event.id}/retry`).expect(404);
+
+      expect(await WebhookEvents.get(event.id)).toMatchObject({ status: 'pending', attempts: 0 });
+    });
+  });
+
   describe('POST /api/validate-cart', () => {
     beforeEach(async () => {
-      // Install app first
-      await request(app)
-        .get('/api/auth/install?shop=test-shop.myshopify.com');
+      // Install the app through OAuth and keep the admin session
+      agent = await login('test-shop.myshopify.com');
     });
 
     it('should validate cart items', async () => {
@@ -190,9 +470,8 @@ describe('Malia Pro Access API', () => {
         customerId: null
       };
 
-      const response = await request(app)
+      const response = await agent
         .post('/api/validate-cart')
-        .set('Cookie', 'shop=test-shop.myshopify.com')
         .send(cartData)
         .expect(200);
 
@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+const { setupDatabase, AppSettings, db } = require('../lib/database');
+const { issueVisitorId } = require('../lib/visitor-id');
+
+jest.mock('../lib/shopify-api');
+const ShopifyAPIClient = require('../lib/shopify-api');
+
+const secret = 'test-proxy-secret';
+const shopDomain = 'test-shop.myshopify.com';
+
+// Sign proxy parameters the way Shopify does, timestamped now unless given
+function signedQuery(params) {
+  params = { timestamp: String(Math.floor(Date.now() / 1000)), ...params };
+  const message = Object.keys(params).sort().map(key => `${key}=${params[key]}`).join('');
+  const signature = crypto.createHmac('sha256', secret).update(message).digest('hex');
+  return new URLSearchParams({ ...params, signature }).toString();
+}
+
+describe('App proxy', () => {
+  const originalSecret = process.env.SHOPIFY_API_SECRET;
+  let app;
+
+  beforeAll(async () => {
+    process.env.SHOPIFY_API_SECRET = secret;
+    await setupDatabase();
+
+    const appProxyRoutes = require('../routes/app-proxy');
+    app = express();
+    app.use(express.json());
+    app.use('/proxy', appProxyRoutes);
+  });
+
+  afterAll(async () => {
+    process.env.SHOPIFY_API_SECRET = originalSecret;
+    await db.destroy();
+  });
+
+  beforeEach(async () => {
+    await db('app_settings').del();
+    await db('access_tiers').del();
+    await db('access_logs').del();
+    await AppSettings.createOrUpdate(shopDomain, { is_enabled: true });
+
+    ShopifyAPIClient.mockReset();
+    ShopifyAPIClient.prototype.isProductRestricted = jest.fn().mockResolvedValue('butterfly');
+    ShopifyAPIClient.prototype.validateCustomerAccess = jest.fn().mockImplementation(async (customerId, requiredTier) => (
+      customerId
+        ? { hasAccess: true, reason: 'authorized', tier: 'butterfly', requiredTier, customer: { id: customerId, email: 'stylist@example.com', tags: 'butterfly_paid' } }
+        : { hasAccess: false, reason: 'not_logged_in', tier: null, requiredTier, missingTier: requiredTier }
+    ));
+  });
+
+  it('should reject unsigned requests', async () => {
+    await request(app)
+      .get(`/proxy/api/check-access/1?shop=${shopDomain}&logged_in_customer_id=42`)
+      .expect(401);
+  });
+
+  it('should reject requests whose parameters were changed after signing', async () => {
+    const query = signedQuery({ shop: shopDomain, logged_in_customer_id: '' })
+      .replace('logged_in_customer_id=', 'logged_in_customer_id=42');
+
+    await request(app).get(`/proxy/api/check-access/1?${query}`).expect(401);
+  });
+
+  it('should take the customer from logged_in_customer_id', async () => {
+    const query = signedQuery({ shop: shopDomain, logged_in_customer_id: '42' });
+
+    const response = await request(app).get(`/proxy/api/check-access/1?${query}`).expect(200);
+
+    expect(response.body.hasAccess).toBe(true);
+    expect(response.body).not.toHaveProperty('customer');
+    expect(ShopifyAPIClient.prototype.validateCustomerAccess).toHaveBeenCalledWith('42', 'butterfly');
+  });
+
+  it('should issue a signed visitor id and link its anonymous history once logged in', async () => {
+    const anonymous = signedQuery({ shop: shopDomain, logged_in_customer_id: '' });
+    const first = await request(app).get(`/proxy/api/check-access/1?${anonymous}`).expect(200);
+    const visitorId = first.body.visitor_id;
+
+    expect(visitorId).toMatch(/^[0-9a-f]{64}$/);
+
+    const again = signedQuery({ shop: shopDomain, logged_in_customer_id: '', visitor_id: visitorId });
+    await request(app).get(`/proxy/api/check-access/1?${again}`).expect(200);
+    const loggedIn = signedQuery({ shop: shopDomain, logged_in_customer_id: '42', visitor_id: visitorId });
+    const response = await request(app).get(`/proxy/api/check-access/1?${loggedIn}`).expect(200);
+
+    expect(response.body.visitor_id).toBe(visitorId);
+    const logs = await db('access_logs').whereNotNull('visitor_id');
+    expect(logs.map(row => String(row.customer_id))).toEqual(['42', '42']);
+  });
+
+  it('should not link visitor ids the app did not issue', async () => {
+    const forged = `${'0'.repeat(32)}${'f'.repeat(32)}`;
+    await db('access_logs').insert([
+      { shop_domain: shopDomain, product_id: 1, visitor_id: 'visitor-0001', access_type: 'not_logged_in' },
+      { shop_domain: shopDomain, product_id: 1, visitor_id: '0'.repeat(32), access_type: 'not_logged_in' }
+    ]);
+
+    for (const visitorId of ['visitor-0001', forged, issueVisitorId('other-shop.myshopify.com')]) {
+      const query = signedQuery({ shop: shopDomain, logged_in_customer_id: '42', visitor_id: visitorId });
+      const response = await request(app).get(`/proxy/api/check-access/1?${query}`).expect(200);
+      expect(response.body.visitor_id).not.toBe(visitorId);
+    }
+
+    expect(await db('access_logs').whereNotNull('visitor_id').whereNotNull('customer_id')).toHaveLength(0);
+  });
+
+  it('should reject signed requests with an old timestamp', async () => {
+    const signedAt = Math.floor(Date.now() / 1000) - 10 * 60;
+    const query = signedQuery({ shop: shopDomain, logged_in_customer_id: '42', timestamp: String(signedAt) });
+
+    const response = await request(app).get(`/proxy/api/check-access/1?${query}`).expect(401);
+
+    expect(response.body).toHaveProperty('error', 'Expired proxy signature');
+  });
+
+  it('should validate the cart items', async () => {
+    const query = signedQuery({ shop: shopDomain, logged_in_customer_id: '' });
+
+    const response = await request(app)
+      .post(`/proxy/api/validate-cart?${query}`)
+      .send({ cartItems: [{ variant_id: 10, quantity: 0 }] })
+      .expect(400);
+
+    expect(response.body.details.map(detail => detail.field)).toEqual(['cartItems.0.product_id', 'cartItems.0.quantity']);
+  });
+
+  it('should ignore a customerId supplied in the cart body', async () => {
+    const query = signedQuery({ shop: shopDomain, logged_in_customer_id: '' });
+
+    const response = await request(app)
+      .post(`/proxy/api/validate-cart?${query}`)
+      .send({ cartItems: [{ product_id: 1, variant_id: 10, quantity: 1 }], customerId: 42 })
+      .expect(200);
+
+    expect(response.body.valid).toBe(false);
+    expect(response.body.restrictedItems[0]).toMatchObject({ productId: 1, missingTier: 'butterfly', reason: 'not_logged_in' });
+    expect(ShopifyAPIClient.prototype.validateCustomerAccess).toHaveBeenCalledWith(null);
+  });
+
+  it('should store theme events for the shop that signed the request', async () => {
+    const query = signedQuery({ shop: shopDomain, logged_in_customer_id: '' });
+
+    await request(app)
+      .post(`/proxy/api/analytics/track?${query}`)
+      .send({ action: 'button_click', button: 'certification', product_id: 123, access_level: 'verified' })
+      .expect(200);
+
+    const rows = await db('access_logs').where('shop_domain', shopDomain);
+    expect(rows).toHaveLength(1);
+    expect(rows[0]).toMatchObject({ access_type: 'button_click', target: 'certification', source: 'theme', customer_tier: 'verified' });
+  });
+
+  it('should reject theme events outside the vocabulary', async () => {
+    const query = signedQuery({ shop: shopDomain, logged_in_customer_id: '' });
+
+    const response = await request(app)
+      .post(`/proxy/api/analytics/track?${query}`)
+      .send({ action: 'page_view', button: 'login' })
+      .expect(400);
+
+    expect(response.body.details.map(detail => detail.field)).toEqual(['action', 'button']);
+  });
+
+  it('should not take theme events without a proxy signature', async () => {
+    await request(app)
+      .post(`/proxy/api/analytics/track?shop=${shopDomain}`)
+      .send({ action: 'modal_view' })
+      .expect(401);
+
+    expect(await db('access_logs')).toHaveLength(0);
+  });
+
+  it('should return lock-screen messages for gated tiers', async () => {
+    const query = signedQuery({ shop: shopDomain, logged_in_customer_id: '' });
+
+    const response = await request(app).get(`/proxy/api/messages?${query}`).expect(200);
+
+    expect(Object.keys(response.body.messages)).toEqual(['verified', 'butterfly']);
+    expect(response.body.messages.butterfly.title).toBe('CERTIFICATION REQUIRED');
+  });
+
+  it('should refuse shops that have not installed the app', async () => {
+    const query = signedQuery({ shop: 'other-shop.myshopify.com', logged_in_customer_id: '' });
+
+    await request(app).get(`/proxy/api/messages?${query}`).expect(404);
+  });
+});
@@ -0,0 +1,38 @@
+const request = require('supertest');
+const { createApp } = require('../app');
+
+describe('App profiles', () => {
+  it('should serve mock admin data without Shopify routes in the demo profile', async () => {
+    const app = createApp({ profile: 'demo', logging: false });
+
+    const dashboard = await request(app).get('/api/admin/dashboard').expect(200);
+    expect(dashboard.body.stats).toHaveProperty('totalProducts');
+
+    await request(app).get('/api/auth/status?shop=test-shop.myshopify.com').expect(404);
+    await request(app).post('/api/webhooks/app/uninstalled').expect(404);
+  });
+
+  it('should require an admin session for live Shopify data in the live profile', async () => {
+    const app = createApp({ profile: 'live', logging: false });
+
+    await request(app).get('/api/admin/products').expect(401);
+  });
+
+  it('should serve the shared admin endpoints in the live profile', async () => {
+    const app = createApp({ profile: 'live', logging: false });
+
+    await request(app).get('/api/admin/audit-log').expect(401);
+    await request(app).get('/api/admin/jobs').expect(401);
+    await request(app).post('/api/admin/order-reviews/1/approve').expect(401);
+  });
+
+  it('should report the profile in the health check', async () => {
+    const response = await request(createApp({ profile: 'live', logging: false })).get('/health').expect(200);
+
+    expect(response.body).toHaveProperty('profile', 'live');
+  });
+
+  it('should reject unknown profiles', () => {
+    expect(() => createApp({ profile: 'staging' })).toThrow('Unknown app profile: staging');
+  });
+});
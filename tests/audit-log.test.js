@@ -0,0 +1,72 @@
+const { setupDatabase, AdminAuditLog, db } = require('../lib/database');
+
+describe('Admin audit log', () => {
+  const shopDomain = 'test-shop.myshopify.com';
+
+  beforeAll(async () => {
+    await setupDatabase();
+  });
+
+  afterAll(async () => {
+    await db.destroy();
+  });
+
+  beforeEach(async () => {
+    await db('admin_audit_log').del();
+
+    await AdminAuditLog.record(shopDomain, {
+      actor: 'owner@example.com',
+      action: 'product.restriction.update',
+      target_type: 'product',
+      target_id: 111,
+      before: null,
+      after: { is_restricted: true }
+    });
+    await AdminAuditLog.record(shopDomain, {
+      action: 'collection.exception.update',
+      target_type: 'collection',
+      target_id: 222,
+      after: { is_exception: true }
+    });
+    await AdminAuditLog.record('other-shop.myshopify.com', {
+      action: 'product.restriction.update',
+      target_type: 'product',
+      target_id: 111
+    });
+    await db('admin_audit_log').where('target_id', '222').update({ created_at: '2024-01-15 12:00:00' });
+  });
+
+  it('should find entries for a target product or collection', async () => {
+    const products = await AdminAuditLog.find(shopDomain, { targetType: 'product', targetId: 111 });
+
+    expect(products.total).toBe(1);
+    expect(products.entries[0]).toMatchObject({
+      actor: 'owner@example.com',
+      target_id: '111',
+      before: null,
+      after: { is_restricted: true }
+    });
+    expect(products.entries[0].created_at).toBeInstanceOf(Date);
+
+    const collections = await AdminAuditLog.find(shopDomain, { targetType: 'collection', targetId: '222' });
+    expect(collections.entries.map(entry => entry.action)).toEqual(['collection.exception.update']);
+  });
+
+  it('should filter by date range', async () => {
+    const january = await AdminAuditLog.find(shopDomain, {
+      from: new Date('2024-01-01T00:00:00Z'),
+      to: new Date('2024-01-31T23:59:59Z')
+    });
+    expect(january.entries.map(entry => entry.target_id)).toEqual(['222']);
+
+    const recent = await AdminAuditLog.find(shopDomain, { from: new Date('2024-02-01T00:00:00Z') });
+    expect(recent.entries.map(entry => entry.target_id)).toEqual(['111']);
+  });
+
+  it('should page through entries newest first', async () => {
+    const page = await AdminAuditLog.find(shopDomain, { limit: 1, offset: 0 });
+
+    expect(page.total).toBe(2);
+    expect(page.entries.map(entry => entry.target_id)).toEqual(['111']);
+  });
+});
@@ -0,0 +1,210 @@
+const crypto = require('crypto');
+const express = require('express');
+const session = require('express-session');
+const request = require('supertest');
+const { setupDatabase, AppSettings, AccessTiers, db } = require('../lib/database');
+const { getShopCredentials, storeOfflineToken } = require('../lib/shopify-auth');
+const { WEBHOOK_TOPICS } = require('../lib/webhook-subscriptions');
+
+jest.mock('axios');
+const axios = require('axios');
+
+const secret = 'test-oauth-secret';
+const shopDomain = 'test-shop.myshopify.com';
+
+// Sign OAuth callback parameters the way Shopify does
+function signedCallback(params) {
+  const message = Object.keys(params).sort().map(key => `${key}=${params[key]}`).join('&');
+  const hmac = crypto.createHmac('sha256', secret).update(message).digest('hex');
+  return `/api/auth/callback?${new URLSearchParams({ ...params, hmac }).toString()}`;
+}
+
+async function startInstall(agent) {
+  const response = await agent.get(`/api/auth/install?shop=${shopDomain}`).expect(302);
+  return new URL(response.headers.location).searchParams.get('state');
+}
+
+describe('OAuth install', () => {
+  const originalEnv = { ...process.env };
+  let app;
+
+  beforeAll(async () => {
+    Object.assign(process.env, {
+      SHOPIFY_API_KEY: 'test-key',
+      SHOPIFY_API_SECRET: secret,
+      SHOPIFY_SCOPES: 'read_products,read_customers',
+      SHOPIFY_APP_URL: 'https://app.example.com'
+    });
+    await setupDatabase();
+
+    const authRoutes = require('../routes/auth');
+    app = express();
+    app.use(session({ secret: 'test', resave: false, saveUninitialized: false }));
+    app.use('/api/auth', authRoutes);
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  beforeEach(async () => {
+    await db('app_settings').del();
+    await db('access_tiers').del();
+    await db('shopify_sessions').del();
+    axios.post.mockReset();
+    axios.post.mockResolvedValue({ data: { access_token: 'shpat_new', scope: 'read_products,read_customers' } });
+    // Admin API calls made with the new token (webhook subscriptions)
+    axios.mockReset();
+    axios.mockResolvedValue({ data: { webhooks: [] }, headers: {} });
+  });
+
+  it('should redirect to the Shopify authorization page', async () => {
+    const response = await request(app).get(`/api/auth/install?shop=${shopDomain}`).expect(302);
+
+    const location = new URL(response.headers.location);
+    expect(location.origin).toBe(`https://${shopDomain}`);
+    expect(location.pathname).toBe('/admin/oauth/authorize');
+    expect(location.searchParams.get('client_id')).toBe('test-key');
+    expect(location.searchParams.get('redirect_uri')).toBe('https://app.example.com/api/auth/callback');
+  });
+
+  it('should reject shop domains that are not myshopify.com stores', async () => {
+    await request(app).get('/api/auth/install?shop=evil.example.com').expect(400);
+  });
+
+  it('should store the offline token and install the shop on a valid callback', async () => {
+    const agent = request.agent(app);
+    const state = await startInstall(agent);
+
+    const response = await agent
+      .get(signedCallback({ code: 'auth-code', shop: shopDomain, state, timestamp: '1700000000' }))
+      .expect(302);
+
+    expect(response.headers.location).toBe(`/admin.html?shop=${encodeURIComponent(shopDomain)}`);
+    expect(axios.post).toHaveBeenCalledWith(`https://${shopDomain}/admin/oauth/access_token`, {
+      client_id: 'test-key',
+      client_secret: secret,
+      code: 'auth-code'
+    });
+    expect((await getShopCredentials(shopDomain)).accessToken).toBe('shpat_new');
+    expect(await AppSettings.get(shopDomain)).toBeTruthy();
+    expect(await AccessTiers.getAll(shopDomain)).toHaveLength(3);
+  });
+
+  it('should subscribe the shop to the webhooks it is missing', async () => {
+    axios.mockImplementation(async ({ method }) => ({
+      data: method === 'get'
+        ? { webhooks: [{ id: 1, topic: 'app/uninstalled', address: 'https://app.example.com/api/webhooks/app/uninstalled' }] }
+        : { webhook: {} },
+      headers: {}
+    }));
+    const agent = request.agent(app);
+    const state = await startInstall(agent);
+
+    await agent.get(signedCallback({ code: 'auth-code', shop: shopDomain, state, timestamp: '1700000000' })).expect(302);
+
+    const created = axios.mock.calls.map(([options]) => options).filter(options => options.method === 'post');
+    expect(created.map(options => options.data.webhook.topic)).toEqual(WEBHOOK_TOPICS.filter(topic => topic !== 'app/uninstalled'));
+    expect(created[0]).toMatchObject({
+      url: `https://${shopDomain}/admin/api/2024-01/webhooks.json`,
+      headers: { 'X-Shopify-Access-Token': 'shpat_new' }
+    });
+    expect(created.map(options => options.data.webhook.address)).toContain('https://app.example.com/api/webhooks/products/update');
+    expect(WEBHOOK_TOPICS).toEqual(expect.arrayContaining(['customers/update', 'products/update', 'collections/update']));
+    expect(WEBHOOK_TOPICS).not.toContain('shop/redact');
+  });
+
+  it('should finish the install when the webhooks cannot be subscribed', async () => {
+    axios.mockRejectedValue(new Error('Service unavailable'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const agent = request.agent(app);
+    const state = await startInstall(agent);
+
+    await agent.get(signedCallback({ code: 'auth-code', shop: shopDomain, state, timestamp: '1700000000' })).expect(302);
+
+    expect(await AppSettings.get(shopDomain)).toBeTruthy();
+    console.error.mockRestore();
+  });
+
+  it('should reject callbacks with a bad hmac', async () => {
+    const agent = request.agent(app);
+    const state = await startInstall(agent);
+
+    const url = signedCallback({ code: 'auth-code', shop: shopDomain, state, timestamp: '1700000000' })
+      .replace('auth-code', 'other-code');
+    await agent.get(url).expect(401);
+
+    expect(axios.post).not.toHaveBeenCalled();
+    expect(await getShopCredentials(shopDomain)).toBeNull();
+  });
+
+  it('should reject callbacks whose state was not issued to this browser', async () => {
+    await startInstall(request.agent(app));
+
+    await request(app)
+      .get(signedCallback({ code: 'auth-code', shop: shopDomain, state: 'forged', timestamp: '1700000000' }))
+      .expect(403);
+
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+
+  it('should only uninstall through the app/uninstalled webhook', async () => {
+    await storeOfflineToken(shopDomain, 'shpat_existing', 'read_products');
+
+    await request(app).get(`/api/auth/uninstall?shop=${shopDomain}`).expect(404);
+
+    expect(await getShopCredentials(shopDomain)).toMatchObject({ accessToken: 'shpat_existing' });
+  });
+});
+
+describe('ShopifyAPIClient credentials', () => {
+  const ShopifyAPIClient = require('../lib/shopify-api');
+
+  beforeAll(async () => {
+    await setupDatabase();
+  });
+
+  afterAll(async () => {
+    await db.destroy();
+  });
+
+  beforeEach(async () => {
+    await db('shopify_sessions').del();
+    axios.mockReset();
+  });
+
+  it('should call the shop\'s Admin API with its stored offline token', async () => {
+    await storeOfflineToken(shopDomain, 'shpat_stored', 'read_products');
+    axios.mockResolvedValue({ data: { product: { id: 1 } }, headers: {} });
+
+    const product = await new ShopifyAPIClient({ shop: shopDomain }).getProduct(1);
+
+    expect(product).toEqual({ id: 1 });
+    expect(axios).toHaveBeenCalledWith(expect.objectContaining({
+      url: `https://${shopDomain}/admin/api/2024-01/products/1.json`,
+      headers: { 'X-Shopify-Access-Token': 'shpat_stored' }
+    }));
+  });
+
+  it('should follow Link header pagination', async () => {
+    await storeOfflineToken(shopDomain, 'shpat_stored', 'read_products');
+    axios
+      .mockResolvedValueOnce({
+        data: { products: [{ id: 1 }] },
+        headers: { link: `<https://${shopDomain}/admin/api/2024-01/products.json?limit=250&page_info=abc>; rel="next"` }
+      })
+      .mockResolvedValueOnce({ data: { products: [{ id: 2 }] }, headers: {} });
+
+    const onPage = jest.fn();
+    const products = await new ShopifyAPIClient({ shop: shopDomain }).getAllProducts({ onPage });
+
+    expect(products).toEqual([{ id: 1 }, { id: 2 }]);
+    expect(onPage.mock.calls).toEqual([[1], [2]]);
+    expect(axios.mock.calls[1][0].params).toEqual({ limit: '250', page_info: 'abc' });
+  });
+
+  it('should refuse to call Shopify for shops without a stored token', async () => {
+    await expect(new ShopifyAPIClient({ shop: shopDomain }).getProduct(1)).rejects.toThrow('No Shopify access token');
+    expect(axios).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,83 @@
+const { setupDatabase, Catalog, db } = require('../lib/database');
+const { syncProduct, findProduct, listProducts, fullResync } = require('../lib/catalog');
+
+describe('Catalog mirror', () => {
+  const shopDomain = 'test-shop.myshopify.com';
+
+  const product = {
+    id: 1,
+    title: 'Butterfly Weft',
+    handle: 'butterfly-weft',
+    vendor: 'Maliá',
+    product_type: 'Extensions',
+    tags: 'pro, weft',
+    status: 'active',
+    variants: [{ id: 100, title: '18"', sku: 'BW-18', price: '120.00' }, { id: 101, title: '22"', sku: 'BW-22', price: '95.00' }]
+  };
+
+  beforeAll(async () => {
+    await setupDatabase();
+  });
+
+  afterAll(async () => {
+    await db.destroy();
+  });
+
+  beforeEach(async () => {
+    await db('catalog_variants').del();
+    await db('catalog_products').del();
+    await db('catalog_collections').del();
+    await db('collection_memberships').del();
+    await db('membership_index').del();
+  });
+
+  it('should mirror a product with its variants and price range', async () => {
+    await syncProduct(shopDomain, product);
+
+    const row = await Catalog.getProduct(shopDomain, 1);
+    expect(row.handle).toBe('butterfly-weft');
+    expect(Number(row.min_price)).toBe(95);
+    expect(Number(row.max_price)).toBe(120);
+
+    const [mirrored] = await listProducts(shopDomain);
+    expect(mirrored.id).toBe(1);
+    expect(mirrored.variants).toHaveLength(2);
+  });
+
+  it('should serve mirrored products without calling Shopify', async () => {
+    await syncProduct(shopDomain, product);
+    const shopifyClient = { getProduct: jest.fn() };
+
+    const found = await findProduct(shopifyClient, shopDomain, 1);
+
+    expect(found.handle).toBe('butterfly-weft');
+    expect(shopifyClient.getProduct).not.toHaveBeenCalled();
+  });
+
+  it('should fetch and mirror products it has not seen', async () => {
+    const shopifyClient = { getProduct: jest.fn().mockResolvedValue(product) };
+
+    await findProduct(shopifyClient, shopDomain, 1);
+
+    expect(shopifyClient.getProduct).toHaveBeenCalledWith(1);
+    expect(await Catalog.countProducts(shopDomain)).toBe(1);
+  });
+
+  it('should prune products that disappeared from Shopify on a full resync', async () => {
+    await syncProduct(shopDomain, { id: 2, title: 'Discontinued', handle: 'discontinued', variants: [] });
+    await db('catalog_products').where({ product_id: 2 }).update({ synced_at: '2000-01-01 00:00:00' });
+
+    const shopifyClient = {
+      getAllProducts: jest.fn().mockResolvedValue([product]),
+      getAllCollections: jest.fn().mockResolvedValue([{ id: 10, title: 'Courses', handle: 'courses', type: 'custom' }]),
+      getCollectionProductIds: jest.fn().mockResolvedValue([1])
+    };
+
+    const result = await fullResync(shopifyClient, shopDomain);
+
+    expect(result.products).toBe(1);
+    expect(result.collections).toBe(1);
+    expect(await Catalog.getProduct(shopDomain, 2)).toBeFalsy();
+    expect(await Catalog.countCollections(shopDomain)).toBe(1);
+  });
+});
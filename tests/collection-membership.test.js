@@ -0,0 +1,97 @@
+const { setupDatabase, CollectionMemberships, db } = require('../lib/database');
+const { LOOKUP_CONCURRENCY, getProductCollections, indexCollection } = require('../lib/collection-membership');
+const { evaluateProducts } = require('../lib/restriction-rules');
+
+describe('Collection membership', () => {
+  const shopDomain = 'test-shop.myshopify.com';
+
+  beforeAll(async () => {
+    await setupDatabase();
+  });
+
+  afterAll(async () => {
+    await db.destroy();
+  });
+
+  beforeEach(async () => {
+    await db('collection_memberships').del();
+    await db('membership_index').del();
+  });
+
+  it('should fetch from Shopify and index unknown products', async () => {
+    const shopifyClient = {
+      getProductCollections: jest.fn().mockResolvedValue([{ id: 10, handle: 'courses', type: 'custom' }])
+    };
+
+    const collections = await getProductCollections(shopifyClient, shopDomain, 1);
+
+    expect(collections).toEqual([{ id: 10, handle: 'courses', type: 'custom' }]);
+    expect(shopifyClient.getProductCollections).toHaveBeenCalledWith(1);
+    expect(await CollectionMemberships.getProductIds(shopDomain, 10)).toHaveLength(1);
+  });
+
+  it('should look up products not indexed yet when evaluating a listing', async () => {
+    await db('collection_exceptions').del();
+    await db('collection_exceptions').insert({ shop_domain: shopDomain, collection_id: 10, collection_handle: 'courses', is_exception: true });
+    await CollectionMemberships.replaceForProduct(shopDomain, 1, []);
+    const shopifyClient = {
+      getProductCollections: jest.fn().mockResolvedValue([{ id: 10, handle: 'courses', type: 'custom' }])
+    };
+
+    const evaluated = await evaluateProducts(shopDomain, [{ id: 1 }, { id: 2 }], { shopifyClient, settings: {} });
+
+    expect(shopifyClient.getProductCollections.mock.calls).toEqual([[2]]);
+    expect(evaluated.map(({ decision }) => decision.tier)).toEqual(['butterfly', 'public']);
+    await db('collection_exceptions').del();
+  });
+
+  it('should look up only a few unindexed products in Shopify at a time', async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const shopifyClient = {
+      getProductCollections: jest.fn(async () => {
+        inFlight += 1;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        inFlight -= 1;
+        return [];
+      })
+    };
+    const products = Array.from({ length: 12 }, (_, index) => ({ id: index + 1 }));
+
+    const evaluated = await evaluateProducts(shopDomain, products, { shopifyClient, settings: {} });
+
+    expect(evaluated).toHaveLength(12);
+    expect(shopifyClient.getProductCollections).toHaveBeenCalledTimes(12);
+    expect(maxInFlight).toBe(LOOKUP_CONCURRENCY);
+  });
+
+  it('should serve fresh memberships from the local index', async () => {
+    await CollectionMemberships.replaceForProduct(shopDomain, 1, []);
+    const shopifyClient = { getProductCollections: jest.fn() };
+
+    const collections = await getProductCollections(shopifyClient, shopDomain, 1);
+
+    expect(collections).toEqual([]);
+    expect(shopifyClient.getProductCollections).not.toHaveBeenCalled();
+  });
+
+  it('should fall back to the local index when Shopify fails', async () => {
+    await CollectionMemberships.replaceForProduct(shopDomain, 1, [{ id: 11, handle: 'butterfly', type: 'smart' }]);
+    const shopifyClient = { getProductCollections: jest.fn().mockRejectedValue(new Error('timeout')) };
+
+    const collections = await getProductCollections(shopifyClient, shopDomain, 1, 0);
+
+    expect(collections).toEqual([{ id: 11, handle: 'butterfly', type: 'smart' }]);
+  });
+
+  it('should only list the products that belong to a collection', async () => {
+    const shopifyClient = { getCollectionProductIds: jest.fn().mockResolvedValue([1, 2]) };
+
+    await indexCollection(shopifyClient, shopDomain, { id: 10, handle: 'courses', type: 'custom' });
+
+    const productIds = await CollectionMemberships.getProductIds(shopDomain, 10);
+    expect(productIds.map(Number).sort()).toEqual([1, 2]);
+    expect(await CollectionMemberships.getByProduct(shopDomain, 3)).toHaveLength(0);
+  });
+});
@@ -0,0 +1,123 @@
+const { setupDatabase, CustomerAccess, db } = require('../lib/database');
+const { CUSTOMER_CACHE_TTL_MS, syncCustomer, removeCustomer, findCustomer } = require('../lib/customer-access');
+
+describe('Customer access cache', () => {
+  const shopDomain = 'test-shop.myshopify.com';
+
+  beforeAll(async () => {
+    await setupDatabase();
+  });
+
+  afterAll(async () => {
+    await db.destroy();
+  });
+
+  beforeEach(async () => {
+    await db('customer_access').del();
+    await db('access_tiers').del();
+    await db('app_settings').del();
+    await db('customer_tier_history').del();
+  });
+
+  it('should store tags and the resolved tier from a webhook payload', async () => {
+    const tier = await syncCustomer(shopDomain, { id: 42, email: 'stylist@example.com', tags: 'verified, butterfly_paid' });
+
+    expect(tier.name).toBe('butterfly');
+    const row = await CustomerAccess.get(shopDomain, 42);
+    expect(row.tier).toBe('butterfly');
+    expect(row.tags).toBe('verified, butterfly_paid');
+  });
+
+  it('should update the cached tier when tags change', async () => {
+    await syncCustomer(shopDomain, { id: 42, tags: 'butterfly_paid' });
+    await syncCustomer(shopDomain, { id: 42, tags: 'verified' });
+
+    const row = await CustomerAccess.get(shopDomain, 42);
+    expect(row.tier).toBe('verified');
+  });
+
+  it('should record registration and tier changes in the tier history', async () => {
+    await syncCustomer(shopDomain, { id: 42, tags: '', created_at: '2024-03-01T10:00:00Z', updated_at: '2024-03-01T10:00:00Z' });
+    await syncCustomer(shopDomain, { id: 42, tags: '', updated_at: '2024-03-02T10:00:00Z' });
+    await syncCustomer(shopDomain, { id: 42, tags: 'verified', updated_at: '2024-03-05T10:00:00Z' });
+
+    const history = await db('customer_tier_history').where('customer_id', 42).orderBy('id');
+
+    expect(history.map(({ event, from_tier, to_tier, changed_at }) => ({ event, from_tier, to_tier, changed_at }))).toEqual([
+      { event: 'registered', from_tier: null, to_tier: null, changed_at: '2024-03-01 10:00:00' },
+      { event: 'tier_change', from_tier: 'public', to_tier: 'verified', changed_at: '2024-03-05 10:00:00' }
+    ]);
+  });
+
+  it('should ignore payloads older than the stored one', async () => {
+    await syncCustomer(shopDomain, { id: 42, tags: 'butterfly_paid', updated_at: '2024-03-05T10:00:00Z' });
+    // A retried webhook from before the customer was certified
+    const tier = await syncCustomer(shopDomain, { id: 42, tags: 'verified', updated_at: '2024-03-02T10:00:00Z' });
+
+    expect(tier.name).toBe('butterfly');
+    expect(await CustomerAccess.get(shopDomain, 42)).toMatchObject({ tags: 'butterfly_paid', tier: 'butterfly' });
+    const history = await db('customer_tier_history').where('customer_id', 42);
+    expect(history.map(row => row.event)).toEqual(['registered', 'tier_change']);
+  });
+
+  it('should serve cached customers without calling Shopify', async () => {
+    await syncCustomer(shopDomain, { id: 42, tags: 'verified' });
+    const shopifyClient = { getCustomer: jest.fn() };
+
+    const customer = await findCustomer(shopifyClient, shopDomain, 42);
+
+    expect(customer).toEqual({ id: 42, email: null, tags: 'verified' });
+    expect(shopifyClient.getCustomer).not.toHaveBeenCalled();
+  });
+
+  it('should backfill unknown customers from Shopify', async () => {
+    const shopifyClient = { getCustomer: jest.fn().mockResolvedValue({ id: 7, email: 'new@example.com', tags: 'verified' }) };
+
+    const customer = await findCustomer(shopifyClient, shopDomain, 7);
+
+    expect(customer.tags).toBe('verified');
+    expect(shopifyClient.getCustomer).toHaveBeenCalledWith(7);
+    expect((await CustomerAccess.get(shopDomain, 7)).tier).toBe('verified');
+  });
+
+  it('should fetch cached customers again once the cache expires', async () => {
+    await syncCustomer(shopDomain, { id: 42, tags: 'verified' });
+    const later = new Date(Date.now() + CUSTOMER_CACHE_TTL_MS + 1000);
+    // Certified while the customers/update webhook was lost
+    const shopifyClient = { getCustomer: jest.fn().mockResolvedValue({ id: 42, email: null, tags: 'verified, butterfly_paid' }) };
+
+    const customer = await findCustomer(shopifyClient, shopDomain, 42, later);
+
+    expect(customer.tags).toBe('verified, butterfly_paid');
+    expect((await CustomerAccess.get(shopDomain, 42)).tier).toBe('butterfly');
+  });
+
+  it('should use an expired customer when Shopify is unavailable', async () => {
+    await syncCustomer(shopDomain, { id: 42, tags: 'verified' });
+    const later = new Date(Date.now() + CUSTOMER_CACHE_TTL_MS + 1000);
+    const shopifyClient = { getCustomer: jest.fn().mockRejectedValue(new Error('Service unavailable')) };
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const customer = await findCustomer(shopifyClient, shopDomain, 42, later);
+
+    expect(customer).toEqual({ id: 42, email: null, tags: 'verified' });
+    console.error.mockRestore();
+  });
+
+  it('should drop expired customers that Shopify no longer has', async () => {
+    await syncCustomer(shopDomain, { id: 42, tags: 'verified' });
+    const later = new Date(Date.now() + CUSTOMER_CACHE_TTL_MS + 1000);
+    const shopifyClient = { getCustomer: jest.fn().mockResolvedValue(null) };
+
+    expect(await findCustomer(shopifyClient, shopDomain, 42, later)).toBeNull();
+    expect(await CustomerAccess.get(shopDomain, 42)).toBeFalsy();
+  });
+
+  it('should forget deleted customers', async () => {
+    await syncCustomer(shopDomain, { id: 42, tags: 'verified' });
+
+    await removeCustomer(shopDomain, 42);
+
+    expect(await CustomerAccess.get(shopDomain, 42)).toBeFalsy();
+  });
+});
@@ -0,0 +1,240 @@
+const { setupDatabase, ProductRestrictions, AdminAuditLog, db } = require('../lib/database');
+const { Jobs } = require('../lib/job-store');
+const { syncProduct } = require('../lib/catalog');
+const { JOB_TYPES, RECURRING_JOBS } = require('../lib/job-handlers');
+const {
+  enqueueJob,
+  scheduleRecurringJobs,
+  claimNextJob,
+  runJob,
+  runDueJobs,
+  startJobWorker,
+  stopJobWorker
+} = require('../lib/jobs');
+
+const shopDomain = 'test-shop.myshopify.com';
+const MINUTE = 60 * 1000;
+
+describe('Background jobs', () => {
+  beforeAll(async () => {
+    await setupDatabase();
+  });
+
+  afterAll(async () => {
+    await db.destroy();
+  });
+
+  beforeEach(async () => {
+    await db('jobs').del();
+    JOB_TYPES['test.work'] = {
+      run: jest.fn(async (job, { progress }) => {
+        await progress(50, 'Halfway');
+        return { echoed: job.payload };
+      }),
+      concurrency: 1,
+      maxAttempts: 3
+    };
+  });
+
+  afterEach(() => {
+    delete JOB_TYPES['test.work'];
+  });
+
+  it('should run queued jobs and keep their result', async () => {
+    const job = await enqueueJob('test.work', { shopDomain, payload: { n: 1 }, createdBy: 'staff@example.com' });
+    expect(job).toMatchObject({ status: 'queued', attempts: 0, max_attempts: 3, progress: 0 });
+
+    expect(await runDueJobs()).toEqual({ succeeded: 1, queued: 0, failed: 0 });
+
+    const done = await Jobs.get(job.id);
+    expect(done).toMatchObject({ status: 'succeeded', attempts: 1, progress: 100, result: { echoed: { n: 1 } }, payload: null, locked_by: null });
+    expect(done.finished_at).toBeInstanceOf(Date);
+    expect(JOB_TYPES['test.work'].run).toHaveBeenCalledTimes(1);
+  });
+
+  it('should record progress while a job runs', async () => {
+    JOB_TYPES['test.work'].run.mockImplementation(async (job, { progress }) => {
+      await progress(149.6, 'Too far');
+      expect(await Jobs.get(job.id)).toMatchObject({ status: 'running', progress: 100, progress_message: 'Too far' });
+      await progress(42.4, '2 of 5');
+      expect(await Jobs.get(job.id)).toMatchObject({ progress: 42, progress_message: '2 of 5' });
+    });
+    await enqueueJob('test.work', { shopDomain });
+
+    expect(await runDueJobs()).toEqual({ succeeded: 1, queued: 0, failed: 0 });
+  });
+
+  it('should refuse unknown job types', async () => {
+    await expect(enqueueJob('test.unknown', { shopDomain })).rejects.toThrow('Unknown job type: test.unknown');
+  });
+
+  it('should not run scheduled jobs before their time', async () => {
+    const now = new Date();
+    const job = await enqueueJob('test.work', { shopDomain, runAt: new Date(now.getTime() + 10 * MINUTE) });
+
+    expect(await runDueJobs({ now })).toEqual({ succeeded: 0, queued: 0, failed: 0 });
+    expect(await runDueJobs({ now: new Date(now.getTime() + 10 * MINUTE) })).toEqual({ succeeded: 1, queued: 0, failed: 0 });
+    expect(await Jobs.get(job.id)).toMatchObject({ status: 'succeeded' });
+  });
+
+  it('should retry failed jobs with backoff until they run out of attempts', async () => {
+    JOB_TYPES['test.work'].run.mockRejectedValue(new Error('Shopify is down'));
+    const job = await enqueueJob('test.work', { shopDomain });
+    const now = new Date();
+
+    expect(await runDueJobs({ now })).toEqual({ succeeded: 0, queued: 1, failed: 0 });
+    expect(await Jobs.get(job.id)).toMatchObject({ status: 'queued', attempts: 1, last_error: 'Shopify is down' });
+
+    // 30 seconds, then a minute
+    expect(await runDueJobs({ now: new Date(now.getTime() + 29 * 1000) })).toEqual({ succeeded: 0, queued: 0, failed: 0 });
+    expect(await runDueJobs({ now: new Date(now.getTime() + 30 * 1000) })).toEqual({ succeeded: 0, queued: 1, failed: 0 });
+    expect(await runDueJobs({ now: new Date(now.getTime() + 90 * 1000) })).toEqual({ succeeded: 0, queued: 0, failed: 1 });
+
+    const failed = await Jobs.get(job.id);
+    expect(failed).toMatchObject({ status: 'failed', attempts: 3, last_error: 'Shopify is down' });
+    expect(failed.finished_at).toBeInstanceOf(Date);
+  });
+
+  it('should not run more jobs of a type than its concurrency', async () => {
+    JOB_TYPES['test.other'] = { run: jest.fn(), concurrency: 1, maxAttempts: 1 };
+    try {
+      const first = await enqueueJob('test.work', { shopDomain });
+      const second = await enqueueJob('test.work', { shopDomain });
+      const other = await enqueueJob('test.other', { shopDomain });
+
+      expect(await claimNextJob('worker-a')).toMatchObject({ id: first.id });
+      // The second test.work job waits for the first; other types don't
+      expect(await claimNextJob('worker-b')).toMatchObject({ id: other.id });
+      expect(await claimNextJob('worker-b')).toBeNull();
+
+      expect(await runJob(await Jobs.get(first.id), 'worker-a')).toBe('succeeded');
+      expect(await claimNextJob('worker-b')).toMatchObject({ id: second.id });
+    } finally {
+      delete JOB_TYPES['test.other'];
+    }
+  });
+
+  it('should not let workers claiming at the same time exceed a type\'s concurrency', async () => {
+    await enqueueJob('test.work', { shopDomain });
+    await enqueueJob('test.work', { shopDomain });
+
+    const claimed = await Promise.all([claimNextJob('worker-a'), claimNextJob('worker-b')]);
+
+    expect(claimed.filter(Boolean)).toHaveLength(1);
+    expect(await db('jobs').where('status', 'running')).toHaveLength(1);
+  });
+
+  it('should take over jobs from a worker that stopped reporting', async () => {
+    const job = await enqueueJob('test.work', { shopDomain });
+    const claimed = await claimNextJob('worker-a');
+    const later = new Date(Date.now() + 20 * MINUTE);
+
+    const takenOver = await claimNextJob('worker-b', later);
+    expect(takenOver).toMatchObject({ id: job.id, attempts: 2 });
+
+    // The first worker finishing late doesn't overwrite the new attempt
+    await Jobs.markSucceeded(claimed.id, 'worker-a', { late: true }, new Date());
+    expect(await Jobs.get(job.id)).toMatchObject({ status: 'running', locked_by: 'worker-b' });
+
+    expect(await runJob(takenOver, 'worker-b', later)).toBe('succeeded');
+    expect(await Jobs.get(job.id)).toMatchObject({ status: 'succeeded', result: { echoed: null } });
+  });
+
+  it('should queue a job only once per unique key', async () => {
+    const first = await enqueueJob('test.work', { shopDomain, uniqueKey: 'resync:test-shop' });
+    const again = await enqueueJob('test.work', { shopDomain, uniqueKey: 'resync:test-shop' });
+
+    expect(again.id).toBe(first.id);
+    expect(await db('jobs')).toHaveLength(1);
+  });
+
+  it('should queue recurring jobs once per interval', async () => {
+    const now = new Date('2026-03-01T10:20:00Z');
+
+    await scheduleRecurringJobs(now);
+    await scheduleRecurringJobs(new Date('2026-03-01T10:55:00Z'));
+    expect((await db('jobs')).map(job => job.type).sort()).toEqual(RECURRING_JOBS.map(job => job.type).sort());
+
+    await scheduleRecurringJobs(new Date('2026-03-01T11:05:00Z'));
+    const retention = await db('jobs').where('type', 'access_logs.retention').orderBy('id');
+    expect(retention.map(job => job.unique_key)).toEqual([
+      'access_logs.retention@2026-03-01T10:00:00.000Z',
+      'access_logs.retention@2026-03-01T11:00:00.000Z'
+    ]);
+    expect(await db('jobs').where('type', 'maintenance.prune')).toHaveLength(1);
+  });
+
+  it('should queue one catalog resync per installed shop each day', async () => {
+    await db('app_settings').del();
+    await db('app_settings').insert([{ shop_domain: shopDomain }, { shop_domain: 'other-shop.myshopify.com' }]);
+    const refresh = JOB_TYPES['catalog.refresh'].run;
+
+    expect(await refresh({ run_at: new Date('2026-03-01T00:00:00Z') })).toEqual({ queued: 2 });
+    expect(await refresh({ run_at: new Date('2026-03-01T00:00:00Z') })).toEqual({ queued: 0 });
+    await refresh({ run_at: new Date('2026-03-02T00:00:00Z') });
+
+    const resyncs = await db('jobs').where({ type: 'catalog.resync', shop_domain: shopDomain }).orderBy('id');
+    expect(resyncs.map(job => job.unique_key)).toEqual([
+      `catalog.resync:${shopDomain}@2026-03-01`,
+      `catalog.resync:${shopDomain}@2026-03-02`
+    ]);
+    await db('app_settings').del();
+  });
+
+  it('should run jobs in the background once the worker is started', async () => {
+    // Keep the real recurring jobs out of this test
+    const recurring = RECURRING_JOBS.splice(0);
+    startJobWorker({ intervalMs: 20 });
+    try {
+      const job = await enqueueJob('test.work', { shopDomain });
+
+      let status;
+      for (let wait = 0; wait < 100 && status !== 'succeeded'; wait += 1) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+        status = (await Jobs.get(job.id)).status;
+      }
+      expect(status).toBe('succeeded');
+    } finally {
+      await stopJobWorker();
+      RECURRING_JOBS.push(...recurring);
+    }
+  });
+
+  describe('products.bulk_update', () => {
+    beforeEach(async () => {
+      await db('product_restrictions').del();
+      await db('catalog_products').del();
+      await db('catalog_variants').del();
+      await db('admin_audit_log').del();
+      await db('app_settings').del();
+      await db('access_tiers').del();
+      await syncProduct(shopDomain, { id: 101, title: 'Pro Color', handle: 'pro-color', variants: [] });
+    });
+
+    it('should apply each update and report per-product results', async () => {
+      const job = await enqueueJob('products.bulk_update', {
+        shopDomain,
+        payload: {
+          updates: [
+            { productId: 101, requiredTier: 'butterfly', customMessage: 'Certified stylists only' },
+            { productId: 102, requiredTier: 'royalty' }
+          ],
+          audit: { actor: 'staff@example.com', request_method: 'POST', request_path: '/api/admin/products/bulk-update' }
+        }
+      });
+
+      expect(await runDueJobs()).toEqual({ succeeded: 1, queued: 0, failed: 0 });
+
+      expect((await Jobs.get(job.id)).result.results).toEqual([
+        { productId: 101, success: true },
+        { productId: 102, success: false, error: 'Unknown access tier: royalty' }
+      ]);
+      expect(await ProductRestrictions.getByProduct(shopDomain, 101)).toMatchObject({ required_tier: 'butterfly' });
+
+      const { entries } = await AdminAuditLog.find(shopDomain, { targetType: 'product' });
+      expect(entries).toEqual([
+        expect.objectContaining({ action: 'product.restriction.bulk_update', actor: 'staff@example.com', target_id: '101' })
+      ]);
+    });
+  });
+});
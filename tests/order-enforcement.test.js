@@ -0,0 +1,300 @@
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+const { setupDatabase, db } = require('../lib/database');
+const { OrderEnforcements, OrderReviews } = require('../lib/order-enforcement-store');
+const { saveSettings } = require('../lib/settings');
+const { enforceOrder } = require('../lib/order-enforcement');
+const ShopifyAPIClient = require('../lib/shopify-api');
+const { processDueWebhooks } = require('../lib/webhook-queue');
+const { captureRawBody } = require('../middleware/webhook-verification');
+
+jest.mock('axios');
+const axios = require('axios');
+
+const shopDomain = 'test-shop.myshopify.com';
+
+// Product 1 needs butterfly, product 2 verified, product 3 is public
+const productTiers = { 1: 'butterfly', 2: 'verified', 3: null };
+
+function fakeClient({ customerTier = 'verified', access } = {}) {
+  return {
+    isProductRestricted: jest.fn(async (productId) => productTiers[productId]),
+    validateCustomerAccess: jest.fn(async (customerId, requiredTier) => access || ({
+      hasAccess: customerTier === requiredTier,
+      reason: customerTier === requiredTier ? 'authorized' : 'no_tag',
+      tier: customerTier
+    })),
+    addOrderTags: jest.fn().mockResolvedValue({}),
+    holdFulfillment: jest.fn().mockResolvedValue([]),
+    cancelOrder: jest.fn().mockResolvedValue({})
+  };
+}
+
+const order = {
+  id: 5001,
+  name: '#1001',
+  financial_status: 'paid',
+  total_price: '120.00',
+  currency: 'USD',
+  customer: { id: 77 },
+  line_items: [
+    { id: 1, product_id: 1, variant_id: 11, title: 'Butterfly Kit', quantity: 1 },
+    { id: 2, product_id: 2, variant_id: 21, title: 'Pro Color', quantity: 2 },
+    { id: 3, product_id: 3, variant_id: 31, title: 'Shampoo', quantity: 1 }
+  ]
+};
+
+describe('Order enforcement', () => {
+  beforeAll(async () => {
+    await setupDatabase();
+  });
+
+  afterAll(async () => {
+    await db.destroy();
+  });
+
+  beforeEach(async () => {
+    await db('order_enforcements').del();
+    await db('order_reviews').del();
+    await db('webhook_events').del();
+    await db('app_settings').del();
+    await db('settings_versions').del();
+    await db('access_tiers').del();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should record the offending items and the customer\'s tier with the log policy', async () => {
+    const client = fakeClient();
+
+    const enforcement = await enforceOrder(shopDomain, order, client);
+
+    expect(enforcement).toMatchObject({
+      order_id: 5001,
+      order_name: '#1001',
+      customer_id: 77,
+      customer_tier: 'verified',
+      required_tier: 'butterfly',
+      policy: 'log',
+      status: 'applied',
+      error: null
+    });
+    expect(enforcement.line_items).toEqual([
+      { id: 1, product_id: 1, variant_id: 11, title: 'Butterfly Kit', quantity: 1, required_tier: 'butterfly' }
+    ]);
+    expect(client.addOrderTags).not.toHaveBeenCalled();
+    expect(client.holdFulfillment).not.toHaveBeenCalled();
+    expect(client.cancelOrder).not.toHaveBeenCalled();
+  });
+
+  it.each([
+    ['tag', 'addOrderTags', [5001, ['pro-access-violation']]],
+    ['hold', 'holdFulfillment', [5001, expect.any(String)]],
+    ['cancel', 'cancelOrder', [5001, 'other', { restock: true, email: true, amount: '120.00', currency: 'USD' }]]
+  ])('should apply the %s policy', async (policy, method, args) => {
+    await saveSettings(shopDomain, { order_enforcement: policy });
+    const client = fakeClient();
+
+    const enforcement = await enforceOrder(shopDomain, order, client);
+
+    expect(client[method]).toHaveBeenCalledWith(...args);
+    expect(enforcement).toMatchObject({ policy, status: 'applied' });
+  });
+
+  it('should not refund unpaid orders when cancelling', async () => {
+    await saveSettings(shopDomain, { order_enforcement: 'cancel' });
+    const client = fakeClient();
+
+    await enforceOrder(shopDomain, { ...order, financial_status: 'pending' }, client);
+
+    expect(client.cancelOrder).toHaveBeenCalledWith(5001, 'other', { restock: true, email: true });
+  });
+
+  it('should record a policy that failed to apply', async () => {
+    await saveSettings(shopDomain, { order_enforcement: 'hold' });
+    const client = fakeClient();
+    client.holdFulfillment.mockRejectedValue(new Error('Fulfillment order is not open'));
+
+    const enforcement = await enforceOrder(shopDomain, order, client);
+
+    expect(enforcement).toMatchObject({ policy: 'hold', status: 'failed', error: 'Fulfillment order is not open' });
+  });
+
+  it('should leave orders alone when the customer has access', async () => {
+    const client = fakeClient({ customerTier: 'butterfly' });
+
+    expect(await enforceOrder(shopDomain, order, client)).toBeNull();
+    expect(await enforceOrder(shopDomain, { ...order, id: 5002, line_items: [order.line_items[2]] }, client)).toBeNull();
+    expect(await db('order_enforcements')).toHaveLength(0);
+  });
+
+  it('should act once per order when Shopify retries the webhook', async () => {
+    await saveSettings(shopDomain, { order_enforcement: 'cancel' });
+    const client = fakeClient();
+
+    const first = await enforceOrder(shopDomain, order, client);
+    const retry = await enforceOrder(shopDomain, order, client);
+
+    expect(retry.id).toBe(first.id);
+    expect(client.cancelOrder).toHaveBeenCalledTimes(1);
+  });
+
+  it('should record the decision and its review before acting on the order', async () => {
+    await saveSettings(shopDomain, { order_enforcement: 'hold' });
+    const client = fakeClient();
+    client.holdFulfillment.mockImplementation(async () => {
+      expect(await db('order_enforcements')).toEqual([expect.objectContaining({ order_id: 5001, status: 'pending' })]);
+      expect(await db('order_reviews')).toHaveLength(1);
+      return [];
+    });
+
+    expect(await enforceOrder(shopDomain, order, client)).toMatchObject({ status: 'applied' });
+    expect(await db('order_enforcements')).toEqual([expect.objectContaining({ status: 'applied' })]);
+  });
+
+  it('should not act on orders whose review could not be queued', async () => {
+    await saveSettings(shopDomain, { order_enforcement: 'hold' });
+    const client = fakeClient();
+    jest.spyOn(OrderReviews, 'create').mockRejectedValueOnce(new Error('Database is down'));
+
+    await expect(enforceOrder(shopDomain, order, client)).rejects.toThrow('Database is down');
+    expect(client.holdFulfillment).not.toHaveBeenCalled();
+    expect(await db('order_enforcements')).toHaveLength(0);
+
+    // The webhook retry starts over
+    expect(await enforceOrder(shopDomain, order, client)).toMatchObject({ status: 'applied' });
+    expect(await db('order_reviews')).toHaveLength(1);
+  });
+
+  it('should apply a decision left pending by an attempt that died', async () => {
+    await saveSettings(shopDomain, { order_enforcement: 'tag' });
+    const client = fakeClient();
+    jest.spyOn(OrderEnforcements, 'setStatus').mockRejectedValueOnce(new Error('Database is down'));
+
+    await expect(enforceOrder(shopDomain, order, client)).rejects.toThrow('Database is down');
+    const retry = await enforceOrder(shopDomain, order, client);
+
+    expect(retry).toMatchObject({ status: 'applied' });
+    expect(client.addOrderTags).toHaveBeenCalledTimes(2);
+    expect(await db('order_reviews')).toHaveLength(1);
+  });
+
+  it('should queue a cancellation that failed for review', async () => {
+    await saveSettings(shopDomain, { order_enforcement: 'cancel' });
+    const client = fakeClient();
+    client.cancelOrder.mockRejectedValue(new Error('Order is already fulfilled'));
+
+    const enforcement = await enforceOrder(shopDomain, order, client);
+
+    expect(enforcement).toMatchObject({ policy: 'cancel', status: 'failed', error: 'Order is already fulfilled' });
+    expect(await db('order_reviews')).toEqual([expect.objectContaining({ enforcement_id: enforcement.id, status: 'pending' })]);
+  });
+
+  it('should not act on orders whose customer could not be checked', async () => {
+    await saveSettings(shopDomain, { order_enforcement: 'cancel' });
+    const client = fakeClient({ access: { hasAccess: false, reason: 'error' } });
+
+    await expect(enforceOrder(shopDomain, order, client)).rejects.toThrow('Could not check customer access');
+    expect(client.cancelOrder).not.toHaveBeenCalled();
+    expect(await db('order_enforcements')).toHaveLength(0);
+  });
+
+  describe('POST /api/webhooks/orders/create', () => {
+    const secret = 'test-webhook-secret';
+    const originalSecret = process.env.SHOPIFY_API_SECRET;
+
+    beforeAll(() => {
+      process.env.SHOPIFY_API_SECRET = secret;
+    });
+
+    afterAll(() => {
+      process.env.SHOPIFY_API_SECRET = originalSecret;
+      jest.restoreAllMocks();
+    });
+
+    it('should enforce the shop\'s policy on new orders', async () => {
+      await saveSettings(shopDomain, { order_enforcement: 'tag', order_enforcement_tag: 'needs-review' });
+      const client = fakeClient();
+      for (const method of ['isProductRestricted', 'validateCustomerAccess', 'addOrderTags']) {
+        jest.spyOn(ShopifyAPIClient.prototype, method).mockImplementation(client[method]);
+      }
+
+      const app = express();
+      app.use(express.json({ verify: captureRawBody }));
+      app.use('/api/webhooks', require('../routes/webhooks'));
+      const body = JSON.stringify(order);
+
+      await request(app)
+        .post('/api/webhooks/orders/create')
+        .set('Content-Type', 'application/json')
+        .set('X-Shopify-Shop-Domain', shopDomain)
+        .set('X-Shopify-Hmac-Sha256', crypto.createHmac('sha256', secret).update(body).digest('base64'))
+        .send(body)
+        .expect(200);
+      await processDueWebhooks();
+
+      expect(client.addOrderTags).toHaveBeenCalledWith(5001, ['needs-review']);
+      expect(await db('order_enforcements').where('order_id', 5001)).toHaveLength(1);
+    });
+  });
+
+  describe('ShopifyAPIClient order actions', () => {
+    const shopifyClient = new ShopifyAPIClient({ shop: shopDomain, accessToken: 'shpat_test' });
+
+    beforeEach(() => {
+      axios.mockReset();
+    });
+
+    it('should add tags without dropping the order\'s own', async () => {
+      axios
+        .mockResolvedValueOnce({ data: { order: { id: 5001, tags: 'wholesale, vip' } }, headers: {} })
+        .mockResolvedValueOnce({ data: { order: { id: 5001 } }, headers: {} });
+
+      await shopifyClient.addOrderTags(5001, ['needs-review', 'vip']);
+
+      expect(axios).toHaveBeenLastCalledWith(expect.objectContaining({
+        method: 'put',
+        url: expect.stringMatching(/\/orders\/5001\.json$/),
+        data: { order: { id: 5001, tags: 'wholesale, vip, needs-review' } }
+      }));
+    });
+
+    it('should hold every open fulfillment order', async () => {
+      axios
+        .mockResolvedValueOnce({
+          data: { fulfillment_orders: [{ id: 1, status: 'open' }, { id: 2, status: 'closed' }, { id: 3, status: 'open' }] },
+          headers: {}
+        })
+        .mockResolvedValue({ data: { fulfillment_order: { status: 'on_hold' } }, headers: {} });
+
+      const held = await shopifyClient.holdFulfillment(5001, 'Check access');
+
+      expect(held).toHaveLength(2);
+      expect(axios.mock.calls.slice(1).map(([options]) => options.url.replace(/^.*\/admin\/api\/[^/]+\//, ''))).toEqual([
+        'fulfillment_orders/1/hold.json',
+        'fulfillment_orders/3/hold.json'
+      ]);
+      expect(axios.mock.calls[1][0].data).toEqual({ fulfillment_hold: { reason: 'other', reason_notes: 'Check access' } });
+    });
+
+    it('should release only fulfillment orders on hold', async () => {
+      axios
+        .mockResolvedValueOnce({
+          data: { fulfillment_orders: [{ id: 1, status: 'on_hold' }, { id: 2, status: 'open' }] },
+          headers: {}
+        })
+        .mockResolvedValue({ data: { fulfillment_order: { status: 'open' } }, headers: {} });
+
+      const released = await shopifyClient.releaseFulfillmentHolds(5001);
+
+      expect(released).toHaveLength(1);
+      expect(axios).toHaveBeenLastCalledWith(expect.objectContaining({
+        method: 'post',
+        url: expect.stringMatching(/\/fulfillment_orders\/1\/release_hold\.json$/)
+      }));
+    });
+  });
+});
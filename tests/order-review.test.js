@@ -0,0 +1,167 @@
+const { setupDatabase, CustomerAccess, db } = require('../lib/database');
+const { OrderReviews } = require('../lib/order-enforcement-store');
+const { saveSettings } = require('../lib/settings');
+const { enforceOrder } = require('../lib/order-enforcement');
+const { releaseOrder, cancelFlaggedOrder, grantAccessAndRelease } = require('../lib/order-review');
+
+const shopDomain = 'test-shop.myshopify.com';
+
+const order = {
+  id: 6001,
+  name: '#2001',
+  financial_status: 'paid',
+  total_price: '80.00',
+  currency: 'USD',
+  customer: { id: 88 },
+  line_items: [
+    { id: 1, product_id: 1, variant_id: 11, title: 'Butterfly Kit', quantity: 1 },
+    { id: 2, product_id: 3, variant_id: 31, title: 'Shampoo', quantity: 1 }
+  ]
+};
+
+function fakeClient() {
+  return {
+    isProductRestricted: jest.fn(async (productId) => (productId === 1 ? 'butterfly' : null)),
+    validateCustomerAccess: jest.fn().mockResolvedValue({ hasAccess: false, reason: 'no_tag', tier: 'verified' }),
+    addOrderTags: jest.fn().mockResolvedValue({}),
+    removeOrderTags: jest.fn().mockResolvedValue({}),
+    holdFulfillment: jest.fn().mockResolvedValue([]),
+    releaseFulfillmentHolds: jest.fn().mockResolvedValue([]),
+    getOrder: jest.fn().mockResolvedValue(order),
+    cancelOrder: jest.fn().mockResolvedValue({}),
+    getCustomer: jest.fn().mockResolvedValue({ id: 88, email: 'stylist@example.com', tags: 'Verified, VIP' }),
+    updateCustomerTags: jest.fn(async (id, tags) => ({ id, email: 'stylist@example.com', tags }))
+  };
+}
+
+async function flagOrder(policy, client = fakeClient()) {
+  await saveSettings(shopDomain, { order_enforcement: policy });
+  await enforceOrder(shopDomain, order, client);
+  const { entries } = await OrderReviews.find(shopDomain, { status: 'pending' });
+  return entries[0];
+}
+
+describe('Order review queue', () => {
+  beforeAll(async () => {
+    await setupDatabase();
+  });
+
+  afterAll(async () => {
+    await db.destroy();
+  });
+
+  beforeEach(async () => {
+    await db('order_enforcements').del();
+    await db('order_reviews').del();
+    await db('app_settings').del();
+    await db('settings_versions').del();
+    await db('access_tiers').del();
+    await db('customer_access').del();
+    await db('customer_tier_history').del();
+  });
+
+  it('should queue flagged orders with the offending items and the customer\'s tier', async () => {
+    const review = await flagOrder('hold');
+
+    expect(review).toMatchObject({
+      status: 'pending',
+      resolution: null,
+      order_id: 6001,
+      order_name: '#2001',
+      customer_id: 88,
+      customer_tier: 'verified',
+      required_tier: 'butterfly',
+      policy: 'hold'
+    });
+    expect(review.line_items.map(item => item.title)).toEqual(['Butterfly Kit']);
+  });
+
+  it('should not queue orders the cancel policy already cancelled', async () => {
+    await flagOrder('cancel');
+
+    expect(await db('order_enforcements')).toHaveLength(1);
+    expect(await db('order_reviews')).toHaveLength(0);
+  });
+
+  it('should release the fulfillment hold when approving', async () => {
+    const client = fakeClient();
+    const review = await flagOrder('hold', client);
+
+    const resolved = await releaseOrder(shopDomain, review, { resolvedBy: 'staff@example.com' }, client);
+
+    expect(client.releaseFulfillmentHolds).toHaveBeenCalledWith(6001);
+    expect(resolved).toMatchObject({ status: 'approved', resolution: 'released', resolved_by: 'staff@example.com' });
+    expect(resolved.resolved_at).toBeTruthy();
+  });
+
+  it('should take the enforcement tag off the order when approving', async () => {
+    const client = fakeClient();
+    await saveSettings(shopDomain, { order_enforcement_tag: 'pro-check' });
+    const review = await flagOrder('tag', client);
+    // Changing the setting afterwards doesn't change which tag comes off
+    await saveSettings(shopDomain, { order_enforcement_tag: 'pro-review' });
+
+    await releaseOrder(shopDomain, review, {}, client);
+
+    expect(client.addOrderTags).toHaveBeenCalledWith(6001, ['pro-check']);
+    expect(client.removeOrderTags).toHaveBeenCalledWith(6001, ['pro-check']);
+  });
+
+  it('should cancel and refund the order', async () => {
+    const client = fakeClient();
+    const review = await flagOrder('log', client);
+
+    const resolved = await cancelFlaggedOrder(shopDomain, review, {}, client);
+
+    expect(client.cancelOrder).toHaveBeenCalledWith(6001, 'other', { restock: true, email: true, amount: '80.00', currency: 'USD' });
+    expect(client.releaseFulfillmentHolds).not.toHaveBeenCalled();
+    expect(resolved).toMatchObject({ status: 'cancelled', resolution: 'cancelled' });
+  });
+
+  it('should not cancel an order someone else is already acting on', async () => {
+    const client = fakeClient();
+    const review = await flagOrder('log', client);
+    let finishCancel;
+    client.cancelOrder.mockImplementation(() => new Promise(resolve => { finishCancel = resolve; }));
+
+    const first = cancelFlaggedOrder(shopDomain, review, {}, client);
+    // Wait until the first request has claimed the review and called Shopify
+    while (!finishCancel) await new Promise(resolve => setTimeout(resolve, 5));
+
+    expect(await cancelFlaggedOrder(shopDomain, review, {}, client)).toBeNull();
+    finishCancel({});
+    expect(await first).toMatchObject({ status: 'cancelled' });
+    expect(client.cancelOrder).toHaveBeenCalledTimes(1);
+  });
+
+  it('should give up the claim when cancelling fails', async () => {
+    const client = fakeClient();
+    const review = await flagOrder('log', client);
+    client.cancelOrder.mockRejectedValueOnce(new Error('Shopify unavailable'));
+
+    await expect(cancelFlaggedOrder(shopDomain, review, {}, client)).rejects.toThrow('Shopify unavailable');
+    expect(await OrderReviews.get(shopDomain, review.id)).toMatchObject({ status: 'pending', claimed_at: null });
+
+    expect(await cancelFlaggedOrder(shopDomain, review, {}, client)).toMatchObject({ status: 'cancelled' });
+  });
+
+  it('should tag the customer with the required tier before releasing the order', async () => {
+    const client = fakeClient();
+    const review = await flagOrder('tag', client);
+
+    const resolved = await grantAccessAndRelease(shopDomain, review, {}, client);
+
+    expect(client.updateCustomerTags).toHaveBeenCalledWith(88, 'Verified, VIP, butterfly_paid');
+    expect(await CustomerAccess.get(shopDomain, 88)).toMatchObject({ tier: 'butterfly' });
+    expect(resolved).toMatchObject({ status: 'approved', resolution: 'access_granted' });
+  });
+
+  it('should resolve a review only once', async () => {
+    const client = fakeClient();
+    const review = await flagOrder('log', client);
+
+    expect(await releaseOrder(shopDomain, review, {}, client)).toMatchObject({ status: 'approved' });
+    expect(await releaseOrder(shopDomain, review, {}, client)).toBeNull();
+    expect(await OrderReviews.find(shopDomain, { status: 'pending' })).toEqual({ entries: [], total: 0 });
+  });
+});
@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+const {
+  setupDatabase,
+  AccessLogs,
+  CustomerAccess,
+  CustomerTierHistory,
+  AdminAuditLog,
+  db
+} = require('../lib/database');
+const { OrderEnforcements } = require('../lib/order-enforcement-store');
+const { WebhookEvents } = require('../lib/webhook-event-store');
+const { processDueWebhooks } = require('../lib/webhook-queue');
+const { captureRawBody } = require('../middleware/webhook-verification');
+
+const secret = 'test-webhook-secret';
+const shopDomain = 'test-shop.myshopify.com';
+const otherShop = 'other-shop.myshopify.com';
+
+function sign(body) {
+  return crypto.createHmac('sha256', secret).update(body).digest('base64');
+}
+
+function buildApp() {
+  const app = express();
+  app.use(express.json({ verify: captureRawBody }));
+  app.use('/api/webhooks', require('../routes/webhooks'));
+  return app;
+}
+
+function sendWebhook(app, topic, payload, shop = shopDomain) {
+  const body = JSON.stringify(payload);
+  return request(app)
+    .post(`/api/webhooks/${topic}`)
+    .set('Content-Type', 'application/json')
+    .set('X-Shopify-Shop-Domain', shop)
+    .set('X-Shopify-Hmac-Sha256', sign(body))
+    .send(body);
+}
+
+// Every table with a shop_domain column
+async function shopTables() {
+  const tables = db.client.config.client === 'pg'
+    ? await db('information_schema.tables').where('table_schema', 'public').pluck('table_name')
+    : await db('sqlite_master').where('type', 'table').whereNot('name', 'like', 'sqlite_%').pluck('name');
+
+  const withShop = [];
+  for (const table of tables) {
+    if (await db.schema.hasColumn(table, 'shop_domain')) withShop.push(table);
+  }
+  return withShop;
+}
+
+// Everything stored for a shop, as one string to search
+async function dumpShop(shop) {
+  const rows = [];
+  for (const table of await shopTables()) {
+    rows.push(...(await db(table).where('shop_domain', shop)).map(row => ({ table, ...row })));
+  }
+  return JSON.stringify(rows);
+}
+
+describe('Privacy webhooks', () => {
+  const originalSecret = process.env.SHOPIFY_API_SECRET;
+  const customer = { id: 4242, email: 'stylist@example.com', phone: '+15555550123' };
+  let app;
+
+  beforeAll(async () => {
+    process.env.SHOPIFY_API_SECRET = secret;
+    await setupDatabase();
+    app = buildApp();
+  });
+
+  afterAll(async () => {
+    process.env.SHOPIFY_API_SECRET = originalSecret;
+    await db.destroy();
+  });
+
+  beforeEach(async () => {
+    for (const table of await shopTables()) {
+      await db(table).del();
+    }
+
+    for (const shop of [shopDomain, otherShop]) {
+      await CustomerAccess.upsert(shop, customer.id, { email: customer.email, tags: 'verified', tier: 'verified' });
+      await CustomerTierHistory.record(shop, customer.id, { event: 'registered' });
+      await AccessLogs.log(shop, 1, null, 'not_logged_in', '203.0.113.42', 'Stylist Browser', { visitorId: 'visitor-stylist-1' });
+      await AccessLogs.log(shop, 1, customer.id, 'no_tag', '203.0.113.42', 'Stylist Browser', { visitorId: 'visitor-stylist-1' });
+      await AccessLogs.log(shop, 2, 777, 'allowed', '198.51.100.7', 'Other Browser', { visitorId: 'visitor-other-1' });
+      await AdminAuditLog.record(shop, { actor: shop, action: 'settings.update', target_type: 'settings' });
+      await OrderEnforcements.create(shop, {
+        order_id: 5001,
+        customer_id: customer.id,
+        customer_tier: 'verified',
+        required_tier: 'butterfly',
+        line_items: [{ product_id: 1, quantity: 1, required_tier: 'butterfly' }],
+        policy: 'log',
+        status: 'applied'
+      });
+    }
+    await CustomerAccess.upsert(shopDomain, 777, { email: 'other@example.com', tags: '', tier: 'public' });
+  });
+
+  describe('POST /api/webhooks/customers/data_request', () => {
+    it('should export everything held about the customer', async () => {
+      await sendWebhook(app, 'customers/data_request', {
+        shop_domain: shopDomain,
+        customer,
+        orders_requested: [],
+        data_request: { id: 9999 }
+      }).expect(200);
+      await processDueWebhooks();
+
+      const [dataRequest] = await db('customer_data_requests').where('shop_domain', shopDomain);
+      expect(dataRequest).toMatchObject({ customer_id: customer.id, shopify_request_id: 9999 });
+
+      const data = JSON.parse(dataRequest.data);
+      expect(data.customer).toMatchObject({ customer_id: customer.id, email: customer.email, tier: 'verified' });
+      expect(data.tierHistory).toEqual([expect.objectContaining({ event: 'registered' })]);
+      // The anonymous row from the same browser belongs to the customer too
+      expect(data.accessLogs.map(row => [row.access_type, row.ip_address, row.visitor_id])).toEqual([
+        ['not_logged_in', '203.0.113.42', 'visitor-stylist-1'],
+        ['no_tag', '203.0.113.42', 'visitor-stylist-1']
+      ]);
+      expect(data.orderEnforcements).toEqual([expect.objectContaining({ order_id: 5001, policy: 'log' })]);
+      expect(JSON.stringify(data)).not.toContain('other@example.com');
+      expect(JSON.stringify(data)).not.toContain(otherShop);
+    });
+
+    it('should reject payloads without a customer', async () => {
+      await sendWebhook(app, 'customers/data_request', { shop_domain: shopDomain }).expect(400);
+    });
+  });
+
+  describe('POST /api/webhooks/customers/redact', () => {
+    it('should leave nothing that identifies the customer', async () => {
+      await sendWebhook(app, 'customers/data_request', { shop_domain: shopDomain, customer }).expect(200);
+      // Webhooks about the customer that were dead-lettered or are still waiting
+      const failed = await WebhookEvents.create(shopDomain, { topic: 'customers/update', payload: { ...customer, tags: 'verified' } });
+      await db('webhook_events').where('id', failed.id).update({ status: 'failed' });
+      const waiting = await WebhookEvents.create(shopDomain, {
+        topic: 'orders/create',
+        payload: { id: 5002, email: customer.email, customer: { ...customer }, line_items: [] }
+      });
+      await db('webhook_events').where('id', waiting.id).update({ next_attempt_at: '2999-01-01 00:00:00' });
+      const otherCustomer = await WebhookEvents.create(shopDomain, { topic: 'customers/update', payload: { id: 777, email: 'other@example.com' } });
+      await db('webhook_events').where('id', otherCustomer.id).update({ status: 'failed' });
+
+      await sendWebhook(app, 'customers/redact', {
+        shop_domain: shopDomain,
+        customer,
+        orders_to_redact: []
+      }).expect(200);
+      await processDueWebhooks();
+
+      const remaining = await dumpShop(shopDomain);
+      for (const value of [customer.email, '203.0.113.42', 'Stylist Browser', 'visitor-stylist-1', `"customer_id":${customer.id}`]) {
+        expect(remaining).not.toContain(value);
+      }
+      expect(await db('customer_data_requests').where('shop_domain', shopDomain)).toHaveLength(0);
+
+      // The events still count, without the customer
+      const logs = await db('access_logs').where('shop_domain', shopDomain).orderBy('id');
+      expect(logs.map(row => [row.access_type, row.customer_id])).toEqual([
+        ['not_logged_in', null],
+        ['no_tag', null],
+        ['allowed', 777]
+      ]);
+      expect(await CustomerAccess.get(shopDomain, 777)).toBeTruthy();
+      expect(await OrderEnforcements.getByOrder(shopDomain, 5001)).toMatchObject({ customer_id: null, policy: 'log' });
+      expect(await WebhookEvents.get(otherCustomer.id)).toMatchObject({ status: 'failed', payload: { id: 777 } });
+
+      // The same customer id in another shop is someone else's record
+      expect(await dumpShop(otherShop)).toContain(customer.email);
+    });
+  });
+
+  describe('POST /api/webhooks/shop/redact', () => {
+    it('should remove every row held for the shop', async () => {
+      await sendWebhook(app, 'customers/data_request', { shop_domain: shopDomain, customer }).expect(200);
+
+      await sendWebhook(app, 'shop/redact', { shop_id: 1, shop_domain: shopDomain }).expect(200);
+      await processDueWebhooks();
+
+      for (const table of await shopTables()) {
+        expect({ table, rows: await db(table).where('shop_domain', shopDomain) }).toEqual({ table, rows: [] });
+      }
+      expect(await db('access_logs').where('shop_domain', otherShop)).toHaveLength(3);
+    });
+  });
+});
@@ -0,0 +1,90 @@
+const { buildDefaultTiers } = require('../lib/access-tiers');
+const { matchesRule, validateRule, buildRuleSet, evaluateRules } = require('../lib/restriction-rules');
+
+describe('Restriction rules', () => {
+  const tiers = buildDefaultTiers();
+  const product = {
+    id: 1,
+    handle: 'butterfly-weft-18in',
+    vendor: 'Malia',
+    product_type: 'Hair Extensions',
+    tags: 'butterfly, new',
+    variants: [{ price: '189.00' }, { price: '149.00' }]
+  };
+
+  describe('matchesRule', () => {
+    it('should match every condition type', () => {
+      expect(matchesRule({ conditions: { vendor: 'malia' } }, product)).toBe(true);
+      expect(matchesRule({ conditions: { product_type: 'extensions' } }, product)).toBe(true);
+      expect(matchesRule({ conditions: { product_tag: ['butterfly'] } }, product)).toBe(true);
+      expect(matchesRule({ conditions: { handle_pattern: 'butterfly-*' } }, product)).toBe(true);
+      expect(matchesRule({ conditions: { price_min: 100, price_max: 150 } }, product)).toBe(true);
+      expect(matchesRule({ conditions: { collection: 'courses' } }, product, { collections: [{ id: 9, handle: 'courses' }] })).toBe(true);
+    });
+
+    it('should require all conditions to match', () => {
+      expect(matchesRule({ conditions: { vendor: 'Malia', price_min: 200 } }, product)).toBe(false);
+      expect(matchesRule({ conditions: { collection: 'courses' } }, product, { collections: [] })).toBe(false);
+    });
+  });
+
+  describe('validateRule', () => {
+    it('should reject unknown conditions and tiers', () => {
+      expect(validateRule({ conditions: { colour: 'red' }, outcome: 'gold' }, tiers)).toEqual([
+        'Unknown condition: colour',
+        'Unknown access tier: gold'
+      ]);
+      expect(validateRule({ conditions: { vendor: 'Malia' }, outcome: 'verified' }, tiers)).toEqual([]);
+    });
+  });
+
+  describe('evaluateRules', () => {
+    it('should restrict to the highest tier by default', () => {
+      const decision = evaluateRules(buildRuleSet({ tiers }), tiers, product);
+      expect(decision).toMatchObject({ tier: 'butterfly', requiredTier: 'butterfly', rule: { source: 'default' } });
+    });
+
+    it('should apply the highest-priority matching rule first', () => {
+      const rules = [
+        { id: 1, name: 'Malia vendor', priority: 1, conditions: { vendor: 'Malia' }, outcome: 'verified' },
+        { id: 2, name: 'Cheap items', priority: 5, conditions: { price_max: 150 }, outcome: 'public' }
+      ];
+      const decision = evaluateRules(buildRuleSet({ tiers, rules }), tiers, product);
+      expect(decision).toMatchObject({ tier: 'public', requiredTier: null, rule: { id: 2 } });
+    });
+
+    it('should skip disabled rules', () => {
+      const rules = [{ id: 1, name: 'Off', priority: 1, conditions: {}, outcome: 'public', is_enabled: 0 }];
+      expect(evaluateRules(buildRuleSet({ tiers, rules }), tiers, product).tier).toBe('butterfly');
+    });
+
+    it('should let an explicit product record win over rules', () => {
+      const rules = [{ id: 1, name: 'Everything public', priority: 100, conditions: {}, outcome: 'public' }];
+      const restriction = { id: 7, product_id: 1, is_restricted: 1, required_tier: 'verified' };
+      const decision = evaluateRules(buildRuleSet({ tiers, rules, restriction }), tiers, product);
+      expect(decision).toMatchObject({ tier: 'verified', rule: { source: 'product' } });
+    });
+
+    it('should apply the most restrictive matching collection record', () => {
+      const exceptions = [
+        { id: 1, collection_id: 10, collection_handle: 'courses', is_exception: 1, required_tier: null },
+        { id: 2, collection_id: 11, collection_handle: 'butterfly', is_exception: 0, required_tier: 'butterfly' }
+      ];
+      const ruleSet = buildRuleSet({ tiers, exceptions });
+      const collections = [{ id: 10, handle: 'courses' }, { id: 11, handle: 'butterfly' }];
+
+      expect(evaluateRules(ruleSet, tiers, product, { collections }).tier).toBe('butterfly');
+      expect(evaluateRules(ruleSet, tiers, product, { collections: [collections[0]] }).tier).toBe('public');
+    });
+
+    it('should make products whose type names an education collection public', () => {
+      const ruleSet = buildRuleSet({ tiers, settings: { education_collections: 'courses,in-person-education-1' } });
+
+      expect(evaluateRules(ruleSet, tiers, { ...product, product_type: 'Online Courses' })).toMatchObject({
+        tier: 'public',
+        rule: { source: 'education' }
+      });
+      expect(evaluateRules(ruleSet, tiers, product, { collections: [{ id: 10, handle: 'courses' }] }).tier).toBe('butterfly');
+    });
+  });
+});
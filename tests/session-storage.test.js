@@ -0,0 +1,98 @@
+const { Session } = require('@shopify/shopify-api');
+const { setupDatabase, deleteShopData, db } = require('../lib/database');
+const { sessionStorage } = require('../lib/session-storage');
+
+describe('Shopify session storage', () => {
+  const shopDomain = 'test-shop.myshopify.com';
+
+  const offlineSession = new Session({
+    id: `offline_${shopDomain}`,
+    shop: shopDomain,
+    state: 'state-123',
+    isOnline: false,
+    scope: 'read_products,read_customers',
+    accessToken: 'shpat_offline'
+  });
+
+  const onlineSession = new Session({
+    id: `${shopDomain}_5`,
+    shop: shopDomain,
+    state: 'state-456',
+    isOnline: true,
+    scope: 'read_products',
+    accessToken: 'shpua_online',
+    expires: new Date('2030-01-01T00:00:00Z'),
+    onlineAccessInfo: {
+      expires_in: 86400,
+      associated_user_scope: 'read_products',
+      associated_user: { id: 5, first_name: 'Ana', last_name: 'Lima', email: 'ana@example.com', email_verified: true, account_owner: true, locale: 'en', collaborator: false }
+    }
+  });
+
+  beforeAll(async () => {
+    await setupDatabase();
+  });
+
+  afterAll(async () => {
+    await db.destroy();
+  });
+
+  beforeEach(async () => {
+    await db('shopify_sessions').del();
+  });
+
+  it('should store and load an offline session', async () => {
+    expect(await sessionStorage.storeSession(offlineSession)).toBe(true);
+
+    const loaded = await sessionStorage.loadSession(offlineSession.id);
+
+    expect(loaded).toBeInstanceOf(Session);
+    expect(loaded.isOnline).toBe(false);
+    expect(loaded.accessToken).toBe('shpat_offline');
+    expect(loaded.scope).toBe('read_products,read_customers');
+  });
+
+  it('should keep the expiry and user of an online session', async () => {
+    await sessionStorage.storeSession(onlineSession);
+
+    const loaded = await sessionStorage.loadSession(onlineSession.id);
+
+    expect(loaded.isOnline).toBe(true);
+    expect(loaded.expires.toISOString()).toBe('2030-01-01T00:00:00.000Z');
+    expect(loaded.onlineAccessInfo.associated_user.email).toBe('ana@example.com');
+  });
+
+  it('should overwrite a session when it is stored again', async () => {
+    await sessionStorage.storeSession(offlineSession);
+    await sessionStorage.storeSession(new Session({ ...offlineSession.toObject(), accessToken: 'shpat_rotated' }));
+
+    const loaded = await sessionStorage.loadSession(offlineSession.id);
+    expect(loaded.accessToken).toBe('shpat_rotated');
+  });
+
+  it('should return undefined for unknown sessions', async () => {
+    expect(await sessionStorage.loadSession('missing')).toBeUndefined();
+  });
+
+  it('should find and delete sessions by shop and id', async () => {
+    await sessionStorage.storeSession(offlineSession);
+    await sessionStorage.storeSession(onlineSession);
+
+    const sessions = await sessionStorage.findSessionsByShop(shopDomain);
+    expect(sessions.map(session => session.id).sort()).toEqual([onlineSession.id, offlineSession.id].sort());
+
+    await sessionStorage.deleteSession(onlineSession.id);
+    expect(await sessionStorage.loadSession(onlineSession.id)).toBeUndefined();
+
+    await sessionStorage.deleteSessions([offlineSession.id]);
+    expect(await sessionStorage.findSessionsByShop(shopDomain)).toHaveLength(0);
+  });
+
+  it('should remove a shop\'s sessions on uninstall', async () => {
+    await sessionStorage.storeSession(offlineSession);
+
+    await deleteShopData(shopDomain);
+
+    expect(await sessionStorage.findSessionsByShop(shopDomain)).toHaveLength(0);
+  });
+});
@@ -0,0 +1,123 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { setupDatabase, AppSettings, AccessTiers, SettingsVersions, db } = require('../lib/database');
+const {
+  getSettings,
+  saveSettings,
+  syncTierTags,
+  withLegacyFields,
+  importSettingsFile,
+  getSettingsHistory,
+  rollbackSettings
+} = require('../lib/settings');
+
+describe('Settings', () => {
+  const shopDomain = 'test-shop.myshopify.com';
+
+  beforeAll(async () => {
+    await setupDatabase();
+  });
+
+  afterAll(async () => {
+    await db.destroy();
+  });
+
+  beforeEach(async () => {
+    await db('app_settings').del();
+    await db('access_tiers').del();
+    await db('settings_versions').del();
+  });
+
+  it('should fill in defaults for shops without stored settings', async () => {
+    const settings = await getSettings(shopDomain);
+
+    expect(settings.verified_tag).toBe('verified');
+    expect(settings.login_url).toBe('/account/login');
+    expect(settings.is_enabled).toBe(true);
+  });
+
+  it('should store legacy field names under the unified columns', async () => {
+    const settings = await saveSettings(shopDomain, {
+      pro_account_title: 'PRO ONLY',
+      butterfly_button_text: 'GET CERTIFIED',
+      butterfly_collections: 'butterfly',
+      updated_at: '2025-01-01T00:00:00Z'
+    });
+
+    expect(settings.pro_account_message).toBe('PRO ONLY');
+    expect(settings.certification_button_text).toBe('GET CERTIFIED');
+    const row = await AppSettings.get(shopDomain);
+    expect(row.butterfly_collections).toBe('butterfly');
+    expect(withLegacyFields(settings).pro_account_title).toBe('PRO ONLY');
+  });
+
+  it('should keep stored fields that a partial update leaves out', async () => {
+    await saveSettings(shopDomain, { verified_tag: 'stylist' });
+    const settings = await saveSettings(shopDomain, { login_url: '/login' });
+
+    expect(settings.verified_tag).toBe('stylist');
+    expect(settings.login_url).toBe('/login');
+  });
+
+  it('should sync tier tags from the tag settings', async () => {
+    await AccessTiers.upsert(shopDomain, 'verified', { label: 'Verified', customer_tag: 'verified', rank: 1 });
+
+    await syncTierTags(shopDomain, { verified_tag: 'stylist' });
+
+    expect((await AccessTiers.getByName(shopDomain, 'verified')).customer_tag).toBe('stylist');
+  });
+
+  it('should record each change as a version with field-level diffs', async () => {
+    await saveSettings(shopDomain, { verified_tag: 'stylist' }, { author: 'owner@example.com' });
+    await saveSettings(shopDomain, { verified_tag: 'stylist' });
+    await saveSettings(shopDomain, { pro_account_title: 'PRO ONLY', login_url: '/login' }, { source: 'live_admin' });
+
+    const history = await getSettingsHistory(shopDomain);
+
+    expect(history.map(entry => entry.version)).toEqual([2, 1]);
+    expect(history[0]).toMatchObject({ source: 'live_admin', author: null });
+    expect(history[0].changes).toEqual([
+      { field: 'pro_account_message', from: 'PRO ACCOUNT REQUIRED', to: 'PRO ONLY' },
+      { field: 'login_url', from: '/account/login', to: '/login' }
+    ]);
+    expect(history[1]).toMatchObject({ source: 'admin', author: 'owner@example.com' });
+    expect(history[1].changes).toEqual([{ field: 'verified_tag', from: 'verified', to: 'stylist' }]);
+    expect(history[1].created_at).toBeInstanceOf(Date);
+  });
+
+  it('should record a baseline for settings stored before versioning', async () => {
+    await AppSettings.createOrUpdate(shopDomain, { verified_tag: 'legacy' });
+
+    await saveSettings(shopDomain, { verified_tag: 'stylist' });
+
+    const history = await getSettingsHistory(shopDomain);
+    expect(history.map(entry => entry.source)).toEqual(['admin', 'baseline']);
+    expect(history[0].changes).toEqual([{ field: 'verified_tag', from: 'legacy', to: 'stylist' }]);
+  });
+
+  it('should roll back to a previous version as a new version', async () => {
+    await saveSettings(shopDomain, { verified_tag: 'stylist', pro_account_message: 'PRO ONLY' });
+    await saveSettings(shopDomain, { verified_tag: 'broken', pro_account_message: '' });
+
+    const settings = await rollbackSettings(shopDomain, 1, { author: 'owner@example.com' });
+
+    expect(settings).toMatchObject({ verified_tag: 'stylist', pro_account_message: 'PRO ONLY' });
+    const latest = await SettingsVersions.latest(shopDomain);
+    expect(latest).toMatchObject({ version: 3, source: 'rollback', restored_version: 1, author: 'owner@example.com' });
+    expect(await rollbackSettings(shopDomain, 99)).toBeNull();
+  });
+
+  it('should import a JSON settings file once', async () => {
+    const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'settings-')), 'access-control-settings.json');
+    fs.writeFileSync(filePath, JSON.stringify({ verified_tag: 'pro', butterfly_title: 'BUTTERFLY ONLY' }));
+
+    const imported = await importSettingsFile(shopDomain, filePath);
+
+    expect(imported).toEqual({ verified_tag: 'pro', certification_message: 'BUTTERFLY ONLY' });
+    expect((await getSettings(shopDomain)).certification_message).toBe('BUTTERFLY ONLY');
+    expect(fs.existsSync(filePath)).toBe(false);
+    expect(fs.existsSync(`${filePath}.imported`)).toBe(true);
+    expect(await importSettingsFile(shopDomain, filePath)).toBeNull();
+  });
+});
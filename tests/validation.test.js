@@ -0,0 +1,91 @@
+const express = require('express');
+const request = require('supertest');
+const { validateRequest } = require('../middleware/validation');
+const { adminSchemas, apiSchemas, liveAdminSchemas } = require('../lib/request-schemas');
+
+// Echo what the route handler receives after validation
+function buildApp(method, path, schemas) {
+  const app = express();
+  app.use(express.json());
+  app[method](path, validateRequest(schemas), (req, res) => {
+    res.json({ params: req.params, query: req.query, body: req.body });
+  });
+  return app;
+}
+
+describe('Request validation', () => {
+  it('should list every invalid field in one 400 response', async () => {
+    const app = buildApp('put', '/settings', adminSchemas.settings);
+
+    const response = await request(app)
+      .put('/settings')
+      .send({ is_enabled: 'sometimes', certification_url: 'not a url', verified_tag: '', colour: 'red' })
+      .expect(400);
+
+    expect(response.body.error).toBe('Validation failed');
+    expect(response.body.details.map(detail => detail.field).sort())
+      .toEqual(['certification_url', 'colour', 'is_enabled', 'verified_tag']);
+    expect(response.body.details[0]).toMatchObject({ location: 'body', message: expect.any(String) });
+  });
+
+  it('should accept legacy settings names', async () => {
+    const app = buildApp('put', '/messages', liveAdminSchemas.messages);
+
+    const response = await request(app)
+      .put('/messages')
+      .send({ pro_account_title: 'PRO ONLY', login_url: '/account/login' })
+      .expect(200);
+
+    expect(response.body.body).toEqual({ pro_account_title: 'PRO ONLY', login_url: '/account/login' });
+  });
+
+  it('should report nested fields in bulk updates', async () => {
+    const app = buildApp('post', '/bulk-update', adminSchemas.bulkUpdate);
+
+    const response = await request(app)
+      .post('/bulk-update')
+      .send({ updates: [{ productId: 1, isRestricted: true }, { isRestricted: 'yes' }] })
+      .expect(400);
+
+    expect(response.body.details.map(detail => detail.field).sort())
+      .toEqual(['updates.1.isRestricted', 'updates.1.productId']);
+  });
+
+  it('should hand converted values and defaults to the route', async () => {
+    const app = buildApp('get', '/products', adminSchemas.products);
+
+    const response = await request(app).get('/products?limit=10').expect(200);
+
+    expect(response.body.query).toEqual({ limit: 10, page: 1, filter: 'all', search: '' });
+    await request(app).get('/products?filter=hidden&page=0').expect(400);
+  });
+
+  it('should validate route params', async () => {
+    const app = buildApp('get', '/check-access/:productId/:customerId?', apiSchemas.checkAccess);
+
+    const response = await request(app).get('/check-access/12345').expect(200);
+    expect(response.body.params).toEqual({ productId: 12345 });
+
+    const customer = await request(app).get('/check-access/12345/67890').expect(200);
+    expect(customer.body.params).toEqual({ productId: 12345, customerId: 67890 });
+
+    const placeholder = await request(app).get('/check-access/12345/null').expect(400);
+    expect(placeholder.body.details.map(detail => detail.field)).toEqual(['customerId']);
+
+    const invalid = await request(app).get('/check-access/abc/67890').expect(400);
+    expect(invalid.body.details).toEqual([
+      { location: 'params', field: 'productId', message: expect.any(String) }
+    ]);
+  });
+
+  it('should require cart items with product ids', async () => {
+    const app = buildApp('post', '/validate-cart', apiSchemas.validateCart);
+
+    await request(app).post('/validate-cart').send({ customerId: null }).expect(400);
+    await request(app).post('/validate-cart').send({ cartItems: [{ quantity: 1 }] }).expect(400);
+    await request(app)
+      .post('/validate-cart')
+      .send({ cartItems: [{ product_id: 1, variant_id: 2, quantity: 1, title: 'Pro Color' }] })
+      .expect(200);
+  });
+});
@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+const { setupDatabase, CustomerAccess, db } = require('../lib/database');
+const { WebhookEvents } = require('../lib/webhook-event-store');
+const { WEBHOOK_HANDLERS } = require('../lib/webhook-handlers');
+const {
+  MAX_ATTEMPTS,
+  processDueWebhooks,
+  retryWebhookEvent,
+  pruneWebhookEvents
+} = require('../lib/webhook-queue');
+const { captureRawBody } = require('../middleware/webhook-verification');
+
+const secret = 'test-webhook-secret';
+const shopDomain = 'test-shop.myshopify.com';
+
+function sendWebhook(app, topic, payload, webhookId) {
+  const body = JSON.stringify(payload);
+  const req = request(app)
+    .post(`/api/webhooks/${topic}`)
+    .set('Content-Type', 'application/json')
+    .set('X-Shopify-Shop-Domain', shopDomain)
+    .set('X-Shopify-Hmac-Sha256', crypto.createHmac('sha256', secret).update(body).digest('base64'));
+  if (webhookId) req.set('X-Shopify-Webhook-Id', webhookId);
+  return req.send(body);
+}
+
+const customer = { id: 42, email: 'stylist@example.com', tags: 'verified' };
+
+describe('Webhook queue', () => {
+  const originalSecret = process.env.SHOPIFY_API_SECRET;
+  let app;
+
+  beforeAll(async () => {
+    process.env.SHOPIFY_API_SECRET = secret;
+    await setupDatabase();
+    app = express();
+    app.use(express.json({ verify: captureRawBody }));
+    app.use('/api/webhooks', require('../routes/webhooks'));
+  });
+
+  afterAll(async () => {
+    process.env.SHOPIFY_API_SECRET = originalSecret;
+    await db.destroy();
+  });
+
+  beforeEach(async () => {
+    await db('webhook_events').del();
+    await db('customer_access').del();
+    await db('customer_tier_history').del();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should acknowledge webhooks before processing them', async () => {
+    await sendWebhook(app, 'customers/update', customer, 'webhook-1').expect(200);
+
+    expect(await CustomerAccess.get(shopDomain, 42)).toBeFalsy();
+    const [event] = await db('webhook_events');
+    expect(event).toMatchObject({ shop_domain: shopDomain, webhook_id: 'webhook-1', topic: 'customers/update', status: 'pending' });
+
+    expect(await processDueWebhooks()).toEqual({ processed: 1, pending: 0, failed: 0 });
+
+    expect(await CustomerAccess.get(shopDomain, 42)).toMatchObject({ tier: 'verified' });
+    // The payload isn't needed once processed
+    expect(await WebhookEvents.get(event.id)).toMatchObject({ status: 'processed', attempts: 1, payload: null });
+  });
+
+  it('should drop Shopify\'s redeliveries of the same webhook', async () => {
+    const handler = jest.spyOn(WEBHOOK_HANDLERS, 'customers/update');
+
+    await sendWebhook(app, 'customers/update', customer, 'webhook-1').expect(200);
+    await processDueWebhooks();
+    await sendWebhook(app, 'customers/update', customer, 'webhook-1').expect(200);
+    await sendWebhook(app, 'customers/update', { ...customer, tags: '' }, 'webhook-2').expect(200);
+    await processDueWebhooks();
+
+    expect(await db('webhook_events')).toHaveLength(2);
+    expect(handler).toHaveBeenCalledTimes(2);
+  });
+
+  it('should still validate webhooks before queueing them', async () => {
+    await sendWebhook(app, 'customers/update', { email: 'no-id@example.com' }, 'webhook-1').expect(400);
+
+    expect(await db('webhook_events')).toHaveLength(0);
+  });
+
+  it('should retry failed webhooks with backoff', async () => {
+    const handler = jest.spyOn(WEBHOOK_HANDLERS, 'customers/update')
+      .mockRejectedValueOnce(new Error('Shopify is down'))
+      .mockRejectedValueOnce(new Error('Shopify is still down'));
+    await sendWebhook(app, 'customers/update', customer, 'webhook-1').expect(200);
+    const now = new Date();
+
+    expect(await processDueWebhooks({ now })).toEqual({ processed: 0, pending: 1, failed: 0 });
+    let [event] = await db('webhook_events');
+    expect(event).toMatchObject({ status: 'pending', attempts: 1, last_error: 'Shopify is down' });
+
+    // Not due until 30 seconds later, then a minute after that
+    expect(await processDueWebhooks({ now: new Date(now.getTime() + 29 * 1000) })).toEqual({ processed: 0, pending: 0, failed: 0 });
+    await processDueWebhooks({ now: new Date(now.getTime() + 30 * 1000) });
+    [event] = await db('webhook_events');
+    expect(event).toMatchObject({ status: 'pending', attempts: 2, last_error: 'Shopify is still down' });
+    expect((await WebhookEvents.get(event.id)).next_attempt_at).toEqual(new Date(Math.floor((now.getTime() + 90 * 1000) / 1000) * 1000));
+
+    await processDueWebhooks({ now: new Date(now.getTime() + 90 * 1000) });
+    [event] = await db('webhook_events');
+    expect(event).toMatchObject({ status: 'processed', attempts: 3, last_error: null });
+    expect(handler).toHaveBeenCalledTimes(3);
+  });
+
+  it('should dead-letter webhooks that keep failing until they are retried', async () => {
+    const handler = jest.spyOn(WEBHOOK_HANDLERS, 'customers/update').mockRejectedValue(new Error('Broken'));
+    await sendWebhook(app, 'customers/update', customer, 'webhook-1').expect(200);
+
+    // Each retry waits longer, never more than 6 hours
+    for (let attempt = 0; attempt < MAX_ATTEMPTS + 2; attempt += 1) {
+      await processDueWebhooks({ now: new Date(Date.now() + attempt * 7 * 60 * 60 * 1000) });
+    }
+
+    const [event] = await db('webhook_events');
+    expect(event).toMatchObject({ status: 'failed', attempts: MAX_ATTEMPTS, last_error: 'Broken' });
+    expect(handler).toHaveBeenCalledTimes(MAX_ATTEMPTS);
+    expect((await WebhookEvents.find(shopDomain, { status: 'failed' })).total).toBe(1);
+
+    handler.mockRestore();
+    expect(await retryWebhookEvent('other-shop.myshopify.com', event.id)).toBe(false);
+    expect(await retryWebhookEvent(shopDomain, event.id)).toBe(true);
+    expect(await processDueWebhooks()).toEqual({ processed: 1, pending: 0, failed: 0 });
+    expect(await CustomerAccess.get(shopDomain, 42)).toBeTruthy();
+  });
+
+  it('should pick up events left processing by a worker that died', async () => {
+    await sendWebhook(app, 'customers/update', customer, 'webhook-1').expect(200);
+    const [queued] = await db('webhook_events');
+    await db('webhook_events').where('id', queued.id).update({
+      status: 'processing',
+      attempts: 1,
+      locked_at: '2000-01-01 00:00:00'
+    });
+
+    expect(await processDueWebhooks()).toEqual({ processed: 1, pending: 0, failed: 0 });
+    expect(await WebhookEvents.get(queued.id)).toMatchObject({ status: 'processed', attempts: 2 });
+  });
+
+  it('should forget processed webhooks after a week', async () => {
+    await sendWebhook(app, 'customers/update', customer, 'webhook-1').expect(200);
+    await processDueWebhooks();
+
+    expect(await pruneWebhookEvents(new Date(Date.now() + 6 * 24 * 60 * 60 * 1000))).toBe(0);
+    expect(await pruneWebhookEvents(new Date(Date.now() + 8 * 24 * 60 * 60 * 1000))).toBe(1);
+  });
+});
@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+const { setupDatabase, AppSettings, CustomerAccess, db } = require('../lib/database');
+const { processDueWebhooks } = require('../lib/webhook-queue');
+const { captureRawBody } = require('../middleware/webhook-verification');
+
+const secret = 'test-webhook-secret';
+const shopDomain = 'test-shop.myshopify.com';
+
+// Sign a payload the way Shopify does
+function sign(body, key = secret) {
+  return crypto.createHmac('sha256', key).update(body).digest('base64');
+}
+
+function buildApp() {
+  const webhookRoutes = require('../routes/webhooks');
+  const app = express();
+  app.use(express.json({ verify: captureRawBody }));
+  app.use('/api/webhooks', webhookRoutes);
+  return app;
+}
+
+function sendWebhook(app, topic, payload, hmac, headerShop = shopDomain) {
+  const body = JSON.stringify(payload);
+  return request(app)
+    .post(`/api/webhooks/${topic}`)
+    .set('Content-Type', 'application/json')
+    .set('X-Shopify-Shop-Domain', headerShop)
+    .set('X-Shopify-Hmac-Sha256', hmac === undefined ? sign(body) : hmac)
+    .send(body);
+}
+
+describe('Webhook HMAC verification', () => {
+  const originalSecret = process.env.SHOPIFY_API_SECRET;
+  let app;
+
+  beforeAll(async () => {
+    process.env.SHOPIFY_API_SECRET = secret;
+    await setupDatabase();
+    app = buildApp();
+  });
+
+  afterAll(async () => {
+    process.env.SHOPIFY_API_SECRET = originalSecret;
+    await db.destroy();
+  });
+
+  beforeEach(async () => {
+    await db('app_settings').del();
+    await db('customer_access').del();
+    await db('webhook_events').del();
+    await AppSettings.createOrUpdate(shopDomain, { is_enabled: true });
+  });
+
+  it('should reject webhooks without a signature', async () => {
+    await sendWebhook(app, 'app/uninstalled', { domain: shopDomain }, '').expect(401);
+
+    expect(await AppSettings.get(shopDomain)).toBeTruthy();
+  });
+
+  it('should reject webhooks signed with another secret', async () => {
+    const body = JSON.stringify({ domain: shopDomain });
+    await sendWebhook(app, 'app/uninstalled', { domain: shopDomain }, sign(body, 'not-the-secret')).expect(401);
+
+    expect(await AppSettings.get(shopDomain)).toBeTruthy();
+  });
+
+  it('should reject webhooks whose body was changed after signing', async () => {
+    const hmac = sign(JSON.stringify({ id: 42, tags: 'verified' }));
+    await sendWebhook(app, 'customers/update', { id: 42, tags: 'butterfly_paid' }, hmac).expect(401);
+
+    expect(await CustomerAccess.get(shopDomain, 42)).toBeFalsy();
+  });
+
+  it('should process correctly signed webhooks', async () => {
+    await sendWebhook(app, 'app/uninstalled', { domain: shopDomain }).expect(200);
+    await processDueWebhooks();
+
+    expect(await AppSettings.get(shopDomain)).toBeFalsy();
+  });
+
+  it('should uninstall the myshopify domain of shops with a custom primary domain', async () => {
+    await sendWebhook(app, 'app/uninstalled', { domain: 'shop.example.com', myshopify_domain: shopDomain }).expect(200);
+    await processDueWebhooks();
+
+    expect(await AppSettings.get(shopDomain)).toBeFalsy();
+  });
+
+  it('should take the shop from the signed payload rather than the header', async () => {
+    const otherShop = 'other-shop.myshopify.com';
+    await AppSettings.createOrUpdate(otherShop, { is_enabled: true });
+
+    // The header isn't covered by the signature
+    await sendWebhook(app, 'app/uninstalled', { domain: shopDomain, myshopify_domain: shopDomain }, undefined, otherShop).expect(200);
+    await processDueWebhooks();
+
+    expect(await AppSettings.get(shopDomain)).toBeFalsy();
+    expect(await AppSettings.get(otherShop)).toBeTruthy();
+  });
+
+  it('should reject webhooks for a shop that is not a myshopify domain', async () => {
+    await sendWebhook(app, 'customers/update', { id: 42, tags: 'verified' }, undefined, 'shop.example.com').expect(400);
+
+    expect(await CustomerAccess.get(shopDomain, 42)).toBeFalsy();
+  });
+
+  it('should reject every webhook when the app secret is not configured', async () => {
+    delete process.env.SHOPIFY_API_SECRET;
+    try {
+      await sendWebhook(app, 'app/uninstalled', { domain: shopDomain }).expect(401);
+    } finally {
+      process.env.SHOPIFY_API_SECRET = secret;
+    }
+
+    expect(await AppSettings.get(shopDomain)).toBeTruthy();
+  });
+});